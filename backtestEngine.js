@@ -0,0 +1,196 @@
+// backtestEngine.js
+// Walk-forward backtest over historical prediction epochs. Every bet goes through the same
+// getBetDecision() as the live bot and is settled with the contract's payout math against the
+// round's real pools. Only data that was available when the bet would have been placed is used:
+// the price buffer ends two epochs back, as it does live, and each test window's model is trained
+// on the rounds before that window.
+
+const logger = require('./logger');
+const { createIndicatorStream, trainModel, getBetDecision } = require('./prediction');
+const { createEnsemble } = require('./ensemble');
+const { settleBet } = require('./shared/settlement');
+
+const PRICE_BUFFER_SIZE = 100;
+
+/**
+ * Final pools of a round. These include bets placed after the bot's own bet would have gone in,
+ * so pass a poolsAtBet function to runWalkForward when bet-time pools are available. The window
+ * models are then trained on the same pools the bets are decided on.
+ * @param {Object} round - Historical round.
+ * @returns {Object} { bullAmount, bearAmount } in BNB.
+ */
+function finalPools(round) {
+    return { bullAmount: round.bullAmount, bearAmount: round.bearAmount };
+}
+
+/**
+ * Adds a round's crowd flow, favorite win rate and candles, where loaded, to the pools the model and the
+ * indicators see.
+ * @param {Object} pools - { bullAmount, bearAmount } in BNB.
+ * @param {Object} round - Historical round.
+ * @returns {Object}
+ */
+function withRoundContext(pools, round) {
+    return { ...pools, flow: round.flow || null, favoriteWinRate: round.favoriteWinRate, candles: round.candles || null };
+}
+
+/**
+ * Splits the rounds into consecutive walk-forward windows.
+ * @param {Array<Object>} rounds - Historical rounds sorted by epoch.
+ * @param {number} trainSize - Number of ended rounds each model is trained on.
+ * @param {number} testSize - Number of rounds bet on with each model.
+ * @returns {Array<Object>} Windows { trainRounds, testRounds }.
+ */
+function getWalkForwardWindows(rounds, trainSize, testSize) {
+    const windows = [];
+    for (let testStart = trainSize; testStart < rounds.length; testStart += testSize) {
+        const firstTestEpoch = rounds[testStart].epoch;
+        // The round before the first test round is still live when its bet is placed, so it is not trained on
+        const trainRounds = rounds
+            .slice(Math.max(0, testStart - trainSize - 1), testStart)
+            .filter(round => round.epoch <= firstTestEpoch - 2)
+            .slice(-trainSize);
+        windows.push({ trainRounds, testRounds: rounds.slice(testStart, testStart + testSize) });
+    }
+    return windows;
+}
+
+/**
+ * Close prices of the ended rounds, oldest first.
+ * @param {Array<Object>} rounds - Historical rounds.
+ * @returns {Array<number>}
+ */
+function getClosePrices(rounds) {
+    return rounds.filter(round => round.oracleCalled).map(round => round.closePrice);
+}
+
+/**
+ * Trains the model of a walk-forward window, or takes it from the cache.
+ * @param {Array<Object>} trainRounds - Rounds the window trains on.
+ * @param {string} [modelType] - Model name from the registry, defaults to MODEL_TYPE.
+ * @param {Map} [modelCache] - Models by type and first and last training epoch.
+ * @param {Function} [poolsAtBet] - (round) => pools the bet would have seen, defaults to the final pools.
+ * @returns {Promise<Object|null>}
+ */
+async function getWindowModel(trainRounds, modelType, modelCache, poolsAtBet = finalPools) {
+    const endedRounds = trainRounds.filter(round => round.oracleCalled);
+    const train = () => trainModel(getClosePrices(endedRounds), {
+        type: modelType,
+        pools: endedRounds.map(round => withRoundContext(poolsAtBet(round), round))
+    });
+    if (!modelCache) {
+        return train();
+    }
+
+    const range = trainRounds.length > 0 ? `${trainRounds[0].epoch}-${trainRounds[trainRounds.length - 1].epoch}` : 'empty';
+    const key = `${modelType || 'default'}:${range}`;
+    if (!modelCache.has(key)) {
+        modelCache.set(key, await train());
+    }
+    return modelCache.get(key);
+}
+
+/**
+ * Replays historical rounds through the live strategy in walk-forward windows.
+ * @param {Array<Object>} rounds - Historical rounds with epoch, lock/close prices and timestamps, pools and oracleCalled.
+ * @param {Object} options
+ * @param {number} options.trainSize - Number of ended rounds each window's model is trained on.
+ * @param {number} options.testSize - Number of rounds bet on before the model is retrained.
+ * @param {number} options.startingBankroll - Simulated bankroll in BNB.
+ * @param {number} options.minBet - Smallest stake the contract accepts, the run stops once the bankroll falls below it.
+ * @param {Function} options.poolsAtBet - (round) => pools the bet would have seen, defaults to the final pools.
+ * @param {Object} options.parameters - Strategy parameters passed to getBetDecision(), defaults to the ones from config.
+ * @param {string} options.modelType - Model name from the registry, defaults to MODEL_TYPE.
+ * @param {Map} options.modelCache - Models by type and training range, reused by later runs over the same rounds with the
+ * same poolsAtBet. Cached models are left for the caller to dispose.
+ * @param {Object} options.ensemble - Options of createEnsemble() in ensemble.js, defaults to the ENSEMBLE_ settings.
+ * @returns {Promise<Object>} { bets, bankroll, windows }, bets as recorded by profitTracker without their runId, plus window, bankroll, winProbability, confidence, expectedValue, the ensemble's votes and the market regime.
+ */
+async function runWalkForward(rounds, { trainSize, testSize, startingBankroll, minBet = 0, poolsAtBet = finalPools, parameters, modelType, modelCache, ensemble: ensembleOptions }) {
+    const sortedRounds = [...rounds].sort((a, b) => a.epoch - b.epoch);
+    const windows = getWalkForwardWindows(sortedRounds, trainSize, testSize);
+    const endedRounds = sortedRounds.filter(round => round.oracleCalled);
+    const bets = [];
+    let bankroll = startingBankroll;
+    let ended = 0; // Number of ended rounds at least two epochs before the current one
+    const indicators = createIndicatorStream(parameters); // Fed each ended round's close once
+    const ensemble = createEnsemble(ensembleOptions);
+    const pendingVotes = new Map(); // Ensemble votes by epoch, until the round has ended
+
+    logger.info(`Walk-forward backtest over ${sortedRounds.length} rounds in ${windows.length} windows (train ${trainSize}, test ${testSize}).`);
+
+    for (const [windowIndex, window] of windows.entries()) {
+        const model = await getWindowModel(window.trainRounds, modelType, modelCache, poolsAtBet);
+        if (!model) {
+            logger.warn(`Window ${windowIndex + 1}: not enough ended rounds to train on, skipping.`);
+            continue;
+        }
+
+        for (const round of window.testRounds) {
+            if (bankroll < minBet) break;
+
+            while (ended < endedRounds.length && endedRounds[ended].epoch <= round.epoch - 2) {
+                const endedRound = endedRounds[ended];
+                indicators.update(endedRound.closePrice);
+                // The stacking learns from the votes of rounds that have ended, ties are won by neither side
+                if (pendingVotes.has(endedRound.epoch) && endedRound.closePrice !== endedRound.lockPrice) {
+                    ensemble.addOutcome(pendingVotes.get(endedRound.epoch), endedRound.closePrice > endedRound.lockPrice);
+                }
+                ended++;
+            }
+            for (const epoch of pendingVotes.keys()) {
+                if (epoch <= round.epoch - 2) pendingVotes.delete(epoch);
+            }
+            const priceBuffer = getClosePrices(endedRounds.slice(Math.max(0, ended - PRICE_BUFFER_SIZE), ended));
+
+            const decision = await getBetDecision(priceBuffer, withRoundContext(poolsAtBet(round), round), bankroll, model, parameters, indicators, ensemble);
+            if (decision.votes) {
+                pendingVotes.set(round.epoch, decision.votes);
+            }
+            if (!decision.prediction || !(decision.betSize > 0)) {
+                continue;
+            }
+
+            const betSize = Math.min(decision.betSize, bankroll);
+            if (betSize < minBet) continue;
+
+            // Rounds the oracle never ended were refunded
+            const { outcome, profit } = settleBet({ position: decision.prediction, amount: betSize }, round, {
+                refundable: !round.oracleCalled,
+                simulated: true
+            });
+            bankroll += profit;
+
+            bets.push({
+                epoch: round.epoch,
+                prediction: decision.prediction,
+                betSize,
+                outcome,
+                profitBNB: profit,
+                roundId: round.epoch.toString(),
+                startingPrice: round.lockPrice,
+                placedAt: round.lockTimestamp * 1000,
+                window: windowIndex + 1,
+                winProbability: decision.winProbability,
+                confidence: decision.confidence,
+                expectedValue: decision.expectedValue,
+                votes: decision.votes,
+                regime: decision.regime,
+                bankroll
+            });
+        }
+        if (!modelCache) {
+            model.dispose();
+        }
+
+        logger.info(`Window ${windowIndex + 1}/${windows.length} done: ${bets.length} bets so far, bankroll ${bankroll.toFixed(4)} BNB.`);
+        if (bankroll < minBet) {
+            logger.warn(`Bankroll of ${bankroll.toFixed(4)} BNB is below the minimum bet. Stopping the backtest.`);
+            break;
+        }
+    }
+
+    return { bets, bankroll, windows: windows.length };
+}
+
+module.exports = { finalPools, getWalkForwardWindows, runWalkForward };
@@ -0,0 +1,334 @@
+// backtestReport.js
+// Performance report for a list of settled bets, written as JSON and as a self-contained HTML page.
+
+const fs = require('fs');
+const path = require('path');
+const { buildReliabilityReport } = require('./calibration');
+const { buildAttributionReport } = require('./ensemble');
+
+const REPORTS_DIR = path.resolve(__dirname, 'reports');
+
+/**
+ * Mean and standard deviation of a series.
+ * @param {Array<number>} values
+ * @returns {Object} { mean, std }
+ */
+function meanAndStd(values) {
+    if (values.length === 0) return { mean: 0, std: 0 };
+    const mean = values.reduce((total, value) => total + value, 0) / values.length;
+    const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / values.length;
+    return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Win rate of a group of bets. Refunds count as neither.
+ * @param {Array<Object>} bets
+ * @returns {Object} { bets, wins, losses, winRate, profit }
+ */
+function summarize(bets) {
+    const wins = bets.filter(bet => bet.outcome === 'win').length;
+    const losses = bets.filter(bet => bet.outcome === 'lose').length;
+    return {
+        bets: bets.length,
+        wins,
+        losses,
+        winRate: wins + losses > 0 ? wins / (wins + losses) : null,
+        profit: bets.reduce((total, bet) => total + bet.profitBNB, 0)
+    };
+}
+
+/**
+ * Groups bets by a key and summarizes each group.
+ * @param {Array<Object>} bets
+ * @param {Function} getKey - (bet) => group key, bets with a null key are left out.
+ * @returns {Object} Summaries by key.
+ */
+function groupBy(bets, getKey) {
+    const groups = {};
+    for (const bet of bets) {
+        const key = getKey(bet);
+        if (key === null) continue;
+        (groups[key] = groups[key] || []).push(bet);
+    }
+    return Object.fromEntries(Object.entries(groups)
+        .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(([key, group]) => [key, summarize(group)]));
+}
+
+/**
+ * Builds the equity curve and finds the largest drawdown.
+ * @param {Array<Object>} bets - Bets in the order they were placed.
+ * @param {number} startingBankroll - Bankroll before the first bet in BNB.
+ * @returns {Object} { equityCurve, maxDrawdown } with the drawdown as a fraction of its peak and its duration in bets and ms.
+ */
+function analyzeEquity(bets, startingBankroll) {
+    const equityCurve = [{ epoch: null, timestamp: bets.length > 0 ? bets[0].placedAt : null, equity: startingBankroll }];
+    let equity = startingBankroll;
+    let peakIndex = 0;
+    let episode = null; // Drawdown since the last peak, it lasts until the peak is regained or the test ends
+    let maxDrawdown = { value: 0, peakEquity: startingBankroll, troughEquity: startingBankroll, durationBets: 0, durationMs: 0 };
+
+    bets.forEach((bet, i) => {
+        equity += bet.profitBNB;
+        equityCurve.push({ epoch: bet.epoch, timestamp: bet.placedAt, equity });
+
+        const peak = equityCurve[peakIndex];
+        if (equity >= peak.equity) {
+            peakIndex = i + 1;
+            episode = null;
+            return;
+        }
+
+        if (!episode) {
+            episode = { value: 0, peakEquity: peak.equity, troughEquity: equity, durationBets: 0, durationMs: 0 };
+        }
+        episode.value = Math.max(episode.value, peak.equity > 0 ? (peak.equity - equity) / peak.equity : 0);
+        episode.troughEquity = Math.min(episode.troughEquity, equity);
+        episode.durationBets = i + 1 - peakIndex;
+        episode.durationMs = (bet.placedAt || 0) - (peak.timestamp || 0);
+
+        if (episode.value > maxDrawdown.value) {
+            maxDrawdown = episode;
+        }
+    });
+
+    return { equityCurve, maxDrawdown: { ...maxDrawdown } };
+}
+
+/**
+ * Longest runs of consecutive wins and losses. Refunds do not break a run.
+ * @param {Array<Object>} bets
+ * @returns {Object} { longestWinStreak, longestLossStreak }
+ */
+function findStreaks(bets) {
+    let longestWinStreak = 0;
+    let longestLossStreak = 0;
+    let wins = 0;
+    let losses = 0;
+
+    for (const bet of bets) {
+        if (bet.outcome === 'win') {
+            wins++;
+            losses = 0;
+        } else if (bet.outcome === 'lose') {
+            losses++;
+            wins = 0;
+        }
+        longestWinStreak = Math.max(longestWinStreak, wins);
+        longestLossStreak = Math.max(longestLossStreak, losses);
+    }
+    return { longestWinStreak, longestLossStreak };
+}
+
+/**
+ * Computes the performance report for a list of settled bets.
+ * @param {Array<Object>} bets - Settled bets in the order they were placed, with prediction, betSize, outcome,
+ * profitBNB, placedAt (ms) and optionally confidence, winProbability, the ensemble's votes and the market regime.
+ * @param {Object} options - { startingBankroll, confidenceBucketSize, name, parameters, walletCurve }, walletCurve
+ * is the paper wallet's balance { timestamp, balance } over a paper run, with the gas costs the bets' profits leave out.
+ * @returns {Object} Report.
+ */
+function buildReport(bets, { startingBankroll = 1, confidenceBucketSize = 0.5, name = 'backtest', parameters = {}, walletCurve = null } = {}) {
+    const settledBets = bets.filter(bet => bet.outcome);
+    const { equityCurve, maxDrawdown } = analyzeEquity(settledBets, startingBankroll);
+
+    // Return of each bet on the bankroll it was placed from
+    const returns = settledBets.map((bet, i) => (equityCurve[i].equity > 0 ? bet.profitBNB / equityCurve[i].equity : 0));
+    const { mean, std } = meanAndStd(returns);
+    const downsideDeviation = Math.sqrt(returns.reduce((total, value) => total + Math.min(value, 0) ** 2, 0) / (returns.length || 1));
+
+    const grossProfit = settledBets.filter(bet => bet.profitBNB > 0).reduce((total, bet) => total + bet.profitBNB, 0);
+    const grossLoss = -settledBets.filter(bet => bet.profitBNB < 0).reduce((total, bet) => total + bet.profitBNB, 0);
+    const totalStaked = settledBets.reduce((total, bet) => total + bet.betSize, 0);
+    const summary = summarize(settledBets);
+
+    return {
+        name,
+        generatedAt: new Date().toISOString(),
+        parameters,
+        summary: {
+            ...summary,
+            startingBankroll,
+            finalBankroll: equityCurve[equityCurve.length - 1].equity,
+            totalStaked,
+            roi: totalStaked > 0 ? summary.profit / totalStaked : null,
+            firstEpoch: settledBets.length > 0 ? settledBets[0].epoch : null,
+            lastEpoch: settledBets.length > 0 ? settledBets[settledBets.length - 1].epoch : null
+        },
+        risk: {
+            maxDrawdown,
+            sharpePerRound: std > 0 ? mean / std : null,
+            sortinoPerRound: downsideDeviation > 0 ? mean / downsideDeviation : null,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+            ...findStreaks(settledBets)
+        },
+        byPosition: groupBy(settledBets, bet => bet.prediction),
+        byHour: groupBy(settledBets, bet => (bet.placedAt ? new Date(bet.placedAt).getUTCHours() : null)),
+        byConfidence: groupBy(settledBets, (bet) => {
+            if (!Number.isFinite(bet.confidence)) return null;
+            // Nudged so that a confidence on a boundary such as 0.3 / 0.1 is not floored into the bucket below
+            const bucket = Math.floor(Math.abs(bet.confidence) / confidenceBucketSize + 1e-9) * confidenceBucketSize;
+            return `${bucket.toFixed(2)}-${(bucket + confidenceBucketSize).toFixed(2)}`;
+        }),
+        byRegime: groupBy(settledBets, bet => bet.regime || null),
+        reliability: buildReliabilityReport(settledBets),
+        attribution: buildAttributionReport(settledBets),
+        equityCurve,
+        walletCurve: walletCurve && walletCurve.map(point => ({ timestamp: point.timestamp, equity: point.balance }))
+    };
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+const formatNumber = (value, digits = 4) => (value === null || value === undefined ? '-' : Number(value).toFixed(digits));
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(2)}%`);
+
+/**
+ * Draws the equity curve as an inline SVG line chart.
+ * @param {Array<Object>} equityCurve - Points { equity }.
+ * @returns {string} SVG markup.
+ */
+function renderEquityChart(equityCurve) {
+    const width = 900;
+    const height = 260;
+    const values = equityCurve.map(point => point.equity);
+    const min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+    const max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+    const range = max - min || 1;
+    const points = values.map((value, i) => {
+        const x = values.length > 1 ? (i / (values.length - 1)) * width : 0;
+        const y = height - ((value - min) / range) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="chart">
+  <polyline fill="none" stroke="#3b82f6" stroke-width="2" points="${points}" />
+</svg>
+<div class="axis"><span>${formatNumber(min)} BNB</span><span>${formatNumber(max)} BNB</span></div>`;
+}
+
+/**
+ * Renders a group summary table.
+ * @param {string} title - Table heading.
+ * @param {Object} groups - Summaries by key.
+ * @returns {string} HTML.
+ */
+function renderGroupTable(title, groups) {
+    const rows = Object.entries(groups).map(([key, group]) => `<tr><td>${escapeHtml(key)}</td><td>${group.bets}</td><td>${group.wins}</td><td>${group.losses}</td><td>${formatPercent(group.winRate)}</td><td>${formatNumber(group.profit)}</td></tr>`).join('\n');
+    return `<h2>${escapeHtml(title)}</h2>
+<table>
+<tr><th></th><th>Bets</th><th>Wins</th><th>Losses</th><th>Win Rate</th><th>Profit (BNB)</th></tr>
+${rows}
+</table>`;
+}
+
+/**
+ * Renders the predicted against realized win rate of each probability bucket.
+ * @param {Object} reliability - Reliability report from buildReliabilityReport().
+ * @returns {string} HTML.
+ */
+function renderReliabilityTable(reliability) {
+    if (!reliability || reliability.samples === 0) {
+        return '<h2>Win Probability Reliability</h2>\n<p>No settled bet was recorded with its win probability.</p>';
+    }
+    const rows = reliability.buckets.map(bucket => `<tr><td>${formatNumber(bucket.from, 2)}-${formatNumber(bucket.to, 2)}</td><td>${bucket.bets}</td><td>${formatPercent(bucket.meanProbability)}</td><td>${formatPercent(bucket.realizedWinRate)}</td></tr>`).join('\n');
+    return `<h2>Win Probability Reliability</h2>
+<p>Brier score ${formatNumber(reliability.brierScore)}, log loss ${formatNumber(reliability.logLoss)}, expected calibration error ${formatPercent(reliability.expectedCalibrationError)} over ${reliability.samples} bets</p>
+<table>
+<tr><th>Win Probability</th><th>Bets</th><th>Predicted</th><th>Realized</th></tr>
+${rows}
+</table>`;
+}
+
+/**
+ * Renders the profit of the bets each ensemble strategy voted for and against.
+ * @param {Object} attribution - Attribution report from buildAttributionReport().
+ * @returns {string} HTML, empty when no bet was placed by the ensemble.
+ */
+function renderAttributionTable(attribution) {
+    if (!attribution || attribution.bets === 0) return '';
+    const rows = Object.entries(attribution.strategies).map(([name, strategy]) => `<tr><td>${escapeHtml(name)}</td><td>${strategy.agreed}</td><td>${formatNumber(strategy.agreedProfit)}</td><td>${strategy.opposed}</td><td>${formatNumber(strategy.opposedProfit)}</td><td>${strategy.abstained}</td><td>${formatPercent(strategy.accuracy)}</td></tr>`).join('\n');
+    return `<h2>Strategy Attribution</h2>
+<p>Votes of the ensemble strategies on ${attribution.bets} settled bets</p>
+<table>
+<tr><th>Strategy</th><th>Voted For</th><th>Profit (BNB)</th><th>Voted Against</th><th>Profit (BNB)</th><th>Abstained</th><th>Vote Accuracy</th></tr>
+${rows}
+</table>`;
+}
+
+/**
+ * Renders the report as a standalone HTML page.
+ * @param {Object} report - Report from buildReport().
+ * @returns {string} HTML.
+ */
+function renderHtml(report) {
+    const { summary, risk } = report;
+    const metrics = [
+        ['Bets', summary.bets],
+        ['Win Rate', formatPercent(summary.winRate)],
+        ['Profit', `${formatNumber(summary.profit)} BNB`],
+        ['ROI on Stakes', formatPercent(summary.roi)],
+        ['Bankroll', `${formatNumber(summary.startingBankroll)} → ${formatNumber(summary.finalBankroll)} BNB`],
+        ['Max Drawdown', `${formatPercent(risk.maxDrawdown.value)} over ${risk.maxDrawdown.durationBets} bets (${(risk.maxDrawdown.durationMs / 3600000).toFixed(1)} h)`],
+        ['Sharpe per Round', formatNumber(risk.sharpePerRound)],
+        ['Sortino per Round', formatNumber(risk.sortinoPerRound)],
+        ['Profit Factor', formatNumber(risk.profitFactor, 2)],
+        ['Longest Win Streak', risk.longestWinStreak],
+        ['Longest Loss Streak', risk.longestLossStreak]
+    ].map(([label, value]) => `<tr><td>${label}</td><td>${escapeHtml(value)}</td></tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.name)} report</title>
+<style>
+  body { font-family: sans-serif; background: #111827; color: #e5e7eb; margin: 2rem; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  td, th { padding: 0.3rem 0.8rem; border-bottom: 1px solid #374151; text-align: right; }
+  td:first-child, th:first-child { text-align: left; }
+  .chart { width: 100%; height: 260px; background: #1f2937; }
+  .axis { display: flex; justify-content: space-between; color: #9ca3af; font-size: 0.8rem; }
+  pre { color: #9ca3af; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.name)}</h1>
+<p>Epochs ${summary.firstEpoch ?? '-'} to ${summary.lastEpoch ?? '-'}, generated ${escapeHtml(report.generatedAt)}</p>
+<h2>Equity Curve</h2>
+${renderEquityChart(report.equityCurve)}
+${report.walletCurve && report.walletCurve.length > 0 ? `<h2>Paper Wallet Balance</h2>\n${renderEquityChart(report.walletCurve)}` : ''}
+<h2>Summary</h2>
+<table>
+${metrics}
+</table>
+${renderGroupTable('Bull vs Bear', report.byPosition)}
+${renderGroupTable('Hour of Day (UTC)', report.byHour)}
+${renderGroupTable('Confidence', report.byConfidence)}
+${renderGroupTable('Market Regime', report.byRegime)}
+${renderReliabilityTable(report.reliability)}
+${renderAttributionTable(report.attribution)}
+<h2>Parameters</h2>
+<pre>${escapeHtml(JSON.stringify(report.parameters, null, 2))}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the report as JSON and HTML to the reports directory.
+ * @param {Object} report - Report from buildReport().
+ * @param {string} directory - Output directory.
+ * @returns {Object} { jsonPath, htmlPath }
+ */
+function writeReport(report, directory = REPORTS_DIR) {
+    fs.mkdirSync(directory, { recursive: true });
+    const baseName = `${report.name}-${report.generatedAt.replace(/[:.]/g, '-')}`;
+    const jsonPath = path.join(directory, `${baseName}.json`);
+    const htmlPath = path.join(directory, `${baseName}.html`);
+
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(htmlPath, renderHtml(report));
+    return { jsonPath, htmlPath };
+}
+
+module.exports = { buildReport, renderHtml, writeReport };
@@ -0,0 +1,111 @@
+// benchmarkModels.js
+// Backtests several models from the registry on the same rounds and windows, so the only difference
+// between the runs is the model. Besides the betting results, the win probabilities the bets were placed
+// with are scored against their outcomes: a model whose probabilities are not calibrated sizes its bets and
+// filters on expected value with wrong numbers, even when it picks the right side.
+// Usage: node benchmarkModels.js [--models forest,boosting,logistic] [--start <epoch>] [--end <epoch>]
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config');
+const logger = require('./logger');
+const { runWalkForward, finalPools } = require('./backtestEngine');
+const { buildReport } = require('./backtestReport');
+const { listModelTypes } = require('./modelRegistry');
+const { buildReliabilityReport } = require('./calibration');
+const { loadRounds } = require('./backtestSimulator');
+
+const REPORTS_DIR = path.resolve(__dirname, 'reports');
+
+/**
+ * Rounds a metric for the console table.
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round(value) {
+    return value === null || !Number.isFinite(value) ? value : Number(value.toFixed(4));
+}
+
+/**
+ * Backtests each model on the stored rounds and writes the comparison to the reports directory.
+ * @param {Object} options - { models, start, end }.
+ * @returns {Promise<Object>} The benchmark file contents.
+ */
+async function benchmark({ models, start, end }) {
+    const known = listModelTypes().map(({ type }) => type);
+    const unknown = models.filter(type => !known.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown model type ${unknown.join(', ')}, expected one of ${known.join(', ')}.`);
+    }
+
+    const rounds = await loadRounds(start || undefined, end || undefined);
+    logger.info(`Benchmarking ${models.join(', ')} on ${rounds.length} rounds.`);
+
+    const results = [];
+    for (const modelType of models) {
+        const startedAt = Date.now();
+        const { bets } = await runWalkForward(rounds, {
+            trainSize: config.backtestTrainRounds,
+            testSize: config.backtestTestRounds,
+            startingBankroll: config.paperBankroll,
+            minBet: Number(config.betMin || 0),
+            poolsAtBet: round => round.betTimePools || finalPools(round),
+            modelType
+        });
+        const report = buildReport(bets, { startingBankroll: config.paperBankroll, name: modelType });
+        results.push({
+            modelType,
+            seconds: (Date.now() - startedAt) / 1000,
+            summary: report.summary,
+            risk: report.risk,
+            reliability: buildReliabilityReport(bets)
+        });
+    }
+
+    const output = {
+        generatedAt: new Date().toISOString(),
+        startEpoch: rounds.length > 0 ? rounds[0].epoch : null,
+        endEpoch: rounds.length > 0 ? rounds[rounds.length - 1].epoch : null,
+        trainRounds: config.backtestTrainRounds,
+        testRounds: config.backtestTestRounds,
+        results
+    };
+
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    const outputPath = path.join(REPORTS_DIR, `benchmark-${output.generatedAt.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+
+    console.table(results.map(({ modelType, seconds, summary, risk, reliability }) => ({
+        model: modelType,
+        bets: summary.bets,
+        winRate: round(summary.winRate),
+        profit: round(summary.profit),
+        roi: round(summary.roi),
+        maxDrawdown: round(risk.maxDrawdown.value),
+        brierScore: round(reliability.brierScore),
+        logLoss: round(reliability.logLoss),
+        calibrationError: round(reliability.expectedCalibrationError),
+        seconds: round(seconds)
+    })));
+    logger.info(`Benchmark written to ${outputPath}`);
+    return output;
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            models: { type: 'string', default: 'forest,boosting,logistic' },
+            start: { type: 'string' },
+            end: { type: 'string' }
+        }
+    });
+
+    benchmark({
+        models: values.models.split(',').map(type => type.trim()).filter(Boolean),
+        start: Number(values.start),
+        end: Number(values.end)
+    }).catch(error => logger.error(`Error in benchmarkModels.js: ${error.message}`));
+}
+
+module.exports = { benchmark };
@@ -0,0 +1,226 @@
+// calibration.js
+// Maps a model's raw up probability to one that matches how often the price actually went up, and
+// measures how well probabilities match outcomes. Sizing and the expected value filter take the win
+// probability at face value, so a model that says 0.7 should win about 70% of those bets.
+//   platt     Logistic regression on the logit of the raw probability. Two parameters, so it only needs
+//             a few hundred samples, but it can only stretch, shift or flip the probabilities.
+//   isotonic  Non-decreasing step function fitted with pool adjacent violators. It corrects any
+//             monotonic distortion but needs more samples.
+
+const fs = require('fs');
+const path = require('path');
+
+const CALIBRATION_FILE = 'calibration.json';
+
+// Keeps logits and log losses finite
+const PROBABILITY_EPSILON = 1e-6;
+
+const clamp = p => Math.min(Math.max(p, PROBABILITY_EPSILON), 1 - PROBABILITY_EPSILON);
+const logit = p => Math.log(clamp(p) / (1 - clamp(p)));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Fits Platt scaling with Newton's method on the log loss.
+ * @param {Array<number>} probabilities - Raw probabilities.
+ * @param {Array<number>} outcomes - 1 where the event happened, 0 otherwise.
+ * @returns {Object} { slope, intercept } of sigmoid(slope * logit(p) + intercept).
+ */
+function fitPlatt(probabilities, outcomes) {
+    const xs = probabilities.map(logit);
+    let slope = 1;
+    let intercept = 0;
+    for (let iteration = 0; iteration < 50; iteration++) {
+        // Gradient and Hessian of the log loss, with a small ridge so a separable sample still converges
+        let gSlope = 0.001 * slope;
+        let gIntercept = 0;
+        let hSlope = 0.001;
+        let hCross = 0;
+        let hIntercept = 1e-9;
+        xs.forEach((x, i) => {
+            const p = sigmoid(slope * x + intercept);
+            const weight = p * (1 - p);
+            gSlope += (p - outcomes[i]) * x;
+            gIntercept += p - outcomes[i];
+            hSlope += weight * x * x;
+            hCross += weight * x;
+            hIntercept += weight;
+        });
+        const determinant = hSlope * hIntercept - hCross * hCross;
+        if (!(Math.abs(determinant) > 0)) break;
+        const stepSlope = (hIntercept * gSlope - hCross * gIntercept) / determinant;
+        const stepIntercept = (hSlope * gIntercept - hCross * gSlope) / determinant;
+        slope -= stepSlope;
+        intercept -= stepIntercept;
+        if (Math.abs(stepSlope) < 1e-8 && Math.abs(stepIntercept) < 1e-8) break;
+    }
+    return { slope, intercept };
+}
+
+/**
+ * Fits isotonic regression with pool adjacent violators.
+ * @param {Array<number>} probabilities - Raw probabilities.
+ * @param {Array<number>} outcomes - 1 where the event happened, 0 otherwise.
+ * @returns {Object} { points } as [raw probability, calibrated probability], by increasing raw probability.
+ */
+function fitIsotonic(probabilities, outcomes) {
+    const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[a] - probabilities[b]);
+    const blocks = [];
+    for (const i of order) {
+        blocks.push({ sumX: probabilities[i], sumY: outcomes[i], count: 1 });
+        // Merge backwards while the block means decrease
+        while (blocks.length > 1) {
+            const lastBlock = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.sumY / previous.count <= lastBlock.sumY / lastBlock.count) break;
+            blocks.pop();
+            previous.sumX += lastBlock.sumX;
+            previous.sumY += lastBlock.sumY;
+            previous.count += lastBlock.count;
+        }
+    }
+    return { points: blocks.map(block => [block.sumX / block.count, block.sumY / block.count]) };
+}
+
+class Calibrator {
+    /**
+     * @param {string} method - platt or isotonic.
+     * @param {Object} [parameters] - Fitted parameters, set by fit().
+     */
+    constructor(method, parameters = null) {
+        if (!['platt', 'isotonic'].includes(method)) {
+            throw new Error(`Unknown calibration method "${method}", expected platt or isotonic.`);
+        }
+        this.method = method;
+        this.parameters = parameters;
+        this.fitReport = null;
+    }
+
+    /**
+     * Fits the calibration on held-out predictions.
+     * @param {Array<number>} probabilities - Raw probabilities of the model.
+     * @param {Array<number>} outcomes - 1 where the event happened, 0 otherwise.
+     * @returns {Calibrator} this.
+     */
+    fit(probabilities, outcomes) {
+        this.parameters = this.method === 'platt' ? fitPlatt(probabilities, outcomes) : fitIsotonic(probabilities, outcomes);
+        const samples = outcomes.map((outcome, i) => ({ probability: probabilities[i], outcome }));
+        const calibrated = samples.map(sample => ({ ...sample, probability: this.calibrate(sample.probability) }));
+        this.fitReport = {
+            samples: samples.length,
+            before: summarizeReliability(samples),
+            after: summarizeReliability(calibrated)
+        };
+        return this;
+    }
+
+    /**
+     * Calibrates a raw probability.
+     * @param {number} probability - Raw probability of the model.
+     * @returns {number}
+     */
+    calibrate(probability) {
+        if (this.method === 'platt') {
+            return sigmoid(this.parameters.slope * logit(probability) + this.parameters.intercept);
+        }
+
+        // Linear between the block means, flat beyond the first and last
+        const { points } = this.parameters;
+        if (probability <= points[0][0]) return points[0][1];
+        if (probability >= points[points.length - 1][0]) return points[points.length - 1][1];
+        const next = points.findIndex(([x]) => x >= probability);
+        const [x0, y0] = points[next - 1];
+        const [x1, y1] = points[next];
+        const position = x1 > x0 ? (probability - x0) / (x1 - x0) : 0;
+        return y0 + position * (y1 - y0);
+    }
+
+    describe() {
+        return { method: this.method, ...this.fitReport };
+    }
+
+    save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, CALIBRATION_FILE), JSON.stringify({
+            method: this.method,
+            parameters: this.parameters,
+            fitReport: this.fitReport
+        }));
+    }
+
+    // Null for models saved without a calibration
+    static load(directory) {
+        const file = path.join(directory, CALIBRATION_FILE);
+        if (!fs.existsSync(file)) return null;
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const calibrator = new Calibrator(saved.method, saved.parameters);
+        calibrator.fitReport = saved.fitReport;
+        return calibrator;
+    }
+}
+
+/**
+ * Brier score, log loss and mean predicted and realized rates of probabilities against outcomes.
+ * @param {Array<Object>} samples - { probability, outcome } with outcome 1 or 0.
+ * @returns {Object} { samples, brierScore, logLoss, meanProbability, realizedRate }, null values without samples.
+ */
+function summarizeReliability(samples) {
+    if (samples.length === 0) {
+        return { samples: 0, brierScore: null, logLoss: null, meanProbability: null, realizedRate: null };
+    }
+    let brier = 0;
+    let logLoss = 0;
+    let probabilitySum = 0;
+    let outcomeSum = 0;
+    for (const { probability, outcome } of samples) {
+        const p = clamp(probability);
+        brier += (probability - outcome) ** 2;
+        logLoss -= outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p);
+        probabilitySum += probability;
+        outcomeSum += outcome;
+    }
+    return {
+        samples: samples.length,
+        brierScore: brier / samples.length,
+        logLoss: logLoss / samples.length,
+        meanProbability: probabilitySum / samples.length,
+        realizedRate: outcomeSum / samples.length
+    };
+}
+
+/**
+ * Reliability of the win probabilities of settled bets: predicted against realized win rate per
+ * probability bucket, with the Brier score, log loss and expected calibration error.
+ * @param {Array<Object>} bets - Bets with winProbability and outcome. Refunds, unsettled bets and bets
+ * recorded without a probability are left out.
+ * @param {Object} [options]
+ * @param {number} [options.bucketSize] - Width of the probability buckets.
+ * @returns {Object} { samples, brierScore, logLoss, meanProbability, realizedRate, expectedCalibrationError, buckets }.
+ */
+function buildReliabilityReport(bets, { bucketSize = 0.1 } = {}) {
+    const samples = bets
+        .filter(bet => (bet.outcome === 'win' || bet.outcome === 'lose') && Number.isFinite(bet.winProbability))
+        .map(bet => ({ probability: bet.winProbability, outcome: bet.outcome === 'win' ? 1 : 0 }));
+
+    const byBucket = new Map();
+    for (const sample of samples) {
+        const from = Math.min(Math.floor(sample.probability / bucketSize + 1e-9), Math.ceil(1 / bucketSize) - 1) * bucketSize;
+        const key = Number(from.toFixed(6));
+        if (!byBucket.has(key)) byBucket.set(key, []);
+        byBucket.get(key).push(sample);
+    }
+    const buckets = [...byBucket.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([from, bucketSamples]) => {
+            const { samples: count, meanProbability, realizedRate } = summarizeReliability(bucketSamples);
+            return { from, to: Number((from + bucketSize).toFixed(6)), bets: count, meanProbability, realizedWinRate: realizedRate };
+        });
+
+    // Gap between predicted and realized win rate, weighted by the bets in each bucket
+    const expectedCalibrationError = samples.length > 0
+        ? buckets.reduce((total, bucket) => total + bucket.bets * Math.abs(bucket.meanProbability - bucket.realizedWinRate), 0) / samples.length
+        : null;
+
+    return { ...summarizeReliability(samples), expectedCalibrationError, buckets };
+}
+
+module.exports = { Calibrator, fitPlatt, fitIsotonic, summarizeReliability, buildReliabilityReport };
@@ -0,0 +1,229 @@
+// candles.js
+// OHLC candles built from price ticks, stored in historicalData.db. Round close prices are one price every
+// five minutes, so indicators computed on them only see closes. Candles keep the high, low, number of
+// ticks and traded volume of each bar on several timeframes, per price source. A bar without ticks is
+// left out rather than filled in, so a gap in polling shows as missing bars. The confidence scorer and the
+// trend feature set compute on the pair's five-minute candles where enough are stored, see loadRoundCandles().
+
+const sqlite3 = require('sqlite3').verbose();
+const config = require('./config');
+const logger = require('./logger');
+
+// Bar length of each timeframe in seconds
+const TIMEFRAMES = {
+    '1m': 60,
+    '5m': 300,
+    '15m': 900
+};
+
+// Candles the confidence scorer and the trend feature set compute on instead of candles rebuilt from the
+// round closes: the pair's bars of the rounds' own five minutes, enough for the 52-candle Ichimoku span and
+// its 26-candle offset
+const ROUND_CANDLE_SOURCE = 'pair';
+const ROUND_CANDLE_TIMEFRAME = '5m';
+const ROUND_CANDLES = 100;
+
+const db = new sqlite3.Database(config.historicalDbPath);
+
+db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS candles (
+        source TEXT,
+        timeframe TEXT,
+        openTime INTEGER,
+        open REAL,
+        high REAL,
+        low REAL,
+        close REAL,
+        ticks INTEGER,
+        PRIMARY KEY (source, timeframe, openTime)
+    )`);
+    // Volume in BNB, for the volume indicators. Candles stored before it was tracked have none
+    db.run('ALTER TABLE candles ADD COLUMN volume REAL DEFAULT 0', (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+            logger.error(`Error adding volume column: ${err}`);
+        }
+    });
+});
+
+class CandleBuilder {
+    /**
+     * @param {string} source - Name of the price source, e.g. pair or oracle.
+     * @param {Array<string>} [timeframes] - Timeframes from TIMEFRAMES to build.
+     */
+    constructor(source, timeframes = Object.keys(TIMEFRAMES)) {
+        const unknown = timeframes.filter(timeframe => !TIMEFRAMES[timeframe]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown timeframe ${unknown.join(', ')}, expected one of ${Object.keys(TIMEFRAMES).join(', ')}.`);
+        }
+        this.source = source;
+        this.timeframes = timeframes;
+        this.open = new Map(); // Candle being built for each timeframe
+    }
+
+    /**
+     * Adds a price to the open candle of every timeframe. A tick in a later bar closes the open candle.
+     * Ticks older than the open candle are ignored.
+     * @param {number} price - Price in USD.
+     * @param {number} timestamp - Time of the price in seconds.
+     * @param {number} [volume] - Volume traded since the previous tick, in BNB.
+     * @returns {Array<Object>} Candles closed by this tick.
+     */
+    addTick(price, timestamp, volume = 0) {
+        const closed = [];
+        if (!Number.isFinite(price) || !Number.isFinite(timestamp)) return closed;
+
+        for (const timeframe of this.timeframes) {
+            const seconds = TIMEFRAMES[timeframe];
+            const openTime = Math.floor(timestamp / seconds) * seconds;
+            const candle = this.open.get(timeframe);
+
+            if (candle && openTime < candle.openTime) continue;
+            if (candle && openTime === candle.openTime) {
+                candle.high = Math.max(candle.high, price);
+                candle.low = Math.min(candle.low, price);
+                candle.close = price;
+                candle.ticks++;
+                candle.volume += volume;
+                continue;
+            }
+
+            if (candle) closed.push(candle);
+            this.open.set(timeframe, { source: this.source, timeframe, openTime, open: price, high: price, low: price, close: price, ticks: 1, volume });
+        }
+        return closed;
+    }
+
+    /**
+     * Candles still being built, one per timeframe that has had a tick.
+     * @returns {Array<Object>}
+     */
+    getOpenCandles() {
+        return [...this.open.values()].map(candle => ({ ...candle }));
+    }
+}
+
+/**
+ * Stores candles, replacing any stored for the same source, timeframe and open time.
+ * @param {Array<Object>} candles - Candles from a CandleBuilder.
+ * @returns {Promise<void>}
+ */
+function saveCandles(candles) {
+    if (candles.length === 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        db.serialize(() => {
+            const statement = db.prepare(`INSERT OR REPLACE INTO candles (source, timeframe, openTime, open, high, low, close, ticks, volume)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+            for (const { source, timeframe, openTime, open, high, low, close, ticks, volume } of candles) {
+                statement.run(source, timeframe, openTime, open, high, low, close, ticks, volume);
+            }
+            statement.finalize((err) => {
+                if (err) {
+                    logger.error(`Error saving candles: ${err}`);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Loads the latest stored candles of a source and timeframe.
+ * @param {string} source - Price source.
+ * @param {string} timeframe - Timeframe from TIMEFRAMES.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of candles.
+ * @param {number} [options.since] - Earliest open time to include, in seconds.
+ * @param {number} [options.until] - Latest open time to include, in seconds.
+ * @returns {Promise<Array<Object>>} Candles, oldest first.
+ */
+function loadCandles(source, timeframe, { limit = 200, since = 0, until = Number.MAX_SAFE_INTEGER } = {}) {
+    return new Promise((resolve, reject) => {
+        db.all(
+            `SELECT source, timeframe, openTime, open, high, low, close, ticks, volume FROM candles
+             WHERE source = ? AND timeframe = ? AND openTime >= ? AND openTime <= ? ORDER BY openTime DESC LIMIT ?`,
+            [source, timeframe, since, until, limit],
+            (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.reverse());
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Keeps the latest ROUND_CANDLES of the round candles closed by a time, if they cover the bars up to it.
+ * The feed saves a bar once a later tick closes it, so one bar, such as the one that closed last, may be
+ * missing.
+ * @param {Array<Object>} candles - Round candles closed by the time, oldest first.
+ * @param {number} at - Time in seconds.
+ * @returns {Array<Object>|null} Candles, oldest first, or null when more bars are missing.
+ */
+function selectRoundCandles(candles, at) {
+    const seconds = TIMEFRAMES[ROUND_CANDLE_TIMEFRAME];
+    const lastClosed = Math.floor(at / seconds) * seconds - seconds;
+    const latest = candles.slice(-ROUND_CANDLES);
+    if (latest.length < ROUND_CANDLES || latest[0].openTime < lastClosed - ROUND_CANDLES * seconds) return null;
+    return latest;
+}
+
+/**
+ * Loads the round candles closed by a time, as the bot bets with them.
+ * @param {number} [at] - Time in seconds, defaults to now.
+ * @returns {Promise<Array<Object>|null>} Candles, oldest first, or null when the feed has not stored them.
+ */
+async function loadRoundCandles(at = Date.now() / 1000) {
+    const seconds = TIMEFRAMES[ROUND_CANDLE_TIMEFRAME];
+    const candles = await loadCandles(ROUND_CANDLE_SOURCE, ROUND_CANDLE_TIMEFRAME, { limit: ROUND_CANDLES, until: at - seconds });
+    return selectRoundCandles(candles, at);
+}
+
+/**
+ * Adds to each stored round, as candles, the round candles loadRoundCandles() would have given the bot when
+ * it bet on the round, betWindowSeconds before its lock. Rounds share the candle objects.
+ * @param {Array<Object>} rounds - Rounds with their lockTimestamp, sorted by epoch.
+ * @returns {Promise<Array<Object>>} The same rounds, with candles null where the feed had not stored enough.
+ */
+async function attachCandles(rounds) {
+    const seconds = TIMEFRAMES[ROUND_CANDLE_TIMEFRAME];
+    const betTime = round => round.lockTimestamp - config.betWindowSeconds;
+    const betTimes = rounds.filter(round => round.lockTimestamp > 0).map(betTime);
+    const candles = betTimes.length === 0 ? [] : await loadCandles(ROUND_CANDLE_SOURCE, ROUND_CANDLE_TIMEFRAME, {
+        limit: Number.MAX_SAFE_INTEGER,
+        since: betTimes[0] - (ROUND_CANDLES + 1) * seconds,
+        until: betTimes[betTimes.length - 1] - seconds
+    });
+
+    let closed = 0;
+    for (const round of rounds) {
+        if (!(round.lockTimestamp > 0)) {
+            round.candles = null;
+            continue;
+        }
+        const at = betTime(round);
+        while (closed < candles.length && candles[closed].openTime <= at - seconds) closed++;
+        round.candles = selectRoundCandles(candles.slice(Math.max(0, closed - ROUND_CANDLES), closed), at);
+    }
+    return rounds;
+}
+
+function closeDatabase() {
+    db.close();
+}
+
+module.exports = {
+    TIMEFRAMES,
+    ROUND_CANDLE_SOURCE,
+    ROUND_CANDLE_TIMEFRAME,
+    ROUND_CANDLES,
+    CandleBuilder,
+    saveCandles,
+    loadCandles,
+    loadRoundCandles,
+    attachCandles,
+    closeDatabase
+};
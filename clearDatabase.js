@@ -1,10 +1,10 @@
 // clearDatabase.js
 
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const config = require('./config');
 const logger = require('./logger'); // Your logging utility
 
-const dbPath = path.resolve(__dirname, 'profitability.db');
+const dbPath = config.profitabilityDbPath;
 const db = new sqlite3.Database(dbPath, (err) => {
     if (err) {
         logger.error('Error opening database:', err.message);
@@ -24,6 +24,24 @@ db.serialize(() => {
         }
     });
 
+    // Clear the runs the bets belonged to
+    db.run(`DELETE FROM runs`, [], function(err) {
+        if (err) {
+            logger.error(`Error clearing runs table: ${err.message}`);
+        } else {
+            logger.info(`Cleared runs table.`);
+        }
+    });
+
+    // Clear the paper wallet ledger, so it is funded again with PAPER_BANKROLL
+    db.run(`DELETE FROM paper_wallet`, [], function(err) {
+        if (err) {
+            logger.error(`Error clearing paper_wallet table: ${err.message}`);
+        } else {
+            logger.info(`Cleared paper_wallet table.`);
+        }
+    });
+
     // Clear Summary Table
     db.run(`DELETE FROM Summary`, [], function(err) {
         if (err) {
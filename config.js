@@ -1,17 +1,75 @@
 // config.js
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
     privateKey: process.env.PRIVATE_KEY,
     quicknodeWsUrl: process.env.QUICKNODE_WS_URL,
     quicknodeRpcUrl: process.env.QUICKNODE_RPC_URL,
     predictionContractAddress: process.env.PREDICTION_CONTRACT_ADDRESS,
-    oracleContractAddress: process.env.ORACLE_CONTRACT_ADDRESS, 
+    oracleContractAddress: process.env.ORACLE_CONTRACT_ADDRESS,
     betMin: process.env.BET_MIN,
     betMax: process.env.BET_MAX,
     minConfidence: process.env.MIN_CONFIDENCE,
     maxConfidence: process.env.MAX_CONFIDENCE,
     bearConfidence: process.env.BEAR_CONFIDENCE,
     bullConfidence: process.env.BULL_CONFIDENCE,
+    confidenceIndicators: (process.env.CONFIDENCE_INDICATORS || '').split(',').map(name => name.trim()).filter(Boolean), // Extra indicators scored by the confidence scorer, see prediction.js
+    strategyFile: process.env.STRATEGY_FILE ? path.resolve(__dirname, process.env.STRATEGY_FILE) : '', // JSON or YAML strategy file, the built-in strategy when empty, see strategyLoader.js
+    ensembleStrategies: (process.env.ENSEMBLE_STRATEGIES || '').split(',').map(name => name.trim()).filter(Boolean), // Strategies voting on each bet, any of technical, model, crowd, streak, empty bets the blended confidence, see ensemble.js
+    ensembleMethod: process.env.ENSEMBLE_METHOD || 'weighted', // majority, weighted or stacking
+    ensembleWeights: Object.fromEntries((process.env.ENSEMBLE_WEIGHTS || '').split(',').map(entry => entry.split(':').map(part => part.trim())).filter(([name, weight]) => name && weight !== undefined).map(([name, weight]) => [name, Number(weight)])), // e.g. model:2,crowd:0.5, strategies left out weigh 1
+    ensembleStackingRounds: Number(process.env.ENSEMBLE_STACKING_ROUNDS || 1000), // Latest ended rounds the stacking is fitted on
+    shadowStrategiesFile: process.env.SHADOW_STRATEGIES ? path.resolve(__dirname, process.env.SHADOW_STRATEGIES) : '', // JSON file of strategies run without betting, none when empty, see shadowStrategies.js
+    betSizing: process.env.BET_SIZING || 'sigmoid', // fixed, linear, sigmoid, kelly, fractionalKelly or fixedFraction
+    fixedBet: process.env.FIXED_BET, // Bet size for the fixed strategy, defaults to BET_MIN
+    kellyFraction: Number(process.env.KELLY_FRACTION || 0.5), // Share of the full Kelly stake used by fractionalKelly
+    bankrollFraction: Number(process.env.BANKROLL_FRACTION || 0.01), // Share of the bankroll staked by fixedFraction
+    paperBankroll: Number(process.env.PAPER_BANKROLL || 1), // Starting balance in BNB of the paper wallet, used the first time it is funded
+    paperGasPerBet: Number(process.env.PAPER_GAS_PER_BET || 0.0002), // Estimated gas cost in BNB charged to the paper wallet per bet
+    paperGasPerClaim: Number(process.env.PAPER_GAS_PER_CLAIM || 0.0002), // Estimated gas cost in BNB charged to the paper wallet per claim
+    minExpectedValue: Number(process.env.MIN_EXPECTED_VALUE || 0), // Skip bets whose expected profit per BNB is below this
+    evResize: process.env.EV_RESIZE !== 'false', // Shrink bets that dilute their own payout below minExpectedValue instead of skipping them
+    maxDailyLoss: Number(process.env.MAX_DAILY_LOSS || 0), // Pause betting for the rest of the UTC day after losing this much BNB, 0 disables
+    maxDrawdown: Number(process.env.MAX_DRAWDOWN || 0), // Pause betting when the bankroll falls this fraction below its peak, 0 disables
+    maxConsecutiveLosses: Number(process.env.MAX_CONSECUTIVE_LOSSES || 0), // Pause betting after this many losses in a row, 0 disables
+    maxRoundExposure: Number(process.env.MAX_ROUND_EXPOSURE || 0), // Largest stake in BNB on a single round, 0 disables
+    cooldownMinutes: Number(process.env.COOLDOWN_MINUTES || 60), // Minimum pause after a breaker trips, 0 means drawdown and loss streaks only resume manually
+    riskStatusFile: process.env.RISK_STATUS_FILE === undefined ? path.resolve(__dirname, 'prediction-bot-ui/public/riskStatus.json') : (process.env.RISK_STATUS_FILE && path.resolve(__dirname, process.env.RISK_STATUS_FILE)), // Breaker state written for the interface, empty disables it
+    profitabilityDbPath: path.resolve(__dirname, process.env.PROFITABILITY_DB || 'profitability.db'), // Bets, runs and the paper wallet
+    historicalDbPath: path.resolve(__dirname, process.env.HISTORICAL_DB || 'historicalData.db'), // Rounds, contract logs and candles written by ingest.js and priceFeed.js
+    ingestRpcUrl: process.env.INGEST_RPC_URL || process.env.QUICKNODE_RPC_URL, // Node used by ingest.js, e.g. a local fork
+    logChunkSize: Number(process.env.LOG_CHUNK_SIZE || 5000), // Blocks per eth_getLogs request when ingesting
+    backtestTrainRounds: Number(process.env.BACKTEST_TRAIN_ROUNDS || 1000), // Ended rounds each walk-forward model is trained on
+    backtestTestRounds: Number(process.env.BACKTEST_TEST_ROUNDS || 288), // Rounds bet on before the backtest retrains, 288 is one day
+    modelDir: process.env.MODEL_DIR || path.resolve(__dirname, 'models'), // Saved model versions
+    modelTrainRounds: Number(process.env.MODEL_TRAIN_ROUNDS || 10000), // Latest ended rounds a model is trained on
+    modelType: process.env.MODEL_TYPE || 'forest', // forest, boosting, logistic, neural or lstm, see modelRegistry.js
+    forestTrees: Number(process.env.FOREST_TREES || 100), // Trees in the random forest
+    forestMaxDepth: Number(process.env.FOREST_MAX_DEPTH || 8), // Maximum depth of each tree
+    forestMinSamplesLeaf: Number(process.env.FOREST_MIN_SAMPLES_LEAF || 5), // Fewest rounds in a leaf
+    forestMaxFeatures: process.env.FOREST_MAX_FEATURES || 'sqrt', // Features tried per split: sqrt, log2, a share below 1 or a count
+    boostingTrees: Number(process.env.BOOSTING_TREES || 100), // Boosting rounds of the gradient-boosted trees
+    boostingMaxDepth: Number(process.env.BOOSTING_MAX_DEPTH || 3), // Maximum depth of each boosted tree
+    boostingLearningRate: Number(process.env.BOOSTING_LEARNING_RATE || 0.1), // Shrinkage applied to each boosted tree
+    featureSets: (process.env.FEATURE_SETS || 'raw,indicators,patterns').split(',').map(name => name.trim()).filter(Boolean), // Feature sets of newly trained models, see featureEngineering.js
+    featureNormalization: process.env.FEATURE_NORMALIZATION || 'zscore', // zscore, minmax or none, fitted on each model's training rounds
+    crowdWhaleAmount: Number(process.env.CROWD_WHALE_AMOUNT || 1), // Smallest bet in BNB counted as a whale bet by the crowd feature set
+    crowdLateSeconds: Number(process.env.CROWD_LATE_SECONDS || 30), // Seconds before the bet counted as late flow by the crowd feature set
+    crowdAccuracyRounds: Number(process.env.CROWD_ACCURACY_ROUNDS || 100), // Ended rounds the crowd's favorite win rate is measured over
+    calibrationMethod: process.env.CALIBRATION_METHOD || 'platt', // platt, isotonic or none, see calibration.js
+    calibrationShare: Number(process.env.CALIBRATION_SHARE || 0.2), // Latest share of the training rounds held out to fit the calibration on
+    modelTrainEpochs: Number(process.env.MODEL_TRAIN_EPOCHS || 10), // Training epochs of the logistic, neural and lstm models when training from scratch
+    modelFineTuneEpochs: Number(process.env.MODEL_FINE_TUNE_EPOCHS || 3), // Training epochs of the logistic, neural and lstm models on new rounds when fine-tuning
+    modelRetrainSchedule: process.env.MODEL_RETRAIN_SCHEDULE === undefined ? '0 4 * * *' : process.env.MODEL_RETRAIN_SCHEDULE, // node-cron expression, empty disables retraining
+    modelRetrainMode: process.env.MODEL_RETRAIN_MODE || 'fineTune', // fineTune the current model on new rounds, or full to retrain from scratch
+    optimizerWorkers: Number(process.env.OPTIMIZER_WORKERS || 0), // Worker threads used by optimizer.js, 0 uses one less than the CPU cores
+    pairContractAddress: process.env.PAIR_CONTRACT_ADDRESS || '0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE', // PancakeSwap WBNB/USDT pair polled for candles
+    candlePollSeconds: Number(process.env.CANDLE_POLL_SECONDS || 15), // Price polling interval of the candle feed, 0 keeps the bot from running it
+    candleTimeframes: (process.env.CANDLE_TIMEFRAMES || '1m,5m,15m').split(',').map(name => name.trim()).filter(Boolean), // Candle timeframes built, see candles.js
+    betWindowSeconds: Number(process.env.BET_WINDOW_SECONDS || 30), // Seconds before lockTimestamp when the bet is placed
+    betCutoffSeconds: Number(process.env.BET_CUTOFF_SECONDS || 4), // Skip the bet if less time than this is left before lock
+    pollIntervalMs: Number(process.env.POLL_INTERVAL_MS || 3000), // Round polling interval while the event subscription is down
+    roundEventTimeoutMs: Number(process.env.ROUND_EVENT_TIMEOUT_MS || 420000), // Resubscribe if no round event arrives within this time
     mode: process.env.MODE || 'paper' // 'live' or 'paper'
 };
@@ -0,0 +1,226 @@
+// ensemble.js
+// Runs several strategies side by side and combines their votes into one bet. Each strategy turns the
+// round into a signed confidence on the scale of the blended confidence, positive is bullish, and votes
+// for the side whose BULL_CONFIDENCE or BEAR_CONFIDENCE threshold it crosses:
+//   technical  The technical score's share of the blend
+//   model      The model's calibrated probability of an up move, its share of the blend
+//   crowd      Against the pool favorite once the pools lean at least crowdMinImbalance, unless the
+//              favorite has won most recent rounds
+//   streak     Against a run of at least streakLength rounds moving the same way, from patterns.js
+// The votes are combined by
+//   majority   The side most strategies vote for, with the mean confidence of those votes
+//   weighted   The sum of the weighted confidences. technical and model at weight 1 give the blended confidence
+//   stacking   A logistic regression of the up moves on the confidences of the ended rounds, refitted as
+//              rounds end. It falls back to weighted until MIN_STACKING_ROUNDS rounds have ended
+// Bets record every strategy's vote, so the run reports can attribute profit to each strategy.
+// ENSEMBLE_STRATEGIES turns the ensemble on, without it the bot bets the blended confidence.
+
+const config = require('./config');
+const { analyzeConsecutivePatterns, detectReversalPatterns } = require('./patterns');
+const { NEUTRAL_PROBABILITY, blendConfidence, getDirection } = require('./shared/strategy');
+const { imbalanceOf } = require('./shared/crowdFlow');
+
+// Confidence of a streak vote, or the reversal pattern's strength when the streak ends in its largest move
+const STREAK_CONFIDENCE = 0.5;
+
+// Ended rounds the stacking needs before it replaces the weighted vote
+const MIN_STACKING_ROUNDS = 100;
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+// Signed confidence of each strategy for a round
+const STRATEGIES = {
+    technical: ({ technicalScore }, parameters) => blendConfidence(NEUTRAL_PROBABILITY, technicalScore, parameters),
+    model: ({ upProbability }, parameters) => blendConfidence(upProbability, 0, parameters),
+    crowd: ({ pools }, parameters) => {
+        const imbalance = imbalanceOf(Number(pools.bullAmount || 0), Number(pools.bearAmount || 0));
+        if (Math.abs(imbalance) < parameters.crowdMinImbalance || pools.favoriteWinRate > 0.5) return 0;
+        return -imbalance;
+    },
+    streak: ({ prices }, parameters) => {
+        const { consecutiveBulls, consecutiveBears } = analyzeConsecutivePatterns(prices);
+        const { pattern, strength } = detectReversalPatterns(prices);
+        if (consecutiveBulls >= parameters.streakLength) {
+            return -(pattern === 'potential_bearish_reversal' ? strength : STREAK_CONFIDENCE);
+        }
+        if (consecutiveBears >= parameters.streakLength) {
+            return pattern === 'potential_bullish_reversal' ? strength : STREAK_CONFIDENCE;
+        }
+        return 0;
+    }
+};
+
+const METHODS = ['majority', 'weighted', 'stacking'];
+
+/**
+ * Fits a logistic regression with gradient descent and a small ridge.
+ * @param {Array<Array<number>>} features - One row per sample.
+ * @param {Array<number>} outcomes - 1 where the price went up, 0 otherwise.
+ * @returns {Object} { weights, intercept } of sigmoid(weights · row + intercept).
+ */
+function fitLogistic(features, outcomes) {
+    const columns = features[0].length;
+    const weights = new Array(columns).fill(0);
+    let intercept = 0;
+    const learningRate = 0.5;
+    for (let iteration = 0; iteration < 300; iteration++) {
+        const gradient = weights.map(weight => 0.001 * weight);
+        let gradientIntercept = 0;
+        features.forEach((row, i) => {
+            const error = sigmoid(row.reduce((sum, value, j) => sum + value * weights[j], intercept)) - outcomes[i];
+            row.forEach((value, j) => {
+                gradient[j] += error * value / features.length;
+            });
+            gradientIntercept += error / features.length;
+        });
+        weights.forEach((_, j) => {
+            weights[j] -= learningRate * gradient[j];
+        });
+        intercept -= learningRate * gradientIntercept;
+    }
+    return { weights, intercept };
+}
+
+class Ensemble {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.strategies - Names from STRATEGIES.
+     * @param {string} [options.method] - majority, weighted or stacking.
+     * @param {Object} [options.weights] - Weight of each strategy in the weighted vote, 1 by default.
+     * @param {number} [options.stackingRounds] - Latest ended rounds the stacking is fitted on.
+     */
+    constructor({ strategies, method = 'weighted', weights = {}, stackingRounds = 1000 }) {
+        const unknown = strategies.filter(name => !STRATEGIES[name]);
+        if (strategies.length === 0 || unknown.length > 0) {
+            throw new Error(`Unknown ensemble strategy "${unknown[0] || ''}", expected some of ${Object.keys(STRATEGIES).join(', ')}.`);
+        }
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown ensemble method "${method}", expected one of ${METHODS.join(', ')}.`);
+        }
+        this.strategies = strategies;
+        this.method = method;
+        this.weights = weights;
+        this.stackingRounds = stackingRounds;
+        this.samples = []; // { features, upWon } of the ended rounds the ensemble voted on
+        this.stacking = null; // Fitted regression, refitted when a round ends
+    }
+
+    /**
+     * Asks every strategy for its vote.
+     * @param {Object} context - { technicalScore, upProbability, pools, prices } of the round.
+     * @param {Object} parameters - Strategy parameters with the thresholds, blend weights, crowdMinImbalance
+     * and streakLength.
+     * @returns {Object} { prediction, confidence } by strategy name, prediction is null between the thresholds.
+     */
+    vote(context, parameters) {
+        const votes = {};
+        for (const name of this.strategies) {
+            const confidence = STRATEGIES[name](context, parameters);
+            votes[name] = { prediction: getDirection(confidence, parameters), confidence };
+        }
+        return votes;
+    }
+
+    /**
+     * Combines the votes with the ensemble's method.
+     * @param {Object} votes - vote() result.
+     * @param {Object} parameters - Strategy parameters with the blend weights.
+     * @returns {Object} { confidence }, and the stacked upProbability when the stacking is fitted.
+     */
+    combine(votes, parameters) {
+        if (this.method === 'majority') {
+            const sides = { bull: [], bear: [] };
+            Object.values(votes).forEach(vote => vote.prediction && sides[vote.prediction].push(vote.confidence));
+            if (sides.bull.length === sides.bear.length) return { confidence: 0 };
+            const winning = sides.bull.length > sides.bear.length ? sides.bull : sides.bear;
+            return { confidence: winning.reduce((sum, confidence) => sum + confidence, 0) / winning.length };
+        }
+
+        if (this.method === 'stacking' && this.samples.length >= MIN_STACKING_ROUNDS) {
+            if (!this.stacking) {
+                this.stacking = fitLogistic(this.samples.map(sample => sample.features), this.samples.map(sample => sample.upWon));
+            }
+            const { weights, intercept } = this.stacking;
+            const upProbability = sigmoid(this.strategies.reduce((sum, name, j) => sum + votes[name].confidence * weights[j], intercept));
+            return { confidence: blendConfidence(upProbability, 0, parameters), upProbability };
+        }
+
+        const weight = name => (this.weights[name] === undefined ? 1 : this.weights[name]);
+        return { confidence: this.strategies.reduce((sum, name) => sum + weight(name) * votes[name].confidence, 0) };
+    }
+
+    /**
+     * Adds an ended round to the samples the stacking is fitted on.
+     * @param {Object} votes - vote() result for the round.
+     * @param {boolean} upWon - Whether the round closed above its lock price.
+     */
+    addOutcome(votes, upWon) {
+        this.samples.push({ features: this.strategies.map(name => votes[name].confidence), upWon: upWon ? 1 : 0 });
+        if (this.samples.length > this.stackingRounds) {
+            this.samples.shift();
+        }
+        this.stacking = null;
+    }
+}
+
+/**
+ * Attributes the profit of settled bets to the ensemble strategies that voted on them.
+ * @param {Array<Object>} bets - Settled bets with prediction, outcome, profitBNB and votes, as an object or
+ * the JSON stored by profitTracker. Bets without votes are left out.
+ * @returns {Object} { bets, strategies }, strategies by name with the bets they voted for (agreed) and
+ * against (opposed) and the profit of each, the bets they abstained on and how often their vote was on the
+ * winning side. A lost bet counts as a win for the other side, though a tie loses both.
+ */
+function buildAttributionReport(bets) {
+    const strategies = {};
+    let attributed = 0;
+    for (const bet of bets) {
+        const votes = typeof bet.votes === 'string' ? JSON.parse(bet.votes) : bet.votes;
+        if (!votes || !bet.outcome) continue;
+        attributed++;
+        const winner = bet.outcome === 'win' ? bet.prediction : bet.outcome === 'lose' ? (bet.prediction === 'bull' ? 'bear' : 'bull') : null;
+        for (const [name, vote] of Object.entries(votes)) {
+            if (!strategies[name]) {
+                strategies[name] = { agreed: 0, agreedProfit: 0, opposed: 0, opposedProfit: 0, abstained: 0, decided: 0, correct: 0 };
+            }
+            const summary = strategies[name];
+            if (!vote.prediction) {
+                summary.abstained++;
+                continue;
+            }
+            if (vote.prediction === bet.prediction) {
+                summary.agreed++;
+                summary.agreedProfit += bet.profitBNB;
+            } else {
+                summary.opposed++;
+                summary.opposedProfit += bet.profitBNB;
+            }
+            if (winner) {
+                summary.decided++;
+                if (vote.prediction === winner) summary.correct++;
+            }
+        }
+    }
+    for (const summary of Object.values(strategies)) {
+        summary.accuracy = summary.decided > 0 ? summary.correct / summary.decided : null;
+    }
+    return { bets: attributed, strategies };
+}
+
+/**
+ * Creates the ensemble set up in config.
+ * @param {Object} [options] - Overrides of the ENSEMBLE_ settings, see the Ensemble constructor.
+ * @returns {Ensemble|null} null when ENSEMBLE_STRATEGIES is empty.
+ */
+function createEnsemble(options = {}) {
+    const settings = {
+        strategies: config.ensembleStrategies,
+        method: config.ensembleMethod,
+        weights: config.ensembleWeights,
+        stackingRounds: config.ensembleStackingRounds,
+        ...options
+    };
+    return settings.strategies.length > 0 ? new Ensemble(settings) : null;
+}
+
+module.exports = { STRATEGIES, MIN_STACKING_ROUNDS, Ensemble, createEnsemble, buildAttributionReport };
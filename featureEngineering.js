@@ -1,115 +1,506 @@
+// featureEngineering.js
+// The one feature pipeline of the models. A pipeline is a list of named, versioned feature sets and a
+// normalization fitted on the training samples. It is saved with the model, so training, backtests and
+// the live bot build the same columns and scale them the same way. A feature set's version is bumped
+// whenever its columns change, and older versions stay here so the models trained on them still load.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
 const indicators = require('./indicators');
 const patterns = require('./patterns');
-const logger = require('./logger');
+
+const PIPELINE_FILE = 'features.json';
+
+// Close prices in the price window of the raw feature set
+const WINDOW_SIZE = 50;
+
+// Prices the indicators are computed over, so their smoothing starts from the same point for every sample
+const INDICATOR_LOOKBACK = 60;
+
+const windowNames = prefix => Array.from({ length: WINDOW_SIZE }, (_, i) => (i === WINDOW_SIZE - 1 ? `${prefix}[t]` : `${prefix}[t-${WINDOW_SIZE - 1 - i}]`));
+
+/**
+ * Volatility and momentum of a price window.
+ * @param {Array<number>} window - Close prices, oldest first.
+ * @returns {Array<number>} [volatility, momentum].
+ */
+function windowStats(window) {
+    const returns = window.slice(1).map((price, index) => (price - window[index]) / window[index]);
+    const volatility = Math.sqrt(returns.reduce((sum, ret) => sum + ret * ret, 0) / returns.length);
+    const momentum = (window[window.length - 1] - window[0]) / window[0];
+    return [volatility, momentum];
+}
+
+const last = values => (values && values.length > 0 ? values[values.length - 1] : NaN);
 
 /**
- * Generates features for the prediction model
- * @param {Array<number>} prices - Array of 5-minute prices
- * @returns {Array<number>} Array of features
+ * The last RSI of indicators.js before its averages were seeded from the first period's changes. It seeded
+ * them from the last period's instead, then smoothed over the whole window again. Kept for indicators@1.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @param {number} period - RSI period.
+ * @returns {number}
  */
-function prepareFeatures(prices) {
-    if (!Array.isArray(prices) || prices.length < 100) {
-        logger.warn('Insufficient data for feature preparation');
-        return [];
+function legacyRSI(prices, period) {
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = prices[prices.length - i] - prices[prices.length - i - 1];
+        averageGain += change > 0 ? change : 0;
+        averageLoss += change > 0 ? 0 : Math.abs(change);
     }
+    averageGain /= period;
+    averageLoss /= period;
 
-    try {
-        const features = [];
-
-        // Technical Indicators
-        const rsi = indicators.calculateRSI(prices, 14);
-        const macd = indicators.calculateMACD(prices, 12, 26, 9);
-        const sma20 = indicators.calculateSMA(prices, 20);
-        const ema20 = indicators.calculateEMA(prices, 20);
-        const bb = indicators.calculateBollingerBands(prices, 20, 2);
-        const stoch = indicators.calculateStochasticOscillator(prices, 14);
-
-        // Get latest indicator values
-        features.push(
-            rsi[rsi.length - 1],
-            macd.MACD[macd.MACD.length - 1],
-            macd.signal[macd.signal.length - 1],
-            sma20[sma20.length - 1],
-            ema20[ema20.length - 1]
-        );
-
-        // Add Bollinger Bands values
-        if (bb && bb.length > 0) {
-            const lastBB = bb[bb.length - 1];
-            features.push(
-                lastBB.upper,
-                lastBB.middle,
-                lastBB.lower,
-                (prices[prices.length - 1] - lastBB.lower) / (lastBB.upper - lastBB.lower) // BB position
-            );
+    let rsi = 100 - (100 / (1 + averageGain / averageLoss));
+    for (let i = period + 1; i < prices.length; i++) {
+        const change = prices[i] - prices[i - 1];
+        averageGain = (averageGain * (period - 1) + (change > 0 ? change : 0)) / period;
+        averageLoss = (averageLoss * (period - 1) + (change < 0 ? Math.abs(change) : 0)) / period;
+        rsi = averageLoss === 0 ? 100 : 100 - (100 / (1 + averageGain / averageLoss));
+    }
+    return rsi;
+}
+
+/**
+ * The last Bollinger Bands of indicators.js before the band width was taken over the moving average's own
+ * window. It used the window period - 1 prices earlier. Kept for indicators@1.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @param {number} period - Moving average period.
+ * @param {number} multiplier - Number of standard deviations.
+ * @returns {Object} { upper, middle, lower }.
+ */
+function legacyBollingerBands(prices, period, multiplier) {
+    const middle = last(indicators.calculateSMA(prices, period));
+    const end = prices.length - period + 1;
+    const window = prices.slice(end - period, end);
+    const mean = window.reduce((sum, price) => sum + price, 0) / period;
+    const std = Math.sqrt(window.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / period);
+    return { upper: middle + multiplier * std, middle, lower: middle - multiplier * std };
+}
+
+// Candles the trend indicators are computed over, enough for the 52-candle Ichimoku span and its 26-candle offset
+const TREND_LOOKBACK = 80;
+
+const TREND_NAMES = ['adx', 'diSpread', 'atrRatio', 'williamsR', 'cci', 'supertrendTrend', 'supertrendDistance', 'sarTrend', 'sarDistance', 'cloudPosition', 'conversionBaseSpread', 'keltnerPosition', 'heikinAshiTrend'];
+
+/**
+ * Columns of the trend feature set, with the price-valued indicators relative to the latest close.
+ * @param {Array<Object>} candles - TREND_LOOKBACK candles, oldest first.
+ * @returns {Array<number>}
+ */
+function trendColumns(candles) {
+    const price = candles[candles.length - 1].close;
+    const adx = indicators.calculateADX(candles, 14);
+    const supertrend = last(indicators.calculateSupertrend(candles, 10, 3));
+    const sar = last(indicators.calculateParabolicSAR(candles));
+    const ichimoku = indicators.calculateIchimoku(candles);
+    const cloud = ichimoku[ichimoku.length - 27];
+    const keltner = last(indicators.calculateKeltnerChannels(candles, 20, 10, 2));
+    const heikinAshi = last(indicators.calculateHeikinAshi(candles));
+    return [
+        last(adx.adx),
+        last(adx.plusDI) - last(adx.minusDI),
+        last(indicators.calculateATR(candles, 14)) / price,
+        last(indicators.calculateWilliamsR(candles, 14)),
+        last(indicators.calculateCCI(candles, 20)),
+        supertrend.trend === 'up' ? 1 : -1,
+        price / supertrend.value - 1,
+        sar.trend === 'up' ? 1 : -1,
+        price / sar.sar - 1,
+        price > Math.max(cloud.spanA, cloud.spanB) ? 1 : price < Math.min(cloud.spanA, cloud.spanB) ? -1 : 0,
+        (last(ichimoku).conversion - last(ichimoku).base) / price,
+        keltner.upper > keltner.lower ? (price - keltner.lower) / (keltner.upper - keltner.lower) : 0.5,
+        heikinAshi.close > heikinAshi.open ? 1 : -1
+    ];
+}
+
+// Candles the volume columns are computed over
+const VOLUME_PERIOD = 20;
+
+/**
+ * Volume columns of the round's pair candles: the OBV change over the last VOLUME_PERIOD candles as a share
+ * of the volume traded in them, and the latest close against their VWAP. Round closes have no volume, so
+ * both are 0 without the candles, as when nothing has traded.
+ * @param {Array<Object>} [candles] - Candles with their volume, oldest first.
+ * @returns {Array<number>}
+ */
+function volumeColumns(candles) {
+    if (!candles || candles.length <= VOLUME_PERIOD) return [0, 0];
+    const recent = candles.slice(-VOLUME_PERIOD - 1);
+    const volume = recent.slice(1).reduce((total, candle) => total + (candle.volume || 0), 0);
+    if (!(volume > 0)) return [0, 0];
+    const vwap = last(indicators.calculateVWAP(recent.slice(1)));
+    return [last(indicators.calculateOBV(recent)) / volume, last(recent).close / vwap - 1];
+}
+
+// Each version builds one sample's columns from the prices up to and including prices[t] and, for the
+// pool, crowd, trend and volume features, the pools of the round being predicted. history is the number of prices it needs.
+const FEATURE_SETS = {
+    raw: {
+        description: 'Close price window with its volatility and momentum',
+        versions: {
+            // Absolute BNB prices, kept for the models trained before the pipeline existed
+            1: {
+                history: WINDOW_SIZE,
+                names: [...windowNames('close'), 'volatility', 'momentum'],
+                build: (prices, t) => {
+                    const window = prices.slice(t - WINDOW_SIZE + 1, t + 1);
+                    return [...window, ...windowStats(window)];
+                }
+            },
+            // Prices relative to the latest close, so the columns do not depend on the price level
+            2: {
+                history: WINDOW_SIZE,
+                names: [...windowNames('relClose'), 'volatility', 'momentum'],
+                build: (prices, t) => {
+                    const window = prices.slice(t - WINDOW_SIZE + 1, t + 1);
+                    return [...window.map(price => price / prices[t] - 1), ...windowStats(window)];
+                }
+            }
+        }
+    },
+    indicators: {
+        description: 'RSI, MACD, moving averages, Bollinger Bands, stochastic oscillator, OBV and VWAP',
+        versions: {
+            // Built with the RSI and Bollinger Bands as they were, and MACD columns that were always missing
+            // because the MACD line paired EMAs of different prices
+            1: {
+                history: INDICATOR_LOOKBACK,
+                names: ['rsi', 'macd', 'macdSignal', 'macdHistogram', 'priceToSma', 'priceToEma', 'bbPosition', 'bbWidth', 'stochK', 'stochD'],
+                build: (prices, t) => {
+                    const lookback = prices.slice(t - INDICATOR_LOOKBACK + 1, t + 1);
+                    const price = prices[t];
+                    const bb = legacyBollingerBands(lookback, 20, 2);
+                    const stoch = indicators.calculateStochasticOscillator(lookback, 14);
+                    return [
+                        legacyRSI(lookback, 14),
+                        NaN,
+                        NaN,
+                        NaN,
+                        price / last(indicators.calculateSMA(lookback, 20)) - 1,
+                        price / last(indicators.calculateEMA(lookback, 20)) - 1,
+                        (price - bb.lower) / (bb.upper - bb.lower),
+                        (bb.upper - bb.lower) / bb.middle,
+                        stoch ? last(stoch.k) : NaN,
+                        stoch ? last(stoch.d) : NaN
+                    ];
+                }
+            },
+            // The same columns with the corrected RSI, MACD and Bollinger Bands
+            2: {
+                history: INDICATOR_LOOKBACK,
+                names: ['rsi', 'macd', 'macdSignal', 'macdHistogram', 'priceToSma', 'priceToEma', 'bbPosition', 'bbWidth', 'stochK', 'stochD'],
+                build: (prices, t) => {
+                    const lookback = prices.slice(t - INDICATOR_LOOKBACK + 1, t + 1);
+                    const price = prices[t];
+                    const macd = indicators.calculateMACD(lookback, 12, 26, 9);
+                    const bb = last(indicators.calculateBollingerBands(lookback, 20, 2));
+                    const stoch = indicators.calculateStochasticOscillator(lookback, 14);
+                    // Price-valued indicators are relative to the price, like the raw window
+                    return [
+                        last(indicators.calculateRSI(lookback, 14)),
+                        last(macd.MACD) / price,
+                        last(macd.signal) / price,
+                        last(macd.histogram) / price,
+                        price / last(indicators.calculateSMA(lookback, 20)) - 1,
+                        price / last(indicators.calculateEMA(lookback, 20)) - 1,
+                        bb ? (price - bb.lower) / (bb.upper - bb.lower) : NaN,
+                        bb ? (bb.upper - bb.lower) / bb.middle : NaN,
+                        stoch ? last(stoch.k) : NaN,
+                        stoch ? last(stoch.d) : NaN
+                    ];
+                }
+            },
+            // Version 2 with the volume columns of the pair candles of the round being predicted
+            3: {
+                history: INDICATOR_LOOKBACK,
+                names: ['rsi', 'macd', 'macdSignal', 'macdHistogram', 'priceToSma', 'priceToEma', 'bbPosition', 'bbWidth', 'stochK', 'stochD', 'obvFlow', 'vwapDistance'],
+                build: (prices, t, pools) => [
+                    ...FEATURE_SETS.indicators.versions[2].build(prices, t),
+                    ...volumeColumns(pools && pools.candles)
+                ]
+            }
+        }
+    },
+    patterns: {
+        description: 'Up and down streaks, short-term trend and reversal patterns',
+        versions: {
+            1: {
+                history: 21,
+                names: ['bullStreak', 'bearStreak', 'maxBullStreak', 'maxBearStreak', 'streakBullishProbability', 'momentum5', 'volatility5', 'trend5', 'reversal', 'reversalStrength'],
+                build: (prices, t) => {
+                    const recent = prices.slice(t - 20, t + 1);
+                    const streaks = patterns.analyzeConsecutivePatterns(recent);
+                    const movement = patterns.analyzePriceMovement(recent);
+                    const reversal = patterns.detectReversalPatterns(recent);
+                    return [
+                        streaks.consecutiveBulls,
+                        streaks.consecutiveBears,
+                        streaks.maxConsecutiveBulls,
+                        streaks.maxConsecutiveBears,
+                        streaks.bullishProbability,
+                        movement.momentum,
+                        movement.volatility,
+                        movement.trend === 'bullish' ? 1 : movement.trend === 'bearish' ? -1 : 0,
+                        reversal.pattern === 'potential_bullish_reversal' ? 1 : reversal.pattern === 'potential_bearish_reversal' ? -1 : 0,
+                        reversal.strength
+                    ];
+                }
+            }
+        }
+    },
+    trend: {
+        description: 'Trend, range and volume indicators on the pair candles, or on candles rebuilt from the round closes',
+        versions: {
+            // Each round close is a candle opening at the previous close, so the ranges are close-to-close
+            1: {
+                history: TREND_LOOKBACK,
+                names: TREND_NAMES,
+                build: (prices, t) => trendColumns(indicators.candlesFromCloses(prices.slice(t - TREND_LOOKBACK + 1, t + 1)))
+            },
+            // The same columns on the pair candles of the round being predicted, with their true highs and
+            // lows, and on the closes as above for rounds bet on before the feed stored enough candles
+            2: {
+                history: TREND_LOOKBACK,
+                names: TREND_NAMES,
+                build: (prices, t, pools) => trendColumns(pools && pools.candles
+                    ? pools.candles.slice(-TREND_LOOKBACK)
+                    : indicators.candlesFromCloses(prices.slice(t - TREND_LOOKBACK + 1, t + 1)))
+            },
+            // Version 2 with the volume columns of the same candles
+            3: {
+                history: TREND_LOOKBACK,
+                names: [...TREND_NAMES, 'obvFlow', 'vwapDistance'],
+                build: (prices, t, pools) => [
+                    ...FEATURE_SETS.trend.versions[2].build(prices, t, pools),
+                    ...volumeColumns(pools && pools.candles)
+                ]
+            }
+        }
+    },
+    pools: {
+        description: 'Bull share and size of the pools of the round being predicted',
+        versions: {
+            // Training uses the rounds' final pools, which include the bets placed after the bot's would have been
+            1: {
+                history: 1,
+                names: ['bullShare', 'logTotalPool'],
+                build: (prices, t, pools) => {
+                    const bull = (pools && pools.bullAmount) || 0;
+                    const bear = (pools && pools.bearAmount) || 0;
+                    return [bull + bear > 0 ? bull / (bull + bear) : 0.5, Math.log1p(bull + bear)];
+                }
+            }
+        }
+    },
+    crowd: {
+        description: 'Crowd flow of the round being predicted up to the bet and how often the crowd favorite won',
+        versions: {
+            // flow is the shared summarizeFlow() of the round's bets placed before the bot's, rounds without
+            // ingested bets get an empty flow. favoriteWinRate covers the rounds ended before the bet.
+            1: {
+                history: 1,
+                names: ['flowBets', 'flowImbalance', 'flowImbalanceChange', 'whaleImbalance', 'whaleShare', 'lateImbalance', 'lateShare', 'favoriteWinRate'],
+                build: (prices, t, pools) => {
+                    const flow = (pools && pools.flow) || {};
+                    const winRate = pools && pools.favoriteWinRate;
+                    return [
+                        Math.log1p(flow.bets || 0),
+                        flow.imbalance || 0,
+                        flow.imbalanceChange || 0,
+                        flow.whaleImbalance || 0,
+                        flow.whaleShare || 0,
+                        flow.lateImbalance || 0,
+                        flow.lateShare || 0,
+                        Number.isFinite(winRate) ? winRate : 0.5
+                    ];
+                }
+            }
         }
+    }
+};
+
+/**
+ * Resolves feature set names, optionally with a version as in "raw@1", to the versions to build.
+ * @param {Array<string|Object>} featureSets - Names, or { name, version } as stored with a pipeline.
+ * @returns {Array<Object>} { name, version }, the latest version where none is given.
+ */
+function resolveFeatureSets(featureSets) {
+    return featureSets.map((featureSet) => {
+        const [name, version] = typeof featureSet === 'string' ? featureSet.split('@') : [featureSet.name, featureSet.version];
+        const entry = FEATURE_SETS[name];
+        if (!entry) {
+            throw new Error(`Unknown feature set "${name}", expected one of ${Object.keys(FEATURE_SETS).join(', ')}.`);
+        }
+        const versions = Object.keys(entry.versions).map(Number);
+        const resolved = version === undefined ? Math.max(...versions) : Number(version);
+        if (!entry.versions[resolved]) {
+            throw new Error(`Feature set ${name} has no version ${version}, expected one of ${versions.join(', ')}.`);
+        }
+        return { name, version: resolved };
+    });
+}
 
-        // Add Stochastic values
-        if (stoch && stoch.k.length > 0 && stoch.d.length > 0) {
-            features.push(
-                stoch.k[stoch.k.length - 1],
-                stoch.d[stoch.d.length - 1]
-            );
+class FeaturePipeline {
+    /**
+     * @param {Object} [options]
+     * @param {Array<string|Object>} [options.featureSets] - Feature sets in column order, defaults to FEATURE_SETS.
+     * @param {string} [options.normalization] - zscore, minmax or none, defaults to FEATURE_NORMALIZATION.
+     * @param {Array<Object>} [options.stats] - Fitted normalization of each column, set by fit().
+     */
+    constructor({ featureSets = config.featureSets, normalization = config.featureNormalization, stats = null } = {}) {
+        if (!['zscore', 'minmax', 'none'].includes(normalization)) {
+            throw new Error(`Unknown feature normalization "${normalization}", expected zscore, minmax or none.`);
         }
+        this.featureSets = resolveFeatureSets(featureSets);
+        this.normalization = normalization;
+        this.stats = stats;
+
+        const versions = this.featureSets.map(({ name, version }) => FEATURE_SETS[name].versions[version]);
+        this.builders = versions.map(version => version.build);
+        this.names = versions.flatMap(version => version.names);
+        // Prices a sample needs, up to and including its latest close
+        this.history = Math.max(...versions.map(version => version.history));
+    }
+
+    /**
+     * Builds the unnormalized columns of one sample. Values that cannot be computed, such as the stochastic
+     * oscillator of a flat window, are 0.
+     * @param {Array<number>} prices - Close prices, oldest first.
+     * @param {number} t - Index of the sample's latest close.
+     * @param {Object} [pools] - { bullAmount, bearAmount, flow, favoriteWinRate, candles } of the round being predicted.
+     * @returns {Array<number>}
+     */
+    buildRow(prices, t, pools) {
+        return this.builders
+            .flatMap(build => build(prices, t, pools))
+            .map(value => (Number.isFinite(value) ? value : 0));
+    }
+
+    /**
+     * Builds the unnormalized training samples of a price series with their labels. The round of prices[t + 1]
+     * locks at prices[t], so it is bet on while prices[t - 1] is the latest close: its sample ends at
+     * prices[t - 1], takes the pools of pools[t + 1] and is labelled 1 if prices[t + 1] closed above prices[t].
+     * That is the two-round gap between the price buffer and the round the live bot bets on.
+     * @param {Array<number>} prices - Close prices, oldest first.
+     * @param {Array<Object>} [pools] - Pools of each price's round, aligned with prices.
+     * @returns {Object} { rows, labels }, empty when there are fewer than history + 2 prices.
+     */
+    buildSamples(prices, pools = []) {
+        const rows = [];
+        const labels = [];
+        for (let t = this.history; t < prices.length - 1; t++) {
+            rows.push(this.buildRow(prices, t - 1, pools[t + 1]));
+            labels.push(prices[t + 1] > prices[t] ? 1 : 0);
+        }
+        return { rows, labels };
+    }
+
+    /**
+     * Fits the normalization on a training series and returns its normalized samples.
+     * @param {Array<number>} prices - Close prices, oldest first.
+     * @param {Object} [options] - { pools } aligned with prices.
+     * @returns {Object} { features, labels }.
+     */
+    fit(prices, { pools } = {}) {
+        const { rows, labels } = this.buildSamples(prices, pools);
+        if (rows.length === 0) {
+            return { features: [], labels };
+        }
+
+        this.stats = this.names.map((_, j) => {
+            const column = rows.map(row => row[j]);
+            if (this.normalization === 'minmax') {
+                return {
+                    min: column.reduce((lowest, value) => Math.min(lowest, value), Infinity),
+                    max: column.reduce((highest, value) => Math.max(highest, value), -Infinity)
+                };
+            }
+            const mean = column.reduce((sum, value) => sum + value, 0) / column.length;
+            const variance = column.reduce((sum, value) => sum + (value - mean) ** 2, 0) / column.length;
+            return { mean, std: Math.sqrt(variance) };
+        });
+        return { features: rows.map(row => this.normalize(row)), labels };
+    }
 
-        // Add pattern analysis
-        const patternAnalysis = patterns.analyzeConsecutivePatterns(prices);
-        features.push(
-            patternAnalysis.consecutiveBulls,
-            patternAnalysis.consecutiveBears,
-            patternAnalysis.bullishProbability,
-            patternAnalysis.bearishProbability
-        );
-
-        // Add price movement analysis
-        const priceMovement = patterns.analyzePriceMovement(prices);
-        features.push(
-            priceMovement.momentum,
-            priceMovement.volatility,
-            priceMovement.trend === 'bullish' ? 1 : priceMovement.trend === 'bearish' ? -1 : 0
-        );
-
-        // Add reversal pattern analysis
-        const reversalPattern = patterns.detectReversalPatterns(prices);
-        features.push(
-            reversalPattern.pattern === 'potential_bullish_reversal' ? 1 :
-            reversalPattern.pattern === 'potential_bearish_reversal' ? -1 : 0,
-            reversalPattern.strength
-        );
-
-        // Normalize features
-        return features.map(feature => {
-            if (typeof feature !== 'number' || isNaN(feature)) {
-                logger.warn('Invalid feature detected:', feature);
-                return 0;
+    /**
+     * Applies the fitted normalization to a row. Constant columns map to 0.
+     * @param {Array<number>} row - Unnormalized columns.
+     * @returns {Array<number>}
+     */
+    normalize(row) {
+        if (this.normalization === 'none') return row;
+        if (!this.stats) {
+            throw new Error('The feature pipeline is not fitted, call fit() on the training prices first.');
+        }
+        return row.map((value, j) => {
+            const stats = this.stats[j];
+            if (this.normalization === 'minmax') {
+                return stats.max > stats.min ? (value - stats.min) / (stats.max - stats.min) : 0;
             }
-            return feature;
+            return stats.std > 0 ? (value - stats.mean) / stats.std : 0;
         });
+    }
 
-    } catch (error) {
-        logger.error('Error in feature preparation:', error);
-        return [];
+    /**
+     * Builds normalized samples with the fitted normalization, for fine-tuning on new rounds.
+     * @param {Array<number>} prices - Close prices, oldest first.
+     * @param {Object} [options] - { pools } aligned with prices.
+     * @returns {Object} { features, labels }.
+     */
+    prepareSamples(prices, { pools } = {}) {
+        const { rows, labels } = this.buildSamples(prices, pools);
+        return { features: rows.map(row => this.normalize(row)), labels };
     }
-}
 
-/**
- * Prepares labels for training data
- * @param {Array<number>} prices - Array of prices
- * @returns {Array<number>} Array of labels (1 for up, 0 for down)
- */
-function prepareLabels(prices) {
-    if (!Array.isArray(prices) || prices.length < 2) {
-        return [];
+    /**
+     * Builds the normalized sample of the latest close, to predict the next round.
+     * @param {Array<number>} prices - Recent close prices, oldest first.
+     * @param {Object} [pools] - { bullAmount, bearAmount, flow, favoriteWinRate, candles } of the round being bet on.
+     * @returns {Array<Array<number>>} One row, or none when there are fewer than history prices.
+     */
+    prepareLatest(prices, pools) {
+        if (!Array.isArray(prices) || prices.length < this.history) return [];
+        return [this.normalize(this.buildRow(prices, prices.length - 1, pools))];
     }
 
-    const labels = [];
-    for (let i = 1; i < prices.length; i++) {
-        labels.push(prices[i] > prices[i - 1] ? 1 : 0);
+    describe() {
+        return {
+            featureSets: this.featureSets.map(({ name, version }) => `${name}@${version}`),
+            normalization: this.normalization,
+            columns: this.names.length
+        };
+    }
+
+    toJSON() {
+        return { featureSets: this.featureSets, normalization: this.normalization, stats: this.stats };
+    }
+
+    save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, PIPELINE_FILE), JSON.stringify(this.toJSON()));
+    }
+
+    // Models saved before the pipeline existed were trained on raw@1 without normalization
+    static load(directory) {
+        const file = path.join(directory, PIPELINE_FILE);
+        if (!fs.existsSync(file)) {
+            return new FeaturePipeline({ featureSets: ['raw@1'], normalization: 'none' });
+        }
+        return new FeaturePipeline(JSON.parse(fs.readFileSync(file, 'utf8')));
     }
-    return labels;
 }
 
-module.exports = { 
-    prepareFeatures,
-    prepareLabels
-};
+/**
+ * Lists the feature sets and their versions.
+ * @returns {Array<Object>} { name, description, versions, latest }.
+ */
+function listFeatureSets() {
+    return Object.entries(FEATURE_SETS).map(([name, { description, versions }]) => {
+        const numbers = Object.keys(versions).map(Number);
+        return { name, description, versions: numbers, latest: Math.max(...numbers) };
+    });
+}
+
+module.exports = { FEATURE_SETS, WINDOW_SIZE, FeaturePipeline, listFeatureSets };
@@ -0,0 +1,90 @@
+// flowHistory.js
+// Crowd flow of the stored rounds for training and backtests, rebuilt from the BetBull/BetBear logs that
+// ingest.js saved to historicalData.db. Logs carry a block, not a time, so each bet's time is interpolated
+// between its round's StartRound and LockRound blocks, and the flow is cut off betWindowSeconds before
+// lock, where the live bot summarizes the bets it has seen.
+
+const sqlite3 = require('sqlite3').verbose();
+const config = require('./config');
+const { summarizeFlow, favoriteWinRate } = require('./shared/crowdFlow');
+
+/**
+ * Summarizes the ingested bets of each round in an epoch range, as they stood when the bot would have bet.
+ * Rounds without their bets or StartRound and LockRound blocks are left out.
+ * @param {number} startEpoch - First epoch (inclusive).
+ * @param {number} endEpoch - Last epoch (inclusive).
+ * @returns {Promise<Map<number, Object>>} summarizeFlow() result by epoch.
+ */
+function loadRoundFlows(startEpoch, endEpoch) {
+    const db = new sqlite3.Database(config.historicalDbPath, sqlite3.OPEN_READONLY);
+    const query = `
+        SELECT b.epoch, b.position, b.amount, r.startTimestamp, r.lockTimestamp,
+            r.startTimestamp + (b.blockNumber - s.blockNumber) * (r.lockTimestamp - r.startTimestamp) * 1.0
+                / (l.blockNumber - s.blockNumber) AS timestamp
+        FROM round_bets b
+        JOIN prediction_rounds r ON r.epoch = b.epoch
+        JOIN round_events s ON s.epoch = b.epoch AND s.event = 'StartRound'
+        JOIN round_events l ON l.epoch = b.epoch AND l.event = 'LockRound'
+        WHERE b.epoch BETWEEN ? AND ? AND l.blockNumber > s.blockNumber
+        ORDER BY b.epoch, b.blockNumber, b.logIndex`;
+
+    const flows = new Map();
+    let round = null;
+    const summarize = () => {
+        if (!round) return;
+        flows.set(round.epoch, summarizeFlow(round.bets, {
+            startTimestamp: round.startTimestamp,
+            at: round.lockTimestamp - config.betWindowSeconds,
+            whaleAmount: config.crowdWhaleAmount,
+            lateSeconds: config.crowdLateSeconds
+        }));
+    };
+
+    // Bets are streamed a round at a time, so a long history never sits in memory at once
+    // A row error fails the whole load, flows summarized from part of a round's bets would skew the features
+    let rowError = null;
+    return new Promise((resolve, reject) => {
+        db.each(query, [startEpoch, endEpoch], (err, row) => {
+            if (err || rowError) {
+                rowError = rowError || err;
+                return;
+            }
+            if (!round || round.epoch !== row.epoch) {
+                summarize();
+                round = { epoch: row.epoch, startTimestamp: row.startTimestamp, lockTimestamp: row.lockTimestamp, bets: [] };
+            }
+            round.bets.push({ position: row.position, amount: row.amount, timestamp: row.timestamp });
+        }, (err) => {
+            db.close();
+            if (err || rowError) {
+                reject(err || rowError);
+            } else {
+                summarize();
+                resolve(flows);
+            }
+        });
+    });
+}
+
+/**
+ * Adds the crowd context of the crowd feature set to rounds: flow, the round's bets up to the bot's, and
+ * favoriteWinRate over the rounds that ended before the bet, leaving out the one still live.
+ * @param {Array<Object>} rounds - Rounds sorted by epoch, with pools, lock and close prices and oracleCalled.
+ * @returns {Promise<Array<Object>>} The same rounds.
+ */
+async function attachCrowdFlow(rounds) {
+    if (rounds.length === 0) return rounds;
+    const flows = await loadRoundFlows(rounds[0].epoch, rounds[rounds.length - 1].epoch);
+
+    let ended = 0;
+    for (const [index, round] of rounds.entries()) {
+        while (ended < index && rounds[ended].epoch <= round.epoch - 2) {
+            ended++;
+        }
+        round.flow = flows.get(round.epoch) || null;
+        round.favoriteWinRate = favoriteWinRate(rounds.slice(Math.max(0, ended - config.crowdAccuracyRounds), ended)).winRate;
+    }
+    return rounds;
+}
+
+module.exports = { loadRoundFlows, attachCrowdFlow };
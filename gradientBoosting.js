@@ -0,0 +1,211 @@
+// gradientBoosting.js
+// Gradient-boosted regression trees for binary classification. Each tree is fitted to the gradient of the
+// log loss on a subsample of the rounds, with Newton steps for the leaf values, and the model's log-odds are
+// the sum of the trees scaled by the learning rate. Selected with MODEL_TYPE=boosting.
+
+const fs = require('fs');
+const path = require('path');
+
+// Boosting rounds added on the new samples when fine-tuning, as a share of nEstimators
+const FINE_TUNE_SHARE = 0.2;
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Value of the leaf a sample falls in.
+ * @param {Array<Object>} nodes - Tree as a flat array, node 0 is the root.
+ * @param {Array<number>} row - Sample features.
+ * @returns {number} Leaf value.
+ */
+function predictTree(nodes, row) {
+    let node = nodes[0];
+    while (node.left !== undefined) {
+        node = nodes[row[node.feature] <= node.threshold ? node.left : node.right];
+    }
+    return node.value;
+}
+
+class GradientBoostingPredictor {
+    constructor({ nEstimators = 100, maxDepth = 3, learningRate = 0.1, subsample = 0.8, minSamplesLeaf = 10, lambda = 1 } = {}) {
+        this.nEstimators = nEstimators;
+        this.maxDepth = maxDepth;
+        this.learningRate = learningRate;
+        this.subsample = subsample;
+        this.minSamplesLeaf = minSamplesLeaf;
+        this.lambda = lambda;
+        this.baseScore = 0;
+        this.trees = [];
+        this.importance = [];
+    }
+
+    // Grows one tree level by level. Every feature is sorted once, and each level scans the sorted
+    // samples once per feature, keeping running gradient sums per node.
+    growTree(features, sortedByFeature, gradients, hessians) {
+        const count = features.length;
+        const nodeOf = new Int32Array(count).fill(-1);
+        for (let i = 0; i < count; i++) {
+            if (Math.random() < this.subsample) nodeOf[i] = 0;
+        }
+
+        const sums = (members) => {
+            let G = 0;
+            let H = 0;
+            for (const i of members) {
+                G += gradients[i];
+                H += hessians[i];
+            }
+            return { G, H, count: members.length };
+        };
+        const rootMembers = [];
+        nodeOf.forEach((node, i) => node === 0 && rootMembers.push(i));
+        const nodes = [{ ...sums(rootMembers), depth: 0 }];
+        const score = ({ G, H }) => (G * G) / (H + this.lambda);
+
+        let level = [0];
+        while (level.length > 0) {
+            const splittable = level.filter(id => nodes[id].depth < this.maxDepth && nodes[id].count >= 2 * this.minSamplesLeaf);
+            const best = new Map();
+            for (let feature = 0; feature < features[0].length; feature++) {
+                const left = new Map(splittable.map(id => [id, { G: 0, H: 0, count: 0, last: null }]));
+                for (const i of sortedByFeature[feature]) {
+                    const state = left.get(nodeOf[i]);
+                    if (!state) continue;
+                    const node = nodes[nodeOf[i]];
+                    const value = features[i][feature];
+                    if (state.count >= this.minSamplesLeaf && node.count - state.count >= this.minSamplesLeaf && value !== state.last) {
+                        const right = { G: node.G - state.G, H: node.H - state.H };
+                        const gain = score(state) + score(right) - score(node);
+                        const current = best.get(nodeOf[i]);
+                        if (gain > 0 && (!current || gain > current.gain)) {
+                            best.set(nodeOf[i], { feature, threshold: (state.last + value) / 2, gain });
+                        }
+                    }
+                    state.G += gradients[i];
+                    state.H += hessians[i];
+                    state.count++;
+                    state.last = value;
+                }
+            }
+
+            const nextLevel = [];
+            for (const id of level) {
+                const split = best.get(id);
+                if (!split) continue;
+                this.importance[split.feature] += split.gain;
+
+                const leftId = nodes.length;
+                const rightId = leftId + 1;
+                const leftMembers = [];
+                const rightMembers = [];
+                nodeOf.forEach((node, i) => {
+                    if (node !== id) return;
+                    if (features[i][split.feature] <= split.threshold) {
+                        nodeOf[i] = leftId;
+                        leftMembers.push(i);
+                    } else {
+                        nodeOf[i] = rightId;
+                        rightMembers.push(i);
+                    }
+                });
+                nodes.push({ ...sums(leftMembers), depth: nodes[id].depth + 1 });
+                nodes.push({ ...sums(rightMembers), depth: nodes[id].depth + 1 });
+                Object.assign(nodes[id], { feature: split.feature, threshold: split.threshold, left: leftId, right: rightId });
+                nextLevel.push(leftId, rightId);
+            }
+            level = nextLevel;
+        }
+
+        // Newton step for the leaves, internal nodes only keep their split
+        return nodes.map(({ G, H, feature, threshold, left, right }) => (left === undefined
+            ? { value: G / (H + this.lambda) }
+            : { feature, threshold, left, right }));
+    }
+
+    // Adds boosting rounds starting from the model's current predictions
+    async boost(features, labels, rounds) {
+        const sortedByFeature = features[0].map((_, feature) =>
+            features.map((_, i) => i).sort((a, b) => features[a][feature] - features[b][feature]));
+        const scores = features.map(row => this.predictLogOdds(row));
+
+        for (let round = 0; round < rounds; round++) {
+            const probabilities = scores.map(sigmoid);
+            const gradients = probabilities.map((p, i) => labels[i] - p);
+            const hessians = probabilities.map(p => Math.max(p * (1 - p), 1e-6));
+            const tree = this.growTree(features, sortedByFeature, gradients, hessians);
+            this.trees.push(tree);
+            features.forEach((row, i) => { scores[i] += this.learningRate * predictTree(tree, row); });
+            // Growing a tree blocks, so let round events through between trees
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    async train(features, labels) {
+        const upShare = labels.reduce((total, label) => total + label, 0) / labels.length;
+        const clamped = Math.min(Math.max(upShare, 1e-6), 1 - 1e-6);
+        this.baseScore = Math.log(clamped / (1 - clamped));
+        this.trees = [];
+        this.importance = new Array(features[0].length).fill(0);
+        await this.boost(features, labels, this.nEstimators);
+    }
+
+    // Continues boosting on the new samples, so the model grows by a share of its trees
+    async fineTune(features, labels) {
+        await this.boost(features, labels, Math.max(1, Math.round(this.nEstimators * FINE_TUNE_SHARE)));
+    }
+
+    predictLogOdds(row) {
+        return this.trees.reduce((total, tree) => total + this.learningRate * predictTree(tree, row), this.baseScore);
+    }
+
+    async predict(features) {
+        return sigmoid(this.predictLogOdds(features[0]));
+    }
+
+    // Total split gain of each feature, normalized to sum to 1, most important first
+    getFeatureImportance() {
+        const sum = this.importance.reduce((total, value) => total + value, 0) || 1;
+        const names = this.featurePipeline ? this.featurePipeline.names : [];
+        return this.importance
+            .map((value, feature) => ({ feature: names[feature] || `feature${feature}`, importance: value / sum }))
+            .sort((a, b) => b.importance - a.importance);
+    }
+
+    describe() {
+        return {
+            type: 'boosting',
+            nEstimators: this.trees.length,
+            maxDepth: this.maxDepth,
+            learningRate: this.learningRate,
+            topFeatures: this.getFeatureImportance().slice(0, 10)
+        };
+    }
+
+    async save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, 'predictor.json'), JSON.stringify({
+            type: 'boosting',
+            nEstimators: this.nEstimators,
+            maxDepth: this.maxDepth,
+            learningRate: this.learningRate,
+            subsample: this.subsample,
+            minSamplesLeaf: this.minSamplesLeaf,
+            lambda: this.lambda,
+            baseScore: this.baseScore,
+            importance: this.importance,
+            trees: this.trees
+        }));
+    }
+
+    static async load(directory) {
+        const saved = JSON.parse(fs.readFileSync(path.join(directory, 'predictor.json'), 'utf8'));
+        const model = new GradientBoostingPredictor(saved);
+        Object.assign(model, { baseScore: saved.baseScore, importance: saved.importance, trees: saved.trees });
+        return model;
+    }
+
+    dispose() {
+        this.trees = [];
+    }
+}
+
+module.exports = { GradientBoostingPredictor };
@@ -5,43 +5,57 @@ const fs = require('fs');
 const config = require('./config');
 const logger = require('./logger');
 const profitTracker = require('./profitTracker');
-const { getPrediction } = require('./prediction'); // Your prediction module
-const oracleABI = JSON.parse(fs.readFileSync('./ABIS/oracleABI.json', 'utf8'));
+const riskManager = require('./riskManager');
+const modelManager = require('./modelManager');
+const paperWallet = require('./paperWallet');
+const { startRun, endRun } = require('./runs');
+const { STRATEGY_VERSION, STRATEGY, createIndicatorStream, getBetDecision } = require('./prediction'); // Your prediction module
+const { watchRounds, predictionContract, getRound } = require('./roundWatcher');
+const { startPriceFeed } = require('./priceFeed');
+const { loadRoundCandles } = require('./candles');
+const { createEnsemble } = require('./ensemble');
+const { loadShadowStrategies } = require('./shadowStrategies');
+const { settleBet, isRefundable } = require('./shared/settlement');
+const { summarizeFlow, favoriteWinRate } = require('./shared/crowdFlow');
 const PREDICTION_ABI = JSON.parse(fs.readFileSync('./ABIS/contractABI.json', 'utf8'));
 
 // Initialize Provider
 const provider = new ethers.providers.JsonRpcProvider(config.quicknodeRpcUrl);
 
-// Initialize Oracle Contract Instance
-const oracleContract = new ethers.Contract(config.oracleContractAddress, oracleABI, provider);
-
-/**
- * Fetches the current round data.
- * @returns {Promise<Object>} Current round data.
- */
-async function getCurrentRoundData() {
-    try {
-        const roundData = await oracleContract.latestRoundData();
-        return {
-            roundId: roundData.roundId.toString(),
-            price: Number(ethers.utils.formatUnits(roundData.answer, await oracleContract.decimals())),
-            updatedAt: Number(roundData.updatedAt.toString())
-        };
-    } catch (error) {
-        logger.error(`Error fetching current round data: ${error}`);
-        return null;
-    }
-}
+const PRICE_BUFFER_SIZE = 100;
+
+// A prediction may still be running on the model a retrain replaces
+const MODEL_DISPOSE_DELAY_MS = 60000;
+
+// Bot state shared by the round event handlers
+const state = {
+    priceBuffer: [],
+    indicators: null, // Streaming indicators fed every close, see streamingIndicators.js
+    pendingBets: new Set(),
+    betTimers: new Map(),
+    bufferSeconds: null,
+    runId: null, // Paper or live run the bets of this session belong to
+    roundBets: new Map(), // BetBull/BetBear events seen for each open round, for the crowd features
+    endedRounds: [], // Latest ended rounds, for the crowd's favorite win rate
+    stopPriceFeed: null, // Stops the candle feed, see priceFeed.js
+    ensemble: null, // Strategies voting on each bet when ENSEMBLE_STRATEGIES is set, see ensemble.js
+    roundVotes: new Map(), // Ensemble votes on each round until it ends, for the stacking
+    shadows: [], // Strategies predicting every round without betting, see shadowStrategies.js
+    model: null // Random forest from modelManager, replaced when it is retrained
+};
 
 /**
  * Places a bet based on the prediction.
  * @param {string} prediction - 'bull' or 'bear'.
  * @param {number} betSize - Bet size in BNB.
- * @param {string} roundId - Current Round ID.
+ * @param {number} epoch - Epoch of the round being bet on.
  */
-async function placeBet(prediction, betSize, roundId) {
+async function placeBet(prediction, betSize, epoch) {
     if (config.mode === 'paper') {
-        logger.info(`[PAPER] Simulated ${prediction} bet with size ${betSize.toFixed(4)} BNB for Round ID: ${roundId}`);
+        if (!await paperWallet.placeBet(epoch, betSize)) {
+            return null;
+        }
+        logger.info(`[PAPER] Simulated ${prediction} bet with size ${betSize.toFixed(4)} BNB for epoch ${epoch}`);
         return 'paper-transaction-hash';
     }
 
@@ -56,170 +70,367 @@ async function placeBet(prediction, betSize, roundId) {
         // Determine which function to call based on the prediction
         const betFunction = prediction === 'bull' ? predictionContract.betBull : predictionContract.betBear;
 
-        // Check if betting is allowed for this round
-        const epoch = await predictionContract.currentEpoch();
-        if (epoch.toString() !== roundId) {
-            logger.warn(`Current epoch ${epoch.toString()} does not match roundId ${roundId}. Skipping bet.`);
+        // Check if betting is still open for this epoch
+        const currentEpoch = await predictionContract.currentEpoch();
+        if (currentEpoch.toNumber() !== epoch) {
+            logger.warn(`Current epoch ${currentEpoch.toString()} does not match epoch ${epoch}. Skipping bet.`);
             return null;
         }
 
         // Place the bet
-        const tx = await betFunction(roundId, { value: betAmount, gasLimit: 500000 });
-        
+        const tx = await betFunction(epoch, { value: betAmount, gasLimit: 500000 });
+
         // Wait for the transaction to be mined
         const receipt = await tx.wait();
 
-        logger.info(`Placed a ${prediction} bet with size ${betSize.toFixed(4)} BNB for Round ID: ${roundId}. Transaction hash: ${receipt.transactionHash}`);
-        
+        logger.info(`Placed a ${prediction} bet with size ${betSize.toFixed(4)} BNB for epoch ${epoch}. Transaction hash: ${receipt.transactionHash}`);
+
         return receipt.transactionHash;
     } catch (error) {
-        logger.error(`Error placing bet for Round ID ${roundId}: ${error}`);
+        logger.error(`Error placing bet for epoch ${epoch}: ${error}`);
         return null;
     }
 }
 
 /**
- * Monitors the current round and places bets.
+ * Gets the balance the bet sizing strategy works against: the wallet balance when live,
+ * or the paper wallet balance.
+ * @returns {Promise<number|null>} Bankroll in BNB, null if the wallet balance cannot be read.
  */
-async function monitorRounds() {
-    let lastRoundId = null;
-    let pendingBets = new Set();
-    let priceBuffer = [];
-
-    // Fetch initial 100 rounds
-    const initialRound = await getCurrentRoundData();
-    priceBuffer = await fetchRecentPrices(initialRound.roundId, 100);
-
-    while (true) {
-        const currentRound = await getCurrentRoundData();
-        if (!currentRound) {
-            await sleep(100);
-            continue;
+async function getBankroll() {
+    if (config.mode === 'paper') {
+        return paperWallet.getBalance();
+    }
+
+    try {
+        const wallet = new ethers.Wallet(config.privateKey, provider);
+        return Number(ethers.utils.formatEther(await wallet.getBalance()));
+    } catch (error) {
+        logger.error(`Error reading wallet balance: ${error}`);
+        return null;
+    }
+}
+
+/**
+ * Schedules the bet for a newly started round so it is placed inside the
+ * configured window before the round's lockTimestamp.
+ * @param {number} epoch - Epoch of the round that just started.
+ */
+async function handleStartRound(epoch) {
+    const round = await predictionContract.rounds(epoch);
+    const lockTimestamp = round.lockTimestamp.toNumber();
+    const delay = Math.max(0, (lockTimestamp - config.betWindowSeconds) * 1000 - Date.now());
+
+    logger.info(`Round ${epoch} started. Locks at ${new Date(lockTimestamp * 1000).toLocaleString()}, betting in ${(delay / 1000).toFixed(0)}s.`);
+
+    state.betTimers.set(epoch, setTimeout(() => {
+        state.betTimers.delete(epoch);
+        betOnRound(epoch, lockTimestamp).catch(error => {
+            logger.error(`Error betting on epoch ${epoch}: ${error}`);
+        });
+    }, delay));
+}
+
+/**
+ * Cancels a bet that has not gone in by the time its round locks.
+ * @param {number} epoch - Epoch of the round that locked.
+ * @param {number} lockPrice - Lock price of the round.
+ */
+function handleLockRound(epoch, lockPrice) {
+    logger.info(`Round ${epoch} locked at ${lockPrice} USD.`);
+    if (state.betTimers.has(epoch)) {
+        clearTimeout(state.betTimers.get(epoch));
+        state.betTimers.delete(epoch);
+        logger.warn(`Round ${epoch} locked before its bet was placed.`);
+    }
+}
+
+/**
+ * Adds the closing price to the price buffer and settles bets on finished rounds.
+ * @param {number} epoch - Epoch of the round that ended.
+ * @param {number} closePrice - Close price of the round.
+ */
+async function handleEndRound(epoch, closePrice) {
+    logger.info(`Round ${epoch} ended at ${closePrice} USD.`);
+
+    state.priceBuffer.push(closePrice);
+    if (state.priceBuffer.length > PRICE_BUFFER_SIZE) {
+        state.priceBuffer.shift();
+    }
+    state.indicators.update(closePrice);
+    state.shadows.forEach(shadow => shadow.update(closePrice));
+
+    for (const betEpoch of state.roundBets.keys()) {
+        if (betEpoch <= epoch) state.roundBets.delete(betEpoch);
+    }
+    for (const voteEpoch of state.roundVotes.keys()) {
+        if (voteEpoch < epoch) state.roundVotes.delete(voteEpoch);
+    }
+    try {
+        const round = await getRound(epoch);
+        state.endedRounds.push(round);
+        state.endedRounds = state.endedRounds.slice(-config.crowdAccuracyRounds);
+        // The stacking learns from the votes of rounds that have ended, ties are won by neither side
+        if (state.roundVotes.has(epoch) && round.closePrice !== round.lockPrice) {
+            state.ensemble.addOutcome(state.roundVotes.get(epoch), round.closePrice > round.lockPrice);
         }
-        if (currentRound.roundId !== lastRoundId) {
-            lastRoundId = currentRound.roundId;
-            logger.info(`Detected new Round ID: ${currentRound.roundId} at ${new Date(currentRound.updatedAt * 1000).toLocaleString()}`);
-            
-            // Update priceBuffer with the new round data
-            priceBuffer.push(currentRound.price);
-            if (priceBuffer.length > 100) {
-                priceBuffer.shift();
+        if (state.shadows.length > 0) {
+            const bufferSeconds = await getBufferSeconds();
+            for (const shadow of state.shadows) {
+                await shadow.settle(round, bufferSeconds);
             }
+        }
+    } catch (error) {
+        logger.error(`Error fetching ended round ${epoch}: ${error}`);
+    }
+
+    await settlePendingBets();
+}
+
+/**
+ * Keeps the bets placed on each round for its crowd flow.
+ * @param {number} epoch - Epoch the bet was placed on.
+ * @param {string} position - 'bull' or 'bear'.
+ * @param {number} amount - Bet amount in BNB.
+ */
+function handleBet(epoch, position, amount) {
+    if (!state.roundBets.has(epoch)) {
+        state.roundBets.set(epoch, []);
+    }
+    state.roundBets.get(epoch).push({ position, amount, timestamp: Date.now() / 1000 });
+}
+
+/**
+ * Crowd flow of a round up to now, from the bets seen on the event subscription. Bets placed before
+ * the bot started or while the subscription was down are missing from it.
+ * @param {Object} round - Round from getRound().
+ * @returns {Object} { flow, favoriteWinRate } for the crowd feature set.
+ */
+function getCrowdFlow(round) {
+    const flow = summarizeFlow(state.roundBets.get(round.epoch) || [], {
+        startTimestamp: round.startTimestamp,
+        at: Date.now() / 1000,
+        whaleAmount: config.crowdWhaleAmount,
+        lateSeconds: config.crowdLateSeconds
+    });
+    return { flow, favoriteWinRate: favoriteWinRate(state.endedRounds, config.crowdAccuracyRounds).winRate };
+}
+
+/**
+ * Makes a prediction and places the bet for an epoch, unless the round is about to lock, then lets the
+ * shadow strategies predict the round.
+ * @param {number} epoch - Epoch to bet on.
+ * @param {number} lockTimestamp - Lock timestamp of the round in seconds.
+ */
+async function betOnRound(epoch, lockTimestamp) {
+    const secondsToLock = () => lockTimestamp - Date.now() / 1000;
+    if (secondsToLock() < config.betCutoffSeconds) {
+        logger.warn(`Only ${secondsToLock().toFixed(1)}s left before epoch ${epoch} locks. Skipping bet.`);
+        return;
+    }
+
+    // Pools as they stand now, including every BetBull/BetBear placed so far
+    const pools = await getRound(epoch);
+    // Without the feed's candles the indicators fall back to candles rebuilt from the price buffer
+    const candles = await loadRoundCandles().catch((error) => {
+        logger.error(`Error loading candles: ${error}`);
+        return null;
+    });
+    const roundPools = { ...pools, ...getCrowdFlow(pools), candles };
+    const bankroll = await getBankroll();
+    const decision = await getBetDecision(state.priceBuffer, roundPools, bankroll, state.model, undefined, state.indicators, state.ensemble);
+    if (decision.votes) {
+        state.roundVotes.set(epoch, decision.votes);
+    }
+
+    await placeDecision(epoch, secondsToLock, decision, bankroll);
+
+    // Shadows predict on the same pools as the bot, once its bet is out of the way
+    for (const shadow of state.shadows) {
+        await shadow.evaluate(epoch, state.priceBuffer, roundPools, state.model)
+            .catch(error => logger.error(`Error evaluating shadow strategy ${shadow.name}: ${error}`));
+    }
+}
 
-            // Check and update outcomes for all pending bets
-            const betsToRemove = [];
-            for (const betRoundId of pendingBets) {
-                const betDetails = await profitTracker.getBetDetails(betRoundId);
-                if (betDetails && betDetails.outcome === null) {
-                    const roundResult = await getRoundResult(betRoundId);
-                    if (roundResult.finished) {
-                        const outcome = betDetails.prediction === roundResult.winner ? 'win' : 'lose';
-                        const profitBNB = outcome === 'win' ? (betDetails.prediction === 'bull' && roundResult.closePrice === roundResult.lockPrice ? 0 : betDetails.betSize * 0.95) : -betDetails.betSize;
-                        
-                        await profitTracker.updateBetOutcome(betDetails.id, outcome, profitBNB);
-                        logger.info(`Updated bet result for Round ${betRoundId}: ${outcome.toUpperCase()}, Profit: ${profitBNB.toFixed(4)} BNB`);
-                        betsToRemove.push(betRoundId);
-
-                        if (outcome === 'win' && !config.mode === 'paper') {
-                            await claimWinnings(betRoundId);
-                        }
+/**
+ * Places the bet of a decision, unless the risk limits or the round's lock stop it.
+ * @param {number} epoch - Epoch to bet on.
+ * @param {Function} secondsToLock - Returns the seconds left before the round locks.
+ * @param {Object} decision - getBetDecision() result.
+ * @param {number} bankroll - Bankroll the decision was sized from, in BNB.
+ */
+async function placeDecision(epoch, secondsToLock, decision, bankroll) {
+    const { prediction, skipReason } = decision;
+    if (!prediction || !(decision.betSize > 0)) {
+        logger.warn(`No bet for epoch ${epoch}: ${skipReason}`);
+        return;
+    }
+
+    // Keep predicting while a breaker is tripped, but only record what would have been bet
+    const risk = await riskManager.getRiskStatus(bankroll);
+    if (risk.paused) {
+        logger.warn(`No bet for epoch ${epoch}: risk breaker ${risk.breaker} tripped. Prediction: ${prediction}, Size: ${decision.betSize.toFixed(4)} BNB.`);
+        await profitTracker.recordPrediction({
+            epoch,
+            prediction,
+            betSize: decision.betSize,
+            skipReason: `${risk.breaker}: ${risk.reason}`,
+            paperTrade: config.mode === 'paper',
+            runId: state.runId
+        });
+        return;
+    }
+
+    const betSize = riskManager.capExposure(decision.betSize);
+    if (!(betSize > 0) || betSize < Number(config.betMin || 0)) {
+        logger.warn(`No bet for epoch ${epoch}: round exposure limit leaves ${betSize.toFixed(4)} BNB, below the minimum bet.`);
+        return;
+    }
+
+    // The prediction can take a while, so check the lock again before sending
+    if (secondsToLock() < config.betCutoffSeconds) {
+        logger.warn(`Prediction for epoch ${epoch} finished ${secondsToLock().toFixed(1)}s before lock. Skipping bet.`);
+        return;
+    }
+
+    const txHash = await placeBet(prediction, betSize, epoch);
+    if (!txHash) {
+        logger.warn(`Failed to place ${config.mode === 'paper' ? 'paper' : 'real'} bet for epoch ${epoch}`);
+        return;
+    }
+
+    await profitTracker.recordBets([{
+        epoch,
+        prediction,
+        betSize,
+        outcome: null,
+        profitBNB: null,
+        roundId: epoch.toString(),
+        startingPrice: state.priceBuffer[state.priceBuffer.length - 1],
+        paperTrade: config.mode === 'paper',
+        runId: state.runId,
+        winProbability: decision.winProbability,
+        confidence: decision.confidence,
+        votes: decision.votes,
+        regime: decision.regime
+    }]);
+    logger.info(`${config.mode === 'paper' ? '[PAPER] Simulated' : 'Placed'} bet. Prediction: ${prediction}, Size: ${betSize.toFixed(4)} BNB.`);
+    state.pendingBets.add(epoch.toString());
+
+    await logStats();
+}
+
+/**
+ * Checks every pending bet and records the outcome of those whose round has finished.
+ */
+async function settlePendingBets() {
+    const betsToRemove = [];
+    for (const betRoundId of state.pendingBets) {
+        const betDetails = await profitTracker.getBetDetails(betRoundId, state.runId);
+        if (betDetails && betDetails.outcome === null) {
+            const { outcome, payout, profit } = await getBetSettlement(betDetails);
+            if (outcome) {
+                await profitTracker.updateBetOutcome(betDetails.id, outcome, profit);
+                logger.info(`Updated bet result for Round ${betRoundId}: ${outcome.toUpperCase()}, Profit: ${profit.toFixed(4)} BNB`);
+                betsToRemove.push(betRoundId);
+
+                if (outcome === 'win' || outcome === 'refund') {
+                    if (betDetails.paperTrade) {
+                        await paperWallet.claim(betDetails.epoch, payout);
+                    } else {
+                        await claimWinnings(betRoundId);
                     }
-                } else {
-                    betsToRemove.push(betRoundId);
                 }
             }
+        } else {
+            betsToRemove.push(betRoundId);
+        }
+    }
 
-            // Remove processed bets from pendingBets
-            betsToRemove.forEach(betRoundId => pendingBets.delete(betRoundId));
-
-            // Make prediction and place bet
-            const { prediction, betSize } = await getPrediction(priceBuffer);
-            if (prediction && betSize > 0) {
-                const txHash = await placeBet(prediction, betSize, currentRound.roundId);
-                if (txHash) {
-                    await profitTracker.recordBets([{
-                        epoch: parseInt(currentRound.roundId, 10),
-                        prediction,
-                        betSize,
-                        outcome: null,
-                        profitBNB: null,
-                        roundId: currentRound.roundId,
-                        startingPrice: currentRound.price,
-                        paperTrade: config.mode === 'paper'
-                    }]);
-                    logger.info(`${config.mode === 'paper' ? '[PAPER] Simulated' : 'Placed'} bet. Prediction: ${prediction}, Size: ${betSize.toFixed(4)} BNB.`);
-                    pendingBets.add(currentRound.roundId);
-
-                    // Display current stats after placing a bet
-                    const summary = await profitTracker.getSummary();
-                    logger.info('=== Current Bot Stats ===');
-                    logger.info(`Total Bets: ${summary.totalBets}`);
-                    logger.info(`Total Wins: ${summary.totalWins}`);
-                    logger.info(`Total Losses: ${summary.totalLosses}`);
-                    logger.info(`Total Profit: ${summary.totalProfitBNB.toFixed(4)} BNB`);
-                    logger.info(`Win Rate: ${((summary.totalWins / summary.totalBets) * 100).toFixed(2)}%`);
-                } else {
-                    logger.warn(`Failed to place ${config.mode === 'paper' ? 'paper' : 'real'} bet for Round ID: ${currentRound.roundId}`);
-                }
-            } else {
-                logger.warn(`No valid prediction to place a bet for Round ID: ${currentRound.roundId}`);
-            }
+    // Remove processed bets from pendingBets
+    betsToRemove.forEach(betRoundId => state.pendingBets.delete(betRoundId));
+}
+
+/**
+ * Settles a recorded bet against its round using the contract's payout math.
+ * Paper bets are not in the pools, so they are added to them before computing the payout.
+ * @param {Object} bet - Bet row from the profit tracker.
+ * @returns {Promise<Object>} { outcome, payout, profit }, outcome is null while the round is pending.
+ */
+async function getBetSettlement(bet) {
+    try {
+        const round = await getRound(bet.epoch);
+        const simulated = Boolean(bet.paperTrade);
+
+        let refundable;
+        if (simulated) {
+            refundable = isRefundable(round, await getBufferSeconds());
+        } else {
+            refundable = await predictionContract.refundable(bet.epoch, new ethers.Wallet(config.privateKey).address);
         }
 
-        await sleep(1000); // Check every 1 second
+        return settleBet({ position: bet.prediction, amount: bet.betSize }, round, { refundable, simulated });
+    } catch (error) {
+        logger.error(`Error settling bet for epoch ${bet.epoch}: ${error}`);
+        return { outcome: null, payout: 0, profit: 0 };
+    }
+}
+
+/**
+ * Reads the contract's bufferSeconds once.
+ * @returns {Promise<number>} Seconds after its lock a round can still be ended before it is refundable.
+ */
+async function getBufferSeconds() {
+    if (state.bufferSeconds === null) {
+        state.bufferSeconds = (await predictionContract.bufferSeconds()).toNumber();
     }
+    return state.bufferSeconds;
 }
 
 /**
- * Fetches recent price data up to a specific Round ID.
- * @param {string} roundId - The Round ID up to which to fetch prices.
+ * Logs the running totals of every run in the current mode, leaving out backtests.
+ */
+async function logStats() {
+    const summary = await profitTracker.getSummary({ runType: config.mode });
+    logger.info(`=== Current Bot Stats (${config.mode}) ===`);
+    logger.info(`Run: ${state.runId}`);
+    logger.info(`Total Bets: ${summary.totalBets}`);
+    logger.info(`Total Wins: ${summary.totalWins}`);
+    logger.info(`Total Losses: ${summary.totalLosses}`);
+    logger.info(`Total Profit: ${summary.totalProfitBNB.toFixed(4)} BNB`);
+    logger.info(`Win Rate: ${((summary.totalWins / summary.totalBets) * 100).toFixed(2)}%`);
+    if (config.mode === 'paper') {
+        logger.info(`Paper Balance: ${(await paperWallet.getBalance()).toFixed(4)} BNB`);
+    }
+}
+
+/**
+ * Fetches the ended rounds up to a given epoch.
+ * @param {number} lastEpoch - Most recent ended epoch to include.
  * @param {number} limit - Number of past rounds to fetch.
- * @returns {Promise<Array<number>>} Array of prices.
+ * @returns {Promise<Array<Object>>} Rounds from getRound(), oldest first.
  */
-async function fetchRecentPrices(roundId, limit = 100) {
-    const prices = [];
-    let currentRoundId = ethers.BigNumber.from(roundId);
+async function fetchRecentRounds(lastEpoch, limit = PRICE_BUFFER_SIZE) {
+    const rounds = [];
 
-    for (let i = 0; i < limit; i++) {
+    for (let epoch = lastEpoch; epoch > lastEpoch - limit && epoch > 0; epoch--) {
         try {
-            const roundData = await oracleContract.getRoundData(currentRoundId);
-            const decimals = await oracleContract.decimals();
-            const price = Number(ethers.utils.formatUnits(roundData.answer, decimals));
-            prices.unshift(price); // Add to the beginning of the array
-            currentRoundId = currentRoundId.sub(1);
+            const round = await getRound(epoch);
+            if (!round.oracleCalled) continue;
+            rounds.unshift(round); // Add to the beginning of the array
         } catch (error) {
-            logger.error(`Error fetching Round ID ${currentRoundId.toString()}: ${error}`);
+            logger.error(`Error fetching epoch ${epoch}: ${error}`);
             break; // Exit the loop if we can't fetch more historical data
         }
     }
 
-    return prices;
-}
-
-
-async function getRoundResult(roundId) {
-    try {
-        const provider = new ethers.providers.JsonRpcProvider(config.quicknodeRpcUrl);
-        const predictionContract = new ethers.Contract(process.env.PREDICTION_CONTRACT_ADDRESS, PREDICTION_ABI, provider);
-
-        const round = await predictionContract.rounds(roundId);
-        const finished = round.oracleCalled;
-        const closePrice = ethers.utils.formatUnits(round.closePrice, 8);
-        const lockPrice = ethers.utils.formatUnits(round.lockPrice, 8);
-        const winner = parseFloat(closePrice) >= parseFloat(lockPrice) ? 'bull' : 'bear';
-
-        return { finished, winner, closePrice: parseFloat(closePrice) };
-    } catch (error) {
-        logger.error(`Error getting round result for ${roundId}:`, error);
-        return { finished: false, winner: null, closePrice: null };
-    }
+    return rounds;
 }
 
 async function claimWinnings(roundId) {
     try {
-        const provider = new ethers.providers.JsonRpcProvider(config.quicknodeRpcUrl);
         const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-        const predictionContract = new ethers.Contract(process.env.PREDICTION_CONTRACT_ADDRESS, PREDICTION_ABI, signer);
+        const predictionContract = new ethers.Contract(config.predictionContractAddress, PREDICTION_ABI, signer);
 
         const balanceBefore = await signer.getBalance();
         const tx = await predictionContract.claim([roundId]);
@@ -227,7 +438,7 @@ async function claimWinnings(roundId) {
         const balanceAfter = await signer.getBalance();
 
         const actualProfit = balanceAfter.sub(balanceBefore);
-        await profitTracker.updateActualProfit(roundId, ethers.utils.formatEther(actualProfit));
+        await profitTracker.updateActualProfit(roundId, state.runId, ethers.utils.formatEther(actualProfit));
 
         logger.info(`Claimed winnings for round ${roundId}. Actual profit: ${ethers.utils.formatEther(actualProfit)} BNB. Transaction hash: ${receipt.transactionHash}`);
         return receipt.transactionHash;
@@ -238,14 +449,78 @@ async function claimWinnings(roundId) {
 }
 
 /**
- * Sleep for a specified number of milliseconds.
- * @param {number} ms - Milliseconds to sleep.
- * @returns {Promise<void>}
+ * Switches predictions to a newly trained model.
+ * @param {Object} result - { model, metadata } from modelManager.
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function swapModel({ model, metadata }) {
+    const previous = state.model;
+    state.model = model;
+    logger.info(`Switched to model version ${metadata.version}.`);
+    if (previous) {
+        setTimeout(() => previous.dispose(), MODEL_DISPOSE_DELAY_MS);
+    }
 }
 
+/**
+ * Seeds the price buffer and starts following the prediction rounds.
+ */
+async function monitorRounds() {
+    // An invalid shadows file stops the bot here, before its run starts
+    state.shadows = loadShadowStrategies();
+    const startingBankroll = await getBankroll();
+    state.runId = await startRun(config.mode, STRATEGY_VERSION, { startingBankroll, strategy: STRATEGY.name });
+    for (const shadow of state.shadows) {
+        await shadow.start(state.runId, startingBankroll);
+    }
+
+    const currentEpoch = (await predictionContract.currentEpoch()).toNumber();
+
+    // The current epoch is open and the previous one is live, so the latest close is two back
+    const recentRounds = await fetchRecentRounds(currentEpoch - 2, Math.max(PRICE_BUFFER_SIZE, config.crowdAccuracyRounds));
+    state.priceBuffer = recentRounds.slice(-PRICE_BUFFER_SIZE).map(round => round.closePrice);
+    state.endedRounds = recentRounds.slice(-config.crowdAccuracyRounds);
+    state.ensemble = createEnsemble();
+    state.indicators = createIndicatorStream();
+    recentRounds.forEach(round => {
+        state.indicators.update(round.closePrice);
+        state.shadows.forEach(shadow => shadow.update(round.closePrice));
+    });
+    logger.info(`Loaded ${state.priceBuffer.length} close prices up to epoch ${currentEpoch - 2}.`);
+
+    state.model = await modelManager.loadOrTrain();
+    modelManager.scheduleRetraining(swapModel);
+
+    if (config.candlePollSeconds > 0) {
+        state.stopPriceFeed = startPriceFeed();
+    }
+
+    watchRounds({
+        onStartRound: handleStartRound,
+        onLockRound: handleLockRound,
+        onEndRound: handleEndRound,
+        onBet: handleBet
+    }, currentEpoch);
+}
+
+/**
+ * Records the end of the run before exiting.
+ */
+async function shutdown() {
+    if (state.stopPriceFeed) {
+        state.stopPriceFeed();
+    }
+    if (state.runId) {
+        await endRun(state.runId).catch(error => logger.error(`Error ending run: ${error}`));
+    }
+    for (const shadow of state.shadows) {
+        await shadow.stop().catch(error => logger.error(`Error ending shadow run: ${error}`));
+    }
+    process.exit(0);
+}
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
+
 // Start monitoring rounds
 monitorRounds().catch(error => {
     logger.error(`Error in monitorRounds: ${error}`);
@@ -13,8 +13,9 @@ function calculateRSI(prices, period = 20) {
     let gains = [];
     let losses = [];
 
+    // Wilder's averages start from the first period's changes
     for (let i = 1; i <= period; i++) {
-        const change = prices[prices.length - i] - prices[prices.length - i - 1];
+        const change = prices[i] - prices[i - 1];
         if (change > 0) {
             gains.push(change);
             losses.push(0);
@@ -53,11 +54,12 @@ function calculateRSI(prices, period = 20) {
  * @param {number} fastPeriod - Fast EMA period.
  * @param {number} slowPeriod - Slow EMA period.
  * @param {number} signalPeriod - Signal line EMA period.
- * @returns {Object} MACD { MACD, signal }
+ * @returns {Object} MACD { MACD, signal, histogram }, each ending at the latest price.
  */
 function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
     try {
-        if (!Array.isArray(prices) || prices.length < Math.max(fastPeriod, slowPeriod) + signalPeriod) {
+        const longPeriod = Math.max(fastPeriod, slowPeriod);
+        if (!Array.isArray(prices) || prices.length < longPeriod + signalPeriod - 1) {
             logger.error(`Invalid input for MACD calculation. Prices length: ${prices.length}`);
             return { MACD: [0], signal: [0], histogram: [0] };
         }
@@ -70,7 +72,10 @@ function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod =
             return { MACD: [0], signal: [0], histogram: [0] };
         }
 
-        const macdLine = fastEMA.map((fast, i) => fast - slowEMA[i]);
+        // Both EMAs end at the latest price, the longer one starts later
+        const fastLine = fastEMA.slice(longPeriod - fastPeriod);
+        const slowLine = slowEMA.slice(longPeriod - slowPeriod);
+        const macdLine = fastLine.map((fast, i) => fast - slowLine[i]);
         const signalLine = calculateEMA(macdLine, signalPeriod);
 
         if (!signalLine || signalLine.length === 0) {
@@ -78,7 +83,7 @@ function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod =
             return { MACD: [0], signal: [0], histogram: [0] };
         }
 
-        const histogram = macdLine.map((macd, i) => macd - signalLine[i]);
+        const histogram = signalLine.map((signal, i) => macdLine[i + signalPeriod - 1] - signal);
 
         return {
             MACD: macdLine,
@@ -156,7 +161,7 @@ function calculateBollingerBands(prices, period = 20, multiplier = 2) {
         }
 
         const bands = sma.map((ma, i) => {
-            const slice = prices.slice(i - period + 1, i + 1);
+            const slice = prices.slice(i, i + period);
             const std = calculateStandardDeviation(slice);
             return {
                 upper: ma + multiplier * std,
@@ -174,7 +179,8 @@ function calculateBollingerBands(prices, period = 20, multiplier = 2) {
 
 /**
  * Calculates Stochastic Oscillator.
- * @param {Array<number>} prices - Array of recent prices.
+ * @param {Array<number|Object>} prices - Array of recent prices, or candles { high, low, close } so the
+ * range is the true high and low of each bar instead of the closes.
  * @param {number} period - Stochastic period.
  * @returns {Object|null} Stochastic Oscillator { percentK, percentD } or null if insufficient data.
  */
@@ -188,11 +194,14 @@ function calculateStochasticOscillator(prices, period = 14) {
         const stochK = [];
         const stochD = [];
 
+        const highs = prices.map(price => (typeof price === 'object' ? price.high : price));
+        const lows = prices.map(price => (typeof price === 'object' ? price.low : price));
+        const closes = getCloses(prices);
+
         for (let i = period - 1; i < prices.length; i++) {
-            const periodSlice = prices.slice(i - period + 1, i + 1);
-            const low = Math.min(...periodSlice);
-            const high = Math.max(...periodSlice);
-            const close = periodSlice[periodSlice.length - 1];
+            const low = Math.min(...lows.slice(i - period + 1, i + 1));
+            const high = Math.max(...highs.slice(i - period + 1, i + 1));
+            const close = closes[i];
 
             const k = ((close - low) / (high - low)) * 100;
             stochK.push(k);
@@ -210,6 +219,376 @@ function calculateStochasticOscillator(prices, period = 14) {
     }
 }
 
+/**
+ * Calculates Average True Range (ATR) with Wilder's smoothing. The true range of a bar also covers a
+ * gap from the previous close, so it needs candles.
+ * @param {Array<Object>} candles - Candles { high, low, close }, oldest first.
+ * @param {number} period - ATR period.
+ * @returns {Array<number>} Array of ATR values.
+ */
+function calculateATR(candles, period = 14) {
+    if (!Array.isArray(candles) || candles.length < period + 1) return [];
+
+    const trueRanges = candles.slice(1).map((candle, i) => Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - candles[i].close),
+        Math.abs(candle.low - candles[i].close)
+    ));
+
+    let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    const atrArray = [atr];
+    for (let i = period; i < trueRanges.length; i++) {
+        atr = (atr * (period - 1) + trueRanges[i]) / period;
+        atrArray.push(atr);
+    }
+
+    return atrArray;
+}
+
+/**
+ * Calculates the Average Directional Index (ADX) with the directional indicators (DMI), with Wilder's smoothing.
+ * @param {Array<Object>} candles - Candles { high, low, close }, oldest first.
+ * @param {number} period - ADX period.
+ * @returns {Object} { adx, plusDI, minusDI } arrays ending at the latest candle. The directional
+ * indicators start after period candles, the ADX after another period.
+ */
+function calculateADX(candles, period = 14) {
+    const result = { adx: [], plusDI: [], minusDI: [] };
+    if (!Array.isArray(candles) || candles.length < 2 * period + 1) return result;
+
+    let smoothedTR = 0;
+    let smoothedPlusDM = 0;
+    let smoothedMinusDM = 0;
+    const dx = [];
+
+    for (let i = 1; i < candles.length; i++) {
+        const upMove = candles[i].high - candles[i - 1].high;
+        const downMove = candles[i - 1].low - candles[i].low;
+        const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+        const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+        const trueRange = Math.max(
+            candles[i].high - candles[i].low,
+            Math.abs(candles[i].high - candles[i - 1].close),
+            Math.abs(candles[i].low - candles[i - 1].close)
+        );
+
+        if (i <= period) {
+            // The first smoothed values are plain sums
+            smoothedTR += trueRange;
+            smoothedPlusDM += plusDM;
+            smoothedMinusDM += minusDM;
+            if (i < period) continue;
+        } else {
+            smoothedTR = smoothedTR - smoothedTR / period + trueRange;
+            smoothedPlusDM = smoothedPlusDM - smoothedPlusDM / period + plusDM;
+            smoothedMinusDM = smoothedMinusDM - smoothedMinusDM / period + minusDM;
+        }
+
+        const plusDI = smoothedTR > 0 ? (100 * smoothedPlusDM) / smoothedTR : 0;
+        const minusDI = smoothedTR > 0 ? (100 * smoothedMinusDM) / smoothedTR : 0;
+        result.plusDI.push(plusDI);
+        result.minusDI.push(minusDI);
+        dx.push(plusDI + minusDI > 0 ? (100 * Math.abs(plusDI - minusDI)) / (plusDI + minusDI) : 0);
+
+        if (dx.length === period) {
+            result.adx.push(dx.reduce((a, b) => a + b, 0) / period);
+        } else if (dx.length > period) {
+            result.adx.push((result.adx[result.adx.length - 1] * (period - 1) + dx[dx.length - 1]) / period);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Calculates the Ichimoku cloud. The spans are given at the candle they are computed on; the cloud
+ * drawn at a candle is the spans of displacement candles earlier.
+ * @param {Array<Object>} candles - Candles { high, low }, oldest first.
+ * @param {number} conversionPeriod - Tenkan-sen period.
+ * @param {number} basePeriod - Kijun-sen period.
+ * @param {number} spanPeriod - Senkou span B period.
+ * @returns {Array<Object>} { conversion, base, spanA, spanB } for each candle from the spanPeriod-th on.
+ */
+function calculateIchimoku(candles, conversionPeriod = 9, basePeriod = 26, spanPeriod = 52) {
+    if (!Array.isArray(candles) || candles.length < spanPeriod) return [];
+
+    const midpoint = (end, period) => {
+        const slice = candles.slice(end - period + 1, end + 1);
+        return (Math.max(...slice.map(candle => candle.high)) + Math.min(...slice.map(candle => candle.low))) / 2;
+    };
+
+    const cloud = [];
+    for (let i = spanPeriod - 1; i < candles.length; i++) {
+        const conversion = midpoint(i, conversionPeriod);
+        const base = midpoint(i, basePeriod);
+        cloud.push({ conversion, base, spanA: (conversion + base) / 2, spanB: midpoint(i, spanPeriod) });
+    }
+
+    return cloud;
+}
+
+/**
+ * Calculates Keltner Channels: an EMA of the closes with bands a multiple of the ATR away.
+ * @param {Array<Object>} candles - Candles { high, low, close }, oldest first.
+ * @param {number} period - EMA period.
+ * @param {number} atrPeriod - ATR period.
+ * @param {number} multiplier - Number of ATRs.
+ * @returns {Array<Object>} { middle, upper, lower } ending at the latest candle.
+ */
+function calculateKeltnerChannels(candles, period = 20, atrPeriod = 10, multiplier = 2) {
+    const ema = calculateEMA(getCloses(candles), period);
+    const atr = calculateATR(candles, atrPeriod);
+    const length = Math.min(ema.length, atr.length);
+
+    return Array.from({ length }, (_, i) => {
+        const middle = ema[ema.length - length + i];
+        const range = multiplier * atr[atr.length - length + i];
+        return { middle, upper: middle + range, lower: middle - range };
+    });
+}
+
+/**
+ * Calculates Williams %R, from 0 (close at the period high) to -100 (close at the period low).
+ * @param {Array<Object>} candles - Candles { high, low, close }, oldest first.
+ * @param {number} period - Lookback period.
+ * @returns {Array<number>} Array of %R values.
+ */
+function calculateWilliamsR(candles, period = 14) {
+    if (!Array.isArray(candles) || candles.length < period) return [];
+
+    const values = [];
+    for (let i = period - 1; i < candles.length; i++) {
+        const slice = candles.slice(i - period + 1, i + 1);
+        const high = Math.max(...slice.map(candle => candle.high));
+        const low = Math.min(...slice.map(candle => candle.low));
+        values.push(high > low ? ((high - candles[i].close) / (high - low)) * -100 : -50);
+    }
+
+    return values;
+}
+
+/**
+ * Calculates the Commodity Channel Index (CCI) of the typical price.
+ * @param {Array<Object>} candles - Candles { high, low, close }, oldest first.
+ * @param {number} period - CCI period.
+ * @returns {Array<number>} Array of CCI values.
+ */
+function calculateCCI(candles, period = 20) {
+    if (!Array.isArray(candles) || candles.length < period) return [];
+
+    const typical = candles.map(candle => (candle.high + candle.low + candle.close) / 3);
+    const values = [];
+    for (let i = period - 1; i < typical.length; i++) {
+        const slice = typical.slice(i - period + 1, i + 1);
+        const mean = slice.reduce((a, b) => a + b, 0) / period;
+        const meanDeviation = slice.reduce((sum, value) => sum + Math.abs(value - mean), 0) / period;
+        values.push(meanDeviation > 0 ? (typical[i] - mean) / (0.015 * meanDeviation) : 0);
+    }
+
+    return values;
+}
+
+/**
+ * Calculates the Parabolic SAR. The stop trails the trend, accelerating by step with every new
+ * extreme up to max, and the trend flips when a candle crosses it.
+ * @param {Array<Object>} candles - Candles { high, low }, oldest first.
+ * @param {number} step - Acceleration factor step.
+ * @param {number} max - Maximum acceleration factor.
+ * @returns {Array<Object>} { sar, trend } for each candle after the first, trend is 'up' or 'down'.
+ */
+function calculateParabolicSAR(candles, step = 0.02, max = 0.2) {
+    if (!Array.isArray(candles) || candles.length < 2) return [];
+
+    let up = candles[1].high + candles[1].low >= candles[0].high + candles[0].low;
+    let sar = up ? candles[0].low : candles[0].high;
+    let extreme = up ? candles[0].high : candles[0].low;
+    let acceleration = step;
+    const values = [];
+
+    for (let i = 1; i < candles.length; i++) {
+        const candle = candles[i];
+        sar += acceleration * (extreme - sar);
+
+        // The stop never moves into the range of the previous two candles
+        const previous = candles.slice(Math.max(0, i - 2), i);
+        if (up) {
+            sar = Math.min(sar, ...previous.map(c => c.low));
+        } else {
+            sar = Math.max(sar, ...previous.map(c => c.high));
+        }
+
+        if (up ? candle.low < sar : candle.high > sar) {
+            up = !up;
+            sar = extreme;
+            extreme = up ? candle.high : candle.low;
+            acceleration = step;
+        } else if (up ? candle.high > extreme : candle.low < extreme) {
+            extreme = up ? candle.high : candle.low;
+            acceleration = Math.min(acceleration + step, max);
+        }
+
+        values.push({ sar, trend: up ? 'up' : 'down' });
+    }
+
+    return values;
+}
+
+/**
+ * Calculates the Supertrend: bands a multiple of the ATR around the candle midpoint that only tighten
+ * while the trend lasts. The trend flips when a close crosses the active band.
+ * @param {Array<Object>} candles - Candles { high, low, close }, oldest first.
+ * @param {number} period - ATR period.
+ * @param {number} multiplier - Number of ATRs.
+ * @returns {Array<Object>} { value, trend } ending at the latest candle, trend is 'up' or 'down'.
+ */
+function calculateSupertrend(candles, period = 10, multiplier = 3) {
+    const atr = calculateATR(candles, period);
+    if (atr.length === 0) return [];
+
+    const values = [];
+    const offset = candles.length - atr.length;
+    let upperBand = null;
+    let lowerBand = null;
+    let up = true;
+
+    atr.forEach((range, j) => {
+        const i = offset + j;
+        const candle = candles[i];
+        const previousClose = candles[i - 1].close;
+        const midpoint = (candle.high + candle.low) / 2;
+        const basicUpper = midpoint + multiplier * range;
+        const basicLower = midpoint - multiplier * range;
+
+        upperBand = upperBand === null || basicUpper < upperBand || previousClose > upperBand ? basicUpper : upperBand;
+        lowerBand = lowerBand === null || basicLower > lowerBand || previousClose < lowerBand ? basicLower : lowerBand;
+
+        if (up && candle.close < lowerBand) {
+            up = false;
+        } else if (!up && candle.close > upperBand) {
+            up = true;
+        }
+        values.push({ value: up ? lowerBand : upperBand, trend: up ? 'up' : 'down' });
+    });
+
+    return values;
+}
+
+/**
+ * Converts candles to Heikin-Ashi candles, which average each bar with the previous one to smooth out noise.
+ * @param {Array<Object>} candles - Candles { open, high, low, close }, oldest first.
+ * @returns {Array<Object>} Heikin-Ashi candles { open, high, low, close }.
+ */
+function calculateHeikinAshi(candles) {
+    const heikinAshi = [];
+    for (const candle of candles || []) {
+        const previous = heikinAshi[heikinAshi.length - 1];
+        const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+        const open = previous ? (previous.open + previous.close) / 2 : (candle.open + candle.close) / 2;
+        heikinAshi.push({ open, high: Math.max(candle.high, open, close), low: Math.min(candle.low, open, close), close });
+    }
+    return heikinAshi;
+}
+
+/**
+ * Calculates On-Balance Volume (OBV): volume is added on up closes and subtracted on down closes.
+ * @param {Array<Object>} candles - Candles { close, volume }, oldest first.
+ * @returns {Array<number>} Array of OBV values, starting at 0 on the first candle.
+ */
+function calculateOBV(candles) {
+    if (!Array.isArray(candles) || candles.length === 0) return [];
+
+    const values = [0];
+    for (let i = 1; i < candles.length; i++) {
+        const change = candles[i].close - candles[i - 1].close;
+        const volume = candles[i].volume || 0;
+        values.push(values[i - 1] + (change > 0 ? volume : change < 0 ? -volume : 0));
+    }
+    return values;
+}
+
+/**
+ * Calculates the Volume-Weighted Average Price (VWAP) of the typical price.
+ * @param {Array<Object>} candles - Candles { high, low, close, volume }, oldest first.
+ * @param {number} [period] - Rolling period, the VWAP is cumulative from the first candle without one.
+ * @returns {Array<number>} Array of VWAP values, null where no volume has traded yet.
+ */
+function calculateVWAP(candles, period = null) {
+    if (!Array.isArray(candles) || candles.length === 0) return [];
+
+    const weighted = candles.map(candle => ((candle.high + candle.low + candle.close) / 3) * (candle.volume || 0));
+    const volumes = candles.map(candle => candle.volume || 0);
+    const values = [];
+    let priceVolume = 0;
+    let volume = 0;
+    for (let i = 0; i < candles.length; i++) {
+        priceVolume += weighted[i];
+        volume += volumes[i];
+        if (period && i >= period) {
+            priceVolume -= weighted[i - period];
+            volume -= volumes[i - period];
+        }
+        if (!period || i >= period - 1) {
+            values.push(volume > 0 ? priceVolume / volume : null);
+        }
+    }
+    return values;
+}
+
+/**
+ * Candles from a series of closes, for the candle indicators where only closes are known, such as
+ * round close prices. Each candle opens at the previous close and its high and low are its open and close.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @returns {Array<Object>} Candles { open, high, low, close }.
+ */
+function candlesFromCloses(prices) {
+    return prices.map((close, i) => {
+        const open = i > 0 ? prices[i - 1] : close;
+        return { open, high: Math.max(open, close), low: Math.min(open, close), close };
+    });
+}
+
+/**
+ * Close of each price or candle, for the indicators that only use closes.
+ * @param {Array<number|Object>} prices - Prices or candles { close }.
+ * @returns {Array<number>}
+ */
+function getCloses(prices) {
+    return prices.map(price => (typeof price === 'object' ? price.close : price));
+}
+
+/**
+ * Latest indicator values of a timeframe's candles, with the range-based indicators on the true highs
+ * and lows and the volume indicators on the traded volume.
+ * @param {Array<Object>} candles - Candles { high, low, close, volume }, oldest first.
+ * @returns {Object} { close, rsi, stochK, stochD, atr, adx, plusDI, minusDI, williamsR, cci, supertrend,
+ * parabolicSar, obv, vwap }, null where there are too few candles. The trends are 'up' or 'down'.
+ */
+function calculateCandleIndicators(candles) {
+    const closes = getCloses(candles);
+    const latest = values => (values && values.length > 0 ? values[values.length - 1] : null);
+    const stochastic = candles.length >= 14 ? calculateStochasticOscillator(candles, 14) : null;
+    const adx = calculateADX(candles, 14);
+    const supertrend = latest(calculateSupertrend(candles, 10, 3));
+    const sar = latest(calculateParabolicSAR(candles));
+
+    return {
+        close: latest(closes),
+        rsi: latest(calculateRSI(closes, 14)),
+        stochK: stochastic ? latest(stochastic.k) : null,
+        stochD: stochastic ? latest(stochastic.d) : null,
+        atr: latest(calculateATR(candles, 14)),
+        adx: latest(adx.adx),
+        plusDI: latest(adx.plusDI),
+        minusDI: latest(adx.minusDI),
+        williamsR: latest(calculateWilliamsR(candles, 14)),
+        cci: latest(calculateCCI(candles, 20)),
+        supertrend: supertrend ? supertrend.trend : null,
+        parabolicSar: sar ? sar.trend : null,
+        obv: latest(calculateOBV(candles)),
+        vwap: latest(calculateVWAP(candles))
+    };
+}
+
 // Helper function for standard deviation
 function calculateStandardDeviation(values) {
     const avg = values.reduce((sum, val) => sum + val, 0) / values.length;
@@ -224,5 +603,19 @@ module.exports = {
     calculateSMA,
     calculateEMA,
     calculateBollingerBands,
-    calculateStochasticOscillator
+    calculateStochasticOscillator,
+    calculateATR,
+    calculateADX,
+    calculateIchimoku,
+    calculateKeltnerChannels,
+    calculateWilliamsR,
+    calculateCCI,
+    calculateParabolicSAR,
+    calculateSupertrend,
+    calculateHeikinAshi,
+    calculateOBV,
+    calculateVWAP,
+    calculateCandleIndicators,
+    candlesFromCloses,
+    getCloses
 };
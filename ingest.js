@@ -0,0 +1,384 @@
+// ingest.js
+// Backfills the prediction contract's history into historicalData.db: rounds(epoch) for a range of
+// epochs, plus the StartRound/LockRound/EndRound, BetBull/BetBear and Claim logs in block chunks.
+// Re-running it resumes where it stopped: missing epochs are filled in, rounds that had not ended
+// are fetched again until they end or are refunded and the log scan continues from the last scanned block.
+//
+// Usage: node ingest.js [startEpoch] [endEpoch]
+// Without arguments it catches up from the last stored epoch to the latest ended one.
+// Set INGEST_RPC_URL to point it at another node, e.g. a local Hardhat or anvil fork of BSC.
+
+const { ethers } = require('ethers');
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { parseRound, formatPrice } = require('./roundWatcher');
+const { isRefundable } = require('./shared/settlement');
+
+const PREDICTION_ABI = JSON.parse(fs.readFileSync(path.resolve(__dirname, 'ABIS/contractABI.json'), 'utf8'));
+const INGESTED_EVENTS = ['StartRound', 'LockRound', 'EndRound', 'BetBull', 'BetBear', 'Claim'];
+
+// Rounds fetched by default on an empty database
+const DEFAULT_BACKFILL_ROUNDS = 5000;
+
+const db = new sqlite3.Database(config.historicalDbPath);
+
+db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS prediction_rounds (
+        epoch INTEGER PRIMARY KEY,
+        startTimestamp INTEGER,
+        lockTimestamp INTEGER,
+        closeTimestamp INTEGER,
+        lockPrice REAL,
+        closePrice REAL,
+        totalAmount REAL,
+        bullAmount REAL,
+        bearAmount REAL,
+        rewardBaseCalAmount REAL,
+        rewardAmount REAL,
+        oracleCalled INTEGER
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS round_events (
+        epoch INTEGER,
+        event TEXT,
+        price REAL,
+        blockNumber INTEGER,
+        txHash TEXT,
+        logIndex INTEGER,
+        UNIQUE (txHash, logIndex)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS round_bets (
+        epoch INTEGER,
+        sender TEXT,
+        position TEXT,
+        amount REAL,
+        blockNumber INTEGER,
+        txHash TEXT,
+        logIndex INTEGER,
+        UNIQUE (txHash, logIndex)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS claims (
+        epoch INTEGER,
+        sender TEXT,
+        amount REAL,
+        blockNumber INTEGER,
+        txHash TEXT,
+        logIndex INTEGER,
+        UNIQUE (txHash, logIndex)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_round_events_epoch ON round_events (epoch)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_round_bets_epoch ON round_bets (epoch)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_claims_epoch ON claims (epoch)');
+    // Scanned log block range, so later runs continue from where the last one stopped
+    db.run(`CREATE TABLE IF NOT EXISTS ingest_state (
+        key TEXT PRIMARY KEY,
+        value INTEGER
+    )`);
+});
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+/**
+ * Sleep for a specified number of milliseconds.
+ * @param {number} ms - Milliseconds to sleep.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls the node, retrying with a growing delay.
+ * @param {Function} request - Async function making the call.
+ * @param {string} description - What is being fetched, for the logs.
+ * @param {number} retries - Number of attempts.
+ * @returns {Promise<*>} Result of the call.
+ */
+async function withRetry(request, description, retries = 3) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (attempt >= retries) {
+                throw new Error(`Failed to fetch ${description} after ${retries} attempts: ${error.message}`);
+            }
+            logger.warn(`Attempt ${attempt} - Error fetching ${description}: ${error.message}. Retrying...`);
+            await sleep(attempt * 500);
+        }
+    }
+}
+
+/**
+ * Creates the contract connection used for ingestion.
+ * @param {string} rpcUrl - JSON-RPC endpoint.
+ * @returns {Object} { provider, contract }
+ */
+function connect(rpcUrl = config.ingestRpcUrl) {
+    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+    const contract = new ethers.Contract(config.predictionContractAddress, PREDICTION_ABI, provider);
+    return { provider, contract };
+}
+
+/**
+ * Stores a round.
+ * @param {Object} round - Round from parseRound().
+ * @returns {Promise<void>}
+ */
+function saveRound(round) {
+    return run(
+        `INSERT OR REPLACE INTO prediction_rounds (epoch, startTimestamp, lockTimestamp, closeTimestamp, lockPrice, closePrice,
+            totalAmount, bullAmount, bearAmount, rewardBaseCalAmount, rewardAmount, oracleCalled)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [round.epoch, round.startTimestamp, round.lockTimestamp, round.closeTimestamp, round.lockPrice, round.closePrice,
+            round.totalAmount, round.bullAmount, round.bearAmount, round.rewardBaseCalAmount, round.rewardAmount, round.oracleCalled ? 1 : 0]
+    );
+}
+
+/**
+ * Finds the epochs in a range that are missing or have not ended yet. Rounds the oracle never ended are
+ * final once their buffer after closeTimestamp has passed: the contract can no longer end them.
+ * @param {number} startEpoch - First epoch (inclusive).
+ * @param {number} endEpoch - Last epoch (inclusive).
+ * @param {number} bufferSeconds - Contract bufferSeconds.
+ * @param {number} [now] - Current time in seconds.
+ * @returns {Promise<Array<number>>} Epochs to fetch, in order.
+ */
+async function findEpochsToFetch(startEpoch, endEpoch, bufferSeconds, now = Date.now() / 1000) {
+    const rows = await all('SELECT epoch, closeTimestamp, oracleCalled FROM prediction_rounds WHERE epoch BETWEEN ? AND ?', [startEpoch, endEpoch]);
+    const ended = new Set(rows.filter(row => row.oracleCalled || isRefundable(row, bufferSeconds, now)).map(row => row.epoch));
+
+    const epochs = [];
+    for (let epoch = startEpoch; epoch <= endEpoch; epoch++) {
+        if (!ended.has(epoch)) epochs.push(epoch);
+    }
+    return epochs;
+}
+
+/**
+ * Fetches rounds(epoch) for every missing or unfinished epoch in a range.
+ * Rounds the oracle never ended are stored too, and fetched again until they are refunded. Epochs the
+ * contract never started come back zeroed, epoch included, and are stored under the epoch that was asked for.
+ * @param {ethers.Contract} contract - Prediction contract.
+ * @param {number} startEpoch - First epoch (inclusive).
+ * @param {number} endEpoch - Last epoch (inclusive).
+ * @returns {Promise<number>} Number of rounds fetched.
+ */
+async function ingestRounds(contract, startEpoch, endEpoch) {
+    const bufferSeconds = (await withRetry(() => contract.bufferSeconds(), 'buffer seconds')).toNumber();
+    const epochs = await findEpochsToFetch(startEpoch, endEpoch, bufferSeconds);
+    const stored = endEpoch - startEpoch + 1 - epochs.length;
+    logger.info(`Rounds ${startEpoch}-${endEpoch}: ${stored} already stored, fetching ${epochs.length}.`);
+
+    for (const [index, epoch] of epochs.entries()) {
+        const round = parseRound(await withRetry(() => contract.rounds(epoch), `epoch ${epoch}`));
+        await saveRound({ ...round, epoch });
+        if ((index + 1) % 100 === 0) {
+            logger.info(`Fetched ${index + 1}/${epochs.length} rounds (epoch ${epoch}).`);
+        }
+    }
+    return epochs.length;
+}
+
+/**
+ * Finds the first block mined at or after a timestamp.
+ * @param {ethers.providers.Provider} provider - JSON-RPC provider.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ * @returns {Promise<number>} Block number.
+ */
+async function findBlockByTimestamp(provider, timestamp) {
+    let low = 0;
+    let high = await withRetry(() => provider.getBlockNumber(), 'latest block number');
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const block = await withRetry(() => provider.getBlock(middle), `block ${middle}`);
+        if (block.timestamp < timestamp) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * Stores a parsed contract log in its table.
+ * @param {Object} log - Raw log.
+ * @param {ethers.utils.LogDescription} event - Parsed log.
+ * @returns {Promise<void>}
+ */
+function saveLog(log, event) {
+    const epoch = event.args.epoch.toNumber();
+    const location = [log.blockNumber, log.transactionHash, log.logIndex];
+
+    switch (event.name) {
+        case 'BetBull':
+        case 'BetBear':
+            return run(
+                'INSERT OR IGNORE INTO round_bets (epoch, sender, position, amount, blockNumber, txHash, logIndex) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [epoch, event.args.sender, event.name === 'BetBull' ? 'bull' : 'bear', Number(ethers.utils.formatEther(event.args.amount)), ...location]
+            );
+        case 'Claim':
+            return run(
+                'INSERT OR IGNORE INTO claims (epoch, sender, amount, blockNumber, txHash, logIndex) VALUES (?, ?, ?, ?, ?, ?)',
+                [epoch, event.args.sender, Number(ethers.utils.formatEther(event.args.amount)), ...location]
+            );
+        default:
+            return run(
+                'INSERT OR IGNORE INTO round_events (epoch, event, price, blockNumber, txHash, logIndex) VALUES (?, ?, ?, ?, ?, ?)',
+                [epoch, event.name, event.args.price ? formatPrice(event.args.price) : null, ...location]
+            );
+    }
+}
+
+/**
+ * Scans a block range for the ingested events, one chunk at a time.
+ * The scanned range is saved after every chunk, so an interrupted scan resumes from there.
+ * @param {ethers.providers.Provider} provider - JSON-RPC provider.
+ * @param {ethers.Contract} contract - Prediction contract.
+ * @param {number} fromBlock - First block (inclusive).
+ * @param {number} toBlock - Last block (inclusive).
+ * @param {Function} onChunk - async (chunkFrom, chunkTo) called after each stored chunk.
+ * @returns {Promise<number>} Number of logs stored.
+ */
+async function scanLogs(provider, contract, fromBlock, toBlock, onChunk) {
+    const topics = [INGESTED_EVENTS.map(name => contract.interface.getEventTopic(name))];
+    let stored = 0;
+
+    for (let chunkFrom = fromBlock; chunkFrom <= toBlock; chunkFrom += config.logChunkSize) {
+        const chunkTo = Math.min(chunkFrom + config.logChunkSize - 1, toBlock);
+        const logs = await withRetry(
+            () => provider.getLogs({ address: contract.address, fromBlock: chunkFrom, toBlock: chunkTo, topics }),
+            `logs ${chunkFrom}-${chunkTo}`
+        );
+
+        await run('BEGIN TRANSACTION');
+        try {
+            for (const log of logs) {
+                await saveLog(log, contract.interface.parseLog(log));
+            }
+            await onChunk(chunkFrom, chunkTo);
+            await run('COMMIT');
+        } catch (error) {
+            await run('ROLLBACK');
+            throw error;
+        }
+
+        stored += logs.length;
+        logger.info(`Scanned blocks ${chunkFrom}-${chunkTo}: ${logs.length} logs.`);
+    }
+    return stored;
+}
+
+/**
+ * Reads a value from the ingest state.
+ * @param {string} key - State key.
+ * @returns {Promise<number|null>}
+ */
+async function getState(key) {
+    const row = await get('SELECT value FROM ingest_state WHERE key = ?', [key]);
+    return row ? row.value : null;
+}
+
+function setState(key, value) {
+    return run('INSERT OR REPLACE INTO ingest_state (key, value) VALUES (?, ?)', [key, value]);
+}
+
+/**
+ * Extends the scanned log range so it covers the given blocks. Blocks before the scanned range
+ * are scanned backwards into it, blocks after it are scanned forwards.
+ * @param {ethers.providers.Provider} provider - JSON-RPC provider.
+ * @param {ethers.Contract} contract - Prediction contract.
+ * @param {number} fromBlock - First block that has to be covered.
+ * @param {number} toBlock - Last block that has to be covered.
+ * @returns {Promise<number>} Number of logs stored.
+ */
+async function ingestLogs(provider, contract, fromBlock, toBlock) {
+    const scannedFrom = await getState('logsFromBlock');
+    const scannedTo = await getState('logsToBlock');
+    let stored = 0;
+
+    if (scannedFrom === null) {
+        await setState('logsFromBlock', fromBlock);
+        stored += await scanLogs(provider, contract, fromBlock, toBlock, (chunkFrom, chunkTo) => setState('logsToBlock', chunkTo));
+        return stored;
+    }
+
+    if (fromBlock < scannedFrom) {
+        // Scanned forwards up to the old start, which only becomes the new start once the gap is closed
+        stored += await scanLogs(provider, contract, fromBlock, scannedFrom - 1, async (chunkFrom, chunkTo) => {
+            if (chunkTo === scannedFrom - 1) await setState('logsFromBlock', fromBlock);
+        });
+    }
+    if (toBlock > scannedTo) {
+        stored += await scanLogs(provider, contract, scannedTo + 1, toBlock, (chunkFrom, chunkTo) => setState('logsToBlock', chunkTo));
+    }
+    return stored;
+}
+
+/**
+ * Ingests rounds and logs for an epoch range. Without a range it catches up from the last stored
+ * epoch, or backfills the last DEFAULT_BACKFILL_ROUNDS rounds on an empty database.
+ * @param {Object} options - { startEpoch, endEpoch, rpcUrl, connection }, connection is a { provider, contract }
+ * used instead of connecting to rpcUrl.
+ * @returns {Promise<Object>} { startEpoch, endEpoch, rounds, logs } with the number of rounds and logs stored.
+ */
+async function ingest({ startEpoch, endEpoch, rpcUrl, connection } = {}) {
+    const { provider, contract } = connection || connect(rpcUrl);
+
+    // The current epoch is still open and the previous one is live, so the last ended round is two back
+    const lastEndedEpoch = (await withRetry(() => contract.currentEpoch(), 'current epoch')).toNumber() - 2;
+    if (!endEpoch) {
+        endEpoch = lastEndedEpoch;
+    }
+    if (!startEpoch) {
+        const row = await get('SELECT MIN(epoch) as firstEpoch FROM prediction_rounds');
+        // Catching up still checks the stored range for gaps
+        startEpoch = row.firstEpoch || Math.max(1, endEpoch - DEFAULT_BACKFILL_ROUNDS + 1);
+    }
+
+    const rounds = await ingestRounds(contract, startEpoch, endEpoch);
+
+    // Logs from the first round's start until now, so later claims on these rounds are included. Epochs the
+    // contract never started have a startTimestamp of 0, which would scan from the genesis block.
+    const firstRound = await get('SELECT MIN(startTimestamp) as startTimestamp FROM prediction_rounds WHERE epoch BETWEEN ? AND ? AND startTimestamp > 0', [startEpoch, endEpoch]);
+    let logs = 0;
+    if (firstRound.startTimestamp) {
+        const fromBlock = await findBlockByTimestamp(provider, firstRound.startTimestamp);
+        const toBlock = await withRetry(() => provider.getBlockNumber(), 'latest block number');
+        logs = await ingestLogs(provider, contract, fromBlock, toBlock);
+    } else {
+        logger.warn(`No round of epochs ${startEpoch}-${endEpoch} has started, skipping the log scan.`);
+    }
+
+    logger.info(`Ingested epochs ${startEpoch}-${endEpoch}: ${rounds} rounds and ${logs} logs stored.`);
+    return { startEpoch, endEpoch, rounds, logs };
+}
+
+/**
+ * Closes the database connection.
+ * @returns {Promise<void>}
+ */
+function closeDatabase() {
+    return new Promise((resolve, reject) => {
+        db.close((err) => (err ? reject(err) : resolve()));
+    });
+}
+
+module.exports = { ingest, ingestRounds, ingestLogs, scanLogs, findEpochsToFetch, findBlockByTimestamp, closeDatabase };
+
+if (require.main === module) {
+    const [startEpoch, endEpoch] = process.argv.slice(2).map(Number);
+    ingest({ startEpoch, endEpoch })
+        .catch(error => logger.error(`Error during ingestion: ${error}`))
+        .finally(() => closeDatabase());
+}
@@ -0,0 +1,123 @@
+// logisticRegression.js
+// Logistic regression baseline. Features are standardized with the mean and standard deviation of the
+// training samples, and the weights are fitted by mini-batch gradient descent on the log loss with L2
+// regularization. Selected with MODEL_TYPE=logistic.
+
+const fs = require('fs');
+const path = require('path');
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Shuffles an array in place.
+ * @param {Array} values
+ * @returns {Array} The same array.
+ */
+function shuffle(values) {
+    for (let i = values.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values;
+}
+
+class LogisticRegressionPredictor {
+    constructor({ learningRate = 0.05, l2 = 0.0001, batchSize = 32 } = {}) {
+        this.learningRate = learningRate;
+        this.l2 = l2;
+        this.batchSize = batchSize;
+        this.means = [];
+        this.stds = [];
+        this.weights = [];
+        this.bias = 0;
+    }
+
+    standardize(row) {
+        return row.map((value, i) => (value - this.means[i]) / this.stds[i]);
+    }
+
+    // Runs epochs of mini-batch gradient descent from the current weights
+    async fit(features, labels, epochs) {
+        const rows = features.map(row => this.standardize(row));
+        const order = rows.map((_, i) => i);
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            shuffle(order);
+            for (let start = 0; start < order.length; start += this.batchSize) {
+                const batch = order.slice(start, start + this.batchSize);
+                const gradient = new Array(this.weights.length).fill(0);
+                let biasGradient = 0;
+                for (const i of batch) {
+                    const error = this.predictRow(rows[i]) - labels[i];
+                    rows[i].forEach((value, j) => { gradient[j] += error * value; });
+                    biasGradient += error;
+                }
+                this.weights = this.weights.map((weight, j) =>
+                    weight - this.learningRate * (gradient[j] / batch.length + this.l2 * weight));
+                this.bias -= this.learningRate * biasGradient / batch.length;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    async train(features, labels, epochs = 50) {
+        const count = features.length;
+        this.means = features[0].map((_, j) => features.reduce((total, row) => total + row[j], 0) / count);
+        this.stds = features[0].map((_, j) => {
+            const variance = features.reduce((total, row) => total + (row[j] - this.means[j]) ** 2, 0) / count;
+            return Math.sqrt(variance) || 1;
+        });
+        this.weights = new Array(features[0].length).fill(0);
+        this.bias = 0;
+        await this.fit(features, labels, epochs);
+    }
+
+    // Keeps the standardization of the original training samples
+    async fineTune(features, labels, epochs = 10) {
+        await this.fit(features, labels, epochs);
+    }
+
+    predictRow(standardizedRow) {
+        return sigmoid(standardizedRow.reduce((total, value, j) => total + value * this.weights[j], this.bias));
+    }
+
+    async predict(features) {
+        return this.predictRow(this.standardize(features[0]));
+    }
+
+    // Weights on the standardized features, largest effect first
+    getCoefficients() {
+        const names = this.featurePipeline ? this.featurePipeline.names : [];
+        return this.weights
+            .map((weight, i) => ({ feature: names[i] || `feature${i}`, weight }))
+            .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+    }
+
+    describe() {
+        return { type: 'logistic', l2: this.l2, topCoefficients: this.getCoefficients().slice(0, 10) };
+    }
+
+    async save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, 'predictor.json'), JSON.stringify({
+            type: 'logistic',
+            learningRate: this.learningRate,
+            l2: this.l2,
+            batchSize: this.batchSize,
+            means: this.means,
+            stds: this.stds,
+            weights: this.weights,
+            bias: this.bias
+        }));
+    }
+
+    static async load(directory) {
+        const saved = JSON.parse(fs.readFileSync(path.join(directory, 'predictor.json'), 'utf8'));
+        const model = new LogisticRegressionPredictor(saved);
+        Object.assign(model, { means: saved.means, stds: saved.stds, weights: saved.weights, bias: saved.bias });
+        return model;
+    }
+
+    dispose() {}
+}
+
+module.exports = { LogisticRegressionPredictor };
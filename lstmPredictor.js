@@ -0,0 +1,93 @@
+// lstmPredictor.js
+// LSTM over the price window with tfjs-node. The registry always builds its samples from the raw feature
+// set, whose first 50 columns are the window's normalized close prices relative to the latest one, and the
+// network reads them as a sequence. Its output is the probability of an up move. Selected with MODEL_TYPE=lstm.
+
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+const { WINDOW_SIZE } = require('./featureEngineering');
+
+/**
+ * Turns feature rows into sequences of the window's prices.
+ * @param {Array<Array<number>>} features - Rows of the raw feature set.
+ * @returns {tf.Tensor3D} Shape [samples, WINDOW_SIZE, 1].
+ */
+function toSequences(features) {
+    const sequences = features.map(row => row.slice(0, WINDOW_SIZE).map(value => [value]));
+    return tf.tensor3d(sequences, [features.length, WINDOW_SIZE, 1]);
+}
+
+class LstmPredictor {
+    constructor({ units = 32, batchSize = 64 } = {}) {
+        this.units = units;
+        this.batchSize = batchSize;
+        this.model = null;
+    }
+
+    compile() {
+        this.model.compile({ optimizer: 'adam', loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+    }
+
+    async fit(features, labels, epochs) {
+        const xs = toSequences(features);
+        const ys = tf.tensor2d(labels, [labels.length, 1]);
+        await this.model.fit(xs, ys, { epochs, batchSize: this.batchSize, verbose: 0 });
+        xs.dispose();
+        ys.dispose();
+    }
+
+    async train(features, labels, epochs = 10) {
+        this.model = tf.sequential();
+        this.model.add(tf.layers.lstm({ units: this.units, inputShape: [WINDOW_SIZE, 1] }));
+        this.model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+        this.compile();
+        await this.fit(features, labels, epochs);
+    }
+
+    // Continues training the network on new samples
+    async fineTune(features, labels, epochs = 3) {
+        await this.fit(features, labels, epochs);
+    }
+
+    async predict(features) {
+        const xs = toSequences(features.slice(0, 1));
+        const prediction = this.model.predict(xs);
+        const [[probability]] = await prediction.array();
+        xs.dispose();
+        prediction.dispose();
+        return probability;
+    }
+
+    describe() {
+        return { type: 'lstm', units: this.units };
+    }
+
+    async save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        await this.model.save(`file://${path.join(directory, 'lstm')}`);
+        fs.writeFileSync(path.join(directory, 'predictor.json'), JSON.stringify({
+            type: 'lstm',
+            units: this.units,
+            batchSize: this.batchSize
+        }, null, 2));
+    }
+
+    static async load(directory) {
+        const saved = JSON.parse(fs.readFileSync(path.join(directory, 'predictor.json'), 'utf8'));
+        const predictor = new LstmPredictor(saved);
+        predictor.model = await tf.loadLayersModel(`file://${path.join(directory, 'lstm', 'model.json')}`);
+        // Loaded models are not compiled, which fineTune needs
+        predictor.compile();
+        return predictor;
+    }
+
+    dispose() {
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+}
+
+module.exports = { LstmPredictor };
@@ -0,0 +1,341 @@
+// modelManager.js
+// Lifecycle of the model used by the live bot. Models are trained offline on the rounds in
+// historicalData.db and saved as versions under MODEL_DIR, each with a metadata.json describing what it was
+// trained on. The bot loads the current version at startup and only runs inference with it. On the
+// MODEL_RETRAIN_SCHEDULE the history is brought up to date with ingest.js and the model is fine-tuned on the
+// new rounds or retrained from scratch, saved as a new version and swapped in.
+//
+// Usage: node modelManager.js train|finetune|list|features|importance [version]
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const sqlite3 = require('sqlite3').verbose();
+const config = require('./config');
+const logger = require('./logger');
+const { savePredictor, loadPredictor } = require('./modelRegistry');
+const { listFeatureSets } = require('./featureEngineering');
+const { attachCrowdFlow } = require('./flowHistory');
+const { attachCandles } = require('./candles');
+const { STRATEGY_VERSION, trainModel } = require('./prediction');
+
+const CURRENT_VERSION_FILE = 'current.json';
+
+/**
+ * Reads ended rounds from historicalData.db.
+ * @param {string} query - SELECT returning epoch, lockTimestamp, lockPrice, closePrice, bullAmount, bearAmount and oracleCalled.
+ * @param {Array} params - Query parameters.
+ * @returns {Promise<Array<Object>>} Rows { epoch, lockTimestamp, lockPrice, closePrice, bullAmount, bearAmount, oracleCalled }.
+ */
+function queryRounds(query, params) {
+    const db = new sqlite3.Database(config.historicalDbPath, sqlite3.OPEN_READONLY);
+    return new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => {
+            db.close();
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Pools of each round, aligned with its close price, with the crowd flow of the crowd feature set and the
+ * candles of the trend feature set.
+ * @param {Array<Object>} rows - Rounds from queryRounds().
+ * @returns {Promise<Array<Object>>} { bullAmount, bearAmount, flow, favoriteWinRate, candles }.
+ */
+async function getPools(rows) {
+    await Promise.all([attachCrowdFlow(rows), attachCandles(rows)]);
+    return rows.map(({ bullAmount, bearAmount, flow, favoriteWinRate, candles }) => ({ bullAmount, bearAmount, flow, favoriteWinRate, candles }));
+}
+
+/**
+ * Loads the close prices and pools of the latest ended rounds, oldest first.
+ * @param {number} limit - Number of rounds.
+ * @returns {Promise<Object>} { prices, pools, firstEpoch, lastEpoch }.
+ */
+async function loadTrainingPrices(limit) {
+    const rows = await queryRounds(
+        'SELECT epoch, lockTimestamp, lockPrice, closePrice, bullAmount, bearAmount, oracleCalled FROM prediction_rounds WHERE oracleCalled = 1 ORDER BY epoch DESC LIMIT ?',
+        [limit]
+    );
+    rows.reverse();
+    return {
+        prices: rows.map(row => row.closePrice),
+        pools: await getPools(rows),
+        firstEpoch: rows.length > 0 ? rows[0].epoch : null,
+        lastEpoch: rows.length > 0 ? rows[rows.length - 1].epoch : null
+    };
+}
+
+/**
+ * Loads the close prices and pools of the rounds that ended after a model was trained, preceded by the
+ * rounds needed for their first sample.
+ * @param {number} afterEpoch - Last epoch the model was trained on.
+ * @param {number} history - Prices each sample of the model's feature pipeline needs, the round it predicts
+ * closes two rounds after the last of them.
+ * @returns {Promise<Object>} { prices, pools, newRounds, lastEpoch }.
+ */
+async function loadPricesSince(afterEpoch, history) {
+    const [previous, rows] = await Promise.all([
+        queryRounds(
+            'SELECT epoch, lockTimestamp, lockPrice, closePrice, bullAmount, bearAmount, oracleCalled FROM prediction_rounds WHERE oracleCalled = 1 AND epoch <= ? ORDER BY epoch DESC LIMIT ?',
+            [afterEpoch, history + 1]
+        ),
+        queryRounds(
+            'SELECT epoch, lockTimestamp, lockPrice, closePrice, bullAmount, bearAmount, oracleCalled FROM prediction_rounds WHERE oracleCalled = 1 AND epoch > ? ORDER BY epoch',
+            [afterEpoch]
+        )
+    ]);
+    const ordered = [...previous.reverse(), ...rows];
+    return {
+        prices: ordered.map(row => row.closePrice),
+        pools: await getPools(ordered),
+        newRounds: rows.length,
+        lastEpoch: rows.length > 0 ? rows[rows.length - 1].epoch : afterEpoch
+    };
+}
+
+/**
+ * Lists the saved model versions, oldest first.
+ * @returns {Array<Object>} Metadata of each version.
+ */
+function listModels() {
+    if (!fs.existsSync(config.modelDir)) return [];
+    return fs.readdirSync(config.modelDir)
+        .filter(name => fs.existsSync(path.join(config.modelDir, name, 'metadata.json')))
+        .map(name => JSON.parse(fs.readFileSync(path.join(config.modelDir, name, 'metadata.json'), 'utf8')))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Gets the version the bot loads.
+ * @returns {string|null}
+ */
+function getCurrentVersion() {
+    const file = path.join(config.modelDir, CURRENT_VERSION_FILE);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).version : null;
+}
+
+/**
+ * Saves a model as a new version and makes it the current one.
+ * @param {Object} model - Trained model from the registry.
+ * @param {Object} details - What the model was trained on, stored in its metadata with the model's own description.
+ * @returns {Promise<Object>} Metadata of the new version.
+ */
+async function saveModel(model, details) {
+    const createdAt = new Date().toISOString();
+    // A version saved in the same second as an earlier one gets a suffix instead of overwriting it
+    const timestamp = createdAt.replace(/[-:]/g, '').replace(/\..*/, '');
+    let version = timestamp;
+    for (let copy = 2; fs.existsSync(path.join(config.modelDir, version)); copy++) {
+        version = `${timestamp}-${copy}`;
+    }
+    const directory = path.join(config.modelDir, version);
+    await savePredictor(model, directory);
+
+    const metadata = {
+        version,
+        createdAt,
+        strategyVersion: STRATEGY_VERSION,
+        ...details,
+        model: model.describe(),
+        features: model.featurePipeline.describe(),
+        calibration: model.calibrator ? model.calibrator.describe() : null
+    };
+    fs.writeFileSync(path.join(directory, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    fs.writeFileSync(path.join(config.modelDir, CURRENT_VERSION_FILE), JSON.stringify({ version }, null, 2));
+    logger.info(`Saved ${metadata.model.type} model version ${version} to ${directory}.`);
+    if (metadata.model.oobError !== undefined && metadata.model.oobError !== null) {
+        logger.info(`Out-of-bag error: ${(metadata.model.oobError * 100).toFixed(2)}%`);
+    }
+    if (metadata.calibration) {
+        const { method, samples, before, after } = metadata.calibration;
+        logger.info(`Calibrated (${method}) on ${samples} held-out rounds: Brier score ${before.brierScore.toFixed(4)} -> ${after.brierScore.toFixed(4)}, log loss ${before.logLoss.toFixed(4)} -> ${after.logLoss.toFixed(4)}`);
+    }
+    return metadata;
+}
+
+/**
+ * Loads a saved model.
+ * @param {string} [version] - Version to load, defaults to the current one.
+ * @returns {Promise<Object|null>} { model, metadata }, null if there is no saved model.
+ */
+async function loadModel(version = getCurrentVersion()) {
+    if (!version) return null;
+
+    const directory = path.join(config.modelDir, version);
+    const model = await loadPredictor(directory);
+    const metadata = JSON.parse(fs.readFileSync(path.join(directory, 'metadata.json'), 'utf8'));
+    logger.info(`Loaded model version ${version}, trained on epochs ${metadata.firstEpoch}-${metadata.lastEpoch}.`);
+    return { model, metadata };
+}
+
+/**
+ * Trains a new model on the latest MODEL_TRAIN_ROUNDS ended rounds and saves it.
+ * @returns {Promise<Object|null>} { model, metadata }, null if there are not enough rounds.
+ */
+async function trainFromHistory() {
+    const { prices, pools, firstEpoch, lastEpoch } = await loadTrainingPrices(config.modelTrainRounds);
+    logger.info(`Training a model on ${prices.length} rounds (epochs ${firstEpoch}-${lastEpoch})...`);
+
+    const model = await trainModel(prices, { epochs: config.modelTrainEpochs, pools });
+    if (!model) {
+        logger.warn(`Not enough ended rounds in historicalData.db to train a model. Run node ingest.js first.`);
+        return null;
+    }
+
+    const metadata = await saveModel(model, {
+        kind: 'full',
+        firstEpoch,
+        lastEpoch,
+        samples: prices.length - model.featurePipeline.history - 1,
+        epochs: config.modelTrainEpochs
+    });
+    return { model, metadata };
+}
+
+/**
+ * Fine-tunes the current model on the rounds that ended since it was trained and saves it as a new version.
+ * @returns {Promise<Object|null>} { model, metadata }, null if there is no model or no new round.
+ */
+async function fineTuneCurrent() {
+    const current = await loadModel();
+    if (!current) {
+        logger.warn('No saved model to fine-tune.');
+        return null;
+    }
+
+    const pipeline = current.model.featurePipeline;
+    const { prices, pools, newRounds, lastEpoch } = await loadPricesSince(current.metadata.lastEpoch, pipeline.history);
+    // The normalization stays the one fitted on the original training rounds
+    const { features, labels } = pipeline.prepareSamples(prices, { pools });
+    if (newRounds === 0 || features.length === 0) {
+        logger.info(`No new rounds since epoch ${current.metadata.lastEpoch}, model version ${current.metadata.version} is up to date.`);
+        current.model.dispose();
+        return null;
+    }
+
+    logger.info(`Fine-tuning model version ${current.metadata.version} on ${features.length} new rounds...`);
+    await current.model.fineTune(features, labels, config.modelFineTuneEpochs);
+    const metadata = await saveModel(current.model, {
+        kind: 'fineTune',
+        parentVersion: current.metadata.version,
+        firstEpoch: current.metadata.firstEpoch,
+        lastEpoch,
+        samples: current.metadata.samples + features.length,
+        epochs: config.modelFineTuneEpochs
+    });
+    return { model: current.model, metadata };
+}
+
+/**
+ * Loads the current model, training one from the history the first time.
+ * @returns {Promise<Object|null>}
+ */
+async function loadOrTrain() {
+    const current = await loadModel();
+    if (current) return current.model;
+
+    logger.warn('No saved model found, training one on historicalData.db.');
+    const trained = await trainFromHistory();
+    return trained ? trained.model : null;
+}
+
+/**
+ * Ingests the rounds that ended since the last run, then fine-tunes or retrains the model as configured.
+ * @returns {Promise<Object|null>} { model, metadata } of the new version, null if nothing changed.
+ */
+async function retrain() {
+    // Loaded here so the historical database is only opened when retraining
+    const { ingest } = require('./ingest');
+    try {
+        await ingest();
+    } catch (error) {
+        logger.error(`Error ingesting new rounds before retraining, using the stored history: ${error}`);
+    }
+
+    if (config.modelRetrainMode === 'fineTune' && getCurrentVersion()) {
+        return fineTuneCurrent();
+    }
+    return trainFromHistory();
+}
+
+/**
+ * Retrains the model on the MODEL_RETRAIN_SCHEDULE cron expression.
+ * @param {Function} onModel - Called with { model, metadata } of each new version.
+ * @returns {Object|null} The node-cron task, null when the schedule is disabled.
+ */
+function scheduleRetraining(onModel) {
+    if (!config.modelRetrainSchedule) return null;
+    if (!cron.validate(config.modelRetrainSchedule)) {
+        logger.error(`Invalid MODEL_RETRAIN_SCHEDULE "${config.modelRetrainSchedule}", scheduled retraining is disabled.`);
+        return null;
+    }
+
+    let running = false;
+    logger.info(`Retraining the model (${config.modelRetrainMode}) on schedule "${config.modelRetrainSchedule}".`);
+    return cron.schedule(config.modelRetrainSchedule, async () => {
+        if (running) {
+            logger.warn('Previous retraining is still running, skipping this one.');
+            return;
+        }
+        running = true;
+        try {
+            const result = await retrain();
+            if (result) {
+                onModel(result);
+            }
+        } catch (error) {
+            logger.error(`Error retraining the model: ${error}`);
+        } finally {
+            running = false;
+        }
+    });
+}
+
+module.exports = { listModels, getCurrentVersion, loadModel, trainFromHistory, fineTuneCurrent, loadOrTrain, retrain, scheduleRetraining };
+
+if (require.main === module) {
+    const command = process.argv[2];
+    let task;
+    if (command === 'train') {
+        task = trainFromHistory();
+    } else if (command === 'finetune') {
+        task = fineTuneCurrent();
+    } else if (command === 'features') {
+        // Feature sets FEATURE_SETS can name, with their versions
+        listFeatureSets().forEach(({ name, description, versions, latest }) => {
+            logger.info(`${name.padEnd(10)} v${latest} (versions ${versions.join(', ')}): ${description}`);
+        });
+        task = Promise.resolve();
+    } else if (command === 'importance') {
+        // Feature importance of a saved tree model, most important first
+        task = loadModel(process.argv[3]).then((loaded) => {
+            if (!loaded || !loaded.model.getFeatureImportance) {
+                logger.warn('Feature importance needs a saved random forest or gradient boosting model.');
+            } else {
+                loaded.model.getFeatureImportance().forEach(({ feature, importance }) => {
+                    logger.info(`${feature.padEnd(12)} ${(importance * 100).toFixed(2)}%`);
+                });
+            }
+            return loaded;
+        });
+    } else {
+        const current = getCurrentVersion();
+        listModels().forEach(({ version, kind, model = {}, features, firstEpoch, lastEpoch, samples, createdAt }) => {
+            const oobError = model.oobError === undefined || model.oobError === null ? '' : `, OOB error ${(model.oobError * 100).toFixed(2)}%`;
+            // Versions saved before the feature pipeline were trained on raw@1
+            const featureSets = features ? `${features.featureSets.join('+')} ${features.normalization}` : 'raw@1 none';
+            logger.info(`${version === current ? '*' : ' '} ${version} [${model.type || 'neural'} ${kind}] features ${featureSets}, epochs ${firstEpoch}-${lastEpoch}, ${samples} samples${oobError}, created ${createdAt}`);
+        });
+        task = Promise.resolve();
+    }
+
+    task
+        .then(result => result && result.model.dispose())
+        .catch(error => logger.error(`Error in modelManager.js: ${error}`));
+}
@@ -0,0 +1,120 @@
+// modelRegistry.js
+// Models the strategy can predict with, picked by name (MODEL_TYPE, or the modelType option of the backtest).
+// Every model implements the same interface:
+//   train(features, labels, epochs)     Fits the model, epochs is used by the models trained by gradient descent
+//   fineTune(features, labels, epochs)  Continues training on new samples
+//   predict(features)                   Probability that the price goes up for features[0]
+//   describe()                          { type, ... } summary stored in the model version's metadata
+//   save(directory), static load(directory), dispose()
+// Each model also carries the featurePipeline its samples are built with. It is created here, fitted by
+// trainModel() and saved next to the model by savePredictor(), as is the calibrator trainModel() fits. Models built on tfjs-node are only loaded
+// when they are used.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { FeaturePipeline } = require('./featureEngineering');
+const { Calibrator } = require('./calibration');
+
+const MODEL_TYPES = {
+    forest: {
+        description: 'Random forest of CART trees',
+        getClass: () => require('./randomForests').RandomForestPredictor,
+        create: RandomForestPredictor => new RandomForestPredictor(config.forestTrees, config.forestMaxDepth, {
+            minSamplesLeaf: config.forestMinSamplesLeaf,
+            maxFeatures: config.forestMaxFeatures
+        })
+    },
+    boosting: {
+        description: 'Gradient-boosted regression trees on the log loss',
+        getClass: () => require('./gradientBoosting').GradientBoostingPredictor,
+        create: GradientBoostingPredictor => new GradientBoostingPredictor({
+            nEstimators: config.boostingTrees,
+            maxDepth: config.boostingMaxDepth,
+            learningRate: config.boostingLearningRate
+        })
+    },
+    logistic: {
+        description: 'Logistic regression on standardized features',
+        getClass: () => require('./logisticRegression').LogisticRegressionPredictor,
+        create: LogisticRegressionPredictor => new LogisticRegressionPredictor()
+    },
+    neural: {
+        description: 'Ensemble of tfjs-node dense networks',
+        getClass: () => require('./neuralEnsemble').NeuralEnsemblePredictor,
+        create: NeuralEnsemblePredictor => new NeuralEnsemblePredictor()
+    },
+    lstm: {
+        description: 'tfjs-node LSTM over the price window',
+        // The sequence is the price window, whatever FEATURE_SETS is
+        featureSets: ['raw'],
+        getClass: () => require('./lstmPredictor').LstmPredictor,
+        create: LstmPredictor => new LstmPredictor()
+    }
+};
+
+/**
+ * Looks up a model type.
+ * @param {string} type - Model name.
+ * @returns {Object} Registry entry.
+ */
+function getModelType(type) {
+    const entry = MODEL_TYPES[type];
+    if (!entry) {
+        throw new Error(`Unknown model type "${type}", expected one of ${Object.keys(MODEL_TYPES).join(', ')}.`);
+    }
+    return entry;
+}
+
+/**
+ * Creates an untrained model, configured from config, with an unfitted feature pipeline.
+ * @param {string} type - Model name, defaults to MODEL_TYPE.
+ * @returns {Object} Model implementing the interface above.
+ */
+function createPredictor(type = config.modelType) {
+    const entry = getModelType(type);
+    const model = entry.create(entry.getClass());
+    model.featurePipeline = new FeaturePipeline({ featureSets: entry.featureSets });
+    return model;
+}
+
+/**
+ * Saves a model with its feature pipeline and calibrator.
+ * @param {Object} model - Trained model.
+ * @param {string} directory - Directory to save to.
+ * @returns {Promise<void>}
+ */
+async function savePredictor(model, directory) {
+    await model.save(directory);
+    model.featurePipeline.save(directory);
+    if (model.calibrator) {
+        model.calibrator.save(directory);
+    }
+}
+
+/**
+ * Loads a model saved with savePredictor(), whichever its type.
+ * @param {string} directory - Directory it was saved to.
+ * @returns {Promise<Object>} Model implementing the interface above.
+ */
+async function loadPredictor(directory) {
+    const file = path.join(directory, 'predictor.json');
+    if (!fs.existsSync(file)) {
+        throw new Error(`${directory} has no predictor.json, it was saved by an older version. Train a new model.`);
+    }
+    const { type } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const model = await getModelType(type).getClass().load(directory);
+    model.featurePipeline = FeaturePipeline.load(directory);
+    model.calibrator = Calibrator.load(directory);
+    return model;
+}
+
+/**
+ * Lists the registered models.
+ * @returns {Array<Object>} { type, description }.
+ */
+function listModelTypes() {
+    return Object.entries(MODEL_TYPES).map(([type, { description }]) => ({ type, description }));
+}
+
+module.exports = { MODEL_TYPES, createPredictor, savePredictor, loadPredictor, listModelTypes };
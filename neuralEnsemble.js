@@ -0,0 +1,103 @@
+// neuralEnsemble.js
+// Ensemble of small dense networks, each trained on the full feature set with tfjs-node. Its predicted
+// up probability is the average of the networks' outputs. Selected with MODEL_TYPE=neural.
+
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+
+class NeuralEnsemblePredictor {
+    constructor(nEstimators = 100, maxDepth = 5) {
+        this.nEstimators = nEstimators;
+        this.maxDepth = maxDepth;
+        this.models = [];
+    }
+
+    async train(features, labels, epochs = 10) {
+        for (let i = 0; i < this.nEstimators; i++) {
+            const model = tf.sequential();
+            model.add(tf.layers.dense({ units: 64, activation: 'relu', inputShape: [features[0].length] }));
+            model.add(tf.layers.dense({ units: 32, activation: 'relu' }));
+            model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+            
+            model.compile({ optimizer: 'adam', loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+            
+            const xs = tf.tensor2d(features);
+            const ys = tf.tensor2d(labels, [labels.length, 1]);
+            
+            await model.fit(xs, ys, { epochs, verbose: 0 });
+            
+            this.models.push(model);
+            
+            xs.dispose();
+            ys.dispose();
+        }
+    }
+
+    // Continues training the existing networks on new samples
+    async fineTune(features, labels, epochs = 3) {
+        const xs = tf.tensor2d(features);
+        const ys = tf.tensor2d(labels, [labels.length, 1]);
+        for (const model of this.models) {
+            await model.fit(xs, ys, { epochs, verbose: 0 });
+        }
+        xs.dispose();
+        ys.dispose();
+    }
+
+    // Saves every network to its own subdirectory with model.save
+    async save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        for (const [i, model] of this.models.entries()) {
+            await model.save(`file://${path.join(directory, `estimator-${i}`)}`);
+        }
+        fs.writeFileSync(path.join(directory, 'predictor.json'), JSON.stringify({
+            type: 'neural',
+            nEstimators: this.models.length,
+            maxDepth: this.maxDepth
+        }, null, 2));
+    }
+
+    static async load(directory) {
+        const { nEstimators, maxDepth } = JSON.parse(fs.readFileSync(path.join(directory, 'predictor.json'), 'utf8'));
+        const forest = new NeuralEnsemblePredictor(nEstimators, maxDepth);
+        for (let i = 0; i < nEstimators; i++) {
+            const model = await tf.loadLayersModel(`file://${path.join(directory, `estimator-${i}`, 'model.json')}`);
+            // Loaded models are not compiled, which fineTune needs
+            model.compile({ optimizer: 'adam', loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+            forest.models.push(model);
+        }
+        return forest;
+    }
+
+    async predict(features) {
+        const predictions = await Promise.all(this.models.map(model => {
+            const xs = tf.tensor2d(features, [features.length, features[0].length]);
+            const prediction = model.predict(xs);
+            xs.dispose();
+            return prediction;
+        }));
+        
+        const avgPrediction = tf.tidy(() => {
+            const stacked = tf.stack(predictions);
+            return stacked.mean(0);
+        });
+        
+        const result = await avgPrediction.array();
+        avgPrediction.dispose();
+        predictions.forEach(p => p.dispose());
+        
+        return result[0][0];
+    }
+
+    describe() {
+        return { type: 'neural', nEstimators: this.models.length };
+    }
+
+    dispose() {
+        this.models.forEach(model => model.dispose());
+        this.models = [];
+    }
+}
+
+module.exports = { NeuralEnsemblePredictor };
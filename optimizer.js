@@ -0,0 +1,487 @@
+// optimizer.js
+// Searches the strategy thresholds and indicator periods with walk-forward backtests.
+// The rounds are split in time: candidates are backtested and ranked on the search segment, and the best of
+// them are backtested again on the later validation segment they never saw. The leaderboard is ranked by
+// validation score, so parameters that only fit the search segment fall down the table.
+// Usage: node optimizer.js <searchSpace.json> [--method grid|random|adaptive] [--samples 50]
+//   [--objective profit|sharpe|drawdown] [--max-drawdown 0.2] [--min-bets 30] [--validation 0.3]
+//   [--top 10] [--start <epoch>] [--end <epoch>]
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config');
+const logger = require('./logger');
+const { runWalkForward, finalPools } = require('./backtestEngine');
+const { DEFAULT_STRATEGY_PARAMETERS } = require('./prediction');
+const { buildReport } = require('./backtestReport');
+
+const REPORTS_DIR = path.resolve(__dirname, 'reports');
+
+const OBJECTIVES = {
+    profit: metrics => metrics.profit,
+    sharpe: metrics => (metrics.sharpe === null ? -Infinity : metrics.sharpe),
+    // Profit of the candidates whose drawdown stays within --max-drawdown
+    drawdown: (metrics, { maxDrawdown }) => (metrics.maxDrawdown <= maxDrawdown ? metrics.profit : -Infinity)
+};
+
+/**
+ * Lists the values a parameter can take.
+ * @param {Array<number>|Object} spec - List of values, or { min, max, step }.
+ * @returns {Array<number>}
+ */
+function getParameterValues(spec) {
+    if (Array.isArray(spec)) return spec;
+
+    const values = [];
+    const steps = Math.round((spec.max - spec.min) / spec.step);
+    for (let i = 0; i <= steps; i++) {
+        values.push(Number((spec.min + i * spec.step).toFixed(10)));
+    }
+    return values;
+}
+
+/**
+ * Every combination of the parameter values.
+ * @param {Object} space - Search space, parameter name to spec.
+ * @returns {Array<Object>} Candidate parameters.
+ */
+function generateGrid(space) {
+    return Object.entries(space).reduce((candidates, [name, spec]) => candidates.flatMap(candidate =>
+        getParameterValues(spec).map(value => ({ ...candidate, [name]: value }))), [{}]);
+}
+
+/**
+ * Picks a random candidate from the search space.
+ * @param {Object} space - Search space, parameter name to spec.
+ * @returns {Object} Candidate parameters.
+ */
+function sampleCandidate(space) {
+    return Object.fromEntries(Object.entries(space).map(([name, spec]) => {
+        const values = getParameterValues(spec);
+        return [name, values[Math.floor(Math.random() * values.length)]];
+    }));
+}
+
+/**
+ * Samples a candidate near the best candidates so far. Each parameter is drawn from a normal distribution
+ * fitted to its values among the elite, and snapped to the nearest value in the search space.
+ * @param {Object} space - Search space, parameter name to spec.
+ * @param {Array<Object>} elite - Parameters of the best candidates.
+ * @returns {Object} Candidate parameters.
+ */
+function sampleNearElite(space, elite) {
+    return Object.fromEntries(Object.entries(space).map(([name, spec]) => {
+        const values = getParameterValues(spec);
+        const eliteValues = elite.map(parameters => parameters[name]);
+        const mean = eliteValues.reduce((total, value) => total + value, 0) / eliteValues.length;
+        const std = Math.sqrt(eliteValues.reduce((total, value) => total + (value - mean) ** 2, 0) / eliteValues.length);
+        // Keep some spread so the search does not collapse onto a single value
+        const spread = Math.max(std, (values[values.length - 1] - values[0]) / (2 * values.length));
+
+        // Box-Muller transform for a standard normal sample
+        const normal = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+        const target = mean + normal * spread;
+        const nearest = values.reduce((best, value) => (Math.abs(value - target) < Math.abs(best - target) ? value : best));
+        return [name, nearest];
+    }));
+}
+
+/**
+ * Rejects combinations the strategy cannot use, e.g. a bull threshold below the bear threshold.
+ * @param {Object} parameters - Candidate parameters merged over the defaults.
+ * @returns {boolean}
+ */
+function isValidCandidate(parameters) {
+    const ordered = [
+        ['bearConfidence', 'bullConfidence'],
+        ['minConfidence', 'maxConfidence'],
+        ['rsiOversold', 'rsiOverbought'],
+        ['macdFastPeriod', 'macdSlowPeriod']
+    ];
+    return ordered.every(([low, high]) => !(parameters[low] >= parameters[high]));
+}
+
+/**
+ * Backtest metrics used to rank candidates.
+ * @param {Array<Object>} bets - Bets from runWalkForward().
+ * @returns {Object} { bets, winRate, profit, roi, maxDrawdown, sharpe, profitFactor }
+ */
+function getMetrics(bets) {
+    const { summary, risk } = buildReport(bets, { startingBankroll: config.paperBankroll });
+    return {
+        bets: summary.bets,
+        winRate: summary.winRate,
+        profit: summary.profit,
+        roi: summary.roi,
+        maxDrawdown: risk.maxDrawdown.value,
+        sharpe: risk.sharpePerRound,
+        profitFactor: risk.profitFactor
+    };
+}
+
+/**
+ * Scores a candidate with the chosen objective. Candidates with too few bets score -Infinity.
+ * @param {Object} metrics - From getMetrics().
+ * @param {Object} options - { objective, maxDrawdown, minBets }.
+ * @returns {number}
+ */
+function scoreMetrics(metrics, { objective, maxDrawdown, minBets }) {
+    if (metrics.bets < minBets) return -Infinity;
+    return OBJECTIVES[objective](metrics, { maxDrawdown });
+}
+
+/**
+ * Splits the rounds into a search segment and a later validation segment. The validation segment starts
+ * trainSize rounds early, so its first model has rounds to train on, but only bets after the split.
+ * @param {Array<Object>} rounds - Rounds sorted by epoch.
+ * @param {number} validationShare - Share of the rounds bet on during validation.
+ * @param {number} trainSize - Rounds each walk-forward model is trained on.
+ * @returns {Object} { search, validation } rounds.
+ */
+function splitRounds(rounds, validationShare, trainSize) {
+    const splitIndex = Math.floor(rounds.length * (1 - validationShare));
+    if (splitIndex <= trainSize || rounds.length - splitIndex < 1) {
+        throw new Error(`${rounds.length} rounds are not enough for ${trainSize} training rounds and a ${validationShare} validation share.`);
+    }
+    return {
+        search: rounds.slice(0, splitIndex),
+        validation: rounds.slice(splitIndex - trainSize)
+    };
+}
+
+/**
+ * Starts worker threads that backtest candidates, each one keeping its own trained models.
+ * A worker that crashes fails the pool: its task, the queued tasks and every later one are rejected.
+ * @param {number} size - Number of workers.
+ * @param {Object} segments - { search, validation } rounds.
+ * @param {string} [workerFile] - Script the workers run, this file by default.
+ * @returns {Object} { run(parameters, segment) => Promise<metrics>, close() }
+ */
+function createWorkerPool(size, segments, workerFile = __filename) {
+    const queue = [];
+    const idle = [];
+    const pending = new Map();
+    let nextId = 0;
+    let failure = null;
+    let closing = false;
+    const crashed = new Set();
+
+    // Rejects the crashed worker's task and the queued ones, later tasks are rejected by run()
+    const fail = (worker, message) => {
+        if (crashed.has(worker)) return;
+        crashed.add(worker);
+        logger.error(message);
+        failure = failure || new Error(message);
+        if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+        for (const [id, task] of pending) {
+            if (task.worker === worker) {
+                pending.delete(id);
+                task.reject(failure);
+            }
+        }
+        for (const task of queue.splice(0)) {
+            task.reject(failure);
+        }
+    };
+
+    const dispatch = () => {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            const task = queue.shift();
+            pending.set(task.id, { ...task, worker });
+            worker.postMessage({ id: task.id, parameters: task.parameters, segment: task.segment });
+        }
+    };
+
+    const workers = Array.from({ length: size }, () => {
+        const worker = new Worker(workerFile, { workerData: { segments } });
+        worker.on('message', ({ id, metrics, error }) => {
+            const task = pending.get(id);
+            pending.delete(id);
+            idle.push(worker);
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(metrics);
+            }
+            dispatch();
+        });
+        worker.on('error', (error) => fail(worker, `Optimizer worker failed: ${error.message}`));
+        // A worker killed without an error event, by process.exit() or a crash in native code
+        worker.on('exit', (code) => {
+            if (!closing) fail(worker, `Optimizer worker exited with code ${code}`);
+        });
+        idle.push(worker);
+        return worker;
+    });
+
+    return {
+        run(parameters, segment) {
+            return new Promise((resolve, reject) => {
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                queue.push({ id: nextId++, parameters, segment, resolve, reject });
+                dispatch();
+            });
+        },
+        close() {
+            closing = true;
+            return Promise.all(workers.map(worker => worker.terminate()));
+        }
+    };
+}
+
+/**
+ * Backtests candidates on a segment in parallel and scores them.
+ * @param {Object} pool - From createWorkerPool().
+ * @param {Array<Object>} candidates - Candidate parameters.
+ * @param {string} segment - 'search' or 'validation'.
+ * @param {Object} options - Ranking options, see scoreMetrics().
+ * @returns {Promise<Array<Object>>} { parameters, metrics, score } in candidate order.
+ */
+async function evaluateCandidates(pool, candidates, segment, options) {
+    return Promise.all(candidates.map(async (parameters) => {
+        const metrics = await pool.run(parameters, segment);
+        return { parameters, metrics, score: scoreMetrics(metrics, options) };
+    }));
+}
+
+/**
+ * Evaluates the search space on the search segment with the chosen method.
+ * @param {Object} pool - From createWorkerPool().
+ * @param {Object} space - Search space.
+ * @param {Object} options - { method, samples, batchSize } plus the ranking options.
+ * @returns {Promise<Array<Object>>} Results sorted by score, best first.
+ */
+async function search(pool, space, options) {
+    const seen = new Set();
+    const results = [];
+
+    // Keeps new, valid candidates only
+    const accept = (candidates) => candidates.filter((parameters) => {
+        const key = JSON.stringify(parameters);
+        if (seen.has(key) || !isValidCandidate({ ...DEFAULT_STRATEGY_PARAMETERS, ...parameters })) return false;
+        seen.add(key);
+        return true;
+    });
+
+    const evaluate = async (candidates) => {
+        if (candidates.length === 0 && results.length === 0) {
+            throw new Error('No valid candidates in the search space: every candidate puts bearConfidence, minConfidence, rsiOversold or macdFastPeriod at or above its upper counterpart.');
+        }
+        const evaluated = await evaluateCandidates(pool, candidates, 'search', options);
+        results.push(...evaluated);
+        results.sort((a, b) => b.score - a.score);
+        logger.info(`Evaluated ${results.length} candidates, best ${options.objective} score so far: ${results[0].score}`);
+    };
+
+    if (options.method === 'grid') {
+        const candidates = accept(generateGrid(space));
+        logger.info(`Grid search over ${candidates.length} candidates.`);
+        await evaluate(candidates);
+        return results;
+    }
+
+    // Random search draws every sample at random. The adaptive search draws the first half at random and
+    // the rest in batches around the best candidates found so far.
+    const randomSamples = options.method === 'adaptive' ? Math.ceil(options.samples / 2) : options.samples;
+    const maxAttempts = options.samples * 20;
+    let attempts = 0;
+    const draw = (count, sample) => {
+        const candidates = [];
+        while (candidates.length < count && attempts++ < maxAttempts) {
+            candidates.push(...accept([sample()]));
+        }
+        return candidates;
+    };
+
+    await evaluate(draw(randomSamples, () => sampleCandidate(space)));
+    while (results.length < options.samples && attempts < maxAttempts) {
+        const elite = results.slice(0, Math.max(2, Math.ceil(results.length * 0.2))).map(result => result.parameters);
+        const batch = draw(Math.min(options.batchSize, options.samples - results.length), () => sampleNearElite(space, elite));
+        if (batch.length === 0) break;
+        await evaluate(batch);
+    }
+    return results;
+}
+
+/**
+ * Backtests the best candidates of the search segment again on the validation segment and ranks them by
+ * their validation score.
+ * @param {Object} pool - From createWorkerPool().
+ * @param {Array<Object>} results - Results of search(), best first.
+ * @param {Object} options - { top } plus the ranking options.
+ * @returns {Promise<Array<Object>>} Leaderboard entries { rank, parameters, searchScore, validationScore, search, validation }.
+ */
+async function validateFinalists(pool, results, options) {
+    // Only the best candidates on the search segment are validated
+    const finalists = results.filter(result => Number.isFinite(result.score)).slice(0, options.top);
+    const validated = await evaluateCandidates(pool, finalists.map(result => result.parameters), 'validation', options);
+    return finalists
+        .map((result, i) => ({ parameters: result.parameters, search: result, validation: validated[i] }))
+        .sort((a, b) => b.validation.score - a.validation.score)
+        .map(({ parameters, search: searchResult, validation }, i) => ({
+            rank: i + 1,
+            parameters,
+            searchScore: searchResult.score,
+            validationScore: validation.score,
+            search: searchResult.metrics,
+            validation: validation.metrics
+        }));
+}
+
+/**
+ * Formats a metric for the leaderboard table.
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round(value) {
+    return value === null || !Number.isFinite(value) ? value : Number(value.toFixed(4));
+}
+
+/**
+ * Runs the optimizer and writes the leaderboard to the reports directory.
+ * @param {Object} options - Parsed command line options.
+ * @returns {Promise<Object>} The leaderboard file contents.
+ */
+async function optimize(options) {
+    // Required here so the workers do not open the databases backtestSimulator.js depends on
+    const { loadRounds } = require('./backtestSimulator');
+    const space = JSON.parse(fs.readFileSync(options.searchSpace, 'utf8'));
+    if (!OBJECTIVES[options.objective]) {
+        throw new Error(`Unknown objective "${options.objective}", expected one of ${Object.keys(OBJECTIVES).join(', ')}.`);
+    }
+    if (!['grid', 'random', 'adaptive'].includes(options.method)) {
+        throw new Error(`Unknown search method "${options.method}", expected grid, random or adaptive.`);
+    }
+
+    const rounds = await loadRounds(options.start || undefined, options.end || undefined);
+    const segments = splitRounds(rounds, options.validation, config.backtestTrainRounds);
+    const searchEpochs = [segments.search[config.backtestTrainRounds].epoch, segments.search[segments.search.length - 1].epoch];
+    const validationEpochs = [segments.validation[config.backtestTrainRounds].epoch, segments.validation[segments.validation.length - 1].epoch];
+    logger.info(`Searching on epochs ${searchEpochs.join('-')}, validating on epochs ${validationEpochs.join('-')}.`);
+
+    const workers = config.optimizerWorkers || Math.max(1, os.cpus().length - 1);
+    const pool = createWorkerPool(workers, segments);
+    try {
+        const results = await search(pool, space, { ...options, batchSize: Math.max(4, workers * 2) });
+        const leaderboard = await validateFinalists(pool, results, options);
+
+        const output = {
+            generatedAt: new Date().toISOString(),
+            method: options.method,
+            objective: options.objective,
+            maxDrawdown: options.maxDrawdown,
+            minBets: options.minBets,
+            searchEpochs,
+            validationEpochs,
+            searchSpace: space,
+            leaderboard,
+            results: results.map(({ parameters, metrics, score }) => ({ parameters, metrics, score }))
+        };
+
+        fs.mkdirSync(REPORTS_DIR, { recursive: true });
+        const outputPath = path.join(REPORTS_DIR, `optimizer-${output.generatedAt.replace(/[:.]/g, '-')}.json`);
+        fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+
+        console.table(leaderboard.map(entry => ({
+            rank: entry.rank,
+            ...entry.parameters,
+            searchScore: round(entry.searchScore),
+            validationScore: round(entry.validationScore),
+            validationBets: entry.validation.bets,
+            validationWinRate: round(entry.validation.winRate),
+            validationDrawdown: round(entry.validation.maxDrawdown)
+        })));
+        if (leaderboard.length > 0) {
+            logger.info(`Best parameters on validation: ${JSON.stringify(leaderboard[0].parameters)}`);
+        } else {
+            logger.warn(`No candidate placed at least ${options.minBets} bets within the objective's limits.`);
+        }
+        logger.info(`Leaderboard written to ${outputPath}`);
+        return output;
+    } finally {
+        await pool.close();
+    }
+}
+
+/**
+ * Worker thread: backtests the candidates sent by the main thread. Models only depend on the training
+ * rounds, so each segment's models are trained once and shared by every candidate.
+ */
+function runWorker() {
+    // Every prediction is logged at info level, which would flood the log
+    logger.level = 'warn';
+    const modelCaches = { search: new Map(), validation: new Map() };
+
+    parentPort.on('message', async ({ id, parameters, segment }) => {
+        try {
+            const { bets } = await runWalkForward(workerData.segments[segment], {
+                trainSize: config.backtestTrainRounds,
+                testSize: config.backtestTestRounds,
+                startingBankroll: config.paperBankroll,
+                minBet: Number(config.betMin || 0),
+                poolsAtBet: round => round.betTimePools || finalPools(round),
+                parameters,
+                modelCache: modelCaches[segment]
+            });
+            parentPort.postMessage({ id, metrics: getMetrics(bets) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+if (!isMainThread) {
+    runWorker();
+} else if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            method: { type: 'string', default: 'random' },
+            samples: { type: 'string', default: '50' },
+            objective: { type: 'string', default: 'sharpe' },
+            'max-drawdown': { type: 'string', default: '0.2' },
+            'min-bets': { type: 'string', default: '30' },
+            validation: { type: 'string', default: '0.3' },
+            top: { type: 'string', default: '10' },
+            start: { type: 'string' },
+            end: { type: 'string' }
+        }
+    });
+
+    if (positionals.length === 0) {
+        logger.error('Usage: node optimizer.js <searchSpace.json> [--method grid|random|adaptive] [--samples 50] [--objective profit|sharpe|drawdown]');
+        process.exitCode = 1;
+    } else {
+        optimize({
+            searchSpace: positionals[0],
+            method: values.method,
+            samples: Number(values.samples),
+            objective: values.objective,
+            maxDrawdown: Number(values['max-drawdown']),
+            minBets: Number(values['min-bets']),
+            validation: Number(values.validation),
+            top: Number(values.top),
+            start: Number(values.start),
+            end: Number(values.end)
+        }).catch(error => logger.error(`Error in optimizer.js: ${error.message}`));
+    }
+}
+
+module.exports = {
+    generateGrid,
+    sampleCandidate,
+    sampleNearElite,
+    scoreMetrics,
+    splitRounds,
+    createWorkerPool,
+    search,
+    validateFinalists,
+    optimize
+};
@@ -0,0 +1,160 @@
+// paperWallet.js
+// Simulated wallet for paper trading. Every stake, payout and estimated gas cost is written to a
+// ledger in profitability.db, so the balance carries over between runs and can be charted like a live wallet.
+
+const sqlite3 = require('sqlite3').verbose();
+const config = require('./config');
+const logger = require('./logger');
+
+const dbPath = config.profitabilityDbPath;
+const db = new sqlite3.Database(dbPath);
+
+db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS paper_wallet (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT,
+        epoch INTEGER,
+        amount REAL,
+        balance REAL,
+        createdAt INTEGER
+    )`);
+});
+
+/**
+ * Runs a query that returns a single row.
+ * @param {string} sql - SQL statement.
+ * @param {Array} params - Statement parameters.
+ * @returns {Promise<Object>} Row, undefined if none.
+ */
+function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+/**
+ * Appends an entry to the ledger.
+ * @param {string} type - 'deposit', 'bet', 'payout' or 'gas'.
+ * @param {number|null} epoch - Epoch the entry belongs to.
+ * @param {number} amount - Signed change in BNB.
+ * @param {number} balance - Balance after the entry.
+ * @returns {Promise<void>}
+ */
+function addEntry(type, epoch, amount, balance) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            'INSERT INTO paper_wallet (type, epoch, amount, balance, createdAt) VALUES (?, ?, ?, ?, ?)',
+            [type, epoch, amount, balance, Date.now()],
+            (err) => {
+                if (err) {
+                    logger.error(`Error writing paper wallet entry: ${err.message}`);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+// Bets and claims can overlap, so wallet updates run one at a time
+let queue = Promise.resolve();
+
+/**
+ * Runs a wallet operation after the ones already queued.
+ * @param {Function} operation - Async function to run.
+ * @returns {Promise<*>} Result of the operation.
+ */
+function serialize(operation) {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Reads the balance from the ledger, funding the wallet with PAPER_BANKROLL on first use.
+ * @returns {Promise<number>} Balance in BNB.
+ */
+async function readBalance() {
+    const row = await get('SELECT balance FROM paper_wallet ORDER BY id DESC LIMIT 1');
+    if (row) return row.balance;
+
+    await addEntry('deposit', null, config.paperBankroll, config.paperBankroll);
+    logger.info(`[PAPER] Funded paper wallet with ${config.paperBankroll} BNB.`);
+    return config.paperBankroll;
+}
+
+/**
+ * Gets the paper balance.
+ * @returns {Promise<number>} Balance in BNB.
+ */
+function getBalance() {
+    return serialize(readBalance);
+}
+
+/**
+ * Debits a stake and the estimated gas of the bet transaction.
+ * @param {number} epoch - Epoch bet on.
+ * @param {number} amount - Stake in BNB.
+ * @returns {Promise<boolean>} false if the balance cannot cover the stake and gas.
+ */
+function placeBet(epoch, amount) {
+    return serialize(() => debitBet(epoch, amount));
+}
+
+async function debitBet(epoch, amount) {
+    let balance = await readBalance();
+    if (balance < amount + config.paperGasPerBet) {
+        logger.warn(`[PAPER] Balance of ${balance.toFixed(4)} BNB cannot cover a ${amount.toFixed(4)} BNB bet plus gas.`);
+        return false;
+    }
+
+    balance -= amount;
+    await addEntry('bet', epoch, -amount, balance);
+    balance -= config.paperGasPerBet;
+    await addEntry('gas', epoch, -config.paperGasPerBet, balance);
+    return true;
+}
+
+/**
+ * Credits the payout of a won or refunded bet, less the estimated gas of the claim transaction.
+ * @param {number} epoch - Epoch claimed.
+ * @param {number} payout - Payout in BNB.
+ * @returns {Promise<number>} Balance after the claim in BNB.
+ */
+function claim(epoch, payout) {
+    return serialize(() => creditClaim(epoch, payout));
+}
+
+async function creditClaim(epoch, payout) {
+    let balance = await readBalance();
+    if (!(payout > 0)) return balance;
+
+    balance += payout;
+    await addEntry('payout', epoch, payout, balance);
+    balance -= config.paperGasPerClaim;
+    await addEntry('gas', epoch, -config.paperGasPerClaim, balance);
+    logger.info(`[PAPER] Claimed ${payout.toFixed(4)} BNB for epoch ${epoch}. Balance: ${balance.toFixed(4)} BNB`);
+    return balance;
+}
+
+/**
+ * Gets the balance after every ledger entry.
+ * @param {number} [from] - Only entries written at or after this time (ms).
+ * @param {number} [to] - Only entries written at or before this time (ms).
+ * @returns {Promise<Array<Object>>} Points { timestamp (ms), balance }, oldest first.
+ */
+function getEquityCurve(from = 0, to = Number.MAX_SAFE_INTEGER) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT createdAt as timestamp, balance FROM paper_wallet WHERE createdAt BETWEEN ? AND ? ORDER BY id', [from, to], (err, rows) => {
+            if (err) {
+                logger.error(`Error getting paper equity curve: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+module.exports = { getBalance, placeBet, claim, getEquityCurve };
@@ -2,6 +2,7 @@ import React from 'react';
 import Header from './components/Header';
 import LivePrediction from './components/LivePrediction';
 import StrategyConfig from './components/StrategyConfig';
+import BotRiskStatus from './components/BotRiskStatus';
 
 function App() {
   return (
@@ -13,6 +14,7 @@ function App() {
             <LivePrediction />
           </div>
           <div className="space-y-6">
+            <BotRiskStatus />
             <StrategyConfig />
           </div>
         </div>
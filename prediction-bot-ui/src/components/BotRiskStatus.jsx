@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheckIcon, ShieldExclamationIcon } from '@heroicons/react/24/outline';
+
+export const RISK_BREAKER_LABELS = {
+  dailyLoss: 'daily loss',
+  drawdown: 'drawdown',
+  consecutiveLosses: 'consecutive losses'
+};
+
+// The Node bot writes its breaker state here, see RISK_STATUS_FILE in .env.example
+const RISK_STATUS_URL = `${process.env.PUBLIC_URL}/riskStatus.json`;
+const POLL_INTERVAL_MS = 30000;
+
+// Breaker state of the Node bot, which keeps its own limits and history apart from this interface's
+const BotRiskStatus = () => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      try {
+        const response = await fetch(RISK_STATUS_URL, { cache: 'no-store' });
+        setStatus(response.ok ? await response.json() : null);
+      } catch (error) {
+        setStatus(null);
+      }
+    };
+
+    loadStatus();
+    const interval = setInterval(loadStatus, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          {status?.paused
+            ? <ShieldExclamationIcon className="h-5 w-5 text-red-400" />
+            : <ShieldCheckIcon className="h-5 w-5 text-gray-400" />}
+          <h2 className="text-xl font-bold">Node Bot Risk</h2>
+        </div>
+        {status && <span className="text-sm text-gray-400 capitalize">{status.mode}</span>}
+      </div>
+
+      {!status && (
+        <div className="text-sm text-gray-400">
+          No risk status from the Node bot yet. It writes one before each bet.
+        </div>
+      )}
+
+      {status && !status.paused && (
+        <div className="text-sm text-green-400">Betting allowed, no breaker tripped.</div>
+      )}
+
+      {status?.paused && (
+        <div className="space-y-1 text-sm">
+          <div className="text-red-400">
+            Betting paused by {RISK_BREAKER_LABELS[status.breaker] || status.breaker} breaker: {status.reason}
+          </div>
+          <div className="text-gray-400">
+            {status.resumeAt
+              ? `Resumes at ${formatTime(status.resumeAt)}`
+              : 'Resumes manually with node resumeBetting.js'}
+          </div>
+        </div>
+      )}
+
+      {status && (
+        <div className="mt-2 text-xs text-gray-500">Checked {formatTime(status.updatedAt)}</div>
+      )}
+    </div>
+  );
+};
+
+export default BotRiskStatus;
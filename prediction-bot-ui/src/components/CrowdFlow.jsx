@@ -0,0 +1,105 @@
+import React from 'react';
+import {
+  ScaleIcon,
+  ArrowTrendingUpIcon,
+  SparklesIcon,
+  ClockIcon,
+  UserGroupIcon
+} from '@heroicons/react/24/outline';
+
+// Gauges of how the current round's pools are filling up, from the Bet events seen since the page loaded
+const CrowdFlow = ({ crowd }) => {
+  if (!crowd?.flow) return null;
+  const { flow, favoriteWinRate, favoriteRounds } = crowd;
+
+  const getBarColor = (value) => (value > 0 ? 'bg-green-400' : 'bg-red-400');
+  const getBarWidth = (value) => `${Math.min(Math.abs(value), 1) * 100}%`;
+  const formatShare = (value) => `${(value * 100).toFixed(1)}%`;
+
+  // Imbalances run from -1 (all bear) to 1 (all bull)
+  const gauges = [
+    {
+      name: 'Pool Imbalance',
+      icon: ScaleIcon,
+      value: flow.imbalance,
+      description: `${flow.bullAmount.toFixed(3)} / ${flow.bearAmount.toFixed(3)} BNB`
+    },
+    {
+      name: 'Imbalance Trend',
+      icon: ArrowTrendingUpIcon,
+      value: flow.imbalanceChange,
+      description: 'Since halfway through the round'
+    },
+    {
+      name: 'Whale Bets',
+      icon: SparklesIcon,
+      value: flow.whaleImbalance,
+      description: `${flow.whaleBets} bets, ${formatShare(flow.whaleShare)} of the pool`
+    },
+    {
+      name: 'Late Flow',
+      icon: ClockIcon,
+      value: flow.lateImbalance,
+      description: `${flow.lateBets} bets, ${formatShare(flow.lateShare)} of the pool`
+    }
+  ];
+
+  return (
+    <div className="card mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">Crowd Flow #{crowd.epoch}</h2>
+        <div className="text-sm text-gray-400">
+          {flow.bets} bets ({flow.bullBets} up, {flow.bearBets} down)
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {gauges.map((gauge) => (
+          <div key={gauge.name} className="space-y-1">
+            <div className="flex items-center justify-between text-sm">
+              <div className="flex items-center space-x-2">
+                <gauge.icon className="h-5 w-5 text-gray-400" />
+                <span>{gauge.name}</span>
+              </div>
+              <span className="text-xs text-gray-400">{gauge.description}</span>
+            </div>
+
+            <div className="flex items-center">
+              <div className="w-1/2 flex justify-end">
+                {gauge.value < 0 && (
+                  <div
+                    className={`h-2 rounded-l ${getBarColor(gauge.value)}`}
+                    style={{ width: getBarWidth(gauge.value) }}
+                  />
+                )}
+              </div>
+              <div className="w-px h-4 bg-gray-600" />
+              <div className="w-1/2">
+                {gauge.value > 0 && (
+                  <div
+                    className={`h-2 rounded-r ${getBarColor(gauge.value)}`}
+                    style={{ width: getBarWidth(gauge.value) }}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-gray-700">
+        <div className="flex justify-between items-center">
+          <div className="flex items-center space-x-2 text-sm text-gray-400">
+            <UserGroupIcon className="h-5 w-5" />
+            <span>Favorite Win Rate</span>
+          </div>
+          <span className="text-sm text-gray-400">
+            {favoriteWinRate === null ? 'No ended rounds yet' : `${formatShare(favoriteWinRate)} of the last ${favoriteRounds} rounds`}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CrowdFlow;
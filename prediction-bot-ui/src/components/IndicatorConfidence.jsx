@@ -6,9 +6,12 @@ import {
   ChartPieIcon,
   ArrowPathIcon
 } from '@heroicons/react/24/outline';
+import { settingsStore } from '../utils/settingsStore';
 
 const IndicatorConfidence = ({ indicators }) => {
   if (!indicators) return null;
+  // The total is the strategy's confidence, which bets past the thresholds in the settings
+  const { bullConfidence, bearConfidence } = settingsStore.getSettings();
 
   const getConfidenceColor = (value) => {
     const absValue = Math.abs(value);
@@ -113,15 +116,15 @@ const IndicatorConfidence = ({ indicators }) => {
           <span className="text-sm text-gray-400">Total Confidence</span>
           <div className="flex items-center space-x-2">
             <div className={`px-2 py-1 rounded ${
-              indicators.totalConfidence > 0.2 ? 'bg-green-900/50 text-green-400' :
-              indicators.totalConfidence < -0.2 ? 'bg-red-900/50 text-red-400' :
+              indicators.totalConfidence > bullConfidence ? 'bg-green-900/50 text-green-400' :
+              indicators.totalConfidence < bearConfidence ? 'bg-red-900/50 text-red-400' :
               'bg-gray-800 text-gray-400'
             }`}>
-              {Math.abs(indicators.totalConfidence * 100).toFixed(1)}%
+              {Math.abs(indicators.totalConfidence).toFixed(2)}
             </div>
             <span className="text-sm text-gray-400">
-              {indicators.totalConfidence > 0.2 ? 'Bullish' :
-               indicators.totalConfidence < -0.2 ? 'Bearish' :
+              {indicators.totalConfidence > bullConfidence ? 'Bullish' :
+               indicators.totalConfidence < bearConfidence ? 'Bearish' :
                'Neutral'}
             </span>
           </div>
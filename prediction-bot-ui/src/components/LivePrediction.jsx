@@ -28,7 +28,10 @@ import { roundManager } from '../utils/roundUtils';
 import { calculateRSI, calculateBollingerBands } from '../utils/indicatorUtils';
 import RoundHistory from './RoundHistory';
 import IndicatorConfidence from './IndicatorConfidence';
+import CrowdFlow from './CrowdFlow';
 import PerformanceMetrics from './PerformanceMetrics';
+import ShadowComparison from './ShadowComparison';
+import { RISK_BREAKER_LABELS } from './BotRiskStatus';
 
 ChartJS.register(
   CategoryScale,
@@ -48,6 +51,15 @@ const TIME_RANGES = [
   { label: '1h', minutes: 60 }
 ];
 
+// Market regimes of prediction-shared's regime.js
+const REGIME_LABELS = {
+  trendingUp: 'Trending Up',
+  trendingDown: 'Trending Down',
+  ranging: 'Ranging',
+  highVol: 'High Volatility',
+  lowVol: 'Low Volatility'
+};
+
 const LivePrediction = () => {
   const [priceData, setPriceData] = useState({
     currentPrice: 0,
@@ -246,6 +258,11 @@ const LivePrediction = () => {
     }
   };
 
+  const resumeBetting = () => {
+    roundManager.resumeBetting();
+    setNextRound({ ...roundManager.getNextRound() });
+  };
+
   // Get visible data based on time range
   const getVisibleData = () => {
     const data = priceData.minuteData || [];
@@ -549,18 +566,44 @@ const LivePrediction = () => {
                 <span className="text-gray-400">
                   Planned Bet: {nextRound.betSize?.toFixed(3)} BNB
                 </span>
+                {nextRound.expectedValue !== null && nextRound.expectedValue !== undefined && (
+                  <span className={nextRound.expectedValue >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    EV: {nextRound.expectedValue >= 0 ? '+' : ''}{(nextRound.expectedValue * 100).toFixed(1)}% @ {nextRound.payoutMultiple?.toFixed(2)}x
+                  </span>
+                )}
               </div>
               <div className="text-sm text-gray-400">
+                {nextRound.regime && <span className="mr-3">Regime: {REGIME_LABELS[nextRound.regime] || nextRound.regime}</span>}
                 Round #{nextRound.epoch}
               </div>
             </div>
+            {nextRound.evSkipReason && (
+              <div className="mt-2 text-sm text-yellow-400">
+                Bet skipped: {nextRound.evSkipReason}
+              </div>
+            )}
+            {nextRound.riskBreaker && (
+              <div className="mt-2 flex items-center justify-between text-sm text-red-400">
+                <span>
+                  Betting paused by {RISK_BREAKER_LABELS[nextRound.riskBreaker] || nextRound.riskBreaker} breaker: {nextRound.riskReason}
+                </span>
+                <button
+                  onClick={resumeBetting}
+                  className="px-3 py-1 rounded-lg bg-red-900/50 hover:bg-red-900/70"
+                >
+                  Resume
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
 
       <IndicatorConfidence indicators={indicatorScores} />
+      <CrowdFlow crowd={roundManager.getCrowdFlow()} />
       <RoundHistory rounds={roundHistory} key={`history-${historyKey}`} />
       <PerformanceMetrics rounds={roundHistory} key={`metrics-${historyKey}`} />
+      <ShadowComparison comparison={roundManager.getShadowComparison()} key={`shadows-${historyKey}`} />
     </>
   );
 };
@@ -25,33 +25,9 @@ const RoundHistory = ({ rounds }) => {
           });
         }
 
-        // Calculate result if we have both prices
+        // Calculate win/loss and profit with the contract's payout math
         if (round.lockPrice && round.closePrice) {
-          const lockPrice = parseFloat(round.lockPrice);
-          const closePrice = parseFloat(round.closePrice);
-          const result = closePrice > lockPrice ? 'bull' : 'bear';
-
-          // If we have a prediction, calculate win/loss
-          if (round.prediction) {
-            const won = round.prediction === result;
-            round.result = won ? 'win' : 'loss';
-            
-            // Calculate profit/loss if we have bet size
-            if (round.betSize) {
-              const totalAmount = parseFloat(round.totalAmount || 0);
-              const bullAmount = parseFloat(round.bullAmount || 0);
-              const bearAmount = parseFloat(round.bearAmount || 0);
-              const betSize = parseFloat(round.betSize);
-              
-              if (won) {
-                const poolAmount = result === 'bull' ? bearAmount : bullAmount;
-                const winningAmount = (betSize / (result === 'bull' ? bullAmount : bearAmount)) * poolAmount;
-                round.profitLoss = winningAmount * 0.97; // Account for 3% platform fee
-              } else {
-                round.profitLoss = -betSize;
-              }
-            }
-          }
+          Object.assign(round, roundManager.settleRound(round));
         }
         return round;
       }));
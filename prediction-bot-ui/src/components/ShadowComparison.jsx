@@ -0,0 +1,54 @@
+import React from 'react';
+import { EyeIcon } from '@heroicons/react/24/outline';
+
+// Active strategy against the shadow strategies, over the past rounds the shadows predicted
+const ShadowComparison = ({ comparison }) => {
+  if (!comparison || comparison.strategies.length < 2) return null;
+
+  const formatProfit = (profit) => `${profit >= 0 ? '+' : ''}${profit.toFixed(3)} BNB`;
+
+  return (
+    <div className="card mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <EyeIcon className="h-5 w-5 text-gray-400" />
+          <h2 className="text-xl font-bold">Shadow Strategies</h2>
+        </div>
+        <div className="text-sm text-gray-400">
+          {comparison.rounds} rounds, shadows never bet
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="pb-4">Strategy</th>
+              <th className="pb-4">Bets</th>
+              <th className="pb-4">Wins</th>
+              <th className="pb-4">Losses</th>
+              <th className="pb-4">Win Rate</th>
+              <th className="pb-4">P/L</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-800">
+            {comparison.strategies.map((strategy) => (
+              <tr key={strategy.name} className="text-sm">
+                <td className={`py-3 ${strategy.active ? 'font-bold text-primary-400' : ''}`}>{strategy.name}</td>
+                <td className="py-3">{strategy.bets}</td>
+                <td className="py-3 text-green-400">{strategy.wins}</td>
+                <td className="py-3 text-red-400">{strategy.losses}</td>
+                <td className="py-3">{strategy.winRate.toFixed(1)}%</td>
+                <td className={`py-3 ${strategy.profit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {formatProfit(strategy.profit)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ShadowComparison;
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { AdjustmentsHorizontalIcon, BeakerIcon } from '@heroicons/react/24/outline';
+import { AdjustmentsHorizontalIcon, BeakerIcon, EyeIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { settingsStore } from '../utils/settingsStore';
+import { BET_SIZING_STRATEGIES } from 'prediction-shared';
 
 const StrategyConfig = () => {
   const [settings, setSettings] = useState(settingsStore.getSettings());
   const [isDirty, setIsDirty] = useState(false);
+  const [shadows, setShadows] = useState(settingsStore.getShadows());
+  const [shadowName, setShadowName] = useState('');
 
   useEffect(() => {
     // Subscribe to settings changes
     const unsubscribe = settingsStore.subscribe(newSettings => {
       setSettings(newSettings);
+      setShadows(settingsStore.getShadows());
       setIsDirty(false);
     });
 
@@ -28,11 +32,27 @@ const StrategyConfig = () => {
     }
   };
 
+  const handleSelect = (key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      [key]: value
+    }));
+    setIsDirty(true);
+  };
+
   const handleSave = () => {
     settingsStore.updateSettings(settings);
     setIsDirty(false);
   };
 
+  // Runs the edited settings as a shadow strategy instead of saving them, and restores the saved ones
+  const handleAddShadow = () => {
+    const name = shadowName.trim();
+    if (!name) return;
+    settingsStore.addShadow(name, settings);
+    setShadowName('');
+  };
+
   const renderSetting = (label, key, min, max, step = 1) => (
     <div className="space-y-1">
       <div className="flex justify-between text-sm">
@@ -51,6 +71,23 @@ const StrategyConfig = () => {
     </div>
   );
 
+  const renderSelect = (label, key, options) => (
+    <div className="space-y-1">
+      <div className="flex justify-between text-sm">
+        <label className="text-gray-400">{label}</label>
+      </div>
+      <select
+        value={settings[key]}
+        onChange={(e) => handleSelect(key, e.target.value)}
+        className="w-full bg-secondary-800 text-gray-200 rounded p-2"
+      >
+        {options.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    </div>
+  );
+
   return (
     <div className="card">
       <div className="flex items-center justify-between mb-6">
@@ -99,8 +136,6 @@ const StrategyConfig = () => {
           <h3 className="font-medium mb-4">Stochastic Settings</h3>
           <div className="space-y-4">
             {renderSetting('Period', 'stochPeriod', 5, 30)}
-            {renderSetting('K Period', 'stochKPeriod', 1, 10)}
-            {renderSetting('D Period', 'stochDPeriod', 1, 10)}
           </div>
         </div>
 
@@ -119,6 +154,11 @@ const StrategyConfig = () => {
           <div className="space-y-4">
             {renderSetting('Minimum Bet (BNB)', 'minBet', 0.1, 1, 0.1)}
             {renderSetting('Maximum Bet (BNB)', 'maxBet', 0.2, 5, 0.1)}
+            {renderSelect('Sizing Strategy', 'betSizing', BET_SIZING_STRATEGIES)}
+            {settings.betSizing === 'fixed' && renderSetting('Fixed Bet (BNB)', 'fixedBet', 0.01, 1, 0.01)}
+            {settings.betSizing === 'fractionalKelly' && renderSetting('Kelly Fraction', 'kellyFraction', 0.1, 1, 0.05)}
+            {settings.betSizing === 'fixedFraction' && renderSetting('Bankroll Fraction', 'bankrollFraction', 0.005, 0.1, 0.005)}
+            {renderSetting('Paper Bankroll (BNB)', 'paperBankroll', 0.1, 10, 0.1)}
           </div>
         </div>
 
@@ -128,8 +168,73 @@ const StrategyConfig = () => {
           <div className="space-y-4">
             {renderSetting('Bull Confidence', 'bullConfidence', 0.1, 0.5, 0.05)}
             {renderSetting('Bear Confidence', 'bearConfidence', -0.5, -0.1, 0.05)}
+            {renderSetting('Min Confidence', 'minConfidence', -5, 0, 0.5)}
+            {renderSetting('Max Confidence', 'maxConfidence', 0, 5, 0.5)}
           </div>
         </div>
+
+        {/* Expected Value Settings */}
+        <div className="bg-secondary-700 p-4 rounded-lg">
+          <h3 className="font-medium mb-4">Expected Value Settings</h3>
+          <div className="space-y-4">
+            {renderSetting('Min Expected Value', 'minExpectedValue', -0.1, 0.2, 0.01)}
+          </div>
+        </div>
+
+        {/* Risk Settings */}
+        <div className="bg-secondary-700 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Risk Settings</h3>
+          <div className="text-sm text-gray-400 mb-4">
+            Limits of this interface over the rounds it settled since the page loaded. The Node bot has its own limits in .env, shown under Node Bot Risk.
+          </div>
+          <div className="space-y-4">
+            {renderSetting('Max Daily Loss (BNB)', 'maxDailyLoss', 0, 5, 0.1)}
+            {renderSetting('Max Drawdown', 'maxDrawdown', 0, 0.5, 0.05)}
+            {renderSetting('Max Consecutive Losses', 'maxConsecutiveLosses', 0, 20)}
+            {renderSetting('Max Round Exposure (BNB)', 'maxRoundExposure', 0, 5, 0.1)}
+            {renderSetting('Cooldown (minutes)', 'cooldownMinutes', 0, 240, 15)}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-6 bg-secondary-700 p-4 rounded-lg">
+        <div className="flex items-center space-x-2 mb-4">
+          <EyeIcon className="h-5 w-5 text-gray-400" />
+          <h3 className="font-medium">Shadow Strategies</h3>
+        </div>
+        <div className="text-sm text-gray-400 mb-4">
+          Shadows predict every round with their own settings and paper bankroll next to the active strategy, but never bet. Add the settings above as a shadow to compare them before saving.
+        </div>
+        <div className="flex space-x-2 mb-4">
+          <input
+            type="text"
+            value={shadowName}
+            onChange={(e) => setShadowName(e.target.value)}
+            placeholder="Shadow name"
+            className="flex-1 bg-secondary-800 text-gray-200 rounded p-2"
+          />
+          <button
+            onClick={handleAddShadow}
+            className="btn btn-secondary"
+            disabled={!shadowName.trim()}
+          >
+            Add as Shadow
+          </button>
+        </div>
+        <div className="space-y-2">
+          {shadows.map(shadow => (
+            <div key={shadow.name} className="flex items-center justify-between text-sm">
+              <span>{shadow.name}</span>
+              <button
+                onClick={() => settingsStore.removeShadow(shadow.name)}
+                className="text-gray-400 hover:text-red-400"
+                title="Remove shadow"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
       </div>
 
       <div className="mt-6 bg-blue-900/20 border border-blue-600 rounded-lg p-4">
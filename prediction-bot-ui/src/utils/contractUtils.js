@@ -26,6 +26,7 @@ export class PredictionContract {
         totalAmount: round.totalAmount ? ethers.utils.formatEther(round.totalAmount) : '0',
         bullAmount: round.bullAmount ? ethers.utils.formatEther(round.bullAmount) : '0',
         bearAmount: round.bearAmount ? ethers.utils.formatEther(round.bearAmount) : '0',
+        rewardBaseCalAmount: round.rewardBaseCalAmount ? ethers.utils.formatEther(round.rewardBaseCalAmount) : '0',
         rewardAmount: round.rewardAmount ? ethers.utils.formatEther(round.rewardAmount) : '0',
         oracleCalled: round.oracleCalled
       };
@@ -51,6 +52,7 @@ export class PredictionContract {
         totalAmount: round.totalAmount ? ethers.utils.formatEther(round.totalAmount) : '0',
         bullAmount: round.bullAmount ? ethers.utils.formatEther(round.bullAmount) : '0',
         bearAmount: round.bearAmount ? ethers.utils.formatEther(round.bearAmount) : '0',
+        rewardBaseCalAmount: round.rewardBaseCalAmount ? ethers.utils.formatEther(round.rewardBaseCalAmount) : '0',
         rewardAmount: round.rewardAmount ? ethers.utils.formatEther(round.rewardAmount) : '0',
         oracleCalled: round.oracleCalled
       };
@@ -60,6 +62,16 @@ export class PredictionContract {
     }
   }
 
+  async getBufferSeconds() {
+    try {
+      const bufferSeconds = await this.contract.bufferSeconds();
+      return bufferSeconds.toNumber();
+    } catch (error) {
+      console.error('Error getting buffer seconds:', error);
+      return 0;
+    }
+  }
+
   async placeBet(epoch, position, amount, signer) {
     try {
       console.log('Placing bet:', {
@@ -1,84 +1,55 @@
-import { analyzeTechnicals } from './indicatorUtils';
 import { settingsStore } from './settingsStore';
+import { MIN_STRATEGY_PRICES, NEUTRAL_PROBABILITY, DEFAULT_COMPILED_STRATEGY, streamIndicators, scoreTechnicals, decideBet, applyRegime } from 'prediction-shared';
 
 /**
- * Makes a prediction and determines bet size based on confidence score.
+ * Makes a prediction and determines bet size with the strategy core shared with the bot.
+ * The bankroll and the pools of the round being bet on feed the bet sizing strategy. The settings default
+ * to the saved strategy settings, shadow strategies pass their own.
+ * The UI has no model, so the technical score decides alone, as it does for the bot with a model
+ * that gives even odds. The market regime is classified as the bot does, the built-in strategy bets in all of them.
  */
-export async function getPrediction(priceBuffer) {
-  if (!Array.isArray(priceBuffer) || priceBuffer.length < 100) {
+export async function getPrediction(priceBuffer, { bankroll, pools = {}, settings = settingsStore.getSettings() } = {}) {
+  if (!Array.isArray(priceBuffer) || priceBuffer.length < MIN_STRATEGY_PRICES) {
     console.warn('Not enough data to make a prediction');
     return { prediction: null, betSize: 0 };
   }
 
   try {
-    // Get current settings
-    const settings = settingsStore.getSettings();
-
     // Calculate technical scores
-    const scores = analyzeTechnicals(priceBuffer);
-    console.log('Technical scores:', scores);
-
-    // Calculate bet size based on confidence
-    const betSize = mapScoreToBetSize(Math.abs(scores.totalScore), settings);
-
-    // Determine prediction based on confidence thresholds
-    let prediction = null;
-    if (scores.totalScore > settings.bullConfidence) {
-      prediction = 'bull';
-    } else if (scores.totalScore < settings.bearConfidence) {
-      prediction = 'bear';
-    }
+    const technicals = streamIndicators(priceBuffer, settings).getValues();
+    const { regime, parameters: regimeSettings, trade } = applyRegime(DEFAULT_COMPILED_STRATEGY, priceBuffer, settings);
+    const scores = scoreTechnicals(technicals, regimeSettings);
+    console.log('Technical scores:', scores, 'Regime:', regime);
+
+    const decision = decideBet(
+      { technicalScore: scores.totalScore, upProbability: NEUTRAL_PROBABILITY, pools, bankroll },
+      regimeSettings
+    );
+    const { confidence, winProbability, betSize } = decision;
+    const prediction = trade ? decision.prediction : null;
+
+    const indicators = {
+      ...technicals,
+      rsiScore: scores.rsiScore,
+      macdScore: scores.macdScore,
+      bbScore: scores.bbScore,
+      stochScore: scores.stochScore,
+      maScore: scores.maScore,
+      totalConfidence: confidence
+    };
 
-    // Always make a prediction based on score direction
-    if (prediction === null) {
-      prediction = scores.totalScore > 0 ? 'bull' : 'bear';
-    }
+    console.log('Prediction result:', { prediction, betSize, winProbability, confidence, indicators });
 
-    console.log('Prediction result:', {
+    return {
       prediction,
       betSize,
-      confidence: scores.totalScore,
-      indicators: {
-        rsiScore: scores.rsiScore,
-        macdScore: scores.macdScore,
-        bbScore: scores.bbScore,
-        stochScore: scores.stochScore,
-        maScore: scores.maScore,
-        totalConfidence: scores.totalScore
-      }
-    });
-
-    return { 
-      prediction, 
-      betSize, 
-      confidence: scores.totalScore,
-      indicators: {
-        rsiScore: scores.rsiScore,
-        macdScore: scores.macdScore,
-        bbScore: scores.bbScore,
-        stochScore: scores.stochScore,
-        maScore: scores.maScore,
-        totalConfidence: scores.totalScore
-      }
+      winProbability,
+      confidence,
+      regime: regime.regime,
+      indicators
     };
   } catch (error) {
     console.error('Error in getPrediction:', error);
     return { prediction: null, betSize: 0 };
   }
 }
-
-/**
- * Maps a confidence score to a bet size using sigmoid scaling.
- */
-function mapScoreToBetSize(score, settings) {
-  const { minBet, maxBet } = settings;
-
-  // Use a sigmoid function for more aggressive betting on high confidence
-  const normalized = 1 / (1 + Math.exp(-score * 5)); // Multiply by 5 to steepen the curve
-
-  // Calculate bet size
-  const betSize = minBet + normalized * (maxBet - minBet);
-
-  // Ensure betSize is within bounds
-  return Math.min(Math.max(betSize, minBet), maxBet);
-}
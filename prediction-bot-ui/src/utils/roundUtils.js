@@ -1,6 +1,8 @@
 import { getPrediction } from './predictionLogic';
 import { PredictionContract } from './contractUtils';
 import { ethers } from 'ethers';
+import { settleBet, isRefundable, evaluateBet, evaluateRisk, capRoundExposure, summarizeFlow, favoriteWinRate } from 'prediction-shared';
+import { settingsStore } from './settingsStore';
 
 export class RoundManager {
   constructor() {
@@ -16,12 +18,16 @@ export class RoundManager {
     this.roundStartTime = null;
     this.roundEndPrices = new Map();
     this.predictions = new Map(); // Store predictions by epoch
+    this.shadowPredictions = new Map(); // Shadow strategy predictions by epoch, then by shadow name
+    this.roundBets = new Map(); // Bet events by epoch, for the crowd flow gauges
+    this.bufferSeconds = 0;
   }
 
   async initialize(provider, signer = null) {
     this.provider = provider;
     this.signer = signer;
     this.contract = new PredictionContract(provider);
+    this.bufferSeconds = await this.contract.getBufferSeconds();
 
     // Get current round info
     const currentRound = await this.contract.getCurrentRound();
@@ -72,17 +78,7 @@ export class RoundManager {
                   profitLoss: null
                 };
 
-                // Calculate result if we have both prices and a prediction
-                if (round.prediction && round.lockPrice && round.closePrice) {
-                  const won = round.prediction === 'bull' ? 
-                    parseFloat(round.closePrice) > parseFloat(round.lockPrice) :
-                    parseFloat(round.closePrice) < parseFloat(round.lockPrice);
-                  
-                  round.result = won ? 'win' : 'loss';
-                  round.profitLoss = won ? 
-                    round.betSize * 0.98 : // 2% platform fee
-                    -round.betSize;
-                }
+                Object.assign(round, this.settleRound(round));
 
                 return round;
               }
@@ -144,7 +140,8 @@ export class RoundManager {
     }
 
     console.log('Making prediction with price buffer:', this.priceBuffer.length);
-    const predictionResult = await getPrediction(this.priceBuffer);
+    const bankroll = await this.getBankroll();
+    const predictionResult = await getPrediction(this.priceBuffer, { bankroll, pools: this.nextRound || {} });
     console.log('Prediction result:', predictionResult);
 
     // Store prediction for next round
@@ -155,6 +152,53 @@ export class RoundManager {
     return predictionResult;
   }
 
+  /**
+   * Balance the bet sizing strategy works against: the wallet balance when live,
+   * or the paper bankroll setting plus the profit of settled rounds.
+   */
+  async getBankroll() {
+    if (this.mode === 'live' && this.signer) {
+      try {
+        return Number(ethers.utils.formatEther(await this.signer.getBalance()));
+      } catch (error) {
+        console.error('Error reading wallet balance:', error);
+        return null;
+      }
+    }
+
+    const { paperBankroll } = settingsStore.getSettings();
+    const paperProfit = this.pastRounds.reduce((total, round) => total + (round.profitLoss || 0), 0);
+    return paperBankroll + paperProfit;
+  }
+
+  /**
+   * Checks the settled rounds against the risk limits in the settings. These are the UI's own limits over
+   * the rounds settled since the page loaded. The Node bot's breakers are read from its status file by
+   * BotRiskStatus.
+   */
+  async getRiskStatus() {
+    const bankroll = await this.getBankroll();
+    const bets = this.pastRounds
+      .filter(round => round.profitLoss !== null && round.profitLoss !== undefined)
+      .map(round => ({ profit: round.profitLoss, placedAt: round.startTimestamp }))
+      .reverse(); // Past rounds are kept newest first
+    const resumedAt = Number(localStorage.getItem('riskResumedAt') || 0);
+
+    return evaluateRisk(bets, settingsStore.getSettings(), { bankroll, resumedAt });
+  }
+
+  /**
+   * Clears every tripped risk breaker. Betting restarts from the next round.
+   */
+  resumeBetting() {
+    localStorage.setItem('riskResumedAt', Date.now().toString());
+    if (this.nextRound) {
+      this.nextRound.riskBreaker = null;
+      this.nextRound.riskReason = null;
+    }
+    console.log('Risk breakers resumed manually');
+  }
+
   async checkCurrentRound() {
     try {
       const currentRound = await this.contract.getCurrentRound();
@@ -175,17 +219,8 @@ export class RoundManager {
             indicators: storedPrediction?.indicators || this.currentRound.indicators
           };
 
-          // Calculate result if we have both prices and a prediction
-          if (updatedCurrentRound.prediction && updatedCurrentRound.lockPrice && updatedCurrentRound.closePrice) {
-            const won = updatedCurrentRound.prediction === 'bull' ? 
-              parseFloat(updatedCurrentRound.closePrice) > parseFloat(updatedCurrentRound.lockPrice) :
-              parseFloat(updatedCurrentRound.closePrice) < parseFloat(updatedCurrentRound.lockPrice);
-            
-            updatedCurrentRound.result = won ? 'win' : 'loss';
-            updatedCurrentRound.profitLoss = won ? 
-              updatedCurrentRound.betSize * 0.98 : // 2% platform fee
-              -updatedCurrentRound.betSize;
-          }
+          Object.assign(updatedCurrentRound, this.settleRound(updatedCurrentRound));
+          updatedCurrentRound.shadows = this.settleShadows(updatedCurrentRound);
 
           this.pastRounds.unshift(updatedCurrentRound);
           if (this.pastRounds.length > 100) {
@@ -224,20 +259,52 @@ export class RoundManager {
         if (this.isRunning) {
           const predictionResult = await this.makePrediction();
           if (predictionResult) {
-            this.nextRound.prediction = predictionResult.prediction;
-            this.nextRound.betSize = predictionResult.betSize;
-            this.nextRound.confidence = predictionResult.confidence;
-            this.nextRound.indicators = predictionResult.indicators;
-
-            if (this.mode === 'live' && this.signer) {
+            // Only bet when the pool split still pays enough for the predicted win probability
+            const decision = this.evaluateExpectedValue(this.nextRound, predictionResult);
+
+            // Keep the prediction while a risk breaker is tripped, but without a stake
+            const risk = await this.getRiskStatus();
+            const riskLimits = settingsStore.getSettings();
+            const betSize = risk.paused ? 0 : capRoundExposure(decision.betSize, riskLimits);
+            const evaluatedPrediction = {
+              ...predictionResult,
+              betSize,
+              expectedValue: decision.expectedValue,
+              payoutMultiple: decision.payoutMultiple,
+              evSkipReason: decision.skipReason,
+              riskBreaker: risk.paused ? risk.breaker : null,
+              riskReason: risk.paused ? risk.reason : null
+            };
+            this.predictions.set(this.nextRound.epoch, evaluatedPrediction);
+
+            this.nextRound.prediction = evaluatedPrediction.prediction;
+            this.nextRound.betSize = evaluatedPrediction.betSize;
+            this.nextRound.confidence = evaluatedPrediction.confidence;
+            this.nextRound.regime = evaluatedPrediction.regime;
+            this.nextRound.indicators = evaluatedPrediction.indicators;
+            this.nextRound.expectedValue = evaluatedPrediction.expectedValue;
+            this.nextRound.payoutMultiple = evaluatedPrediction.payoutMultiple;
+            this.nextRound.evSkipReason = evaluatedPrediction.evSkipReason;
+            this.nextRound.riskBreaker = evaluatedPrediction.riskBreaker;
+            this.nextRound.riskReason = evaluatedPrediction.riskReason;
+
+            if (!decision.prediction) {
+              console.log('Skipping bet for round', this.nextRound.epoch, '-', decision.skipReason);
+            } else if (risk.paused) {
+              console.log('Skipping bet for round', this.nextRound.epoch, '- risk breaker', risk.breaker, 'tripped:', risk.reason);
+            } else if (betSize < riskLimits.minBet) {
+              console.log('Skipping bet for round', this.nextRound.epoch, '- round exposure limit is below the minimum bet');
+            } else if (this.mode === 'live' && this.signer) {
               await this.contract.placeBet(
                 this.nextRound.epoch,
-                predictionResult.prediction,
-                predictionResult.betSize,
+                decision.prediction,
+                betSize,
                 this.signer
               );
             }
           }
+
+          await this.makeShadowPredictions(this.nextRound);
         }
       }
       return this.currentRound;
@@ -274,15 +341,10 @@ export class RoundManager {
       });
       
       // Calculate result if we made a prediction
-      if (round.prediction && round.lockPrice && round.closePrice) {
-        const won = round.prediction === 'bull' ? 
-          parseFloat(round.closePrice) > parseFloat(round.lockPrice) :
-          parseFloat(round.closePrice) < parseFloat(round.lockPrice);
-        
-        round.result = won ? 'win' : 'loss';
-        round.profitLoss = won ? 
-          round.betSize * 0.98 : // 2% platform fee
-          -round.betSize;
+      Object.assign(round, this.settleRound(round));
+      round.shadows = this.settleShadows(round);
+      if (round.result) {
+        const won = round.result === 'win';
 
         console.log('Round result:', {
           epoch: round.epoch,
@@ -308,18 +370,166 @@ export class RoundManager {
     }
   }
 
+  /**
+   * Settles the prediction made for a round with the contract's payout math.
+   * Paper bets are not in the pools, so they are added to them before computing the payout.
+   */
+  settleRound(round) {
+    if (!round?.prediction) {
+      return { result: null, profitLoss: null };
+    }
+
+    // UI rounds keep timestamps in milliseconds
+    const refundable = isRefundable({ ...round, closeTimestamp: round.closeTimestamp / 1000 }, this.bufferSeconds);
+    const { outcome, profit } = settleBet(
+      { position: round.prediction, amount: round.betSize || 0 },
+      round,
+      { refundable, simulated: this.mode !== 'live' }
+    );
+
+    if (!outcome) {
+      return { result: null, profitLoss: null };
+    }
+    return {
+      result: outcome === 'lose' ? 'loss' : outcome,
+      profitLoss: round.betSize ? profit : null
+    };
+  }
+
+  /**
+   * Predicts a round with the settings of every shadow strategy, sized from each shadow's own paper
+   * bankroll and filtered on expected value like the active prediction. Shadows never bet, and the risk
+   * limits do not apply to them.
+   */
+  async makeShadowPredictions(round) {
+    const shadows = settingsStore.getShadows();
+    if (!round || shadows.length === 0) return;
+
+    const shadowPredictions = {};
+    for (const shadow of shadows) {
+      const settings = { ...settingsStore.getSettings(), ...shadow.settings };
+      const bankroll = this.getShadowBankroll(shadow.name, settings.paperBankroll);
+      const predictionResult = await getPrediction(this.priceBuffer, { bankroll, pools: round, settings });
+      const decision = evaluateBet(predictionResult, round, {
+        minExpectedValue: settings.minExpectedValue,
+        minBet: settings.minBet
+      });
+      shadowPredictions[shadow.name] = {
+        prediction: decision.prediction,
+        betSize: decision.betSize,
+        confidence: predictionResult.confidence
+      };
+    }
+    this.shadowPredictions.set(round.epoch, shadowPredictions);
+    console.log('Shadow predictions for round', round.epoch, shadowPredictions);
+  }
+
+  /**
+   * Settles the shadow predictions made for a round, like settleRound() does for the active one.
+   */
+  settleShadows(round) {
+    const shadowPredictions = this.shadowPredictions.get(round?.epoch);
+    if (!shadowPredictions) return null;
+
+    return Object.fromEntries(Object.entries(shadowPredictions).map(([name, shadowPrediction]) => [
+      name,
+      { ...shadowPrediction, ...this.settleRound({ ...round, ...shadowPrediction }) }
+    ]));
+  }
+
+  /**
+   * Paper bankroll of a shadow strategy: its paper bankroll setting plus the profit of its settled rounds.
+   */
+  getShadowBankroll(name, paperBankroll) {
+    const shadowProfit = this.pastRounds.reduce((total, round) => total + (round.shadows?.[name]?.profitLoss || 0), 0);
+    return paperBankroll + shadowProfit;
+  }
+
+  /**
+   * Performance of the active strategy and of each shadow over the past rounds the shadows predicted,
+   * so every strategy is measured on the same rounds.
+   */
+  getShadowComparison() {
+    const rounds = this.pastRounds.filter(round => round.shadows);
+    const summarize = (name, results) => {
+      const settled = results.filter(result => result?.prediction && result.result);
+      const wins = settled.filter(result => result.result === 'win').length;
+      const losses = settled.filter(result => result.result === 'loss').length;
+      return {
+        name,
+        bets: settled.length,
+        wins,
+        losses,
+        winRate: wins + losses > 0 ? (wins / (wins + losses)) * 100 : 0,
+        profit: settled.reduce((total, result) => total + (result.profitLoss || 0), 0)
+      };
+    };
+
+    const names = [...new Set(rounds.flatMap(round => Object.keys(round.shadows)))];
+    return {
+      rounds: rounds.length,
+      strategies: [
+        { ...summarize('Active', rounds), active: true },
+        ...names.map(name => summarize(name, rounds.map(round => round.shadows[name])))
+      ]
+    };
+  }
+
+  /**
+   * Runs a prediction through the expected-value filter using the pools of the round it bets on.
+   */
+  evaluateExpectedValue(round, predictionResult) {
+    const settings = settingsStore.getSettings();
+    return evaluateBet(predictionResult, round || {}, {
+      minExpectedValue: settings.minExpectedValue,
+      minBet: settings.minBet
+    });
+  }
+
   handleBet(position, sender, epoch, amount) {
-    // Update round amounts for the current round
-    if (this.currentRound && this.currentRound.epoch === epoch) {
+    if (!this.roundBets.has(epoch)) {
+      this.roundBets.set(epoch, []);
+    }
+    this.roundBets.get(epoch).push({ position, amount: parseFloat(amount), timestamp: Date.now() / 1000 });
+    // Only the open rounds are shown, so drop the bets of older ones
+    for (const betEpoch of this.roundBets.keys()) {
+      if (parseInt(betEpoch) < parseInt(epoch) - 1) this.roundBets.delete(betEpoch);
+    }
+
+    // Update round amounts for the round the bet was placed on
+    const round = [this.currentRound, this.nextRound].find(r => r && r.epoch === epoch);
+    if (round) {
       if (position === 'bull') {
-        this.currentRound.bullAmount = (parseFloat(this.currentRound.bullAmount) + parseFloat(amount)).toString();
+        round.bullAmount = (parseFloat(round.bullAmount || 0) + parseFloat(amount)).toString();
       } else {
-        this.currentRound.bearAmount = (parseFloat(this.currentRound.bearAmount) + parseFloat(amount)).toString();
+        round.bearAmount = (parseFloat(round.bearAmount || 0) + parseFloat(amount)).toString();
+      }
+      round.totalAmount = (parseFloat(round.bullAmount || 0) + parseFloat(round.bearAmount || 0)).toString();
+
+      // Keep the displayed expected value in line with the pools as they fill up
+      const storedPrediction = this.predictions.get(epoch);
+      if (storedPrediction?.prediction) {
+        const decision = this.evaluateExpectedValue(round, storedPrediction);
+        round.expectedValue = decision.expectedValue;
+        round.payoutMultiple = decision.payoutMultiple;
       }
-      this.currentRound.totalAmount = (parseFloat(this.currentRound.bullAmount) + parseFloat(this.currentRound.bearAmount)).toString();
     }
   }
 
+  /**
+   * Crowd flow of a round from the Bet events seen so far, and how often the larger pool won recently.
+   * Bets placed before the page loaded are missing from the flow.
+   */
+  getCrowdFlow(round = this.currentRound) {
+    if (!round) return null;
+    const flow = summarizeFlow(this.roundBets.get(round.epoch) || [], {
+      startTimestamp: round.startTimestamp ? round.startTimestamp / 1000 : undefined,
+      at: Date.now() / 1000
+    });
+    const { rounds, winRate } = favoriteWinRate(this.pastRounds);
+    return { epoch: round.epoch, flow, favoriteWinRate: winRate, favoriteRounds: rounds };
+  }
+
   async updatePriceBuffer(price) {
     const now = Date.now();
     this.priceBuffer.push(price);
@@ -1,41 +1,66 @@
+// Default strategy settings
+const DEFAULT_SETTINGS = {
+  // RSI Settings
+  rsiPeriod: 14,
+  rsiOverbought: 70,
+  rsiOversold: 30,
+
+  // MACD Settings
+  macdFastPeriod: 12,
+  macdSlowPeriod: 26,
+  macdSignalPeriod: 9,
+
+  // Bollinger Bands Settings
+  bbPeriod: 20,
+  bbStdDev: 2,
+
+  // Stochastic Settings
+  stochPeriod: 14,
+
+  // Moving Average Settings
+  smaPeriod: 20,
+  emaPeriod: 20,
+
+  // Bet Size Settings
+  minBet: 0.01,
+  maxBet: 1.0,
+  betSizing: 'sigmoid', // fixed, linear, sigmoid, kelly, fractionalKelly or fixedFraction
+  fixedBet: 0.01,
+  kellyFraction: 0.5,
+  bankrollFraction: 0.01,
+  paperBankroll: 1,
+
+  // Confidence Settings, on the scale of the bot's BULL_CONFIDENCE and BEAR_CONFIDENCE
+  bullConfidence: 0.1,
+  bearConfidence: -0.1,
+  minConfidence: -3,
+  maxConfidence: 3,
+
+  // Expected Value Settings
+  minExpectedValue: 0,
+
+  // Risk Settings (0 disables a limit)
+  maxDailyLoss: 0,
+  maxDrawdown: 0,
+  maxConsecutiveLosses: 0,
+  maxRoundExposure: 0,
+  cooldownMinutes: 60
+};
+
 // Simple store for strategy settings
 class SettingsStore {
   constructor() {
-    // Load settings from localStorage or use defaults
+    // Load settings from localStorage, filling in defaults for settings added since they were saved
     const savedSettings = localStorage.getItem('strategySettings');
-    this.settings = savedSettings ? JSON.parse(savedSettings) : {
-      // RSI Settings
-      rsiPeriod: 14,
-      rsiOverbought: 70,
-      rsiOversold: 30,
-      
-      // MACD Settings
-      macdFastPeriod: 12,
-      macdSlowPeriod: 26,
-      macdSignalPeriod: 9,
-      
-      // Bollinger Bands Settings
-      bbPeriod: 20,
-      bbStdDev: 2,
-      
-      // Stochastic Settings
-      stochPeriod: 14,
-      stochKPeriod: 3,
-      stochDPeriod: 3,
-      
-      // Moving Average Settings
-      smaPeriod: 20,
-      emaPeriod: 20,
-
-      // Bet Size Settings
-      minBet: 0.01,
-      maxBet: 1.0,
-      
-      // Confidence Settings
-      bullConfidence: 0.2,
-      bearConfidence: -0.2
+    this.settings = {
+      ...DEFAULT_SETTINGS,
+      ...(savedSettings ? JSON.parse(savedSettings) : {})
     };
 
+    // Settings of the shadow strategies, predicted every round next to the active settings but never bet
+    const savedShadows = localStorage.getItem('shadowStrategies');
+    this.shadows = savedShadows ? JSON.parse(savedShadows) : [];
+
     this.listeners = new Set();
   }
 
@@ -56,6 +81,28 @@ class SettingsStore {
     this.listeners.forEach(listener => listener(this.settings));
   }
 
+  getShadows() {
+    return this.shadows.map(shadow => ({ ...shadow, settings: { ...shadow.settings } }));
+  }
+
+  /**
+   * Adds a shadow strategy, or replaces the one of the same name.
+   */
+  addShadow(name, settings) {
+    this.shadows = [...this.shadows.filter(shadow => shadow.name !== name), { name, settings: { ...settings } }];
+    this.saveShadows();
+  }
+
+  removeShadow(name) {
+    this.shadows = this.shadows.filter(shadow => shadow.name !== name);
+    this.saveShadows();
+  }
+
+  saveShadows() {
+    localStorage.setItem('shadowStrategies', JSON.stringify(this.shadows));
+    this.listeners.forEach(listener => listener(this.settings));
+  }
+
   subscribe(listener) {
     this.listeners.add(listener);
     return () => this.listeners.delete(listener);
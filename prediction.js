@@ -2,8 +2,20 @@
 
 const logger = require('./logger');
 const config = require('./config');
-const { calculateRSI, calculateMACD, calculateSMA, calculateEMA, calculateBollingerBands, calculateStochasticOscillator } = require('./indicators');
-const { RandomForestPredictor, prepareFeatures, prepareLabels } = require('./randomForests');
+const {
+    calculateADX, calculateWilliamsR, calculateCCI, calculateSupertrend, calculateParabolicSAR, calculateIchimoku,
+    calculateKeltnerChannels, calculateHeikinAshi, calculateOBV, calculateVWAP, candlesFromCloses
+} = require('./indicators');
+const { createPredictor } = require('./modelRegistry');
+const { Calibrator } = require('./calibration');
+const { evaluateBet } = require('./shared/expectedValue');
+const { DEFAULT_INDICATOR_PARAMETERS, MIN_STRATEGY_PRICES, streamIndicators, scoreTechnicals, decideBet } = require('./shared/strategy');
+const { DEFAULT_REGIME_PARAMETERS, applyRegime } = require('./shared/regime');
+const { loadStrategy } = require('./strategyLoader');
+
+// Recorded with every run, bump it when a change to this module, shared/strategy.js or the built-in strategy
+// changes which bets are placed
+const STRATEGY_VERSION = '1.6.0';
 
 // Bet Size Parameters
 const BET_SIZES = {
@@ -16,173 +28,276 @@ const CONFIDENCE_SCORE = {
     max: config.maxConfidence   // Maximum possible score
 };
 
-/**
- * Calculates confidence score based on indicators.
- * @param {Object} indicators - The technical indicators.
- * @returns {number} Confidence score.
- */
-function calculateConfidence(indicators) {
-    let score = 0;
-
-    // RSI Scoring
-    logger.info(`RSI: ${indicators.RSI}`)
-    if (indicators.RSI < 30) {
-        score += 2; // Strong Bullish
-    } else if (indicators.RSI < 50) {
-        score += 1; // Bullish
-    } else if (indicators.RSI > 70) {
-        score -= 2; // Strong Bearish
-    } else if (indicators.RSI > 50) {
-        score -= 1; // Weak Bearish
-    }
+// Settings passed to the configured bet sizing strategy
+const BET_SIZING_SETTINGS = {
+    betSizing: config.betSizing,
+    minBet: BET_SIZES.minBet,
+    maxBet: BET_SIZES.maxBet,
+    fixedBet: config.fixedBet,
+    minConfidence: CONFIDENCE_SCORE.min,
+    maxConfidence: CONFIDENCE_SCORE.max,
+    kellyFraction: config.kellyFraction,
+    bankrollFraction: config.bankrollFraction
+};
 
-    // MACD Scoring
-    if (indicators.MACD > indicators.Signal) {
-        score += 2; // Strong Bullish
-    } else if (indicators.MACD > indicators.Signal - 0.01 && indicators.MACD < indicators.Signal + 0.01) {
-        score += 1; // Bullish Crossover
-    } else if (indicators.MACD < indicators.Signal) {
-        score -= 2; // Strong Bearish
-    } else if (indicators.MACD > indicators.Signal - 0.01 && indicators.MACD < indicators.Signal + 0.01) {
-        score -= 1; // Bearish Crossover
-    }
+// Thresholds and indicator periods of the strategy, named as in the UI's settingsStore, overridden by the
+// ones the strategy file sets. The optimizer passes its own values for these to getPrediction().
+const BOT_STRATEGY_PARAMETERS = {
+    bullConfidence: Number(config.bullConfidence),
+    bearConfidence: Number(config.bearConfidence),
+    minConfidence: CONFIDENCE_SCORE.min,
+    maxConfidence: CONFIDENCE_SCORE.max,
+    ...DEFAULT_INDICATOR_PARAMETERS,
+    // Extra indicators scored on top of the ones above, from EXTENDED_INDICATORS
+    confidenceIndicators: config.confidenceIndicators,
+    adxPeriod: 14,
+    williamsPeriod: 14,
+    cciPeriod: 20,
+    supertrendPeriod: 10,
+    supertrendMultiplier: 3,
+    sarStep: 0.02,
+    sarMax: 0.2,
+    keltnerPeriod: 20,
+    keltnerAtrPeriod: 10,
+    keltnerMultiplier: 2,
+    obvPeriod: 10,
+    vwapPeriod: 20,
+    // Ensemble strategies, see ensemble.js
+    crowdMinImbalance: 0.2,
+    streakLength: 3,
+    // Market regime classifier, see shared/regime.js
+    ...DEFAULT_REGIME_PARAMETERS
+};
 
-    // Bollinger Bands Scoring
-    logger.info(`Current round finish Price: ${indicators.price}`)
-    if (indicators.price < indicators.bollingerBands.lower) {
-        score += 1; // Potential Bullish Reversal
-    } else if (indicators.price > indicators.bollingerBands.upper) {
-        score -= 1; // Potential Bearish Reversal
-    }
+// Rules the indicators are scored with, from STRATEGY_FILE. An invalid file stops the bot here
+const STRATEGY = loadStrategy(config.strategyFile, { parameterNames: Object.keys(BOT_STRATEGY_PARAMETERS) });
+const DEFAULT_STRATEGY_PARAMETERS = { ...BOT_STRATEGY_PARAMETERS, ...STRATEGY.parameters };
 
-    // Stochastic Oscillator Scoring
-    if (indicators.stochastic.percentK < 20) {
-        score += 1; // Oversold
-    } else if (indicators.stochastic.percentK > 80) {
-        score -= 1; // Overbought
-    }
+const last = values => (values.length > 0 ? values[values.length - 1] : null);
 
-    // SMA/EMA Scoring
-    if (indicators.price > indicators.SMA20 && indicators.price > indicators.EMA20) {
-        score += 1; // Bullish Trend
-    } else if (indicators.price < indicators.SMA20 && indicators.price < indicators.EMA20) {
-        score -= 1; // Bearish Trend
+// Indicators the confidence scorer can add, computed on the pair candles of the round being bet on, see
+// loadRoundCandles() in candles.js, or on candles rebuilt from the round closes where the feed has not
+// stored enough. Each returns the latest values the strategy's rules read as extended.<name>, or null
+// without enough candles. Round closes have no volume, so OBV and VWAP are null without the pair candles.
+const EXTENDED_INDICATORS = {
+    adx: (candles, parameters) => {
+        const { adx, plusDI, minusDI } = calculateADX(candles, parameters.adxPeriod);
+        return adx.length > 0 ? { adx: adx[adx.length - 1], plusDI: plusDI[plusDI.length - 1], minusDI: minusDI[minusDI.length - 1] } : null;
+    },
+    williamsR: (candles, parameters) => last(calculateWilliamsR(candles, parameters.williamsPeriod)),
+    cci: (candles, parameters) => last(calculateCCI(candles, parameters.cciPeriod)),
+    supertrend: (candles, parameters) => last(calculateSupertrend(candles, parameters.supertrendPeriod, parameters.supertrendMultiplier)),
+    parabolicSar: (candles, parameters) => last(calculateParabolicSAR(candles, parameters.sarStep, parameters.sarMax)),
+    // The cloud the price is in now was drawn basePeriod candles ago
+    ichimoku: (candles) => {
+        const ichimoku = calculateIchimoku(candles);
+        return ichimoku.length > 26 ? ichimoku[ichimoku.length - 27] : null;
+    },
+    keltner: (candles, parameters) => last(calculateKeltnerChannels(candles, parameters.keltnerPeriod, parameters.keltnerAtrPeriod, parameters.keltnerMultiplier)),
+    heikinAshi: (candles) => last(calculateHeikinAshi(candles)),
+    // OBV's change over obvPeriod candles, the net volume traded on up candles
+    obv: (candles, parameters) => {
+        const obv = calculateOBV(candles);
+        if (!candles.some(candle => candle.volume > 0) || obv.length <= parameters.obvPeriod) return null;
+        return { value: obv[obv.length - 1], change: obv[obv.length - 1] - obv[obv.length - 1 - parameters.obvPeriod] };
+    },
+    // The latest close against the VWAP of the last vwapPeriod candles
+    vwap: (candles, parameters) => {
+        const vwap = last(calculateVWAP(candles, parameters.vwapPeriod));
+        return vwap ? { value: vwap, distance: candles[candles.length - 1].close / vwap - 1 } : null;
     }
-
-    // Additional indicators can be added here with corresponding scoring
-
-    return score;
-}
+};
 
 /**
- * Maps a confidence score to a bet size using linear scaling.
- * @param {number} score - Confidence score.
- * @returns {number} Bet size in BNB.
+ * Calculates the extra indicators selected in the strategy parameters.
+ * @param {Array<number>} prices - Round close prices, oldest first.
+ * @param {Object} parameters - Strategy parameters, see DEFAULT_STRATEGY_PARAMETERS.
+ * @param {Array<Object>} [storedCandles] - Candles of the round being bet on, the closes are used without them.
+ * @returns {Object} Latest values by indicator name, see EXTENDED_INDICATORS.
  */
-function mapScoreToBetSize(score) {
-    const { minBet, maxBet } = BET_SIZES;
-    const { min, max } = CONFIDENCE_SCORE;
-
-    // Ensure minBet and maxBet are numbers
-    const minBetNum = Number(minBet);
-    const maxBetNum = Number(maxBet);
+function calculateExtendedIndicators(prices, parameters, storedCandles) {
+    const names = parameters.confidenceIndicators || [];
+    if (names.length === 0) return {};
 
-    // Clamp the score within the defined range
-    const clampedScore = Math.max(min, Math.min(max, score));
+    const candles = storedCandles || candlesFromCloses(prices);
+    const extended = {};
+    for (const name of names) {
+        if (!EXTENDED_INDICATORS[name]) {
+            throw new Error(`Unknown confidence indicator "${name}", expected one of ${Object.keys(EXTENDED_INDICATORS).join(', ')}.`);
+        }
+        extended[name] = EXTENDED_INDICATORS[name](candles, parameters);
+    }
+    return extended;
+}
 
-    // Use a sigmoid function for more aggressive betting on high confidence
-    const normalized = 1 / (1 + Math.exp(-clampedScore));
+// Fewest held-out samples a calibration is fitted on, below that the model is left uncalibrated
+const MIN_CALIBRATION_SAMPLES = 100;
 
-    // Calculate bet size
-    const betSize = minBetNum + normalized * (maxBetNum - minBetNum);
+/**
+ * Trains a model from the registry on a price series. Its feature pipeline is fitted on the same series.
+ * Unless CALIBRATION_METHOD is none, the latest CALIBRATION_SHARE of the samples is held out of training
+ * and the model's predictions on them fit its calibrator.
+ * @param {Array<number>} prices - Close prices, oldest first. Needs more than the pipeline's history + 1 prices.
+ * @param {Object} [options]
+ * @param {string} [options.type] - Model name, defaults to MODEL_TYPE.
+ * @param {number} [options.epochs] - Training epochs of the models trained by gradient descent, unused by the tree models.
+ * @param {Array<Object>} [options.pools] - { bullAmount, bearAmount, flow, favoriteWinRate, candles } of each price's round,
+ * for the pools, crowd and trend feature sets.
+ * @returns {Promise<Object|null>} Trained model, or null if there is not enough data.
+ */
+async function trainModel(prices, { type, epochs, pools } = {}) {
+    const model = createPredictor(type);
+    const { features, labels } = model.featurePipeline.fit(prices, { pools });
+    if (features.length === 0) {
+        return null;
+    }
 
-    // Ensure betSize is a number
-    if (isNaN(betSize)) {
-        logger.error('Calculated betSize is NaN, defaulting to minBet');
-        return minBetNum;
+    const holdout = config.calibrationMethod === 'none' ? 0 : Math.floor(features.length * config.calibrationShare);
+    if (holdout < MIN_CALIBRATION_SAMPLES) {
+        if (config.calibrationMethod !== 'none') {
+            logger.warn(`Only ${holdout} samples to calibrate on, the model is left uncalibrated.`);
+        }
+        await model.train(features, labels, epochs);
+        return model;
     }
 
-    // Log the calculated bet size
-    logger.info(`Calculated Bet Size: ${betSize.toFixed(4)} BNB`);
+    const trainCount = features.length - holdout;
+    await model.train(features.slice(0, trainCount), labels.slice(0, trainCount), epochs);
+    const heldOut = [];
+    for (const row of features.slice(trainCount)) {
+        heldOut.push(await model.predict([row]));
+    }
+    model.calibrator = new Calibrator(config.calibrationMethod).fit(heldOut, labels.slice(trainCount));
+    return model;
+}
 
-    return betSize; // Return betSize as a number
+/**
+ * Creates the streaming indicators of the confidence scorer, to be kept and fed every close from then on.
+ * @param {Object} [overrides] - Overrides of DEFAULT_STRATEGY_PARAMETERS, the same ones passed to getPrediction().
+ * @returns {IndicatorStream}
+ */
+function createIndicatorStream(overrides) {
+    return streamIndicators([], { ...DEFAULT_STRATEGY_PARAMETERS, ...overrides });
 }
 
 /**
  * Makes a prediction and determines bet size based on confidence score.
  * @param {Array<number>} priceBuffer - Array of recent prices.
- * @returns {Object} { prediction: 'bull' | 'bear' | null, betSize: number }
+ * @param {Object} context - { bankroll, pools } used by the bet sizing strategy, the model from trainModel() or
+ * modelManager, optional parameters overriding DEFAULT_STRATEGY_PARAMETERS, an indicator stream from
+ * createIndicatorStream() that has been fed the prices up to the buffer's last one, an Ensemble from
+ * ensemble.js and a strategy from strategyLoader.js replacing STRATEGY_FILE's, whose parameters then replace
+ * its parameters. Without pools, even pools are assumed. The pools' candles, where given, are what the extra
+ * indicators are computed on. The model is only used for inference, it is never trained here.
+ * Without the stream, the indicators are computed over the buffer. With the ensemble, its combined vote
+ * decides instead of the blended confidence. The strategy's settings for the market regime of the buffer
+ * replace its parameters, and there is no prediction in a regime it does not bet in.
+ * @returns {Object} { prediction: 'bull' | 'bear' | null, betSize: number, winProbability: number, confidence: number,
+ * votes: the ensemble's votes or null, regime: regime.js regime or null, skipReason: set when the regime is not bet in }
  */
-async function getPrediction(priceBuffer) {
-    if (!Array.isArray(priceBuffer) || priceBuffer.length < 100) {
+async function getPrediction(priceBuffer, { bankroll, pools = {}, model, parameters: overrides, indicators, ensemble, strategy = STRATEGY } = {}) {
+    const parameters = { ...BOT_STRATEGY_PARAMETERS, ...strategy.parameters, ...overrides };
+
+    if (!Array.isArray(priceBuffer) || priceBuffer.length < MIN_STRATEGY_PRICES) {
         logger.warn('Not enough data to make a prediction. Price buffer length is:');
         logger.warn(`${priceBuffer}, ${priceBuffer.length}`)
         return { prediction: null, betSize: BET_SIZES.minBet }; // Default to a small bet
     }
 
     try {
-        const features = prepareFeatures(priceBuffer);
-        if (features.length === 0) {
-            logger.warn('Failed to prepare features for prediction.');
-            return { prediction: 'bear', betSize: BET_SIZES.minBet }; // Default to a small bet
+        if (!model) {
+            logger.warn('No model loaded. Train one with `node modelManager.js train`.');
+            return { prediction: null, betSize: BET_SIZES.minBet }; // Default to a small bet
         }
 
-        const labels = prepareLabels(priceBuffer);
-
-        const randomForest = new RandomForestPredictor();
-        await randomForest.train(features, labels);
-
-        const latestFeatures = prepareFeatures(priceBuffer.slice(-51));
+        const latestFeatures = model.featurePipeline.prepareLatest(priceBuffer, pools);
         if (latestFeatures.length === 0) {
             logger.warn('Failed to prepare latest features for prediction.');
             return { prediction: 'bear', betSize: BET_SIZES.minBet }; // Default to a small bet
         }
 
-        const rfPrediction = await randomForest.predict(latestFeatures);
+        const rawPrediction = await model.predict(latestFeatures);
+        const rfPrediction = model.calibrator ? model.calibrator.calibrate(rawPrediction) : rawPrediction;
 
         // Calculate technical indicators
-        const rsi = calculateRSI(priceBuffer, 14);
-        const macd = calculateMACD(priceBuffer, 12, 26, 9);
-        logger.debug(`MACD values: ${JSON.stringify(macd)}`);
-        logger.debug(`Last MACD value: ${macd.MACD[macd.MACD.length - 1]}`);
-        logger.debug(`Last Signal value: ${macd.signal[macd.signal.length - 1]}`);
-        const sma20 = calculateSMA(priceBuffer, 20);
-        const ema20 = calculateEMA(priceBuffer, 20);
-        const bb = calculateBollingerBands(priceBuffer, 20, 2);
-        const stoch = calculateStochasticOscillator(priceBuffer, 14);
-
-        // Combine Random Forest prediction with technical indicators
-        const technicalScore = calculateConfidence({
-            RSI: rsi.length > 0 ? rsi[rsi.length - 1] : 50,
-            MACD: macd.MACD.length > 0 ? macd.MACD[macd.MACD.length - 1] : 0,
-            Signal: macd.signal.length > 0 ? macd.signal[macd.signal.length - 1] : 0,
-            SMA20: sma20.length > 0 ? sma20[sma20.length - 1] : priceBuffer[priceBuffer.length - 1],
-            EMA20: ema20.length > 0 ? ema20[ema20.length - 1] : priceBuffer[priceBuffer.length - 1],
-            bollingerBands: bb.length > 0 ? bb[bb.length - 1] : { upper: 0, middle: 0, lower: 0 },
-            stochastic: { 
-                percentK: stoch.k.length > 0 ? stoch.k[stoch.k.length - 1] : 50, 
-                percentD: stoch.d.length > 0 ? stoch.d[stoch.d.length - 1] : 50 
-            },
-            price: priceBuffer[priceBuffer.length - 1]
-        });
-
-        const combinedScore = (rfPrediction - 0.5) * 5 + technicalScore * 0.5;
-        const confidenceScore = combinedScore / 2;
-        const betSize = mapScoreToBetSize(Math.abs(confidenceScore));
-
-        let predictionDirection = null; // Default prediction
-        if (confidenceScore > config.bullConfidence) {
-            predictionDirection = 'bull';
-        } else if (confidenceScore < config.bearConfidence) {
-            predictionDirection = 'bear';
+        let stream = indicators;
+        if (!stream || stream.price !== priceBuffer[priceBuffer.length - 1]) {
+            if (stream) logger.warn('Indicator stream is behind the price buffer, computing the indicators over the buffer.');
+            stream = streamIndicators(priceBuffer, parameters);
+        }
+        const technicals = stream.getValues();
+        logger.info(`RSI: ${technicals.RSI}, MACD: ${technicals.MACD}, Signal: ${technicals.Signal}, Current round finish Price: ${technicals.price}`);
+        const extended = calculateExtendedIndicators(priceBuffer, parameters, pools.candles);
+
+        // The strategy's settings for the market regime. The indicators keep the strategy's periods
+        const { regime, parameters: regimeParameters, trade } = applyRegime(strategy, priceBuffer, parameters);
+        if (regime.regime) {
+            logger.info(`Regime: ${regime.regime}, Trend Strength: ${regime.trendStrength.toFixed(3)}, Volatility Percentile: ${regime.volatilityPercentile.toFixed(2)}`);
+        }
+
+        // Combine the model's prediction with technical indicators, with the strategy core shared with the UI
+        const { totalScore } = scoreTechnicals({ ...technicals, extended }, regimeParameters, strategy);
+        let input = { technicalScore: totalScore, upProbability: rfPrediction, pools, bankroll };
+        let votes = null;
+        if (ensemble) {
+            votes = ensemble.vote({ ...input, prices: priceBuffer }, regimeParameters);
+            input = { ...input, ...ensemble.combine(votes, regimeParameters) };
+            logger.info(`Ensemble (${ensemble.method}) votes: ${Object.entries(votes).map(([name, vote]) => `${name} ${vote.prediction || '-'} ${vote.confidence.toFixed(3)}`).join(', ')}`);
         }
+        const decision = decideBet(input, { ...BET_SIZING_SETTINGS, ...regimeParameters });
+        const { confidence, winProbability, betSize } = decision;
+        const prediction = trade ? decision.prediction : null;
 
-        logger.info(`Combined Prediction: ${combinedScore}, Confidence Score: ${confidenceScore}, Bet Size: ${betSize.toFixed(4)} BNB, Prediction: ${predictionDirection}`);
-return { prediction: predictionDirection, betSize: Number(betSize) }; // Ensure betSize is a number
+        logger.info(`Technical Score: ${totalScore}, Confidence Score: ${confidence}, Bet Size (${regimeParameters.betSizing || config.betSizing}): ${betSize.toFixed(4)} BNB, Prediction: ${prediction}, Win Probability: ${winProbability.toFixed(3)}`);
+        if (!trade) {
+            logger.info(`Strategy ${strategy.name} does not bet in the ${regime.regime} regime.`);
+            return { prediction, betSize, winProbability, confidence, votes, regime: regime.regime, skipReason: `no bets in the ${regime.regime} regime` };
+        }
+        return { prediction, betSize, winProbability, confidence, votes, regime: regime.regime };
     } catch (error) {
         logger.error('Error in getPrediction:', error);
         return { prediction: null, betSize: BET_SIZES.minBet }; // Default to a small bet
     }
 }
 
-module.exports = { getPrediction };
+/**
+ * Makes a prediction and passes it through the expected-value filter for the round's current pools.
+ * @param {Array<number>} priceBuffer - Array of recent prices.
+ * @param {Object} pools - { bullAmount, bearAmount } of the round being bet on, in BNB, with its flow and
+ * favoriteWinRate for the crowd feature set and its candles for the trend feature set and the extra indicators.
+ * @param {number} bankroll - Wallet or paper balance in BNB.
+ * @param {Object} model - Model from trainModel() or modelManager.
+ * @param {Object} parameters - Optional overrides of DEFAULT_STRATEGY_PARAMETERS.
+ * @param {IndicatorStream} [indicators] - Stream from createIndicatorStream() fed up to the buffer's last price.
+ * @param {Ensemble} [ensemble] - Ensemble from ensemble.js voting on the bet.
+ * @param {Object} [strategy] - Strategy from strategyLoader.js, defaults to STRATEGY_FILE's.
+ * @returns {Object} { prediction, betSize, winProbability, confidence, votes, regime, expectedValue, payoutMultiple, skipReason }
+ */
+async function getBetDecision(priceBuffer, pools, bankroll, model, parameters, indicators, ensemble, strategy) {
+    const { prediction, betSize, winProbability, confidence, votes = null, regime = null, skipReason } = await getPrediction(priceBuffer, { bankroll, pools, model, parameters, indicators, ensemble, strategy });
+    const decision = evaluateBet({ prediction, betSize, winProbability }, pools, {
+        minExpectedValue: config.minExpectedValue,
+        resize: config.evResize,
+        minBet: Number(BET_SIZES.minBet)
+    });
+
+    if (decision.prediction) {
+        logger.info(`EV check passed: ${(decision.expectedValue * 100).toFixed(1)}% at ${decision.payoutMultiple.toFixed(2)}x, Bet Size: ${decision.betSize.toFixed(4)} BNB`);
+    } else if (prediction) {
+        logger.info(`EV check rejected ${prediction} bet: ${decision.skipReason}`);
+    }
+
+    return { ...decision, skipReason: skipReason || decision.skipReason, winProbability, confidence, votes, regime };
+}
+
+module.exports = {
+    STRATEGY_VERSION,
+    STRATEGY,
+    BOT_STRATEGY_PARAMETERS,
+    DEFAULT_STRATEGY_PARAMETERS,
+    createIndicatorStream,
+    calculateExtendedIndicators,
+    trainModel,
+    getPrediction,
+    getBetDecision
+};
@@ -0,0 +1,139 @@
+// priceFeed.js
+// Polls the BNB price from two sources and aggregates each into candles stored in historicalData.db:
+//   pair    The PancakeSwap WBNB/USDT pair reserves, the price the UI charts. Sampled every poll, with the
+//           WBNB volume of the pair's Swap events since the previous poll.
+//   oracle  The Chainlink BNB/USD feed the prediction contract locks and closes rounds with. Only new
+//           oracle rounds are ticks, timed at their updatedAt.
+// The bot runs the feed while CANDLE_POLL_SECONDS is above 0. Candles are stored once their bar closes.
+// Usage: node priceFeed.js collect | node priceFeed.js indicators [pair|oracle]
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { TIMEFRAMES, CandleBuilder, saveCandles, loadCandles } = require('./candles');
+const { calculateCandleIndicators } = require('./indicators');
+
+const ORACLE_ABI = JSON.parse(fs.readFileSync(path.resolve(__dirname, 'ABIS/oracleABI.json'), 'utf8'));
+const PAIR_ABI = [
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)'
+];
+
+// Candles of each timeframe read for the indicators
+const INDICATOR_CANDLES = 100;
+
+const provider = new ethers.providers.JsonRpcProvider(config.quicknodeRpcUrl);
+const pair = new ethers.Contract(config.pairContractAddress, PAIR_ABI, provider);
+
+/**
+ * Price of WBNB from the pair reserves. USDT is token0 and WBNB token1, both with 18 decimals.
+ * @returns {Promise<number>} Price in USD.
+ */
+async function getPairPrice() {
+    const [reserve0, reserve1] = await pair.getReserves();
+    return Number(ethers.utils.formatUnits(reserve0.mul(ethers.constants.WeiPerEther).div(reserve1), 18));
+}
+
+/**
+ * WBNB traded on the pair in a block range, both directions.
+ * @param {number} fromBlock - First block (inclusive).
+ * @param {number} toBlock - Last block (inclusive).
+ * @returns {Promise<number>} Volume in BNB.
+ */
+async function getSwapVolume(fromBlock, toBlock) {
+    const swaps = await pair.queryFilter(pair.filters.Swap(), fromBlock, toBlock);
+    return swaps.reduce((total, swap) => total + Number(ethers.utils.formatEther(swap.args.amount1In.add(swap.args.amount1Out))), 0);
+}
+
+/**
+ * Starts polling the price sources into candles.
+ * @param {Object} [options]
+ * @param {Function} [options.onCandle] - Called with each closed candle.
+ * @returns {Function} Stops polling.
+ */
+function startPriceFeed({ onCandle } = {}) {
+    const builders = {
+        pair: new CandleBuilder('pair', config.candleTimeframes),
+        oracle: new CandleBuilder('oracle', config.candleTimeframes)
+    };
+    const oracle = config.oracleContractAddress
+        ? new ethers.Contract(config.oracleContractAddress, ORACLE_ABI, provider)
+        : null;
+    if (!oracle) {
+        logger.warn('ORACLE_CONTRACT_ADDRESS is not set, only building candles from the pair price.');
+    }
+    let oracleDecimals = null;
+    let lastOracleRound = null;
+    let lastBlock = null; // Last block whose swaps are in the volume
+
+    const store = async (candles) => {
+        await saveCandles(candles);
+        if (onCandle) candles.forEach(onCandle);
+    };
+
+    const poll = async () => {
+        try {
+            const [price, block] = await Promise.all([getPairPrice(), provider.getBlockNumber()]);
+            // The first poll has no previous block, so its volume is 0. A failed poll leaves its swaps to the next
+            const volume = lastBlock !== null && block > lastBlock ? await getSwapVolume(lastBlock + 1, block) : 0;
+            lastBlock = block;
+            await store(builders.pair.addTick(price, Date.now() / 1000, volume));
+        } catch (error) {
+            logger.error(`Error polling the pair price: ${error}`);
+        }
+
+        if (!oracle) return;
+        try {
+            if (oracleDecimals === null) {
+                oracleDecimals = await oracle.decimals();
+            }
+            const { roundId, answer, updatedAt } = await oracle.latestRoundData();
+            if (lastOracleRound !== null && roundId.eq(lastOracleRound)) return;
+            lastOracleRound = roundId;
+            await store(builders.oracle.addTick(Number(ethers.utils.formatUnits(answer, oracleDecimals)), updatedAt.toNumber()));
+        } catch (error) {
+            logger.error(`Error polling the oracle price: ${error}`);
+        }
+    };
+
+    logger.info(`Building ${config.candleTimeframes.join(', ')} candles, polling every ${config.candlePollSeconds}s.`);
+    poll();
+    const timer = setInterval(poll, config.candlePollSeconds * 1000);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Latest indicators of a source on every timeframe, from the stored candles.
+ * @param {string} source - pair or oracle.
+ * @returns {Promise<Object>} calculateCandleIndicators() result and candle count by timeframe.
+ */
+async function getTimeframeIndicators(source) {
+    const result = {};
+    for (const timeframe of Object.keys(TIMEFRAMES)) {
+        const candles = await loadCandles(source, timeframe, { limit: INDICATOR_CANDLES });
+        result[timeframe] = { candles: candles.length, ...calculateCandleIndicators(candles) };
+    }
+    return result;
+}
+
+if (require.main === module) {
+    const [command = 'collect', source = 'pair'] = process.argv.slice(2);
+
+    if (command === 'collect') {
+        const stop = startPriceFeed();
+        process.once('SIGINT', () => {
+            stop();
+            process.exit(0);
+        });
+    } else if (command === 'indicators') {
+        getTimeframeIndicators(source)
+            .then(result => console.table(result))
+            .catch(error => logger.error(`Error in priceFeed.js: ${error.message}`));
+    } else {
+        console.log('Usage: node priceFeed.js collect | node priceFeed.js indicators [pair|oracle]');
+    }
+}
+
+module.exports = { startPriceFeed, getPairPrice, getSwapVolume, getTimeframeIndicators };
@@ -1,9 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const config = require('./config');
 const logger = require('./logger');
 
 // Initialize Database
-const dbPath = path.resolve(__dirname, 'profitability.db');
+const dbPath = config.profitabilityDbPath;
 const db = new sqlite3.Database(dbPath);
 
 // Create Bets Table if Not Exists
@@ -21,7 +21,56 @@ db.serialize(() => {
     db.run(`CREATE INDEX IF NOT EXISTS idx_roundId ON bets (roundId)`);
     
     // Add this line
-    addPaperTradeColumn().catch(err => logger.error('Error adding paperTrade column:', err));
+    addColumn('bets', 'paperTrade', 'BOOLEAN DEFAULT 0').catch(err => logger.error('Error adding paperTrade column:', err));
+    addColumn('bets', 'placedAt', 'INTEGER').catch(err => logger.error('Error adding placedAt column:', err));
+    addColumn('bets', 'runId', 'TEXT').catch(err => logger.error('Error adding runId column:', err));
+    // Model probability and confidence the bet was placed with, for the reliability report
+    addColumn('bets', 'winProbability', 'REAL').catch(err => logger.error('Error adding winProbability column:', err));
+    addColumn('bets', 'confidence', 'REAL').catch(err => logger.error('Error adding confidence column:', err));
+    // Vote of every ensemble strategy as JSON, for the strategy attribution
+    addColumn('bets', 'votes', 'TEXT').catch(err => logger.error('Error adding votes column:', err));
+    // Market regime the bet was placed in, see shared/regime.js
+    addColumn('bets', 'regime', 'TEXT').catch(err => logger.error('Error adding regime column:', err));
+    db.run(`CREATE INDEX IF NOT EXISTS idx_runId ON bets (runId)`);
+
+    // Every backtest, paper session and live session is a run, and every bet belongs to one
+    db.run(`CREATE TABLE IF NOT EXISTS runs (
+        id TEXT PRIMARY KEY,
+        type TEXT,
+        strategyVersion TEXT,
+        config TEXT,
+        startedAt INTEGER,
+        endedAt INTEGER
+    )`);
+
+    // Bets recorded before runs existed: paper bets can only come from the paper bot, but live bets
+    // and backtest bets were both stored with paperTrade = 0, so those go to a run of their own
+    db.run(`INSERT OR IGNORE INTO runs (id, type, strategyVersion, config, startedAt)
+            SELECT 'legacy-paper', 'paper', NULL, NULL, MIN(placedAt) FROM bets WHERE runId IS NULL AND paperTrade = 1
+            HAVING COUNT(*) > 0`);
+    db.run(`INSERT OR IGNORE INTO runs (id, type, strategyVersion, config, startedAt)
+            SELECT 'legacy', 'legacy', NULL, NULL, MIN(placedAt) FROM bets WHERE runId IS NULL AND paperTrade = 0
+            HAVING COUNT(*) > 0`);
+    db.run(`UPDATE bets SET runId = CASE WHEN paperTrade = 1 THEN 'legacy-paper' ELSE 'legacy' END WHERE runId IS NULL`);
+
+    // Predictions the bot made without betting, e.g. while a risk breaker is tripped
+    db.run(`CREATE TABLE IF NOT EXISTS predictions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        epoch INTEGER,
+        prediction TEXT,
+        betSize REAL,
+        skipReason TEXT,
+        paperTrade BOOLEAN DEFAULT 0,
+        createdAt INTEGER
+    )`);
+    addColumn('predictions', 'runId', 'TEXT').catch(err => logger.error('Error adding runId column:', err));
+
+    // Manual resumes of the risk manager's circuit breakers
+    db.run(`CREATE TABLE IF NOT EXISTS risk_resumes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        paperTrade BOOLEAN DEFAULT 0,
+        resumedAt INTEGER
+    )`);
 });
 
 /**
@@ -42,7 +91,7 @@ function recordBets(bets) {
             db.run('BEGIN TRANSACTION');
 
             // First, try to insert with paperTrade
-            const stmtWithPaperTrade = db.prepare(`INSERT INTO bets (epoch, prediction, betSize, outcome, profitBNB, roundId, startingPrice, paperTrade) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+            const stmtWithPaperTrade = db.prepare(`INSERT INTO bets (epoch, prediction, betSize, outcome, profitBNB, roundId, startingPrice, paperTrade, placedAt, runId, winProbability, confidence, votes, regime) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
             
             const insertBet = (bet) => {
                 return new Promise((resolve, reject) => {
@@ -55,6 +104,12 @@ function recordBets(bets) {
                         bet.roundId,
                         bet.startingPrice,
                         bet.paperTrade ? 1 : 0,
+                        bet.placedAt || Date.now(),
+                        bet.runId,
+                        Number.isFinite(bet.winProbability) ? bet.winProbability : null,
+                        Number.isFinite(bet.confidence) ? bet.confidence : null,
+                        bet.votes ? JSON.stringify(bet.votes) : null,
+                        bet.regime || null,
                         (err) => {
                             if (err) {
                                 // If error is due to missing column, fall back to old insert
@@ -143,25 +198,46 @@ module.exports = {
     updateBetOutcome,
 };
 
+/**
+ * Builds the WHERE clause that limits bets to a run or to every run of a type.
+ * @param {Object} filter - { runId, runType }, both optional.
+ * @returns {Object} { where, params }.
+ */
+function runFilter({ runId, runType } = {}) {
+    const conditions = [];
+    const params = [];
+    if (runId) {
+        conditions.push('runId = ?');
+        params.push(runId);
+    }
+    if (runType) {
+        conditions.push('runId IN (SELECT id FROM runs WHERE type = ?)');
+        params.push(runType);
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
 /**
  * Retrieves a summary of profitability.
+ * @param {Object} filter - { runId, runType } to summarize one run or every run of a type, e.g. 'live'. Defaults to all bets.
  * @returns {Promise<Object>} Summary object.
  */
-function getSummary() {
+function getSummary(filter = {}) {
+    const { where, params } = runFilter(filter);
     return new Promise((resolve, reject) => {
         db.get(`SELECT COUNT(*) as totalBets, 
                         SUM(CASE WHEN outcome = 'win' THEN 1 ELSE 0 END) as totalWins, 
                         SUM(CASE WHEN outcome = 'lose' THEN 1 ELSE 0 END) as totalLosses, 
                         SUM(profitBNB) as totalProfitBNB
-                FROM bets`, (err, row) => {
+                FROM bets ${where}`, params, (err, row) => {
             if (err) {
                 logger.error(`Error getting summary: ${err.message}`);
                 reject(err);
             } else {
                 resolve({
                     totalBets: row.totalBets,
-                    totalWins: row.totalWins,
-                    totalLosses: row.totalLosses,
+                    totalWins: row.totalWins || 0,
+                    totalLosses: row.totalLosses || 0,
                     totalProfitBNB: row.totalProfitBNB || 0
                 });
             }
@@ -169,9 +245,188 @@ function getSummary() {
     });
 }
 
-function addPaperTradeColumn() {
+/**
+ * Retrieves the settled bets of every run of a type, oldest first.
+ * @param {string} runType - 'paper' or 'live'.
+ * @returns {Promise<Array<Object>>} Bets as { profit, placedAt }.
+ */
+function getSettledBets(runType) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT profitBNB as profit, placedAt FROM bets
+                WHERE runId IN (SELECT id FROM runs WHERE type = ?) AND outcome IS NOT NULL
+                ORDER BY id`, [runType], (err, rows) => {
+            if (err) {
+                logger.error(`Error getting settled bets: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Records a prediction that was not bet on.
+ * @param {Object} prediction - { epoch, prediction, betSize, skipReason, paperTrade, runId }.
+ * @returns {Promise<void>}
+ */
+function recordPrediction(prediction) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            'INSERT INTO predictions (epoch, prediction, betSize, skipReason, paperTrade, createdAt, runId) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [prediction.epoch, prediction.prediction, prediction.betSize, prediction.skipReason, prediction.paperTrade ? 1 : 0, Date.now(), prediction.runId],
+            (err) => {
+                if (err) {
+                    logger.error(`Error recording prediction: ${err.message}`);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Records a manual resume of the risk breakers.
+ * @param {boolean} paperTrade - true for paper trading, false for live trading.
+ * @returns {Promise<number>} Resume time in milliseconds.
+ */
+function recordRiskResume(paperTrade) {
+    const resumedAt = Date.now();
+    return new Promise((resolve, reject) => {
+        db.run('INSERT INTO risk_resumes (paperTrade, resumedAt) VALUES (?, ?)', [paperTrade ? 1 : 0, resumedAt], (err) => {
+            if (err) {
+                logger.error(`Error recording risk resume: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(resumedAt);
+            }
+        });
+    });
+}
+
+/**
+ * Retrieves the time of the last manual resume of the risk breakers.
+ * @param {boolean} paperTrade - true for paper trading, false for live trading.
+ * @returns {Promise<number>} Resume time in milliseconds, 0 if never resumed.
+ */
+function getLastRiskResume(paperTrade) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT MAX(resumedAt) as resumedAt FROM risk_resumes WHERE paperTrade = ?', [paperTrade ? 1 : 0], (err, row) => {
+            if (err) {
+                logger.error(`Error getting last risk resume: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(row.resumedAt || 0);
+            }
+        });
+    });
+}
+
+/**
+ * Creates a run.
+ * @param {Object} run - { id, type ('backtest', 'paper' or 'live'), strategyVersion, config }.
+ * @returns {Promise<void>}
+ */
+function createRun(run) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            'INSERT INTO runs (id, type, strategyVersion, config, startedAt) VALUES (?, ?, ?, ?, ?)',
+            [run.id, run.type, run.strategyVersion, JSON.stringify(run.config), Date.now()],
+            (err) => {
+                if (err) {
+                    logger.error(`Error creating run: ${err.message}`);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Records the end of a run.
+ * @param {string} runId - The run ID.
+ * @returns {Promise<void>}
+ */
+function endRun(runId) {
+    return new Promise((resolve, reject) => {
+        db.run('UPDATE runs SET endedAt = ? WHERE id = ?', [Date.now(), runId], (err) => {
+            if (err) {
+                logger.error(`Error ending run: ${err.message}`);
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Retrieves the runs with a summary of their bets, newest first.
+ * @param {string} [type] - Only runs of this type.
+ * @returns {Promise<Array<Object>>} Runs with their config parsed, plus totalBets, totalWins, totalLosses,
+ * totalProfitBNB, firstEpoch, lastEpoch, firstBetAt and lastBetAt.
+ */
+function getRuns(type) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT r.*, COUNT(b.id) as totalBets,
+                        SUM(CASE WHEN b.outcome = 'win' THEN 1 ELSE 0 END) as totalWins,
+                        SUM(CASE WHEN b.outcome = 'lose' THEN 1 ELSE 0 END) as totalLosses,
+                        SUM(b.profitBNB) as totalProfitBNB,
+                        MIN(b.epoch) as firstEpoch, MAX(b.epoch) as lastEpoch,
+                        MIN(b.placedAt) as firstBetAt, MAX(b.placedAt) as lastBetAt
+                FROM runs r
+                LEFT JOIN bets b ON b.runId = r.id
+                ${type ? 'WHERE r.type = ?' : ''}
+                GROUP BY r.id
+                ORDER BY r.startedAt DESC`, type ? [type] : [], (err, rows) => {
+            if (err) {
+                logger.error(`Error getting runs: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({
+                    ...row,
+                    config: row.config ? JSON.parse(row.config) : null,
+                    totalWins: row.totalWins || 0,
+                    totalLosses: row.totalLosses || 0,
+                    totalProfitBNB: row.totalProfitBNB || 0
+                })));
+            }
+        });
+    });
+}
+
+/**
+ * Retrieves the bets of a run, oldest first.
+ * @param {string} runId - The run ID.
+ * @returns {Promise<Array<Object>>} Bet rows.
+ */
+function getRunBets(runId) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM bets WHERE runId = ? ORDER BY id', [runId], (err, rows) => {
+            if (err) {
+                logger.error(`Error getting run bets: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Adds a column to a table of databases created before it existed.
+ * @param {string} table - Table name.
+ * @param {string} name - Column name.
+ * @param {string} definition - Column type and default.
+ * @returns {Promise<void>}
+ */
+function addColumn(table, name, definition) {
     return new Promise((resolve, reject) => {
-        db.run(`ALTER TABLE bets ADD COLUMN paperTrade BOOLEAN DEFAULT 0`, (err) => {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
             if (err) {
                 // If the error is because the column already exists, we can ignore it
                 if (err.message.includes('duplicate column name')) {
@@ -189,11 +444,12 @@ function addPaperTradeColumn() {
 /**
  * Retrieves bet details for a specific round.
  * @param {string} roundId - The round ID to fetch details for.
+ * @param {string} runId - The run the bet belongs to.
  * @returns {Promise<Object>} Bet details.
  */
-function getBetDetails(roundId) {
+function getBetDetails(roundId, runId) {
     return new Promise((resolve, reject) => {
-        db.get(`SELECT * FROM bets WHERE roundId = ?`, [roundId], (err, row) => {
+        db.get(`SELECT * FROM bets WHERE roundId = ? AND runId = ?`, [roundId, runId], (err, row) => {
             if (err) {
                 logger.error(`Error getting bet details: ${err.message}`);
                 reject(err);
@@ -204,11 +460,11 @@ function getBetDetails(roundId) {
     });
 }
 
-function updateActualProfit(roundId, actualProfitBNB) {
+function updateActualProfit(roundId, runId, actualProfitBNB) {
     return new Promise((resolve, reject) => {
         db.run(
-            'UPDATE bets SET actualProfitBNB = ? WHERE roundId = ?',
-            [actualProfitBNB, roundId],
+            'UPDATE bets SET actualProfitBNB = ? WHERE roundId = ? AND runId = ?',
+            [actualProfitBNB, roundId, runId],
             (err) => {
                 if (err) {
                     logger.error(`Error updating actual profit: ${err.message}`);
@@ -239,4 +495,4 @@ function closeDatabase() {
     });
 }
 
-module.exports = { recordBets, getSummary, getBetDetails, closeDatabase, updateActualProfit, updateBetOutcome };
\ No newline at end of file
+module.exports = { recordBets, getSummary, getSettledBets, recordPrediction, recordRiskResume, getLastRiskResume, createRun, endRun, getRuns, getRunBets, getBetDetails, closeDatabase, updateActualProfit, updateBetOutcome };
\ No newline at end of file
@@ -1,85 +1,242 @@
-const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
 
+// Share of the trees replaced by trees grown on the new samples when fine-tuning
+const FINE_TUNE_SHARE = 0.2;
+
+/**
+ * Gini impurity of a binary node.
+ * @param {number} positives - Samples labelled 1.
+ * @param {number} total - Samples in the node.
+ * @returns {number}
+ */
+function gini(positives, total) {
+    if (total === 0) return 0;
+    const p = positives / total;
+    return 2 * p * (1 - p);
+}
+
+/**
+ * Picks distinct random feature indices.
+ * @param {number} featureCount - Number of features.
+ * @param {number} count - Number to pick.
+ * @returns {Array<number>}
+ */
+function sampleFeatures(featureCount, count) {
+    const indices = Array.from({ length: featureCount }, (_, i) => i);
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(Math.random() * (featureCount - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, count);
+}
+
+/**
+ * Grows a CART classification tree on a bootstrap sample, splitting on the Gini impurity.
+ * @param {Array<Array<number>>} features - All samples.
+ * @param {Array<number>} labels - 0 or 1 per sample.
+ * @param {Array<number>} indices - Samples in this node, with repeats from bootstrapping.
+ * @param {Object} options - { maxDepth, minSamplesLeaf, maxFeatures }.
+ * @param {Array<number>} importance - Impurity decrease per feature, added to for every split.
+ * @param {number} depth - Depth of this node.
+ * @returns {Object} Leaf { value } with the share of up moves, or split { feature, threshold, left, right }.
+ */
+function growTree(features, labels, indices, options, importance, depth = 0) {
+    const total = indices.length;
+    let positives = 0;
+    for (const i of indices) positives += labels[i];
+
+    const leaf = { value: positives / total };
+    if (depth >= options.maxDepth || total < 2 * options.minSamplesLeaf || positives === 0 || positives === total) {
+        return leaf;
+    }
+
+    const parentImpurity = gini(positives, total);
+    let best = null;
+    for (const feature of sampleFeatures(importance.length, options.maxFeatures)) {
+        const sorted = indices.slice().sort((a, b) => features[a][feature] - features[b][feature]);
+        let leftPositives = 0;
+        for (let i = 0; i < total - 1; i++) {
+            leftPositives += labels[sorted[i]];
+            const leftCount = i + 1;
+            const value = features[sorted[i]][feature];
+            const nextValue = features[sorted[i + 1]][feature];
+            if (value === nextValue || leftCount < options.minSamplesLeaf || total - leftCount < options.minSamplesLeaf) continue;
+
+            const impurity = (leftCount * gini(leftPositives, leftCount)
+                + (total - leftCount) * gini(positives - leftPositives, total - leftCount)) / total;
+            const decrease = parentImpurity - impurity;
+            if (!best || decrease > best.decrease) {
+                best = { feature, threshold: (value + nextValue) / 2, decrease };
+            }
+        }
+    }
+    if (!best || best.decrease <= 0) return leaf;
+
+    importance[best.feature] += best.decrease * total;
+    const left = indices.filter(i => features[i][best.feature] <= best.threshold);
+    const right = indices.filter(i => features[i][best.feature] > best.threshold);
+    return {
+        feature: best.feature,
+        threshold: best.threshold,
+        left: growTree(features, labels, left, options, importance, depth + 1),
+        right: growTree(features, labels, right, options, importance, depth + 1)
+    };
+}
+
+/**
+ * Share of up moves in the leaf a sample falls in.
+ * @param {Object} node - Tree from growTree().
+ * @param {Array<number>} row - Sample features.
+ * @returns {number}
+ */
+function predictTree(node, row) {
+    while (node.left) {
+        node = row[node.feature] <= node.threshold ? node.left : node.right;
+    }
+    return node.value;
+}
+
+// Random forest of CART trees: each tree is grown on a bootstrap sample of the rounds and considers a random
+// subset of the features at every split. Its predicted up probability is the average over the trees.
 class RandomForestPredictor {
-    constructor(nEstimators = 100, maxDepth = 5) {
+    constructor(nEstimators = 100, maxDepth = 8, { minSamplesLeaf = 5, maxFeatures = 'sqrt' } = {}) {
         this.nEstimators = nEstimators;
         this.maxDepth = maxDepth;
-        this.models = [];
+        this.minSamplesLeaf = minSamplesLeaf;
+        this.maxFeatures = maxFeatures;
+        this.trees = [];
+        this.oobError = null;
     }
 
-    async train(features, labels) {
-        for (let i = 0; i < this.nEstimators; i++) {
-            const model = tf.sequential();
-            model.add(tf.layers.dense({ units: 64, activation: 'relu', inputShape: [features[0].length] }));
-            model.add(tf.layers.dense({ units: 32, activation: 'relu' }));
-            model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
-            
-            model.compile({ optimizer: 'adam', loss: 'binaryCrossentropy', metrics: ['accuracy'] });
-            
-            const xs = tf.tensor2d(features);
-            const ys = tf.tensor2d(labels, [labels.length, 1]);
-            
-            await model.fit(xs, ys, { epochs: 10, verbose: 0 });
-            
-            this.models.push(model);
-            
-            xs.dispose();
-            ys.dispose();
+    // Number of features tried at each split: 'sqrt', 'log2', a share below 1 or a count
+    resolveMaxFeatures(featureCount) {
+        let count;
+        if (this.maxFeatures === 'sqrt') {
+            count = Math.sqrt(featureCount);
+        } else if (this.maxFeatures === 'log2') {
+            count = Math.log2(featureCount);
+        } else {
+            const value = Number(this.maxFeatures);
+            count = value < 1 ? value * featureCount : value;
         }
+        return Math.min(featureCount, Math.max(1, Math.round(count)));
     }
 
-    async predict(features) {
-        const predictions = await Promise.all(this.models.map(model => {
-            const xs = tf.tensor2d(features, [features.length, features[0].length]);
-            const prediction = model.predict(xs);
-            xs.dispose();
-            return prediction;
-        }));
-        
-        const avgPrediction = tf.tidy(() => {
-            const stacked = tf.stack(predictions);
-            return stacked.mean(0);
+    // Grows a tree on a bootstrap sample, returning it with the samples it did not see
+    growBootstrapTree(features, labels) {
+        const inBag = new Uint8Array(features.length);
+        const indices = Array.from({ length: features.length }, () => {
+            const i = Math.floor(Math.random() * features.length);
+            inBag[i] = 1;
+            return i;
         });
-        
-        const result = await avgPrediction.array();
-        avgPrediction.dispose();
-        predictions.forEach(p => p.dispose());
-        
-        return result[0][0];
+        const importance = new Array(features[0].length).fill(0);
+        const root = growTree(features, labels, indices, {
+            maxDepth: this.maxDepth,
+            minSamplesLeaf: this.minSamplesLeaf,
+            maxFeatures: this.resolveMaxFeatures(features[0].length)
+        }, importance);
+        return { tree: { root, importance }, inBag };
     }
-}
 
-function prepareFeatures(priceBuffer) {
-    if (!Array.isArray(priceBuffer) || priceBuffer.length < 50) {
-        console.warn('Invalid priceBuffer: insufficient data');
-        return [];
+    async train(features, labels) {
+        this.trees = [];
+        const oobVotes = new Float64Array(features.length);
+        const oobCounts = new Uint32Array(features.length);
+
+        for (let t = 0; t < this.nEstimators; t++) {
+            const { tree, inBag } = this.growBootstrapTree(features, labels);
+            this.trees.push(tree);
+            for (let i = 0; i < features.length; i++) {
+                if (!inBag[i]) {
+                    oobVotes[i] += predictTree(tree.root, features[i]);
+                    oobCounts[i]++;
+                }
+            }
+            // Growing a tree blocks, so let round events through between trees
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        // Out-of-bag error: each sample is predicted by the trees that did not train on it
+        let evaluated = 0;
+        let errors = 0;
+        for (let i = 0; i < features.length; i++) {
+            if (oobCounts[i] === 0) continue;
+            evaluated++;
+            if ((oobVotes[i] / oobCounts[i] > 0.5 ? 1 : 0) !== labels[i]) errors++;
+        }
+        this.oobError = evaluated > 0 ? errors / evaluated : null;
     }
-    const features = [];
-    if (priceBuffer.length === 51) {
-        // Handle single window case
-        const window = priceBuffer.slice(0, 50);
-        const returns = window.slice(1).map((price, index) => (price - window[index]) / window[index]);
-        const volatility = Math.sqrt(returns.reduce((sum, ret) => sum + ret * ret, 0) / returns.length);
-        const momentum = (window[window.length - 1] - window[0]) / window[0];
-        features.push([...window, volatility, momentum]);
-    } else {
-        // Handle multiple windows case
-        for (let i = 0; i < priceBuffer.length - 50; i++) {
-            const window = priceBuffer.slice(i, i + 50);
-            const returns = window.slice(1).map((price, index) => (price - window[index]) / window[index]);
-            const volatility = Math.sqrt(returns.reduce((sum, ret) => sum + ret * ret, 0) / returns.length);
-            const momentum = (window[window.length - 1] - window[0]) / window[0];
-            features.push([...window, volatility, momentum]);
+
+    // Trees cannot be trained further, so the oldest trees are replaced by trees grown on the new samples.
+    // The out-of-bag error is left as measured by the last full training.
+    async fineTune(features, labels) {
+        const replaced = Math.max(1, Math.round(this.trees.length * FINE_TUNE_SHARE));
+        const newTrees = [];
+        for (let t = 0; t < replaced; t++) {
+            newTrees.push(this.growBootstrapTree(features, labels).tree);
+            await new Promise(resolve => setImmediate(resolve));
         }
+        this.trees = [...this.trees.slice(replaced), ...newTrees];
     }
-    return features;
-}
-function prepareLabels(priceBuffer) {
-    const labels = [];
-    for (let i = 50; i < priceBuffer.length; i++) {
-        labels.push(priceBuffer[i] > priceBuffer[i - 1] ? 1 : 0);
+
+    async predict(features) {
+        const row = features[0];
+        return this.trees.reduce((total, tree) => total + predictTree(tree.root, row), 0) / this.trees.length;
+    }
+
+    // Mean decrease in Gini impurity of each feature, normalized to sum to 1, most important first
+    getFeatureImportance() {
+        if (this.trees.length === 0) return [];
+        const totals = this.trees[0].importance.map((_, feature) =>
+            this.trees.reduce((total, tree) => total + tree.importance[feature], 0));
+        const sum = totals.reduce((total, value) => total + value, 0) || 1;
+        const names = this.featurePipeline ? this.featurePipeline.names : [];
+        return totals
+            .map((value, feature) => ({ feature: names[feature] || `feature${feature}`, importance: value / sum }))
+            .sort((a, b) => b.importance - a.importance);
+    }
+
+    describe() {
+        return {
+            type: 'forest',
+            nEstimators: this.trees.length,
+            maxDepth: this.maxDepth,
+            minSamplesLeaf: this.minSamplesLeaf,
+            maxFeatures: this.maxFeatures,
+            oobError: this.oobError,
+            topFeatures: this.getFeatureImportance().slice(0, 10)
+        };
+    }
+
+    async save(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, 'predictor.json'), JSON.stringify({
+            type: 'forest',
+            nEstimators: this.nEstimators,
+            maxDepth: this.maxDepth,
+            minSamplesLeaf: this.minSamplesLeaf,
+            maxFeatures: this.maxFeatures,
+            oobError: this.oobError,
+            trees: this.trees
+        }));
+    }
+
+    static async load(directory) {
+        const saved = JSON.parse(fs.readFileSync(path.join(directory, 'predictor.json'), 'utf8'));
+        const forest = new RandomForestPredictor(saved.nEstimators, saved.maxDepth, {
+            minSamplesLeaf: saved.minSamplesLeaf,
+            maxFeatures: saved.maxFeatures
+        });
+        forest.trees = saved.trees;
+        forest.oobError = saved.oobError;
+        return forest;
+    }
+
+    dispose() {
+        this.trees = [];
     }
-    return labels;
 }
 
-module.exports = { RandomForestPredictor, prepareFeatures, prepareLabels };
\ No newline at end of file
+module.exports = { RandomForestPredictor };
@@ -0,0 +1,11 @@
+// resumeBetting.js
+// Manually clears the risk breakers for the configured MODE, e.g. after reviewing a drawdown.
+// The running bot picks this up before its next bet.
+
+const logger = require('./logger');
+const profitTracker = require('./profitTracker');
+const { resumeBetting } = require('./riskManager');
+
+resumeBetting()
+    .catch(error => logger.error(`Error resuming betting: ${error}`))
+    .finally(() => profitTracker.closeDatabase());
@@ -0,0 +1,90 @@
+// riskManager.js
+// Applies the risk limits from config to the bets of every run in the bot's mode, as recorded by profitTracker.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const profitTracker = require('./profitTracker');
+const { evaluateRisk, capRoundExposure } = require('./shared/riskLimits');
+
+const RISK_LIMITS = {
+    maxDailyLoss: config.maxDailyLoss,
+    maxDrawdown: config.maxDrawdown,
+    maxConsecutiveLosses: config.maxConsecutiveLosses,
+    maxRoundExposure: config.maxRoundExposure,
+    cooldownMinutes: config.cooldownMinutes
+};
+
+// Last breaker reported, so a trip or resume is only logged once
+let lastBreaker = null;
+
+/**
+ * Checks whether betting is paused by one of the risk breakers.
+ * @param {number|null} bankroll - Current wallet or paper balance in BNB, needed for the drawdown limit.
+ * @returns {Promise<Object>} { paused, breaker, reason, trippedAt, resumeAt }.
+ */
+async function getRiskStatus(bankroll) {
+    const [bets, resumedAt] = await Promise.all([
+        profitTracker.getSettledBets(config.mode),
+        profitTracker.getLastRiskResume(config.mode === 'paper')
+    ]);
+    const status = evaluateRisk(bets, RISK_LIMITS, { bankroll, resumedAt });
+
+    if (status.breaker !== lastBreaker) {
+        if (status.paused) {
+            const resume = status.resumeAt ? `until ${new Date(status.resumeAt).toLocaleString()}` : 'until resumed manually';
+            logger.warn(`Risk breaker ${status.breaker} tripped: ${status.reason}. Betting paused ${resume}.`);
+        } else {
+            logger.info(`Risk breaker ${lastBreaker} cleared. Betting resumed.`);
+        }
+        lastBreaker = status.breaker;
+    }
+
+    writeStatusFile(status);
+    return status;
+}
+
+/**
+ * Writes the breaker state to RISK_STATUS_FILE, where the interface reads it. The browser cannot read
+ * profitability.db, so this file is the only way it sees the bot's breakers.
+ * @param {Object} status - evaluateRisk() result.
+ */
+function writeStatusFile(status) {
+    if (!config.riskStatusFile) return;
+    try {
+        fs.mkdirSync(path.dirname(config.riskStatusFile), { recursive: true });
+        // Written to a temporary file first, so the interface never reads half a file
+        const temporaryFile = `${config.riskStatusFile}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify({ mode: config.mode, updatedAt: Date.now(), ...status }, null, 2));
+        fs.renameSync(temporaryFile, config.riskStatusFile);
+    } catch (error) {
+        logger.warn(`Could not write the risk status to ${config.riskStatusFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Caps a stake at the configured per-round exposure.
+ * @param {number} betSize - Proposed stake in BNB.
+ * @returns {number} Stake in BNB.
+ */
+function capExposure(betSize) {
+    const cappedSize = capRoundExposure(betSize, RISK_LIMITS);
+    if (cappedSize < betSize) {
+        logger.info(`Bet size ${betSize.toFixed(4)} BNB capped at the round exposure limit of ${cappedSize.toFixed(4)} BNB.`);
+    }
+    return cappedSize;
+}
+
+/**
+ * Clears every tripped breaker for the current mode.
+ * @returns {Promise<void>}
+ */
+async function resumeBetting() {
+    const resumedAt = await profitTracker.recordRiskResume(config.mode === 'paper');
+    logger.info(`Risk breakers resumed manually for ${config.mode} trading at ${new Date(resumedAt).toLocaleString()}.`);
+    // No bet has settled since the resume, so the bankroll is not needed to clear the status file
+    await getRiskStatus(null);
+}
+
+module.exports = { getRiskStatus, capExposure, resumeBetting };
@@ -0,0 +1,232 @@
+// roundWatcher.js
+const { ethers } = require('ethers');
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+
+const PREDICTION_ABI = JSON.parse(fs.readFileSync('./ABIS/contractABI.json', 'utf8'));
+
+// Read-only contract used for polling and round lookups
+const rpcProvider = new ethers.providers.JsonRpcProvider(config.quicknodeRpcUrl);
+const predictionContract = new ethers.Contract(config.predictionContractAddress, PREDICTION_ABI, rpcProvider);
+
+// Contract prices come from the Chainlink BNB/USD feed (8 decimals)
+const formatPrice = (price) => Number(ethers.utils.formatUnits(price, 8));
+
+/**
+ * Converts a rounds(epoch) result into plain numbers: prices in USD, amounts in BNB, timestamps in seconds.
+ * @param {Object} round - Raw round struct from the prediction contract.
+ * @returns {Object} Normalized round.
+ */
+function parseRound(round) {
+    return {
+        epoch: round.epoch.toNumber(),
+        startTimestamp: round.startTimestamp.toNumber(),
+        lockTimestamp: round.lockTimestamp.toNumber(),
+        closeTimestamp: round.closeTimestamp.toNumber(),
+        lockPrice: formatPrice(round.lockPrice),
+        closePrice: formatPrice(round.closePrice),
+        totalAmount: Number(ethers.utils.formatEther(round.totalAmount)),
+        bullAmount: Number(ethers.utils.formatEther(round.bullAmount)),
+        bearAmount: Number(ethers.utils.formatEther(round.bearAmount)),
+        rewardBaseCalAmount: Number(ethers.utils.formatEther(round.rewardBaseCalAmount)),
+        rewardAmount: Number(ethers.utils.formatEther(round.rewardAmount)),
+        oracleCalled: round.oracleCalled
+    };
+}
+
+/**
+ * Fetches a round from the prediction contract.
+ * @param {number} epoch - Round epoch.
+ * @returns {Promise<Object>} Normalized round.
+ */
+async function getRound(epoch) {
+    return parseRound(await predictionContract.rounds(epoch));
+}
+
+/**
+ * Opens a WebSocket connection to the prediction contract for its events.
+ * @returns {Object} { provider, contract }, the provider a WebSocketProvider.
+ */
+function connectSocket() {
+    const provider = new ethers.providers.WebSocketProvider(config.quicknodeWsUrl);
+    const contract = new ethers.Contract(config.predictionContractAddress, PREDICTION_ABI, provider);
+    return { provider, contract };
+}
+
+/**
+ * Watches the prediction contract for StartRound, LockRound and EndRound events.
+ * Events come from a WebSocket subscription; while it is down, currentEpoch() is polled
+ * over JSON-RPC instead. Each event is delivered at most once per epoch, whatever its source.
+ * BetBull and BetBear events are passed to onBet as they arrive on the subscription.
+ * @param {Object} handlers - { onStartRound(epoch), onLockRound(epoch, price), onEndRound(epoch, price),
+ * onBet(epoch, position, amount) } with the amount in BNB.
+ * @param {number} currentEpoch - Epoch running when watching starts. Earlier rounds are treated as already seen.
+ * @param {Object} [connection] - { contract, connectSocket } used instead of predictionContract for polling and
+ * connectSocket() for the subscription.
+ * @returns {Function} Stops watching.
+ */
+function watchRounds(handlers, currentEpoch, { contract: rpcContract = predictionContract, connectSocket: openSocket = connectSocket } = {}) {
+    const lastEmitted = {
+        start: currentEpoch - 1,
+        lock: currentEpoch - 1,
+        end: currentEpoch - 2
+    };
+    const handlerFor = {
+        start: handlers.onStartRound,
+        lock: handlers.onLockRound,
+        end: handlers.onEndRound
+    };
+
+    let wsProvider = null;
+    let subscribed = false;
+    let pollTimer = null;
+    let reconnectTimer = null;
+    let lastEventAt = Date.now();
+    let stopped = false;
+
+    const emit = (kind, epoch, ...args) => {
+        lastEventAt = Date.now();
+        if (epoch <= lastEmitted[kind]) return;
+        lastEmitted[kind] = epoch;
+
+        const handler = handlerFor[kind];
+        if (handler) {
+            Promise.resolve(handler(epoch, ...args)).catch(error => {
+                logger.error(`Error handling ${kind} event for epoch ${epoch}: ${error}`);
+            });
+        }
+    };
+
+    // Bets only come from the subscription, polling does not replay the ones missed while it is down
+    const emitBet = (position, epoch, amount) => {
+        if (!handlers.onBet) return;
+        try {
+            handlers.onBet(epoch.toNumber(), position, Number(ethers.utils.formatEther(amount)));
+        } catch (error) {
+            logger.error(`Error handling ${position} bet for epoch ${epoch}: ${error}`);
+        }
+    };
+
+    /**
+     * Replays any round transitions missed since the last event, in contract order:
+     * lock the previous epoch, end the one before it, then start the current epoch.
+     */
+    const pollOnce = async () => {
+        try {
+            const epoch = (await rpcContract.currentEpoch()).toNumber();
+            if (epoch <= lastEmitted.start) return;
+
+            const lockedRound = await rpcContract.rounds(epoch - 1);
+            if (lockedRound.lockOracleId.gt(0)) {
+                emit('lock', epoch - 1, formatPrice(lockedRound.lockPrice));
+            }
+
+            for (let ended = lastEmitted.end + 1; ended <= epoch - 2; ended++) {
+                const endedRound = await rpcContract.rounds(ended);
+                if (endedRound.oracleCalled) {
+                    emit('end', ended, formatPrice(endedRound.closePrice));
+                }
+            }
+
+            emit('start', epoch);
+        } catch (error) {
+            logger.error(`Error polling current epoch: ${error}`);
+        }
+    };
+
+    const startPolling = () => {
+        if (pollTimer || stopped) return;
+        pollOnce();
+        pollTimer = setInterval(pollOnce, config.pollIntervalMs);
+    };
+
+    const stopPolling = () => {
+        if (!pollTimer) return;
+        clearInterval(pollTimer);
+        pollTimer = null;
+        logger.info('Round event subscription restored. Polling stopped.');
+    };
+
+    const disconnect = () => {
+        subscribed = false;
+        if (wsProvider) {
+            const provider = wsProvider;
+            wsProvider = null;
+            provider.removeAllListeners();
+            provider.destroy().catch(() => {});
+        }
+    };
+
+    const scheduleReconnect = () => {
+        if (reconnectTimer || stopped) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, config.pollIntervalMs * 5);
+    };
+
+    const handleDrop = (reason) => {
+        logger.warn(`Round event subscription dropped: ${reason}. Polling every ${config.pollIntervalMs}ms.`);
+        disconnect();
+        startPolling();
+        scheduleReconnect();
+    };
+
+    const connect = () => {
+        if (stopped) return;
+        try {
+            const { provider, contract } = openSocket();
+            // Ignore socket events from a provider that has already been replaced
+            const isCurrent = () => provider === wsProvider;
+            wsProvider = provider;
+
+            contract.on('LockRound', (epoch, roundId, price) => emit('lock', epoch.toNumber(), formatPrice(price)));
+            contract.on('EndRound', (epoch, roundId, price) => emit('end', epoch.toNumber(), formatPrice(price)));
+            contract.on('StartRound', (epoch) => emit('start', epoch.toNumber()));
+            contract.on('BetBull', (sender, epoch, amount) => emitBet('bull', epoch, amount));
+            contract.on('BetBear', (sender, epoch, amount) => emitBet('bear', epoch, amount));
+
+            provider._websocket.on('open', async () => {
+                if (!isCurrent()) return;
+                logger.info('Subscribed to prediction round events.');
+                subscribed = true;
+                lastEventAt = Date.now();
+                // Catch up on anything missed while disconnected before trusting the subscription
+                await pollOnce();
+                stopPolling();
+            });
+            provider._websocket.on('close', (code) => isCurrent() && handleDrop(`socket closed (${code})`));
+            provider._websocket.on('error', (error) => isCurrent() && handleDrop(error.message || error));
+        } catch (error) {
+            handleDrop(error.message || error);
+        }
+    };
+
+    // A subscription can go silent without closing, so resubscribe when rounds stop arriving
+    const watchdog = setInterval(() => {
+        if (subscribed && Date.now() - lastEventAt > config.roundEventTimeoutMs) {
+            handleDrop(`no round events for ${Math.round((Date.now() - lastEventAt) / 1000)}s`);
+        }
+    }, config.pollIntervalMs);
+
+    startPolling();
+    connect();
+
+    return () => {
+        stopped = true;
+        clearInterval(watchdog);
+        clearTimeout(reconnectTimer);
+        if (pollTimer) clearInterval(pollTimer);
+        pollTimer = null;
+        disconnect();
+    };
+}
+
+module.exports = {
+    watchRounds,
+    predictionContract,
+    formatPrice,
+    parseRound,
+    getRound
+};
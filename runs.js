@@ -0,0 +1,248 @@
+// runs.js
+// Every backtest, paper session and live session is recorded as a run with a snapshot of its config and
+// the strategy version, and every bet it places belongs to it. Runs keep backtests out of the paper and
+// live stats and can be listed, compared or turned into a report from the command line:
+//   node runs.js [backtest|paper|live]      List the runs with a summary of their bets
+//   node runs.js compare <runId> <runId>...  Compare the performance of runs side by side
+//   node runs.js report <runId>              Write the HTML and JSON report of a run to reports/
+//   node runs.js reliability <runId>...      Predicted against realized win rate of the runs' bets
+//   node runs.js attribution <runId>...      Profit of the runs' bets by the vote of each ensemble strategy
+//   node runs.js shadows [runId]             Compare a paper or live run with its shadow strategies, the latest by default
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const profitTracker = require('./profitTracker');
+const paperWallet = require('./paperWallet');
+const { buildReport, writeReport } = require('./backtestReport');
+const { buildReliabilityReport } = require('./calibration');
+const { buildAttributionReport } = require('./ensemble');
+
+// Keys and node URLs, which may contain API keys, are left out of the config snapshot
+const SECRET_CONFIG_KEYS = ['privateKey', 'quicknodeWsUrl', 'quicknodeRpcUrl', 'ingestRpcUrl'];
+
+/**
+ * Copies the config without its secrets.
+ * @returns {Object} Config snapshot.
+ */
+function getConfigSnapshot() {
+    return Object.fromEntries(Object.entries(config).filter(([key]) => !SECRET_CONFIG_KEYS.includes(key)));
+}
+
+/**
+ * Creates a run ID such as backtest-20240101T120000-3fa2.
+ * @param {string} type - 'backtest', 'paper', 'live' or 'shadow'.
+ * @returns {string}
+ */
+function createRunId(type) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    return `${type}-${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Starts a run.
+ * @param {string} type - 'backtest', 'paper', 'live' or 'shadow'.
+ * @param {string} strategyVersion - STRATEGY_VERSION of the prediction module.
+ * @param {Object} parameters - Run settings that are not in config, e.g. the startingBankroll or the epochs a backtest covers.
+ * @returns {Promise<string>} The run ID.
+ */
+async function startRun(type, strategyVersion, parameters = {}) {
+    const id = createRunId(type);
+    await profitTracker.createRun({ id, type, strategyVersion, config: { ...getConfigSnapshot(), ...parameters } });
+    logger.info(`Started ${type} run ${id} with strategy version ${strategyVersion}.`);
+    return id;
+}
+
+/**
+ * Ends a run.
+ * @param {string} runId - The run ID.
+ * @returns {Promise<void>}
+ */
+async function endRun(runId) {
+    await profitTracker.endRun(runId);
+    logger.info(`Ended run ${runId}.`);
+}
+
+/**
+ * Builds the performance report of a run from its settled bets.
+ * @param {Object} run - Run as returned by profitTracker.getRuns().
+ * @returns {Promise<Object>} Report from buildReport().
+ */
+async function buildRunReport(run) {
+    const bets = await profitTracker.getRunBets(run.id);
+    // The paper wallet's ledger also holds the estimated gas, which the bets' profits leave out
+    const walletCurve = run.type === 'paper' ? await paperWallet.getEquityCurve(run.startedAt || 0, run.endedAt || undefined) : null;
+    return buildReport(bets, {
+        startingBankroll: (run.config && run.config.startingBankroll) || config.paperBankroll,
+        name: run.id,
+        parameters: { runId: run.id, type: run.type, strategyVersion: run.strategyVersion, ...run.config },
+        walletCurve
+    });
+}
+
+/**
+ * Formats a timestamp in milliseconds for the run list.
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+/**
+ * Logs every run, newest first.
+ * @param {string} [type] - Only runs of this type.
+ */
+async function listRuns(type) {
+    const runs = await profitTracker.getRuns(type);
+    if (runs.length === 0) {
+        logger.info('No runs recorded.');
+        return;
+    }
+
+    for (const run of runs) {
+        const settled = run.totalWins + run.totalLosses;
+        const winRate = settled > 0 ? `${((run.totalWins / settled) * 100).toFixed(2)}%` : '-';
+        logger.info(`${run.id} [${run.type}] strategy ${run.strategyVersion || '-'}, ${formatTime(run.startedAt)} to ${formatTime(run.endedAt)}`);
+        logger.info(`    Epochs ${run.firstEpoch || '-'} to ${run.lastEpoch || '-'}, ${run.totalBets} bets, win rate ${winRate}, profit ${run.totalProfitBNB.toFixed(4)} BNB`);
+    }
+}
+
+const round = value => (value === null ? null : Number(value.toFixed(4)));
+
+/**
+ * Logs the main performance metrics of several runs side by side.
+ * @param {Array<string>} runIds - Run IDs to compare.
+ */
+async function compareRuns(runIds) {
+    const runs = await profitTracker.getRuns();
+    const rows = [];
+    for (const runId of runIds) {
+        const run = runs.find(candidate => candidate.id === runId);
+        if (!run) {
+            logger.warn(`Run ${runId} not found.`);
+            continue;
+        }
+        const { summary, risk, reliability } = await buildRunReport(run);
+        rows.push({
+            run: run.id,
+            type: run.type,
+            strategy: run.strategyVersion,
+            bets: summary.bets,
+            winRate: round(summary.winRate),
+            profit: round(summary.profit),
+            roi: round(summary.roi),
+            maxDrawdown: round(risk.maxDrawdown.value),
+            sharpe: round(risk.sharpePerRound),
+            profitFactor: round(risk.profitFactor),
+            brierScore: round(reliability.brierScore)
+        });
+    }
+    if (rows.length > 0) {
+        console.table(rows);
+    }
+}
+
+/**
+ * Writes the report of a run to the reports directory.
+ * @param {string} runId - The run ID.
+ */
+async function reportRun(runId) {
+    const run = (await profitTracker.getRuns()).find(candidate => candidate.id === runId);
+    if (!run) {
+        logger.warn(`Run ${runId} not found.`);
+        return;
+    }
+    const { jsonPath, htmlPath } = writeReport(await buildRunReport(run));
+    logger.info(`Report for run ${runId} written to ${htmlPath} and ${jsonPath}`);
+}
+
+/**
+ * Logs how well the win probabilities of the runs' bets matched their outcomes, pooling the bets of all runs.
+ * @param {Array<string>} runIds - Run IDs, for example all paper runs of a strategy version.
+ */
+async function reportReliability(runIds) {
+    const bets = [];
+    for (const runId of runIds) {
+        bets.push(...await profitTracker.getRunBets(runId));
+    }
+    const reliability = buildReliabilityReport(bets);
+    if (reliability.samples === 0) {
+        logger.warn('None of the settled bets of these runs was recorded with its win probability.');
+        return;
+    }
+    console.table(reliability.buckets.map(bucket => ({
+        winProbability: `${bucket.from.toFixed(2)}-${bucket.to.toFixed(2)}`,
+        bets: bucket.bets,
+        predicted: round(bucket.meanProbability),
+        realized: round(bucket.realizedWinRate)
+    })));
+    logger.info(`${reliability.samples} bets: Brier score ${reliability.brierScore.toFixed(4)}, log loss ${reliability.logLoss.toFixed(4)}, expected calibration error ${(reliability.expectedCalibrationError * 100).toFixed(2)}%`);
+}
+
+/**
+ * Logs the profit of the runs' bets each ensemble strategy voted for and against, pooling the bets of all runs.
+ * @param {Array<string>} runIds - Run IDs of runs betting with the ensemble.
+ */
+async function reportAttribution(runIds) {
+    const bets = [];
+    for (const runId of runIds) {
+        bets.push(...await profitTracker.getRunBets(runId));
+    }
+    const attribution = buildAttributionReport(bets);
+    if (attribution.bets === 0) {
+        logger.warn('None of the settled bets of these runs was recorded with ensemble votes.');
+        return;
+    }
+    console.table(Object.entries(attribution.strategies).map(([name, strategy]) => ({
+        strategy: name,
+        votedFor: strategy.agreed,
+        profitFor: round(strategy.agreedProfit),
+        votedAgainst: strategy.opposed,
+        profitAgainst: round(strategy.opposedProfit),
+        abstained: strategy.abstained,
+        accuracy: round(strategy.accuracy)
+    })));
+    logger.info(`${attribution.bets} bets with ensemble votes.`);
+}
+
+/**
+ * Compares a paper or live run with the shadow strategies that ran alongside it, see shadowStrategies.js.
+ * @param {string} [runId] - The paper or live run, the latest one with shadows by default.
+ */
+async function compareShadows(runId) {
+    const runs = await profitTracker.getRuns();
+    const shadowRuns = runs.filter(run => run.type === 'shadow' && run.config);
+    const activeRunId = runId || (shadowRuns.length > 0 ? shadowRuns[0].config.activeRunId : null);
+    const shadowIds = shadowRuns.filter(run => run.config.activeRunId === activeRunId).map(run => run.id);
+    if (!activeRunId || shadowIds.length === 0) {
+        logger.warn(runId ? `Run ${runId} has no shadow strategies.` : 'No shadow strategies recorded.');
+        return;
+    }
+    shadowRuns.filter(run => shadowIds.includes(run.id)).forEach(run => logger.info(`${run.id}: shadow ${run.config.shadow}, strategy ${run.config.strategy}`));
+    await compareRuns([activeRunId, ...shadowIds]);
+}
+
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+    let task;
+    if (command === 'compare') {
+        task = compareRuns(args);
+    } else if (command === 'report') {
+        task = reportRun(args[0]);
+    } else if (command === 'reliability') {
+        task = reportReliability(args);
+    } else if (command === 'attribution') {
+        task = reportAttribution(args);
+    } else if (command === 'shadows') {
+        task = compareShadows(args[0]);
+    } else {
+        task = listRuns(command);
+    }
+
+    task
+        .catch(error => logger.error(`Error in runs.js: ${error}`))
+        .finally(() => profitTracker.closeDatabase());
+}
+
+module.exports = { startRun, endRun, buildRunReport };
@@ -0,0 +1,185 @@
+// shadowStrategies.js
+// Shadow strategies predict every round alongside the bot's strategy but never bet. Each records the bet it
+// would have placed, sized from a virtual bankroll, and settles it when the round ends, so its results can
+// be compared with the bot's over the same rounds. Every shadow is a run of type shadow that names the run
+// of the session in activeRunId, see node runs.js shadows.
+// SHADOW_STRATEGIES names a JSON file listing the shadows, see shadows.example.json:
+//   name          Unique name of the shadow
+//   strategyFile  JSON or YAML strategy file, the built-in strategy when left out, see strategyLoader.js
+//   parameters    Strategy parameters overriding the strategy's, e.g. bullConfidence or betSizing
+//   ensemble      Overrides of the ENSEMBLE_ settings, e.g. { "strategies": [] } to bet the blended confidence
+// Risk limits do not apply to shadows.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const profitTracker = require('./profitTracker');
+const { startRun, endRun } = require('./runs');
+const { STRATEGY_VERSION, BOT_STRATEGY_PARAMETERS, createIndicatorStream, getBetDecision } = require('./prediction');
+const { loadStrategy } = require('./strategyLoader');
+const { createEnsemble } = require('./ensemble');
+const { settleBet, isRefundable } = require('./shared/settlement');
+
+class ShadowStrategy {
+    /**
+     * @param {Object} definition - Entry of the shadows file.
+     * @param {string} definition.name - Unique name of the shadow.
+     * @param {string} [definition.strategyFile] - Strategy file, relative to the shadows file.
+     * @param {Object} [definition.parameters] - Strategy parameters overriding the strategy's.
+     * @param {Object} [definition.ensemble] - Overrides of the ENSEMBLE_ settings.
+     * @param {string} [baseDirectory] - Directory strategyFile is resolved against.
+     */
+    constructor({ name, strategyFile, parameters = {}, ensemble = {} }, baseDirectory = __dirname) {
+        this.name = name;
+        this.strategy = loadStrategy(strategyFile && path.resolve(baseDirectory, strategyFile), { parameterNames: Object.keys(BOT_STRATEGY_PARAMETERS) });
+        this.parameters = { ...BOT_STRATEGY_PARAMETERS, ...this.strategy.parameters, ...parameters };
+        this.ensemble = createEnsemble(ensemble);
+        this.indicators = createIndicatorStream(this.parameters);
+        this.runId = null;
+        this.bankroll = 0; // Virtual bankroll, less the stakes of the pending bets
+        this.pendingBets = new Map(); // Bet on each round until it is settled
+        this.roundVotes = new Map(); // Ensemble votes on each round until it ends, for the stacking
+    }
+
+    /**
+     * Starts the shadow's run.
+     * @param {string} activeRunId - Run of the bot's strategy.
+     * @param {number} bankroll - Starting virtual bankroll in BNB, the bot's bankroll.
+     * @returns {Promise<void>}
+     */
+    async start(activeRunId, bankroll) {
+        this.bankroll = bankroll;
+        this.runId = await startRun('shadow', STRATEGY_VERSION, {
+            shadow: this.name,
+            activeRunId,
+            startingBankroll: bankroll,
+            strategy: this.strategy.name,
+            parameters: this.parameters,
+            ensemble: this.ensemble && { strategies: this.ensemble.strategies, method: this.ensemble.method, weights: this.ensemble.weights }
+        });
+    }
+
+    /**
+     * Feeds a close price to the shadow's indicators.
+     * @param {number} closePrice
+     */
+    update(closePrice) {
+        this.indicators.update(closePrice);
+    }
+
+    /**
+     * Decides the bet the shadow would place on a round and records it.
+     * @param {number} epoch - Epoch of the round.
+     * @param {Array<number>} priceBuffer - Latest close prices.
+     * @param {Object} pools - Pools and crowd flow of the round, as passed to getBetDecision().
+     * @param {Object} model - Model the bot predicts with.
+     * @returns {Promise<Object>} getBetDecision() result.
+     */
+    async evaluate(epoch, priceBuffer, pools, model) {
+        const decision = await getBetDecision(priceBuffer, pools, this.bankroll, model, this.parameters, this.indicators, this.ensemble, this.strategy);
+        if (decision.votes) {
+            this.roundVotes.set(epoch, decision.votes);
+        }
+        if (!decision.prediction || !(decision.betSize > 0)) {
+            logger.info(`[SHADOW ${this.name}] No bet for epoch ${epoch}: ${decision.skipReason}`);
+            return decision;
+        }
+
+        await profitTracker.recordBets([{
+            epoch,
+            prediction: decision.prediction,
+            betSize: decision.betSize,
+            outcome: null,
+            profitBNB: null,
+            roundId: epoch.toString(),
+            startingPrice: priceBuffer[priceBuffer.length - 1],
+            paperTrade: true,
+            runId: this.runId,
+            winProbability: decision.winProbability,
+            confidence: decision.confidence,
+            votes: decision.votes,
+            regime: decision.regime
+        }]);
+        this.bankroll -= decision.betSize;
+        this.pendingBets.set(epoch, { position: decision.prediction, amount: decision.betSize });
+        logger.info(`[SHADOW ${this.name}] Would bet ${decision.prediction} with ${decision.betSize.toFixed(4)} BNB on epoch ${epoch}.`);
+        return decision;
+    }
+
+    /**
+     * Settles the shadow's bet on an ended round and lets its ensemble learn from the round.
+     * @param {Object} round - Round from getRound().
+     * @param {number} bufferSeconds - Contract's bufferSeconds, for the refunds.
+     * @returns {Promise<void>}
+     */
+    async settle(round, bufferSeconds) {
+        if (this.roundVotes.has(round.epoch) && round.closePrice !== round.lockPrice) {
+            this.ensemble.addOutcome(this.roundVotes.get(round.epoch), round.closePrice > round.lockPrice);
+        }
+        for (const epoch of this.roundVotes.keys()) {
+            if (epoch <= round.epoch) this.roundVotes.delete(epoch);
+        }
+
+        const bet = this.pendingBets.get(round.epoch);
+        if (!bet) return;
+        const { outcome, payout, profit } = settleBet(bet, round, { refundable: isRefundable(round, bufferSeconds), simulated: true });
+        if (!outcome) return;
+
+        const betDetails = await profitTracker.getBetDetails(round.epoch.toString(), this.runId);
+        if (betDetails) {
+            await profitTracker.updateBetOutcome(betDetails.id, outcome, profit);
+        }
+        this.bankroll += payout;
+        this.pendingBets.delete(round.epoch);
+        logger.info(`[SHADOW ${this.name}] Round ${round.epoch}: ${outcome.toUpperCase()}, Profit: ${profit.toFixed(4)} BNB, Bankroll: ${this.bankroll.toFixed(4)} BNB`);
+    }
+
+    /**
+     * Ends the shadow's run.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.runId) {
+            await endRun(this.runId);
+        }
+    }
+}
+
+/**
+ * Loads the shadow strategies of a shadows file.
+ * @param {string} [file] - Path of the JSON shadows file, no shadows when empty.
+ * @returns {Array<ShadowStrategy>}
+ * @throws {Error} When the file cannot be read, a name is missing or repeated, or a strategy is invalid.
+ */
+function loadShadowStrategies(file = config.shadowStrategiesFile) {
+    if (!file) return [];
+
+    let definitions;
+    try {
+        definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read shadow strategies file ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(definitions)) {
+        throw new Error(`${file}: expected an array of shadow strategies.`);
+    }
+
+    const names = new Set();
+    return definitions.map((definition, i) => {
+        if (!definition || typeof definition.name !== 'string' || definition.name.trim() === '') {
+            throw new Error(`${file}: shadow strategy ${i + 1} has no name.`);
+        }
+        if (names.has(definition.name)) {
+            throw new Error(`${file}: shadow strategy "${definition.name}" is listed twice.`);
+        }
+        names.add(definition.name);
+        try {
+            return new ShadowStrategy(definition, path.dirname(file));
+        } catch (error) {
+            throw new Error(`${file}: shadow strategy "${definition.name}": ${error.message}`);
+        }
+    });
+}
+
+module.exports = { ShadowStrategy, loadShadowStrategies };
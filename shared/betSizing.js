@@ -0,0 +1,94 @@
+// betSizing.js
+// Bet sizing strategies. Each one receives the same context so they can be swapped through config:
+// score is the absolute confidence score, bankroll the wallet or paper balance in BNB,
+// winProbability the estimated chance the predicted side wins and payoutMultiple its gross payout per BNB.
+
+const BET_SIZING_STRATEGIES = ['fixed', 'linear', 'sigmoid', 'kelly', 'fractionalKelly', 'fixedFraction'];
+
+/**
+ * Kelly fraction of the bankroll for a bet paying payoutMultiple per BNB staked.
+ * @param {number} winProbability - Probability of winning.
+ * @param {number} payoutMultiple - Gross payout per BNB staked.
+ * @returns {number} Fraction of bankroll to stake, negative when the bet has no edge.
+ */
+function calculateKellyFraction(winProbability, payoutMultiple) {
+    const netOdds = payoutMultiple - 1;
+    if (!(netOdds > 0)) return 0;
+    return (winProbability * netOdds - (1 - winProbability)) / netOdds;
+}
+
+const sizers = {
+    fixed: (context, settings) => settings.fixedBet,
+
+    linear: ({ score }, { minBet, maxBet, maxConfidence }) => {
+        const scale = Number.isFinite(maxConfidence) && maxConfidence > 0 ? maxConfidence : 1;
+        const normalized = Math.max(0, Math.min(1, score / scale));
+        return minBet + normalized * (maxBet - minBet);
+    },
+
+    // Sigmoid scaling bets more aggressively on high confidence
+    sigmoid: ({ score }, { minBet, maxBet, minConfidence, maxConfidence, sigmoidSteepness }) => {
+        const clampedScore = Math.max(minConfidence, Math.min(maxConfidence, score));
+        const normalized = 1 / (1 + Math.exp(-clampedScore * sigmoidSteepness));
+        return minBet + normalized * (maxBet - minBet);
+    },
+
+    kelly: ({ bankroll, winProbability, payoutMultiple }) =>
+        bankroll * calculateKellyFraction(winProbability, payoutMultiple),
+
+    fractionalKelly: ({ bankroll, winProbability, payoutMultiple }, { kellyFraction }) =>
+        bankroll * calculateKellyFraction(winProbability, payoutMultiple) * kellyFraction,
+
+    fixedFraction: ({ bankroll }, { bankrollFraction }) => bankroll * bankrollFraction
+};
+
+/**
+ * Sizes a bet with the selected strategy. Stakes are capped at maxBet and never exceed a known bankroll;
+ * a stake below minBet means the strategy does not want to bet and is returned as 0.
+ * @param {string} strategy - One of BET_SIZING_STRATEGIES.
+ * @param {Object} context - { score, bankroll, winProbability, payoutMultiple }.
+ * @param {Object} settings - { minBet, maxBet, fixedBet, minConfidence, maxConfidence, sigmoidSteepness, kellyFraction, bankrollFraction }.
+ * @returns {number} Bet size in BNB.
+ */
+function sizeBet(strategy, context, settings) {
+    const sizer = sizers[strategy];
+    if (!sizer) {
+        throw new Error(`Unknown bet sizing strategy: ${strategy}`);
+    }
+
+    const toNumber = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+    const minBet = toNumber(settings.minBet, 0);
+    const resolvedSettings = {
+        minBet,
+        maxBet: toNumber(settings.maxBet, Infinity),
+        fixedBet: toNumber(settings.fixedBet, minBet),
+        minConfidence: toNumber(settings.minConfidence, -Infinity),
+        maxConfidence: toNumber(settings.maxConfidence, Infinity),
+        sigmoidSteepness: toNumber(settings.sigmoidSteepness, 1),
+        kellyFraction: toNumber(settings.kellyFraction, 0.5),
+        bankrollFraction: toNumber(settings.bankrollFraction, 0.01)
+    };
+    // Without a known bankroll the bankroll-based strategies do not bet
+    const bankroll = toNumber(context.bankroll, NaN);
+    const resolvedContext = {
+        score: Math.abs(toNumber(context.score, 0)),
+        bankroll,
+        winProbability: toNumber(context.winProbability, 0.5),
+        payoutMultiple: toNumber(context.payoutMultiple, 0)
+    };
+
+    let betSize = Math.min(sizer(resolvedContext, resolvedSettings), resolvedSettings.maxBet);
+    if (Number.isFinite(bankroll)) {
+        betSize = Math.min(betSize, bankroll);
+    }
+    if (!Number.isFinite(betSize) || betSize < minBet || betSize <= 0) {
+        return 0;
+    }
+    return betSize;
+}
+
+module.exports = {
+    BET_SIZING_STRATEGIES,
+    calculateKellyFraction,
+    sizeBet
+};
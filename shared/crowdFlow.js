@@ -0,0 +1,116 @@
+// crowdFlow.js
+// Summaries of how a round's pools fill up, built from its BetBull/BetBear events: how one-sided the
+// crowd is and which way it is moving, how many bets came in, what the large ("whale") bets did and
+// what came in during the last seconds. The favorite win rate measures how often the side with the
+// larger pool actually won, so the model can tell whether following or fading the crowd has paid off.
+
+// Bets of at least this many BNB count as whale bets
+const DEFAULT_WHALE_AMOUNT = 1;
+
+// Width of the late window before the summary's cutoff
+const DEFAULT_LATE_SECONDS = 30;
+
+// Ended rounds the favorite win rate is measured over
+const DEFAULT_CROWD_ROUNDS = 100;
+
+const toNumber = (value) => Number(value || 0);
+
+/**
+ * Bull share of two amounts as an imbalance between -1 (all bear) and 1 (all bull).
+ * @returns {number} 0 when both are empty.
+ */
+function imbalanceOf(bullAmount, bearAmount) {
+    const total = bullAmount + bearAmount;
+    return total > 0 ? (bullAmount - bearAmount) / total : 0;
+}
+
+/**
+ * Adds up the bets of each side.
+ * @param {Array<Object>} bets - { position, amount }.
+ * @returns {Object} { bets, bullAmount, bearAmount, imbalance }.
+ */
+function sumBets(bets) {
+    let bullAmount = 0;
+    let bearAmount = 0;
+    for (const bet of bets) {
+        if (bet.position === 'bull') {
+            bullAmount += toNumber(bet.amount);
+        } else {
+            bearAmount += toNumber(bet.amount);
+        }
+    }
+    return { bets: bets.length, bullAmount, bearAmount, imbalance: imbalanceOf(bullAmount, bearAmount) };
+}
+
+/**
+ * Summarizes the bets placed on a round up to a cutoff.
+ * @param {Array<Object>} bets - { position: 'bull'|'bear', amount in BNB, timestamp in seconds }.
+ * @param {Object} [options]
+ * @param {number} [options.startTimestamp] - Start of the round in seconds, defaults to the first bet.
+ * @param {number} [options.at] - Cutoff in seconds, later bets are left out. Defaults to the last bet.
+ * @param {number} [options.whaleAmount] - Smallest whale bet in BNB.
+ * @param {number} [options.lateSeconds] - Width of the late window before the cutoff.
+ * @returns {Object} { bets, bullBets, bearBets, bullAmount, bearAmount, imbalance, imbalanceChange, whaleBets,
+ * whaleImbalance, whaleShare, lateBets, lateImbalance, lateShare }. Imbalances run from -1 (all bear) to 1
+ * (all bull), imbalanceChange is the move since halfway to the cutoff and the shares are of the total pool.
+ */
+function summarizeFlow(bets, { startTimestamp, at, whaleAmount = DEFAULT_WHALE_AMOUNT, lateSeconds = DEFAULT_LATE_SECONDS } = {}) {
+    const cutoff = Number.isFinite(at) ? at : Math.max(...bets.map(bet => bet.timestamp), -Infinity);
+    const placed = bets.filter(bet => bet.timestamp <= cutoff);
+    const start = Number.isFinite(startTimestamp) ? startTimestamp : Math.min(...placed.map(bet => bet.timestamp), cutoff);
+    const midpoint = (start + cutoff) / 2;
+
+    const all = sumBets(placed);
+    const early = sumBets(placed.filter(bet => bet.timestamp <= midpoint));
+    const whales = sumBets(placed.filter(bet => toNumber(bet.amount) >= whaleAmount));
+    const late = sumBets(placed.filter(bet => bet.timestamp > cutoff - lateSeconds));
+    const total = all.bullAmount + all.bearAmount;
+
+    return {
+        bets: all.bets,
+        bullBets: placed.filter(bet => bet.position === 'bull').length,
+        bearBets: placed.filter(bet => bet.position !== 'bull').length,
+        bullAmount: all.bullAmount,
+        bearAmount: all.bearAmount,
+        imbalance: all.imbalance,
+        imbalanceChange: early.bets > 0 ? all.imbalance - early.imbalance : 0,
+        whaleBets: whales.bets,
+        whaleImbalance: whales.imbalance,
+        whaleShare: total > 0 ? (whales.bullAmount + whales.bearAmount) / total : 0,
+        lateBets: late.bets,
+        lateImbalance: late.imbalance,
+        lateShare: total > 0 ? (late.bullAmount + late.bearAmount) / total : 0
+    };
+}
+
+/**
+ * Share of ended rounds won by the side with the larger pool. Refunded rounds, rounds with even pools
+ * and rounds that closed at their lock price have no winning favorite and are left out.
+ * @param {Array<Object>} rounds - Rounds { bullAmount, bearAmount, lockPrice, closePrice, oracleCalled }.
+ * @param {number} [lookback] - Latest rounds to measure over.
+ * @returns {Object} { rounds, winRate }, winRate is null without any decided round.
+ */
+function favoriteWinRate(rounds, lookback = DEFAULT_CROWD_ROUNDS) {
+    let decided = 0;
+    let won = 0;
+    for (const round of rounds.slice(-lookback)) {
+        const bullAmount = toNumber(round.bullAmount);
+        const bearAmount = toNumber(round.bearAmount);
+        const lockPrice = toNumber(round.lockPrice);
+        const closePrice = toNumber(round.closePrice);
+        if (!round.oracleCalled || bullAmount === bearAmount || closePrice === lockPrice) continue;
+
+        decided++;
+        if ((bullAmount > bearAmount) === (closePrice > lockPrice)) won++;
+    }
+    return { rounds: decided, winRate: decided > 0 ? won / decided : null };
+}
+
+module.exports = {
+    DEFAULT_WHALE_AMOUNT,
+    DEFAULT_LATE_SECONDS,
+    DEFAULT_CROWD_ROUNDS,
+    imbalanceOf,
+    summarizeFlow,
+    favoriteWinRate
+};
@@ -0,0 +1,121 @@
+// defaultStrategy.js
+// The built-in strategy, in the definition format of strategyRules.js. The bot uses it unless STRATEGY_FILE
+// names another, the prediction-bot-ui always does. A strategy file can start from a copy of it.
+
+const DEFAULT_STRATEGY = {
+    name: 'default',
+    description: 'Oscillator, MACD, band and moving average rules, plus one point for each extended indicator the bot computes',
+    combine: 'sum',
+    rules: [
+        {
+            name: 'rsi',
+            cases: [
+                { when: 'RSI < $rsiOversold', score: 2 },
+                { when: 'RSI < 50', score: 1 },
+                { when: 'RSI > $rsiOverbought', score: -2 },
+                { when: 'RSI > 50', score: -1 }
+            ]
+        },
+        {
+            name: 'macd',
+            cases: [
+                { when: 'MACD > Signal', score: 2 },
+                { when: 'MACD > Signal - 0.01', score: 1 },
+                { when: 'MACD < Signal', score: -2 }
+            ]
+        },
+        {
+            name: 'bb',
+            cases: [
+                { when: 'price < bollingerBands.lower', score: 1 },
+                { when: 'price > bollingerBands.upper', score: -1 }
+            ]
+        },
+        {
+            name: 'stoch',
+            cases: [
+                { when: 'stochastic.percentK < 20', score: 1 },
+                { when: 'stochastic.percentK > 80', score: -1 }
+            ]
+        },
+        {
+            name: 'ma',
+            cases: [
+                { when: 'price > SMA20 and price > EMA20', score: 1 },
+                { when: 'price < SMA20 and price < EMA20', score: -1 }
+            ]
+        },
+        {
+            name: 'adx',
+            cases: [
+                { when: 'extended.adx.adx > $adxThreshold and extended.adx.plusDI > extended.adx.minusDI', score: 1 },
+                { when: 'extended.adx.adx > $adxThreshold', score: -1 }
+            ]
+        },
+        {
+            name: 'williamsR',
+            cases: [
+                { when: 'extended.williamsR < -80', score: 1 },
+                { when: 'extended.williamsR > -20', score: -1 }
+            ]
+        },
+        {
+            name: 'cci',
+            cases: [
+                { when: 'extended.cci < -100', score: 1 },
+                { when: 'extended.cci > 100', score: -1 }
+            ]
+        },
+        {
+            name: 'supertrend',
+            cases: [
+                { when: "extended.supertrend.trend == 'up'", score: 1 },
+                { when: "extended.supertrend.trend == 'down'", score: -1 }
+            ]
+        },
+        {
+            name: 'parabolicSar',
+            cases: [
+                { when: "extended.parabolicSar.trend == 'up'", score: 1 },
+                { when: "extended.parabolicSar.trend == 'down'", score: -1 }
+            ]
+        },
+        {
+            name: 'ichimoku',
+            cases: [
+                { when: 'price > max(extended.ichimoku.spanA, extended.ichimoku.spanB)', score: 1 },
+                { when: 'price < min(extended.ichimoku.spanA, extended.ichimoku.spanB)', score: -1 }
+            ]
+        },
+        {
+            name: 'keltner',
+            cases: [
+                { when: 'price < extended.keltner.lower', score: 1 },
+                { when: 'price > extended.keltner.upper', score: -1 }
+            ]
+        },
+        {
+            name: 'heikinAshi',
+            cases: [
+                { when: 'extended.heikinAshi.close > extended.heikinAshi.open', score: 1 },
+                { when: 'extended.heikinAshi.close <= extended.heikinAshi.open', score: -1 }
+            ]
+        },
+        {
+            name: 'obv',
+            cases: [
+                { when: 'extended.obv.change > 0', score: 1 },
+                { when: 'extended.obv.change < 0', score: -1 }
+            ]
+        },
+        {
+            name: 'vwap',
+            cases: [
+                { when: 'extended.vwap.distance > 0', score: 1 },
+                { when: 'extended.vwap.distance < 0', score: -1 }
+            ]
+        }
+    ]
+};
+
+module.exports = { DEFAULT_STRATEGY };
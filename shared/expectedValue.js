@@ -0,0 +1,106 @@
+// expectedValue.js
+// Expected-value filter that sits between a prediction and the bet it would place.
+// The payout multiple of a side depends on the bull/bear pool split, so a likely win
+// on a crowded side can still lose money on average.
+
+const { DEFAULT_TREASURY_FEE, EVEN_POOL_MULTIPLE, calculatePayoutMultiple } = require('./settlement');
+
+const toNumber = (value) => Number(value || 0);
+
+/**
+ * Estimates the payout multiple a new bet would get if the round closed with the current pools.
+ * The stake is added to its side, so large bets on thin pools dilute their own payout.
+ * @param {Object} pools - { bullAmount, bearAmount } in BNB.
+ * @param {string} position - 'bull' or 'bear'.
+ * @param {number} stake - Bet size in BNB.
+ * @param {number} treasuryFee - Treasury fee as a fraction.
+ * @returns {number} Gross payout per BNB staked. Empty pools are assumed to end up even.
+ */
+function estimatePayoutMultiple(pools, position, stake, treasuryFee = DEFAULT_TREASURY_FEE) {
+    const bullAmount = toNumber(pools.bullAmount);
+    const bearAmount = toNumber(pools.bearAmount);
+    if (bullAmount + bearAmount <= 0) return EVEN_POOL_MULTIPLE;
+
+    return calculatePayoutMultiple({ bullAmount, bearAmount }, position, { stake, treasuryFee });
+}
+
+/**
+ * Expected profit per BNB staked.
+ * @param {number} winProbability - Probability that the chosen side wins.
+ * @param {number} payoutMultiple - Gross payout per BNB staked on a win.
+ * @returns {number} Expected value, e.g. 0.05 for +5%.
+ */
+function calculateExpectedValue(winProbability, payoutMultiple) {
+    return winProbability * payoutMultiple - 1;
+}
+
+/**
+ * Finds the largest stake whose expected value, after diluting its own side, still meets the threshold.
+ * Solves p * (T + s)(1 - fee) / (S + s) - 1 >= minEv for s, where T is the total pool and S the side pool.
+ * @returns {number} Maximum stake in BNB: 0 if none qualifies, Infinity if the stake does not matter.
+ */
+function maxStakeForExpectedValue(pools, position, winProbability, minExpectedValue, treasuryFee = DEFAULT_TREASURY_FEE) {
+    const bullAmount = toNumber(pools.bullAmount);
+    const bearAmount = toNumber(pools.bearAmount);
+    const total = bullAmount + bearAmount;
+
+    if (total <= 0) {
+        return calculateExpectedValue(winProbability, EVEN_POOL_MULTIPLE) >= minExpectedValue ? Infinity : 0;
+    }
+    if (winProbability <= 0) return 0;
+
+    const side = position === 'bull' ? bullAmount : bearAmount;
+    const requiredMultiple = (1 + minExpectedValue) / winProbability;
+    const netShare = 1 - treasuryFee;
+
+    // The multiple falls towards netShare as the stake grows, so it never gets that low
+    if (requiredMultiple <= netShare) return Infinity;
+
+    return Math.max(0, (total * netShare - requiredMultiple * side) / (requiredMultiple - netShare));
+}
+
+/**
+ * Checks a prediction against the live pools and skips or shrinks bets with too little expected value.
+ * @param {Object} decision - { prediction: 'bull' | 'bear' | null, betSize, winProbability }.
+ * @param {Object} pools - { bullAmount, bearAmount } of the round being bet on, in BNB.
+ * @param {Object} options - { minExpectedValue, resize, minBet, treasuryFee }.
+ * @returns {Object} { prediction, betSize, expectedValue, payoutMultiple, skipReason }, prediction is null when skipped.
+ */
+function evaluateBet(decision, pools, { minExpectedValue = 0, resize = true, minBet = 0, treasuryFee = DEFAULT_TREASURY_FEE } = {}) {
+    const { prediction, betSize, winProbability } = decision;
+    if (!prediction || !(betSize > 0)) {
+        return { prediction: null, betSize: 0, expectedValue: null, payoutMultiple: null, skipReason: 'no prediction' };
+    }
+    if (!Number.isFinite(winProbability)) {
+        return { prediction: null, betSize: 0, expectedValue: null, payoutMultiple: null, skipReason: 'no win probability' };
+    }
+
+    let stake = Number(betSize);
+    if (resize) {
+        stake = Math.min(stake, maxStakeForExpectedValue(pools, prediction, winProbability, minExpectedValue, treasuryFee));
+    }
+
+    // Report the full-size figures when nothing qualifies
+    const evaluatedStake = stake > 0 ? stake : Number(betSize);
+    const payoutMultiple = estimatePayoutMultiple(pools, prediction, evaluatedStake, treasuryFee);
+    const expectedValue = calculateExpectedValue(winProbability, payoutMultiple);
+
+    let skipReason = null;
+    if (expectedValue < minExpectedValue) {
+        skipReason = `EV ${(expectedValue * 100).toFixed(1)}% at ${payoutMultiple.toFixed(2)}x is below ${(minExpectedValue * 100).toFixed(1)}%`;
+    } else if (stake < minBet) {
+        skipReason = `EV-limited stake ${stake.toFixed(4)} BNB is below the minimum bet`;
+    }
+
+    if (skipReason) {
+        return { prediction: null, betSize: 0, expectedValue, payoutMultiple, skipReason };
+    }
+    return { prediction, betSize: stake, expectedValue, payoutMultiple, skipReason: null };
+}
+
+module.exports = {
+    estimatePayoutMultiple,
+    calculateExpectedValue,
+    maxStakeForExpectedValue,
+    evaluateBet
+};
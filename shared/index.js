@@ -0,0 +1,15 @@
+// index.js
+// Entry point of the shared package used by the Node bot and the prediction-bot-ui.
+
+module.exports = {
+    ...require('./settlement'),
+    ...require('./expectedValue'),
+    ...require('./betSizing'),
+    ...require('./riskLimits'),
+    ...require('./crowdFlow'),
+    ...require('./streamingIndicators'),
+    ...require('./regime'),
+    ...require('./strategyRules'),
+    ...require('./defaultStrategy'),
+    ...require('./strategy')
+};
@@ -0,0 +1,85 @@
+// regime.js
+// Classifies the market regime from the round closes, so a strategy can switch its parameters or stop
+// betting where its rules do not work, e.g. mean reversion rules in a strong trend. Over the latest
+// regimeWindow closes:
+//   trendStrength  Kaufman's efficiency ratio, the net move over the sum of the moves' sizes. 1 is a
+//                  straight line, a random walk over 20 closes averages about 0.2
+//   volatility     Standard deviation of the returns, ranked against the same window at every earlier
+//                  close of the buffer as volatilityPercentile
+// The regime is trendingUp or trendingDown once trendStrength reaches regimeTrendStrength, otherwise
+// highVol or lowVol when the volatility ranks at or beyond regimeHighVolatility or regimeLowVolatility,
+// and ranging in between.
+
+const REGIMES = ['trendingUp', 'trendingDown', 'ranging', 'highVol', 'lowVol'];
+
+// Classifier settings, strategy parameters the optimizer and strategy files can set
+const DEFAULT_REGIME_PARAMETERS = {
+    regimeWindow: 20,
+    regimeTrendStrength: 0.4,
+    regimeHighVolatility: 0.8,
+    regimeLowVolatility: 0.2
+};
+
+/**
+ * Standard deviation of the returns between consecutive closes.
+ * @param {Array<number>} prices - Closes, oldest first.
+ * @returns {number}
+ */
+function returnVolatility(prices) {
+    const returns = prices.slice(1).map((price, i) => (price - prices[i]) / prices[i]);
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    return Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / returns.length);
+}
+
+/**
+ * Classifies the regime of the latest closes.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @param {Object} [parameters] - Classifier settings, see DEFAULT_REGIME_PARAMETERS.
+ * @returns {Object} { regime, trendStrength, volatility, volatilityPercentile }, regime is null with fewer
+ * than regimeWindow + 1 closes.
+ */
+function classifyRegime(prices, parameters = {}) {
+    const { regimeWindow, regimeTrendStrength, regimeHighVolatility, regimeLowVolatility } = { ...DEFAULT_REGIME_PARAMETERS, ...parameters };
+    if (!Array.isArray(prices) || prices.length < regimeWindow + 1) {
+        return { regime: null, trendStrength: null, volatility: null, volatilityPercentile: null };
+    }
+
+    const recent = prices.slice(-(regimeWindow + 1));
+    const netMove = recent[recent.length - 1] - recent[0];
+    const path = recent.slice(1).reduce((sum, price, i) => sum + Math.abs(price - recent[i]), 0);
+    const trendStrength = path > 0 ? Math.abs(netMove) / path : 0;
+
+    const volatility = returnVolatility(recent);
+    const history = [];
+    for (let end = regimeWindow + 1; end <= prices.length; end++) {
+        history.push(returnVolatility(prices.slice(end - regimeWindow - 1, end)));
+    }
+    const volatilityPercentile = history.filter(value => value <= volatility).length / history.length;
+
+    let regime = 'ranging';
+    if (trendStrength >= regimeTrendStrength) {
+        regime = netMove > 0 ? 'trendingUp' : 'trendingDown';
+    } else if (history.length > 1 && volatilityPercentile >= regimeHighVolatility) {
+        regime = 'highVol';
+    } else if (history.length > 1 && volatilityPercentile <= regimeLowVolatility) {
+        regime = 'lowVol';
+    }
+    return { regime, trendStrength, volatility, volatilityPercentile };
+}
+
+/**
+ * Applies a strategy's settings for the regime of the latest closes.
+ * @param {Object} strategy - compileStrategy() result, with the regimes it declares.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @param {Object} parameters - Strategy parameters, including the classifier settings.
+ * @returns {Object} { regime, parameters, trade }, regime is the classifyRegime() result, parameters are
+ * overridden by the regime's and trade is false in a regime the strategy does not bet in.
+ */
+function applyRegime(strategy, prices, parameters) {
+    const regime = classifyRegime(prices, parameters);
+    const settings = (strategy.regimes || {})[regime.regime];
+    if (!settings) return { regime, parameters, trade: true };
+    return { regime, parameters: { ...parameters, ...settings.parameters }, trade: settings.trade };
+}
+
+module.exports = { REGIMES, DEFAULT_REGIME_PARAMETERS, classifyRegime, applyRegime };
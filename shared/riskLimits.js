@@ -0,0 +1,163 @@
+// riskLimits.js
+// Circuit breakers that pause betting after a bad run. The status is derived from the settled bet
+// history alone, so it survives restarts; the only stored state is the time of the last manual resume.
+// Limits set to 0 (or left out) are disabled.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => Number(value || 0);
+
+/**
+ * Start of the UTC day containing a timestamp.
+ * @param {number} timestamp - Milliseconds.
+ * @returns {number} Milliseconds.
+ */
+function startOfUtcDay(timestamp) {
+    return Math.floor(timestamp / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Index of the bet where a running measure last went from below a limit to at or above it, so a breach
+ * is dated from the bet that started it rather than from the latest bet.
+ * @param {Array<number>} values - Measure after each bet.
+ * @param {number} limit
+ * @returns {number} Index, or -1 if the last value is below the limit.
+ */
+function breachStart(values, limit) {
+    let start = -1;
+    values.forEach((value, i) => {
+        if (value < limit) {
+            start = -1;
+        } else if (start === -1) {
+            start = i;
+        }
+    });
+    return start;
+}
+
+/**
+ * Finds the first limit the bets break.
+ * @param {Array<Object>} bets - Settled bets { profit, placedAt }, oldest first.
+ * @param {Object} limits - Risk limits, see evaluateRisk.
+ * @param {Object} options - { bankroll, now }.
+ * @returns {Object|null} { breaker, reason, trippedAt, resumeAt } or null if no limit is broken.
+ */
+function findBreaker(bets, limits, { bankroll, now }) {
+    const cooldownMs = toNumber(limits.cooldownMinutes) * 60 * 1000;
+    const afterCooldown = (trippedAt) => (cooldownMs > 0 ? trippedAt + cooldownMs : null);
+
+    const maxDailyLoss = toNumber(limits.maxDailyLoss);
+    if (maxDailyLoss > 0) {
+        const todaysBets = bets.filter(bet => bet.placedAt >= startOfUtcDay(now));
+        let loss = 0;
+        const losses = todaysBets.map(bet => (loss -= bet.profit));
+        const start = breachStart(losses, maxDailyLoss);
+        if (start !== -1) {
+            const dailyLoss = losses[losses.length - 1];
+            const trippedAt = todaysBets[start].placedAt;
+            return {
+                breaker: 'dailyLoss',
+                reason: `Lost ${dailyLoss.toFixed(4)} BNB today, limit is ${maxDailyLoss} BNB`,
+                trippedAt,
+                // A new day always clears the daily limit, but never before the cooldown is over
+                resumeAt: Math.max(startOfUtcDay(now) + DAY_MS, trippedAt + cooldownMs)
+            };
+        }
+    }
+
+    const maxDrawdown = toNumber(limits.maxDrawdown);
+    if (maxDrawdown > 0 && Number.isFinite(bankroll) && bets.length > 0) {
+        // Rebuild the equity curve backwards from the current bankroll
+        let equity = bankroll - bets.reduce((total, bet) => total + bet.profit, 0);
+        let peak = equity;
+        const drawdowns = bets.map((bet) => {
+            equity += bet.profit;
+            peak = Math.max(peak, equity);
+            return peak > 0 ? (peak - equity) / peak : 0;
+        });
+        const start = breachStart(drawdowns, maxDrawdown);
+        if (start !== -1) {
+            const drawdown = drawdowns[drawdowns.length - 1];
+            const trippedAt = bets[start].placedAt;
+            return {
+                breaker: 'drawdown',
+                reason: `Drawdown of ${(drawdown * 100).toFixed(1)}% from a peak of ${peak.toFixed(4)} BNB, limit is ${(maxDrawdown * 100).toFixed(1)}%`,
+                trippedAt,
+                resumeAt: afterCooldown(trippedAt)
+            };
+        }
+    }
+
+    const maxConsecutiveLosses = toNumber(limits.maxConsecutiveLosses);
+    if (maxConsecutiveLosses > 0) {
+        let streak = 0;
+        // Refunds neither extend nor break a losing streak
+        const streaks = bets.map((bet) => {
+            if (bet.profit > 0) streak = 0;
+            if (bet.profit < 0) streak++;
+            return streak;
+        });
+        const start = breachStart(streaks, maxConsecutiveLosses);
+        if (start !== -1) {
+            const losses = streaks[streaks.length - 1];
+            const trippedAt = bets[start].placedAt;
+            return {
+                breaker: 'consecutiveLosses',
+                reason: `${losses} losses in a row, limit is ${maxConsecutiveLosses}`,
+                trippedAt,
+                resumeAt: afterCooldown(trippedAt)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks the settled bet history against the risk limits.
+ * A breaker with a resumeAt in the past has resumed automatically, so only the bets placed
+ * after it count towards the next check. Without a cooldown the drawdown and losing-streak
+ * breakers only resume manually.
+ * @param {Array<Object>} bets - Settled bets { profit, placedAt (ms) }, oldest first.
+ * @param {Object} limits - { maxDailyLoss (BNB), maxDrawdown (fraction of peak), maxConsecutiveLosses, cooldownMinutes }.
+ * @param {Object} options - { bankroll: current balance in BNB, now (ms), resumedAt: time of the last manual resume (ms) }.
+ * @returns {Object} { paused, breaker, reason, trippedAt, resumeAt }, breaker is null while betting is allowed.
+ */
+function evaluateRisk(bets, limits = {}, { bankroll, now = Date.now(), resumedAt = 0 } = {}) {
+    const settledBets = bets
+        .filter(bet => bet.profit !== null && bet.profit !== undefined)
+        .map(bet => ({ profit: toNumber(bet.profit), placedAt: toNumber(bet.placedAt) }));
+
+    let since = toNumber(resumedAt);
+    for (;;) {
+        const breaker = findBreaker(settledBets.filter(bet => bet.placedAt >= since), limits, {
+            bankroll: bankroll === null || bankroll === undefined ? NaN : Number(bankroll),
+            now
+        });
+        if (!breaker) {
+            return { paused: false, breaker: null, reason: null, trippedAt: null, resumeAt: null };
+        }
+        if (breaker.resumeAt === null || now < breaker.resumeAt) {
+            return { paused: true, ...breaker };
+        }
+        since = breaker.resumeAt;
+    }
+}
+
+/**
+ * Caps a stake so the total staked on one round stays within maxRoundExposure.
+ * @param {number} betSize - Proposed stake in BNB.
+ * @param {Object} limits - { maxRoundExposure (BNB) }.
+ * @param {number} roundExposure - BNB already staked on the round.
+ * @returns {number} Stake in BNB.
+ */
+function capRoundExposure(betSize, limits = {}, roundExposure = 0) {
+    const maxRoundExposure = toNumber(limits.maxRoundExposure);
+    if (maxRoundExposure <= 0) return Number(betSize);
+    return Math.max(0, Math.min(Number(betSize), maxRoundExposure - roundExposure));
+}
+
+module.exports = {
+    evaluateRisk,
+    capRoundExposure
+};
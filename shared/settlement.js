@@ -0,0 +1,107 @@
+// settlement.js
+// Payout math of the PancakeSwap prediction contract, shared by the bot, the backtester and the UI.
+// Round amounts may be numbers or numeric strings in BNB; prices in USD.
+
+// Contract treasuryFee is 300 basis points
+const DEFAULT_TREASURY_FEE = 0.03;
+
+// Gross payout per BNB staked when both pools are equal, used for rounds without pool data
+const EVEN_POOL_MULTIPLE = 2 * (1 - DEFAULT_TREASURY_FEE);
+
+const toNumber = (value) => Number(value || 0);
+
+/**
+ * Determines which side won a round. The house wins when the close price equals the lock price.
+ * @param {Object} round - Round with lockPrice, closePrice and oracleCalled.
+ * @returns {string|null} 'bull', 'bear', 'house' or null if the round has not ended.
+ */
+function getWinner(round) {
+    if (!round || !round.oracleCalled) return null;
+
+    const lockPrice = toNumber(round.lockPrice);
+    const closePrice = toNumber(round.closePrice);
+    if (closePrice > lockPrice) return 'bull';
+    if (closePrice < lockPrice) return 'bear';
+    return 'house';
+}
+
+/**
+ * Checks whether a round can be refunded: it was never ended by the oracle
+ * and its buffer after closeTimestamp has passed.
+ * @param {Object} round - Round with oracleCalled and closeTimestamp (seconds).
+ * @param {number} bufferSeconds - Contract bufferSeconds.
+ * @param {number} now - Current time in seconds.
+ * @returns {boolean}
+ */
+function isRefundable(round, bufferSeconds, now = Date.now() / 1000) {
+    if (!round || round.oracleCalled) return false;
+    const closeTimestamp = toNumber(round.closeTimestamp);
+    return closeTimestamp > 0 && now > closeTimestamp + toNumber(bufferSeconds);
+}
+
+/**
+ * Calculates the gross payout per BNB staked on a side if that side wins.
+ * Uses the contract's rewardAmount / rewardBaseCalAmount once rewards are calculated,
+ * otherwise derives it from the bull and bear pools minus the treasury fee.
+ * @param {Object} round - Round amounts.
+ * @param {string} position - 'bull' or 'bear'.
+ * @param {Object} options - { stake: BNB to add to the pool for a bet that is not on chain, treasuryFee }.
+ * @returns {number|null} Payout multiple, or null if the side has no stake to pay out on.
+ */
+function calculatePayoutMultiple(round, position, { stake = 0, treasuryFee = DEFAULT_TREASURY_FEE } = {}) {
+    const rewardBaseCalAmount = toNumber(round.rewardBaseCalAmount);
+    if (rewardBaseCalAmount > 0 && stake === 0 && getWinner(round) === position) {
+        return toNumber(round.rewardAmount) / rewardBaseCalAmount;
+    }
+
+    const bullAmount = toNumber(round.bullAmount) + (position === 'bull' ? stake : 0);
+    const bearAmount = toNumber(round.bearAmount) + (position === 'bear' ? stake : 0);
+    const sideAmount = position === 'bull' ? bullAmount : bearAmount;
+    if (sideAmount <= 0) return null;
+
+    return ((bullAmount + bearAmount) * (1 - treasuryFee)) / sideAmount;
+}
+
+/**
+ * Settles a bet against a round the way the contract's claim() would pay it.
+ * @param {Object} bet - { position: 'bull' | 'bear', amount: BNB staked }.
+ * @param {Object} round - Round as returned by rounds(epoch), amounts in BNB.
+ * @param {Object} options
+ * @param {boolean} options.refundable - Result of refundable(epoch, user), or isRefundable() for simulated bets.
+ * @param {boolean} options.simulated - The bet is not on chain (paper/backtest), so it is added to the pools.
+ * @param {number} options.treasuryFee - Treasury fee as a fraction.
+ * @returns {Object} { outcome: 'win' | 'lose' | 'refund' | null, payout, profit } with null outcome while pending.
+ */
+function settleBet(bet, round, { refundable = false, simulated = false, treasuryFee = DEFAULT_TREASURY_FEE } = {}) {
+    const amount = toNumber(bet.amount);
+
+    if (refundable) {
+        return { outcome: 'refund', payout: amount, profit: 0 };
+    }
+
+    const winner = getWinner(round);
+    if (winner === null) {
+        return { outcome: null, payout: 0, profit: 0 };
+    }
+
+    if (winner !== bet.position) {
+        return { outcome: 'lose', payout: 0, profit: -amount };
+    }
+
+    const multiple = calculatePayoutMultiple(round, bet.position, {
+        stake: simulated ? amount : 0,
+        treasuryFee
+    });
+    const payout = amount * (multiple === null ? EVEN_POOL_MULTIPLE : multiple);
+
+    return { outcome: 'win', payout, profit: payout - amount };
+}
+
+module.exports = {
+    DEFAULT_TREASURY_FEE,
+    EVEN_POOL_MULTIPLE,
+    getWinner,
+    isRefundable,
+    calculatePayoutMultiple,
+    settleBet
+};
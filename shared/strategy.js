@@ -0,0 +1,126 @@
+// strategy.js
+// The strategy core of the Node bot and the prediction-bot-ui: how a strategy's rules (strategyRules.js)
+// score the technical indicators, how the score is blended with the model's probability of an up move,
+// the thresholds that turn the blend into a direction and how the bet is sized. Both compute the
+// indicators with streamingIndicators.js, so the same closes, probability, pools and parameters give the
+// same decision on either side.
+
+const { IndicatorStream } = require('./streamingIndicators');
+const { sizeBet } = require('./betSizing');
+const { estimatePayoutMultiple } = require('./expectedValue');
+const { EVEN_POOL_MULTIPLE } = require('./settlement');
+const { compileStrategy } = require('./strategyRules');
+const { DEFAULT_STRATEGY } = require('./defaultStrategy');
+
+// Indicator periods and levels of the strategy, named as in the UI's settingsStore
+const DEFAULT_INDICATOR_PARAMETERS = {
+    rsiPeriod: 14,
+    rsiOverbought: 70,
+    rsiOversold: 30,
+    macdFastPeriod: 12,
+    macdSlowPeriod: 26,
+    macdSignalPeriod: 9,
+    bbPeriod: 20,
+    bbStdDev: 2,
+    stochPeriod: 14,
+    smaPeriod: 20,
+    emaPeriod: 20,
+    adxThreshold: 25
+};
+
+// The built-in strategy's rules, compiled once
+const DEFAULT_COMPILED_STRATEGY = compileStrategy(DEFAULT_STRATEGY, { parameterNames: Object.keys(DEFAULT_INDICATOR_PARAMETERS) });
+
+// Fewest closes the strategy decides on
+const MIN_STRATEGY_PRICES = 100;
+
+// Probability of an up move without a model, which leaves the decision to the technical score
+const NEUTRAL_PROBABILITY = 0.5;
+
+/**
+ * Feeds closes through a new indicator stream.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @param {Object} parameters - Indicator periods, see DEFAULT_INDICATOR_PARAMETERS.
+ * @returns {IndicatorStream} The stream, to be fed the closes that follow.
+ */
+function streamIndicators(prices, parameters) {
+    const stream = new IndicatorStream({ ...DEFAULT_INDICATOR_PARAMETERS, ...parameters });
+    prices.forEach(price => stream.update(price));
+    return stream;
+}
+
+/**
+ * Scores the indicators with a strategy's rules, positive scores are bullish.
+ * @param {Object} indicators - IndicatorStream.getValues(), optionally with the bot's extended indicators
+ * under extended. Rules on extended indicators that are not present score 0.
+ * @param {Object} parameters - Parameters the rules read, e.g. the RSI levels and adxThreshold.
+ * @param {Object} [strategy] - compileStrategy() result, the built-in strategy by default.
+ * @returns {Object} <rule>Score for each rule of the strategy, e.g. rsiScore and maScore, and totalScore.
+ */
+function scoreTechnicals(indicators, parameters, strategy = DEFAULT_COMPILED_STRATEGY) {
+    return strategy.score(indicators, { ...strategy.parameters, ...parameters });
+}
+
+/**
+ * Blends the model's probability of an up move with the technical score.
+ * @param {number} upProbability - Calibrated probability of an up move, NEUTRAL_PROBABILITY without a model.
+ * @param {number} technicalScore - scoreTechnicals() totalScore.
+ * @param {Object} [weights] - { modelWeight, technicalWeight }, a strategy's blend.
+ * @returns {number} Confidence, positive is bullish.
+ */
+function blendConfidence(upProbability, technicalScore, { modelWeight = 5, technicalWeight = 0.5 } = {}) {
+    const combinedScore = (upProbability - 0.5) * modelWeight + technicalScore * technicalWeight;
+    return combinedScore / 2;
+}
+
+/**
+ * Direction of a confidence against the strategy's thresholds.
+ * @param {number} confidence - blendConfidence() result.
+ * @param {Object} parameters - { bullConfidence, bearConfidence }.
+ * @returns {string|null} 'bull', 'bear', or null between the thresholds.
+ */
+function getDirection(confidence, { bullConfidence, bearConfidence }) {
+    if (confidence > Number(bullConfidence)) return 'bull';
+    if (confidence < Number(bearConfidence)) return 'bear';
+    return null;
+}
+
+/**
+ * Decides the direction and size of a bet.
+ * @param {Object} input
+ * @param {number} input.technicalScore - scoreTechnicals() totalScore.
+ * @param {number} [input.confidence] - Confidence decided elsewhere, e.g. by the bot's ensemble, instead of the blend.
+ * @param {number} [input.upProbability] - Calibrated probability of an up move from the model.
+ * @param {Object} [input.pools] - { bullAmount, bearAmount } of the round, even pools are assumed without them.
+ * @param {number} [input.bankroll] - Wallet or paper balance in BNB, for the bankroll-based sizing.
+ * @param {Object} parameters - Blend, thresholds and bet sizing settings: { modelWeight, technicalWeight,
+ * bullConfidence, bearConfidence, betSizing, minBet, maxBet, fixedBet, minConfidence, maxConfidence,
+ * kellyFraction, bankrollFraction }.
+ * @returns {Object} { prediction, confidence, winProbability, payoutMultiple, betSize }. The bet is sized even
+ * without a direction, for the logs.
+ */
+function decideBet({ technicalScore, confidence: decided, upProbability = NEUTRAL_PROBABILITY, pools = {}, bankroll }, parameters) {
+    const confidence = decided === undefined ? blendConfidence(upProbability, technicalScore, parameters) : decided;
+    const prediction = getDirection(confidence, parameters);
+
+    // The probability of the predicted side winning
+    const winProbability = prediction === 'bear' ? 1 - upProbability : upProbability;
+    const payoutMultiple = prediction
+        ? estimatePayoutMultiple(pools, prediction, 0) || EVEN_POOL_MULTIPLE
+        : EVEN_POOL_MULTIPLE;
+    const betSize = sizeBet(parameters.betSizing, { score: Math.abs(confidence), bankroll, winProbability, payoutMultiple }, parameters);
+
+    return { prediction, confidence, winProbability, payoutMultiple, betSize };
+}
+
+module.exports = {
+    DEFAULT_INDICATOR_PARAMETERS,
+    DEFAULT_COMPILED_STRATEGY,
+    MIN_STRATEGY_PRICES,
+    NEUTRAL_PROBABILITY,
+    streamIndicators,
+    scoreTechnicals,
+    blendConfidence,
+    getDirection,
+    decideBet
+};
@@ -0,0 +1,504 @@
+// strategyRules.js
+// Declarative strategies. A strategy definition lists scoring rules over the indicator values, how their
+// scores combine, the blend with the model, the bull and bear thresholds and the bet sizing.
+// compileStrategy() validates a definition and compiles it into the scorer strategy.js decides with, so
+// a new rule set needs no code. The definition format is described in the readme.
+//
+// A rule scores the first of its cases whose condition holds, times its weight, and 0 when none does.
+// Conditions are expressions over indicator values (RSI, bollingerBands.lower, extended.adx.adx, see
+// VALUE_PATHS), parameters ($rsiOversold), numbers and 'strings', with + - * /, min(), max(), abs(),
+// the comparisons < <= > >= == !=, and, or, not and parentheses. A comparison with a missing value is
+// false, so rules on indicators that were not computed score 0.
+// A definition can also override its parameters, thresholds, sizing and blend in each market regime of
+// regime.js, or not bet in a regime at all.
+
+const { BET_SIZING_STRATEGIES } = require('./betSizing');
+const { REGIMES } = require('./regime');
+
+// Values a condition can read, as IndicatorStream.getValues() and the bot's extended indicators name them
+const VALUE_PATHS = [
+    'price', 'RSI', 'MACD', 'Signal', 'SMA20', 'EMA20',
+    'bollingerBands.upper', 'bollingerBands.middle', 'bollingerBands.lower',
+    'stochastic.percentK', 'stochastic.percentD',
+    'extended.adx.adx', 'extended.adx.plusDI', 'extended.adx.minusDI',
+    'extended.williamsR',
+    'extended.cci',
+    'extended.supertrend.value', 'extended.supertrend.trend',
+    'extended.parabolicSar.sar', 'extended.parabolicSar.trend',
+    'extended.ichimoku.conversion', 'extended.ichimoku.base', 'extended.ichimoku.spanA', 'extended.ichimoku.spanB',
+    'extended.keltner.upper', 'extended.keltner.middle', 'extended.keltner.lower',
+    'extended.heikinAshi.open', 'extended.heikinAshi.high', 'extended.heikinAshi.low', 'extended.heikinAshi.close',
+    'extended.obv.value', 'extended.obv.change',
+    'extended.vwap.value', 'extended.vwap.distance'
+];
+
+const EXTENDED_INDICATOR_NAMES = [...new Set(VALUE_PATHS.filter(path => path.startsWith('extended.')).map(path => path.split('.')[1]))];
+
+const COMBINE_MODES = ['sum', 'mean'];
+
+// Flat strategy parameters the thresholds, sizing and blend sections of a definition set
+const SECTION_PARAMETERS = {
+    thresholds: { bull: 'bullConfidence', bear: 'bearConfidence' },
+    sizing: {
+        strategy: 'betSizing',
+        minBet: 'minBet',
+        maxBet: 'maxBet',
+        fixedBet: 'fixedBet',
+        minConfidence: 'minConfidence',
+        maxConfidence: 'maxConfidence',
+        sigmoidSteepness: 'sigmoidSteepness',
+        kellyFraction: 'kellyFraction',
+        bankrollFraction: 'bankrollFraction'
+    },
+    blend: { model: 'modelWeight', technical: 'technicalWeight' }
+};
+
+const DEFINITION_KEYS = ['name', 'description', 'indicators', 'parameters', 'rules', 'combine', 'thresholds', 'sizing', 'blend', 'regimes'];
+
+const REGIME_KEYS = ['trade', 'parameters', 'thresholds', 'sizing', 'blend'];
+
+const COMPARISONS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const ARITHMETIC = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b
+};
+
+const FUNCTIONS = {
+    min: { arity: 2, apply: Math.min },
+    max: { arity: 2, apply: Math.max },
+    abs: { arity: 1, apply: Math.abs }
+};
+
+const isMissing = value => value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+
+/**
+ * Splits a condition into tokens.
+ * @param {string} source - Condition.
+ * @returns {Array<Object>} { type: 'number'|'string'|'name'|'parameter'|'operator', value }.
+ */
+function tokenize(source) {
+    const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|'([^']*)'|"([^"]*)"|\$([A-Za-z_]\w*)|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)|(<=|>=|==|!=|[<>+\-*/(),]))/y;
+    const tokens = [];
+    let position = 0;
+    while (position < source.length) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) break;
+        position = pattern.lastIndex;
+        const [, number, single, double, parameter, name, operator] = match;
+        if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+        else if (single !== undefined || double !== undefined) tokens.push({ type: 'string', value: single !== undefined ? single : double });
+        else if (parameter !== undefined) tokens.push({ type: 'parameter', value: parameter });
+        else if (name !== undefined) tokens.push({ type: 'name', value: name });
+        else tokens.push({ type: 'operator', value: operator });
+    }
+    if (source.slice(position).trim() !== '') {
+        throw new Error(`unexpected "${source.slice(position).trim()}"`);
+    }
+    return tokens;
+}
+
+/**
+ * Parses a condition into a tree of { kind, ... } nodes, checking the names it reads.
+ * @param {string} source - Condition.
+ * @param {Set<string>} parameterNames - Parameters a condition may read.
+ * @returns {Object} Root node, a comparison or a logical node.
+ */
+function parseCondition(source, parameterNames) {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isWord = (word) => peek() && peek().type === 'name' && peek().value === word;
+    const isOperator = (...operators) => peek() && peek().type === 'operator' && operators.includes(peek().value);
+    const expect = (operator) => {
+        if (!isOperator(operator)) throw new Error(`expected "${operator}"`);
+        position++;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (isWord('or')) {
+            position++;
+            node = { kind: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+    const parseAnd = () => {
+        let node = parseNot();
+        while (isWord('and')) {
+            position++;
+            node = { kind: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    };
+    const parseNot = () => {
+        if (isWord('not')) {
+            position++;
+            return { kind: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    };
+    const parseComparison = () => {
+        // A parenthesized condition, else the parentheses group arithmetic and are parsed again as such
+        if (isOperator('(')) {
+            const start = position;
+            try {
+                position++;
+                const inner = parseOr();
+                if (isOperator(')')) {
+                    position++;
+                    return inner;
+                }
+            } catch (error) {
+                // Not a condition
+            }
+            position = start;
+        }
+        const left = parseSum();
+        if (!isOperator(...Object.keys(COMPARISONS))) {
+            throw new Error('expected a comparison');
+        }
+        const operator = tokens[position++].value;
+        return { kind: 'compare', operator, left, right: parseSum() };
+    };
+    const parseSum = () => {
+        let node = parseProduct();
+        while (isOperator('+', '-')) {
+            const operator = tokens[position++].value;
+            node = { kind: 'arithmetic', operator, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+    const parseProduct = () => {
+        let node = parseFactor();
+        while (isOperator('*', '/')) {
+            const operator = tokens[position++].value;
+            node = { kind: 'arithmetic', operator, left: node, right: parseFactor() };
+        }
+        return node;
+    };
+    const parseFactor = () => {
+        const token = peek();
+        if (!token) throw new Error('unexpected end of condition');
+        position++;
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { kind: 'constant', value: token.value };
+        }
+        if (token.type === 'parameter') {
+            if (!parameterNames.has(token.value)) throw new Error(`unknown parameter "$${token.value}"`);
+            return { kind: 'parameter', name: token.value };
+        }
+        if (token.type === 'name' && FUNCTIONS[token.value] && isOperator('(')) {
+            position++;
+            const args = [parseSum()];
+            while (isOperator(',')) {
+                position++;
+                args.push(parseSum());
+            }
+            expect(')');
+            if (args.length !== FUNCTIONS[token.value].arity) {
+                throw new Error(`${token.value}() takes ${FUNCTIONS[token.value].arity} arguments`);
+            }
+            return { kind: 'call', name: token.value, args };
+        }
+        if (token.type === 'name') {
+            if (!VALUE_PATHS.includes(token.value)) throw new Error(`unknown value "${token.value}"`);
+            return { kind: 'value', path: token.value };
+        }
+        if (token.value === '-') {
+            return { kind: 'arithmetic', operator: '-', left: { kind: 'constant', value: 0 }, right: parseFactor() };
+        }
+        if (token.value === '(') {
+            const node = parseSum();
+            expect(')');
+            return node;
+        }
+        throw new Error(`unexpected "${token.value}"`);
+    };
+
+    const root = parseOr();
+    if (position < tokens.length) throw new Error(`unexpected "${tokens[position].value}"`);
+    return root;
+}
+
+/**
+ * Turns a parsed node into a function of the indicator values and parameters.
+ * @param {Object} node - Node from parseCondition().
+ * @returns {Function} (values, parameters) => boolean for conditions, the value for expressions.
+ */
+function compileNode(node) {
+    switch (node.kind) {
+        case 'constant':
+            return () => node.value;
+        case 'parameter':
+            return (values, parameters) => {
+                const value = parameters[node.name];
+                return isMissing(value) ? NaN : Number(value);
+            };
+        case 'value': {
+            const keys = node.path.split('.');
+            return (values) => keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), values);
+        }
+        case 'call': {
+            const args = node.args.map(compileNode);
+            const apply = FUNCTIONS[node.name].apply;
+            return (values, parameters) => apply(...args.map(arg => Number(arg(values, parameters))));
+        }
+        case 'arithmetic': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            const apply = ARITHMETIC[node.operator];
+            return (values, parameters) => {
+                const a = left(values, parameters);
+                const b = right(values, parameters);
+                return isMissing(a) || isMissing(b) ? NaN : apply(Number(a), Number(b));
+            };
+        }
+        case 'compare': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            const apply = COMPARISONS[node.operator];
+            return (values, parameters) => {
+                const a = left(values, parameters);
+                const b = right(values, parameters);
+                return !isMissing(a) && !isMissing(b) && apply(a, b);
+            };
+        }
+        case 'and': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            return (values, parameters) => left(values, parameters) && right(values, parameters);
+        }
+        case 'or': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            return (values, parameters) => left(values, parameters) || right(values, parameters);
+        }
+        case 'not': {
+            const operand = compileNode(node.operand);
+            return (values, parameters) => !operand(values, parameters);
+        }
+        default:
+            throw new Error(`unknown node ${node.kind}`);
+    }
+}
+
+/**
+ * Extended indicators a parsed node reads.
+ * @param {Object} node - Node from parseCondition().
+ * @param {Set<string>} names - Collects the indicator names.
+ */
+function collectExtended(node, names) {
+    if (node.kind === 'value' && node.path.startsWith('extended.')) names.add(node.path.split('.')[1]);
+    for (const child of [node.left, node.right, node.operand, ...(node.args || [])]) {
+        if (child) collectExtended(child, names);
+    }
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const checkKeys = (object, allowed, where) => {
+    const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) throw new Error(`${where}: unknown key "${unknown[0]}", expected one of ${allowed.join(', ')}`);
+};
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a strategy definition and compiles it.
+ * @param {Object} definition - Parsed strategy file, see the readme for its format.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.parameterNames] - Parameters the caller provides besides the definition's own,
+ * which its conditions may read.
+ * @returns {Object} { name, description, definition, extendedIndicators, parameters, regimes, score(values, parameters) }.
+ * parameters are the flat strategy parameters the definition sets, regimes the { trade, parameters } of each
+ * regime it declares, with the flat parameters the regime overrides. score() returns the score of each rule as
+ * <rule>Score and their combination as totalScore.
+ * @throws {Error} Naming the strategy and the part of the definition that is invalid.
+ */
+function compileStrategy(definition, { parameterNames = [] } = {}) {
+    const name = isObject(definition) && typeof definition.name === 'string' ? definition.name : '(unnamed)';
+    const fail = (message) => {
+        throw new Error(`Invalid strategy "${name}": ${message}`);
+    };
+
+    if (!isObject(definition)) fail('the definition must be an object');
+    if (typeof definition.name !== 'string' || definition.name.trim() === '') fail('name must be a non-empty string');
+    try {
+        checkKeys(definition, DEFINITION_KEYS, 'definition');
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const parameters = {};
+    if (definition.parameters !== undefined) {
+        if (!isObject(definition.parameters)) fail('parameters must be an object');
+        for (const [key, value] of Object.entries(definition.parameters)) {
+            if (!isNumber(value)) fail(`parameters.${key} must be a number`);
+            parameters[key] = value;
+        }
+    }
+
+    // The thresholds, sizing and blend sections of the definition or of a regime, as flat parameters
+    const readSections = (source, prefix) => {
+        const sectionParameters = {};
+        for (const [section, mapping] of Object.entries(SECTION_PARAMETERS)) {
+            if (source[section] === undefined) continue;
+            const where = `${prefix}${section}`;
+            if (!isObject(source[section])) fail(`${where} must be an object`);
+            try {
+                checkKeys(source[section], Object.keys(mapping), where);
+            } catch (error) {
+                fail(error.message);
+            }
+            for (const [key, value] of Object.entries(source[section])) {
+                if (section === 'sizing' && key === 'strategy') {
+                    if (!BET_SIZING_STRATEGIES.includes(value)) fail(`${where}.strategy must be one of ${BET_SIZING_STRATEGIES.join(', ')}`);
+                } else if (!isNumber(value)) {
+                    fail(`${where}.${key} must be a number`);
+                }
+                sectionParameters[mapping[key]] = value;
+            }
+        }
+        return sectionParameters;
+    };
+    const checkThresholds = ({ bullConfidence, bearConfidence }, prefix) => {
+        if (bullConfidence !== undefined && bearConfidence !== undefined && !(bullConfidence >= bearConfidence)) {
+            fail(`${prefix}thresholds.bull must not be below thresholds.bear`);
+        }
+    };
+
+    Object.assign(parameters, readSections(definition, ''));
+    checkThresholds(parameters, '');
+
+    const combine = definition.combine === undefined ? 'sum' : definition.combine;
+    if (!COMBINE_MODES.includes(combine)) fail(`combine must be one of ${COMBINE_MODES.join(', ')}`);
+
+    if (!Array.isArray(definition.rules) || definition.rules.length === 0) fail('rules must be a non-empty array');
+    const knownParameters = new Set([...parameterNames, ...Object.keys(parameters)]);
+    const referenced = new Set();
+    const ruleNames = new Set();
+    const rules = definition.rules.map((rule, ruleIndex) => {
+        const where = `rules[${ruleIndex}]`;
+        if (!isObject(rule)) fail(`${where} must be an object`);
+        try {
+            checkKeys(rule, ['name', 'description', 'weight', 'cases'], where);
+        } catch (error) {
+            fail(error.message);
+        }
+        if (typeof rule.name !== 'string' || !/^[A-Za-z_]\w*$/.test(rule.name)) fail(`${where}.name must be an identifier`);
+        if (ruleNames.has(rule.name)) fail(`${where}.name "${rule.name}" is used by another rule`);
+        ruleNames.add(rule.name);
+        const weight = rule.weight === undefined ? 1 : rule.weight;
+        if (!isNumber(weight)) fail(`${where}.weight must be a number`);
+        if (!Array.isArray(rule.cases) || rule.cases.length === 0) fail(`${where}.cases must be a non-empty array`);
+
+        const cases = rule.cases.map((ruleCase, caseIndex) => {
+            const caseWhere = `${where}.cases[${caseIndex}]`;
+            if (!isObject(ruleCase)) fail(`${caseWhere} must be an object`);
+            try {
+                checkKeys(ruleCase, ['when', 'score'], caseWhere);
+            } catch (error) {
+                fail(error.message);
+            }
+            if (typeof ruleCase.when !== 'string') fail(`${caseWhere}.when must be a condition string`);
+            if (!isNumber(ruleCase.score)) fail(`${caseWhere}.score must be a number`);
+
+            let node;
+            try {
+                node = parseCondition(ruleCase.when, knownParameters);
+            } catch (error) {
+                fail(`${caseWhere}.when "${ruleCase.when}": ${error.message}`);
+            }
+            if (!['compare', 'and', 'or', 'not'].includes(node.kind)) fail(`${caseWhere}.when must be a condition`);
+            collectExtended(node, referenced);
+            return { condition: compileNode(node), score: ruleCase.score };
+        });
+        return { name: rule.name, weight, cases };
+    });
+
+    if (definition.indicators !== undefined) {
+        if (!Array.isArray(definition.indicators)) fail('indicators must be an array');
+        const unknown = definition.indicators.filter(indicator => !EXTENDED_INDICATOR_NAMES.includes(indicator));
+        if (unknown.length > 0) fail(`unknown indicator "${unknown[0]}", expected one of ${EXTENDED_INDICATOR_NAMES.join(', ')}`);
+        const uncomputed = [...referenced].filter(indicator => !definition.indicators.includes(indicator));
+        if (uncomputed.length > 0) fail(`rules read extended.${uncomputed[0]}, which indicators does not list`);
+        parameters.confidenceIndicators = [...definition.indicators];
+    }
+
+    const regimes = {};
+    if (definition.regimes !== undefined) {
+        if (!isObject(definition.regimes)) fail('regimes must be an object');
+        for (const [regimeName, regime] of Object.entries(definition.regimes)) {
+            const where = `regimes.${regimeName}`;
+            if (!REGIMES.includes(regimeName)) fail(`unknown regime "${regimeName}", expected one of ${REGIMES.join(', ')}`);
+            if (!isObject(regime)) fail(`${where} must be an object`);
+            try {
+                checkKeys(regime, REGIME_KEYS, where);
+            } catch (error) {
+                fail(error.message);
+            }
+            if (regime.trade !== undefined && typeof regime.trade !== 'boolean') fail(`${where}.trade must be true or false`);
+
+            const regimeParameters = {};
+            if (regime.parameters !== undefined) {
+                if (!isObject(regime.parameters)) fail(`${where}.parameters must be an object`);
+                for (const [key, value] of Object.entries(regime.parameters)) {
+                    if (!knownParameters.has(key)) fail(`${where}.parameters.${key} is not a parameter of the strategy`);
+                    if (!isNumber(value)) fail(`${where}.parameters.${key} must be a number`);
+                    regimeParameters[key] = value;
+                }
+            }
+            Object.assign(regimeParameters, readSections(regime, `${where}.`));
+            checkThresholds({ ...parameters, ...regimeParameters }, `${where}.`);
+            regimes[regimeName] = { trade: regime.trade !== false, parameters: regimeParameters };
+        }
+    }
+
+    const totalWeight = rules.reduce((sum, rule) => sum + Math.abs(rule.weight), 0);
+
+    /**
+     * Scores indicator values with the compiled rules.
+     * @param {Object} values - IndicatorStream.getValues(), with the extended indicators under extended.
+     * @param {Object} scoreParameters - Parameters the conditions read.
+     * @returns {Object} <rule>Score for each rule and totalScore.
+     */
+    const score = (values, scoreParameters) => {
+        const scores = {};
+        let total = 0;
+        for (const rule of rules) {
+            const match = rule.cases.find(ruleCase => ruleCase.condition(values, scoreParameters));
+            const ruleScore = match ? match.score * rule.weight : 0;
+            scores[`${rule.name}Score`] = ruleScore;
+            total += ruleScore;
+        }
+        scores.totalScore = combine === 'mean' && totalWeight > 0 ? total / totalWeight : total;
+        return scores;
+    };
+
+    return {
+        name: definition.name,
+        description: definition.description || '',
+        definition,
+        extendedIndicators: [...referenced],
+        parameters,
+        regimes,
+        score
+    };
+}
+
+module.exports = {
+    VALUE_PATHS,
+    EXTENDED_INDICATOR_NAMES,
+    compileStrategy
+};
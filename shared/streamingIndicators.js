@@ -0,0 +1,321 @@
+// streamingIndicators.js
+// Stateful versions of the strategy's indicators in the bot's indicators.js, used by the bot and the UI
+// alike. Each update(price) adds the next price and returns the latest value in constant time, the value
+// the batch function returns last for the same prices, or null while there are too few. Backtests feed
+// one close per round instead of recomputing every indicator over the whole price buffer for every round.
+
+/**
+ * Fixed-size window of the latest values.
+ */
+class RollingWindow {
+    /**
+     * @param {number} size - Number of values kept.
+     */
+    constructor(size) {
+        this.size = size;
+        this.values = new Array(size);
+        this.count = 0;
+        this.next = 0; // Slot the next value goes into, the oldest value once the window is full
+    }
+
+    /**
+     * Adds a value.
+     * @param {number} value
+     * @returns {number|undefined} The value pushed out of a full window.
+     */
+    push(value) {
+        const dropped = this.count === this.size ? this.values[this.next] : undefined;
+        this.values[this.next] = value;
+        this.next = (this.next + 1) % this.size;
+        this.count = Math.min(this.count + 1, this.size);
+        return dropped;
+    }
+
+    get full() {
+        return this.count === this.size;
+    }
+
+    /**
+     * Values from oldest to newest.
+     * @returns {Array<number>}
+     */
+    toArray() {
+        if (!this.full) return this.values.slice(0, this.count);
+        return [...this.values.slice(this.next), ...this.values.slice(0, this.next)];
+    }
+}
+
+class StreamingSMA {
+    /**
+     * @param {number} period - SMA period.
+     */
+    constructor(period = 20) {
+        this.window = new RollingWindow(period);
+        this.sum = 0;
+        this.value = null;
+    }
+
+    /**
+     * @param {number} price
+     * @returns {number|null} Latest SMA.
+     */
+    update(price) {
+        const dropped = this.window.push(price);
+        // The running sum is redone from the window each time it wraps, so rounding errors do not build up
+        this.sum = this.window.next === 0 ? this.window.toArray().reduce((a, b) => a + b, 0) : this.sum + price - (dropped || 0);
+        this.value = this.window.full ? this.sum / this.window.size : null;
+        return this.value;
+    }
+}
+
+class StreamingEMA {
+    /**
+     * @param {number} period - EMA period. The first value is the SMA of the first period prices.
+     */
+    constructor(period = 20) {
+        this.period = period;
+        this.k = 2 / (period + 1);
+        this.count = 0;
+        this.seed = 0;
+        this.value = null;
+    }
+
+    /**
+     * @param {number} price
+     * @returns {number|null} Latest EMA.
+     */
+    update(price) {
+        this.count++;
+        if (this.count < this.period) {
+            this.seed += price;
+        } else if (this.count === this.period) {
+            this.value = (this.seed + price) / this.period;
+        } else {
+            this.value = price * this.k + this.value * (1 - this.k);
+        }
+        return this.value;
+    }
+}
+
+class StreamingRSI {
+    /**
+     * @param {number} period - RSI period.
+     */
+    constructor(period = 20) {
+        this.period = period;
+        this.previous = null;
+        this.changes = 0;
+        this.averageGain = 0;
+        this.averageLoss = 0;
+        this.value = null;
+    }
+
+    /**
+     * @param {number} price
+     * @returns {number|null} Latest RSI.
+     */
+    update(price) {
+        const previous = this.previous;
+        this.previous = price;
+        if (previous === null) return this.value;
+
+        const change = price - previous;
+        const gain = change > 0 ? change : 0;
+        const loss = change > 0 ? 0 : Math.abs(change);
+        this.changes++;
+
+        if (this.changes < this.period) {
+            this.averageGain += gain;
+            this.averageLoss += loss;
+        } else if (this.changes === this.period) {
+            this.averageGain = (this.averageGain + gain) / this.period;
+            this.averageLoss = (this.averageLoss + loss) / this.period;
+            this.value = 100 - (100 / (1 + this.averageGain / this.averageLoss));
+        } else {
+            this.averageGain = (this.averageGain * (this.period - 1) + gain) / this.period;
+            this.averageLoss = (this.averageLoss * (this.period - 1) + loss) / this.period;
+            this.value = this.averageLoss === 0 ? 100 : 100 - (100 / (1 + this.averageGain / this.averageLoss));
+        }
+        return this.value;
+    }
+}
+
+class StreamingMACD {
+    /**
+     * @param {number} fastPeriod - Fast EMA period.
+     * @param {number} slowPeriod - Slow EMA period.
+     * @param {number} signalPeriod - Signal line EMA period.
+     */
+    constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        this.fast = new StreamingEMA(fastPeriod);
+        this.slow = new StreamingEMA(slowPeriod);
+        this.signal = new StreamingEMA(signalPeriod);
+        this.value = null;
+    }
+
+    /**
+     * @param {number} price
+     * @returns {Object|null} Latest { MACD, signal, histogram }, once the signal line has started.
+     */
+    update(price) {
+        const fast = this.fast.update(price);
+        const slow = this.slow.update(price);
+        if (fast === null || slow === null) return this.value;
+
+        const macd = fast - slow;
+        const signal = this.signal.update(macd);
+        this.value = signal === null ? null : { MACD: macd, signal, histogram: macd - signal };
+        return this.value;
+    }
+}
+
+class StreamingBollingerBands {
+    /**
+     * @param {number} period - SMA period.
+     * @param {number} multiplier - Number of standard deviations.
+     */
+    constructor(period = 20, multiplier = 2) {
+        this.multiplier = multiplier;
+        this.window = new RollingWindow(period);
+        this.shift = null; // Sums are of the prices less the first one, so the variance keeps its precision
+        this.sum = 0;
+        this.sumOfSquares = 0;
+        this.value = null;
+    }
+
+    /**
+     * @param {number} price
+     * @returns {Object|null} Latest { upper, middle, lower }.
+     */
+    update(price) {
+        if (this.shift === null) this.shift = price;
+        const dropped = this.window.push(price);
+
+        if (this.window.next === 0) {
+            const deviations = this.window.toArray().map(value => value - this.shift);
+            this.sum = deviations.reduce((a, b) => a + b, 0);
+            this.sumOfSquares = deviations.reduce((a, b) => a + b * b, 0);
+        } else {
+            const added = price - this.shift;
+            const removed = dropped === undefined ? 0 : dropped - this.shift;
+            this.sum += added - removed;
+            this.sumOfSquares += added * added - removed * removed;
+        }
+        if (!this.window.full) return this.value;
+
+        const mean = this.sum / this.window.size;
+        const std = Math.sqrt(Math.max(this.sumOfSquares / this.window.size - mean * mean, 0));
+        const middle = mean + this.shift;
+        this.value = { upper: middle + this.multiplier * std, middle, lower: middle - this.multiplier * std };
+        return this.value;
+    }
+}
+
+class StreamingStochastic {
+    /**
+     * @param {number} period - Stochastic period.
+     */
+    constructor(period = 14) {
+        this.period = period;
+        this.count = 0;
+        // Indexes of the bars that can still be the window's high or low, oldest first
+        this.highs = [];
+        this.lows = [];
+        this.bars = new RollingWindow(period);
+        this.k = new RollingWindow(3);
+        this.value = null;
+    }
+
+    /**
+     * @param {number|Object} price - Price, or a candle { high, low, close } for the true range.
+     * @returns {Object|null} Latest { k, d }, d is null until there are three %K values.
+     */
+    update(price) {
+        const bar = typeof price === 'object'
+            ? { high: price.high, low: price.low, close: price.close }
+            : { high: price, low: price, close: price };
+        const index = this.count++;
+        this.bars.push(bar);
+        const barAt = i => this.bars.values[i % this.period];
+
+        while (this.highs.length > 0 && barAt(this.highs[this.highs.length - 1]).high <= bar.high) this.highs.pop();
+        while (this.lows.length > 0 && barAt(this.lows[this.lows.length - 1]).low >= bar.low) this.lows.pop();
+        this.highs.push(index);
+        this.lows.push(index);
+        if (this.highs[0] <= index - this.period) this.highs.shift();
+        if (this.lows[0] <= index - this.period) this.lows.shift();
+        if (!this.bars.full) return this.value;
+
+        const high = barAt(this.highs[0]).high;
+        const low = barAt(this.lows[0]).low;
+        const k = ((bar.close - low) / (high - low)) * 100;
+        this.k.push(k);
+        this.value = { k, d: this.k.full ? this.k.toArray().reduce((a, b) => a + b, 0) / 3 : null };
+        return this.value;
+    }
+}
+
+/**
+ * The indicators the confidence scorer reads, updated together one close at a time.
+ */
+class IndicatorStream {
+    /**
+     * @param {Object} parameters - Indicator periods, see DEFAULT_INDICATOR_PARAMETERS in strategy.js.
+     */
+    constructor(parameters) {
+        this.rsi = new StreamingRSI(parameters.rsiPeriod);
+        this.macd = new StreamingMACD(parameters.macdFastPeriod, parameters.macdSlowPeriod, parameters.macdSignalPeriod);
+        this.sma = new StreamingSMA(parameters.smaPeriod);
+        this.ema = new StreamingEMA(parameters.emaPeriod);
+        this.bollingerBands = new StreamingBollingerBands(parameters.bbPeriod, parameters.bbStdDev);
+        this.stochastic = new StreamingStochastic(parameters.stochPeriod);
+        this.price = null;
+    }
+
+    /**
+     * @param {number} price - The next close.
+     * @returns {Object} getValues() after the update.
+     */
+    update(price) {
+        this.price = price;
+        this.rsi.update(price);
+        this.macd.update(price);
+        this.sma.update(price);
+        this.ema.update(price);
+        this.bollingerBands.update(price);
+        this.stochastic.update(price);
+        return this.getValues();
+    }
+
+    /**
+     * Latest values as scoreTechnicals() reads them, with neutral values where there are too few prices.
+     * @returns {Object} { RSI, MACD, Signal, SMA20, EMA20, bollingerBands, stochastic: { percentK, percentD }, price }.
+     */
+    getValues() {
+        const macd = this.macd.value;
+        const stochastic = this.stochastic.value;
+        return {
+            RSI: this.rsi.value === null ? 50 : this.rsi.value,
+            MACD: macd ? macd.MACD : 0,
+            Signal: macd ? macd.signal : 0,
+            SMA20: this.sma.value === null ? this.price : this.sma.value,
+            EMA20: this.ema.value === null ? this.price : this.ema.value,
+            bollingerBands: this.bollingerBands.value || { upper: 0, middle: 0, lower: 0 },
+            stochastic: {
+                percentK: stochastic ? stochastic.k : 50,
+                percentD: stochastic && stochastic.d !== null ? stochastic.d : 50
+            },
+            price: this.price
+        };
+    }
+}
+
+module.exports = {
+    StreamingSMA,
+    StreamingEMA,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollingerBands,
+    StreamingStochastic,
+    IndicatorStream
+};
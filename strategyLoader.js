@@ -0,0 +1,77 @@
+// strategyLoader.js
+// Loads strategy files: the rules, thresholds and sizing of shared/strategyRules.js written as JSON or YAML,
+// so a strategy can be changed or tried in a backtest without editing code. STRATEGY_FILE selects the
+// bot's strategy, the built-in one of shared/defaultStrategy.js when empty. See strategy.example.yaml.
+// Usage: node strategyLoader.js <file>   Validates a strategy file and prints its rules, parameters and regimes
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { compileStrategy } = require('./shared/strategyRules');
+const { DEFAULT_STRATEGY } = require('./shared/defaultStrategy');
+
+/**
+ * Parses a strategy file, as YAML when it ends in .yaml or .yml and as JSON otherwise.
+ * @param {string} file - Path of the strategy file.
+ * @returns {Object} The strategy definition.
+ */
+function readStrategyFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+    return extension === '.yaml' || extension === '.yml' ? yaml.load(text) : JSON.parse(text);
+}
+
+/**
+ * Loads and compiles a strategy.
+ * @param {string} [file] - Path of a JSON or YAML strategy file, the built-in strategy when empty.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.parameterNames] - Strategy parameters the bot provides, which the rules may read.
+ * @returns {Object} compileStrategy() result.
+ * @throws {Error} When the file cannot be read or parsed, or the strategy is invalid.
+ */
+function loadStrategy(file, { parameterNames = [] } = {}) {
+    if (!file) return compileStrategy(DEFAULT_STRATEGY, { parameterNames });
+
+    let definition;
+    try {
+        definition = readStrategyFile(file);
+    } catch (error) {
+        throw new Error(`Cannot read strategy file ${file}: ${error.message}`);
+    }
+    try {
+        return compileStrategy(definition, { parameterNames });
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+// Exported before the command line runs, which loads prediction.js and with it this module
+module.exports = { loadStrategy };
+
+if (require.main === module) {
+    const file = process.argv[2];
+    if (!file) {
+        console.log('Usage: node strategyLoader.js <file>');
+    } else {
+        try {
+            const { DEFAULT_STRATEGY_PARAMETERS } = require('./prediction');
+            const strategy = loadStrategy(path.resolve(file), { parameterNames: Object.keys(DEFAULT_STRATEGY_PARAMETERS) });
+            logger.info(`Strategy "${strategy.name}" is valid. ${strategy.description}`);
+            console.table(strategy.definition.rules.map(rule => ({
+                rule: rule.name,
+                weight: rule.weight === undefined ? 1 : rule.weight,
+                cases: rule.cases.map(ruleCase => `${ruleCase.when} => ${ruleCase.score}`).join('; ')
+            })));
+            console.table(Object.fromEntries(Object.entries(strategy.parameters)
+                .map(([name, value]) => [name, { value: Array.isArray(value) ? value.join(', ') : value }])));
+            if (Object.keys(strategy.regimes).length > 0) {
+                console.table(Object.fromEntries(Object.entries(strategy.regimes)
+                    .map(([regime, settings]) => [regime, { trade: settings.trade, parameters: JSON.stringify(settings.parameters) }])));
+            }
+        } catch (error) {
+            logger.error(`Error in strategyLoader.js: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+}
@@ -0,0 +1,66 @@
+// backtestEngine.test.js
+// Walk-forward windows of backtestEngine.js, which must never train a model on a round that was not
+// ended when the window's first bet was placed, nor on pools the bets are not decided on.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MODEL_TYPE = 'logistic';
+process.env.FEATURE_SETS = 'pools';
+process.env.CALIBRATION_METHOD = 'none';
+
+require('../logger').silent = true;
+const { finalPools, getWalkForwardWindows, runWalkForward } = require('../backtestEngine');
+
+const roundsFor = epochs => epochs.map(epoch => ({ epoch, oracleCalled: true, bullAmount: 1, bearAmount: 2 }));
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+const epochsOf = rounds => rounds.map(round => round.epoch);
+
+test('the test windows follow each other from the end of the first training window', () => {
+    const windows = getWalkForwardWindows(roundsFor(range(1, 25)), 10, 4);
+    assert.deepEqual(windows.map(window => epochsOf(window.testRounds)), [
+        range(11, 14), range(15, 18), range(19, 22), range(23, 25)
+    ]);
+});
+
+test('a window trains on the rounds before it, less the round still live at its first bet', () => {
+    const windows = getWalkForwardWindows(roundsFor(range(1, 25)), 10, 4);
+    // The first window has no earlier round to make up for the live one
+    assert.deepEqual(epochsOf(windows[0].trainRounds), range(1, 9));
+    assert.deepEqual(epochsOf(windows[1].trainRounds), range(4, 13));
+    assert.deepEqual(epochsOf(windows[3].trainRounds), range(12, 21));
+});
+
+test('a window never trains on more than trainSize rounds when an epoch is missing', () => {
+    // Epoch 15 was never stored, so no round is live at the second window's first bet
+    const epochs = [...range(1, 14), ...range(16, 26)];
+    const windows = getWalkForwardWindows(roundsFor(epochs), 10, 4);
+    assert.deepEqual(epochsOf(windows[1].testRounds), range(16, 19));
+    assert.deepEqual(epochsOf(windows[1].trainRounds), range(5, 14));
+});
+
+test('fewer rounds than one training window give no windows', () => {
+    assert.deepEqual(getWalkForwardWindows(roundsFor(range(1, 10)), 10, 4), []);
+    assert.deepEqual(getWalkForwardWindows([], 10, 4), []);
+});
+
+test('finalPools takes the pools the round ended with', () => {
+    assert.deepEqual(finalPools({ epoch: 1, bullAmount: 3, bearAmount: 1, closePrice: 600 }), { bullAmount: 3, bearAmount: 1 });
+});
+
+test('the window models are trained on the pools the bets are decided on', async () => {
+    // The crowd leans bull by the end of every round, but bear when the bot bets
+    const rounds = range(1, 40).map(epoch => ({
+        epoch, oracleCalled: true, lockPrice: 600 + (epoch % 2), closePrice: 600 + ((epoch + 1) % 2),
+        lockTimestamp: epoch * 300, bullAmount: 3, bearAmount: 1, betTimePools: { bullAmount: 1, bearAmount: 3 }
+    }));
+    const bullShareTrainedOn = async (poolsAtBet) => {
+        const modelCache = new Map();
+        await runWalkForward(rounds, { trainSize: 20, testSize: 20, startingBankroll: 1, poolsAtBet, modelCache });
+        const [model] = modelCache.values();
+        model.dispose();
+        return model.featurePipeline.stats[0].mean;
+    };
+    assert.equal(await bullShareTrainedOn(round => round.betTimePools), 0.25);
+    assert.equal(await bullShareTrainedOn(undefined), 0.75);
+});
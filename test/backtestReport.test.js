@@ -0,0 +1,124 @@
+// backtestReport.test.js
+// Risk measures and groupings of the backtestReport.js performance report on bets worked out by hand.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildReport } = require('../backtestReport');
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+const HOUR_MS = 3600000;
+const START = Date.UTC(2024, 0, 1);
+
+/**
+ * A settled bet of 1 BNB.
+ * @param {number} profitBNB - Profit, its sign gives the outcome and 0 is a refund.
+ * @param {number} placedAt - Time the bet was placed in ms.
+ * @param {Object} [fields] - Other fields of the bet.
+ * @returns {Object}
+ */
+function bet(profitBNB, placedAt, fields = {}) {
+    const outcome = profitBNB > 0 ? 'win' : profitBNB < 0 ? 'lose' : 'refund';
+    return { epoch: placedAt / HOUR_MS, prediction: 'bull', betSize: 1, outcome, profitBNB, placedAt, ...fields };
+}
+
+// From a bankroll of 1, equity after each bet:
+//   1.25  1  1  0.75  0.5 | 1.5  0.75  0.3  0.45
+// The first drawdown falls 60% from 1.25 and ends when bet 6 regains the peak. The second falls 80% from
+// 1.5 and is still open when the bets end.
+const bets = [
+    bet(0.25, START),
+    bet(-0.25, START + HOUR_MS),
+    bet(0, START + 2 * HOUR_MS),
+    bet(-0.25, START + 3 * HOUR_MS),
+    bet(-0.25, START + 4 * HOUR_MS),
+    bet(1, START + 5 * HOUR_MS),
+    bet(-0.75, START + 6 * HOUR_MS),
+    bet(-0.45, START + 7 * HOUR_MS),
+    bet(0.15, START + 10 * HOUR_MS)
+];
+
+test('the largest drawdown is measured from its peak to its last bet below it, even when it is still open', () => {
+    const { risk, summary, equityCurve } = buildReport(bets);
+    approx(summary.finalBankroll, 0.45);
+    assert.equal(equityCurve.length, 10);
+
+    const { value, peakEquity, troughEquity, durationBets, durationMs } = risk.maxDrawdown;
+    approx(value, 0.8);
+    approx(peakEquity, 1.5);
+    approx(troughEquity, 0.3);
+    // Bets 7 to 9, from the peak of bet 6
+    assert.equal(durationBets, 3);
+    assert.equal(durationMs, 5 * HOUR_MS);
+
+    // Without the second drawdown the first one is the largest, over bets 2 to 5
+    const first = buildReport(bets.slice(0, 6)).risk.maxDrawdown;
+    approx(first.value, 0.6);
+    approx(first.peakEquity, 1.25);
+    approx(first.troughEquity, 0.5);
+    assert.equal(first.durationBets, 4);
+    assert.equal(first.durationMs, 4 * HOUR_MS);
+
+    assert.deepEqual(buildReport([bet(0.5, START)]).risk.maxDrawdown,
+        { value: 0, peakEquity: 1, troughEquity: 1, durationBets: 0, durationMs: 0 });
+});
+
+test('Sharpe and Sortino are taken per round on the return of each bet on the bankroll it was placed from', () => {
+    const returns = [0.25, -0.2, 0, -0.25, -1 / 3, 2, -0.5, -0.6, 0.5];
+    const mean = returns.reduce((total, value) => total + value, 0) / returns.length;
+    const std = Math.sqrt(returns.reduce((total, value) => total + (value - mean) ** 2, 0) / returns.length);
+    const downside = Math.sqrt((0.2 ** 2 + 0.25 ** 2 + (1 / 3) ** 2 + 0.5 ** 2 + 0.6 ** 2) / returns.length);
+
+    const { risk } = buildReport(bets);
+    approx(risk.sharpePerRound, mean / std);
+    approx(risk.sortinoPerRound, mean / downside);
+    approx(risk.profitFactor, 1.4 / 1.95);
+
+    // Without a loss there is no downside nor a profit factor, and without a spread no Sharpe
+    const winning = buildReport([bet(0.5, START), bet(1, START + HOUR_MS)]).risk;
+    assert.ok(winning.sharpePerRound > 0);
+    assert.equal(winning.sortinoPerRound, null);
+    assert.equal(winning.profitFactor, null);
+    assert.equal(buildReport([bet(0, START), bet(0, START + HOUR_MS)]).risk.sharpePerRound, null);
+    assert.equal(buildReport([]).risk.sharpePerRound, null);
+});
+
+test('refunds do not break a streak and count as neither a win nor a loss', () => {
+    const { risk, summary } = buildReport(bets);
+    // Bets 2 to 5 lose around a refund
+    assert.equal(risk.longestLossStreak, 3);
+    assert.equal(risk.longestWinStreak, 1);
+    assert.equal(summary.wins, 3);
+    assert.equal(summary.losses, 5);
+    approx(summary.winRate, 3 / 8);
+
+    const wins = [bet(0.5, START), bet(0, START), bet(0.5, START), bet(-1, START), bet(0.5, START)];
+    assert.equal(buildReport(wins).risk.longestWinStreak, 2);
+    // Running bets are left out of the report
+    assert.equal(buildReport([...wins, { ...bet(0.5, START), outcome: null }]).summary.bets, 5);
+});
+
+test('bets are grouped by the UTC hour they were placed in and by the bucket of their absolute confidence', () => {
+    const grouped = [
+        bet(0.5, START + HOUR_MS - 1, { confidence: 0.3 }),
+        bet(-1, START + HOUR_MS, { confidence: -0.3 }),
+        bet(0.5, START + 24 * HOUR_MS, { confidence: 0.2999 }),
+        bet(0.5, START + 23 * HOUR_MS, { confidence: 0.1 }),
+        bet(0, START + 10 * HOUR_MS, { confidence: null }),
+        bet(0.5, 0, { confidence: 0.05 })
+    ];
+    const report = buildReport(grouped, { confidenceBucketSize: 0.1 });
+
+    // A bet without its time is left out, and the hours are in numeric order
+    assert.deepEqual(Object.keys(report.byHour), ['0', '1', '10', '23']);
+    assert.equal(report.byHour[0].bets, 2);
+    assert.equal(report.byHour[1].losses, 1);
+    assert.equal(report.byHour[10].winRate, null);
+
+    // A confidence on a boundary starts the next bucket, bets without one are left out
+    assert.deepEqual(Object.fromEntries(Object.entries(report.byConfidence).map(([bucket, group]) => [bucket, group.bets])),
+        { '0.00-0.10': 1, '0.10-0.20': 1, '0.20-0.30': 1, '0.30-0.40': 2 });
+    assert.deepEqual(Object.keys(buildReport(grouped).byConfidence), ['0.00-0.50']);
+    assert.deepEqual(Object.keys(buildReport([bet(1, START, { confidence: 0.5 })]).byConfidence), ['0.50-1.00']);
+});
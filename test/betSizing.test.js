@@ -0,0 +1,79 @@
+// betSizing.test.js
+// Bet sizing strategies of shared/betSizing.js and the caps sizeBet puts on all of them.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BET_SIZING_STRATEGIES, calculateKellyFraction, sizeBet } = require('../shared/betSizing');
+
+const settings = { minBet: 0.01, maxBet: 1, minConfidence: -3, maxConfidence: 3, kellyFraction: 0.5, bankrollFraction: 0.01 };
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+test('calculateKellyFraction stakes the edge over the net odds', () => {
+    approx(calculateKellyFraction(0.6, 2), 0.2);
+    approx(calculateKellyFraction(0.4, 3), 0.1);
+    // Even pools after the fee pay 1.94x, so a coin flip has no edge
+    assert.ok(calculateKellyFraction(0.5, 1.94) < 0);
+    assert.equal(calculateKellyFraction(0.9, 1), 0);
+});
+
+test('kelly and fractionalKelly stake their fraction of the bankroll', () => {
+    const context = { bankroll: 2, winProbability: 0.6, payoutMultiple: 2 };
+    approx(sizeBet('kelly', context, settings), 0.4);
+    approx(sizeBet('fractionalKelly', context, settings), 0.2);
+    approx(sizeBet('fractionalKelly', context, { ...settings, kellyFraction: 0.25 }), 0.1);
+});
+
+test('kelly sizing does not bet without an edge or a known bankroll', () => {
+    assert.equal(sizeBet('kelly', { bankroll: 2, winProbability: 0.5, payoutMultiple: 1.94 }, settings), 0);
+    assert.equal(sizeBet('kelly', { winProbability: 0.6, payoutMultiple: 2 }, settings), 0);
+    assert.equal(sizeBet('fixedFraction', { bankroll: null }, settings), 0);
+});
+
+test('fixedFraction stakes a share of the bankroll', () => {
+    approx(sizeBet('fixedFraction', { bankroll: 5 }, settings), 0.05);
+});
+
+test('fixed stakes fixedBet, or minBet without one', () => {
+    assert.equal(sizeBet('fixed', { score: 2 }, { ...settings, fixedBet: 0.05 }), 0.05);
+    assert.equal(sizeBet('fixed', { score: 2 }, settings), 0.01);
+});
+
+test('linear scales from minBet to maxBet over the confidence score', () => {
+    approx(sizeBet('linear', { score: 1.5 }, settings), 0.01 + 0.5 * 0.99);
+    approx(sizeBet('linear', { score: -1.5 }, settings), 0.01 + 0.5 * 0.99);
+    approx(sizeBet('linear', { score: 10 }, settings), 1);
+});
+
+test('sigmoid stakes halfway at a zero score and more on higher scores', () => {
+    approx(sizeBet('sigmoid', { score: 0 }, settings), 0.01 + 0.5 * 0.99);
+    approx(sizeBet('sigmoid', { score: 2 }, settings), 0.01 + 0.99 / (1 + Math.exp(-2)));
+    // Scores past maxConfidence are clamped
+    approx(sizeBet('sigmoid', { score: 10 }, settings), 0.01 + 0.99 / (1 + Math.exp(-3)));
+    approx(sizeBet('sigmoid', { score: 1 }, { ...settings, sigmoidSteepness: 2 }), 0.01 + 0.99 / (1 + Math.exp(-2)));
+});
+
+test('stakes are capped at maxBet and at the bankroll', () => {
+    assert.equal(sizeBet('fixed', {}, { ...settings, fixedBet: 2 }), 1);
+    assert.equal(sizeBet('fixed', { bankroll: 0.5 }, { ...settings, fixedBet: 0.8 }), 0.5);
+    approx(sizeBet('kelly', { bankroll: 10, winProbability: 0.6, payoutMultiple: 2 }, settings), 1);
+});
+
+test('a stake below minBet is no bet', () => {
+    assert.equal(sizeBet('fixedFraction', { bankroll: 0.5 }, settings), 0);
+    assert.equal(sizeBet('fixed', { bankroll: 0.005 }, settings), 0);
+});
+
+test('settings read from .env as strings are converted', () => {
+    const fromEnv = { minBet: '0.01', maxBet: '1', minConfidence: '-3', maxConfidence: '3' };
+    approx(sizeBet('linear', { score: 1.5 }, fromEnv), 0.01 + 0.5 * 0.99);
+});
+
+test('every listed strategy sizes a bet and unknown ones throw', () => {
+    const context = { score: 1, bankroll: 2, winProbability: 0.6, payoutMultiple: 2 };
+    for (const strategy of BET_SIZING_STRATEGIES) {
+        assert.ok(sizeBet(strategy, context, settings) > 0, strategy);
+    }
+    assert.throws(() => sizeBet('martingale', context, settings), /Unknown bet sizing strategy: martingale/);
+});
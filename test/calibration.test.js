@@ -0,0 +1,138 @@
+// calibration.test.js
+// Platt scaling, isotonic regression and the reliability measures of calibration.js, on samples worked out by hand
+// and on outcomes generated from a known distortion of the probabilities.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Calibrator, fitPlatt, fitIsotonic, summarizeReliability, buildReliabilityReport } = require('../calibration');
+
+const logit = p => Math.log(p / (1 - p));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const approx = (actual, expected, tolerance = 1e-12) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual}, expected ${expected}`);
+
+/**
+ * Outcomes of 1000 samples per raw probability, as many of them 1 as the true probability says.
+ * @param {Function} truth - Raw probability => true probability.
+ * @returns {Object} { probabilities, outcomes }.
+ */
+function samplesFrom(truth) {
+    const probabilities = [];
+    const outcomes = [];
+    for (let raw = 0.1; raw < 0.95; raw += 0.1) {
+        const ones = Math.round(truth(raw) * 1000);
+        for (let i = 0; i < 1000; i++) {
+            probabilities.push(raw);
+            outcomes.push(i < ones ? 1 : 0);
+        }
+    }
+    return { probabilities, outcomes };
+}
+
+// An overconfident model: the true log-odds are half the model's, less 0.2
+const overconfident = raw => sigmoid(0.5 * logit(raw) - 0.2);
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('fitPlatt recovers the slope and intercept of the distortion', () => {
+    const { probabilities, outcomes } = samplesFrom(overconfident);
+    const { slope, intercept } = fitPlatt(probabilities, outcomes);
+    approx(slope, 0.5, 0.01);
+    approx(intercept, -0.2, 0.01);
+
+    const calibrated = samplesFrom(raw => raw);
+    const identity = fitPlatt(calibrated.probabilities, calibrated.outcomes);
+    approx(identity.slope, 1, 0.01);
+    approx(identity.intercept, 0, 0.01);
+});
+
+test('fitPlatt stays finite on a separable sample and on probabilities of 0 and 1', () => {
+    const { slope, intercept } = fitPlatt([0, 0.2, 0.8, 1], [0, 0, 1, 1]);
+    assert.ok(Number.isFinite(slope) && slope > 0);
+    assert.ok(Number.isFinite(intercept));
+});
+
+test('fitIsotonic pools adjacent violators into non-decreasing blocks', () => {
+    // Sorted: 0.1 -> 0, 0.2 -> 1, 0.3 -> 0, 0.4 -> 1. The 1 at 0.2 and the 0 at 0.3 pool into one block of 0.5
+    const { points } = fitIsotonic([0.3, 0.1, 0.4, 0.2], [0, 0, 1, 1]);
+    assert.equal(points.length, 3);
+    [[0.1, 0], [0.25, 0.5], [0.4, 1]].forEach(([x, y], i) => {
+        approx(points[i][0], x);
+        approx(points[i][1], y);
+    });
+
+    // A decreasing sample pools into a single block
+    assert.deepEqual(fitIsotonic([0.2, 0.4, 0.6], [1, 1, 0]).points.map(([, y]) => Number(y.toFixed(12))), [0.666666666667]);
+});
+
+test('isotonic calibration interpolates between the blocks and is flat beyond them', () => {
+    const calibrator = new Calibrator('isotonic', { points: [[0.1, 0], [0.25, 0.5], [0.4, 1]] });
+    approx(calibrator.calibrate(0.175), 0.25);
+    approx(calibrator.calibrate(0.25), 0.5);
+    approx(calibrator.calibrate(0.3), 2 / 3);
+    assert.equal(calibrator.calibrate(0.05), 0);
+    assert.equal(calibrator.calibrate(0.9), 1);
+});
+
+test('a fitted calibrator improves the Brier score and log loss of a distorted model', () => {
+    const { probabilities, outcomes } = samplesFrom(overconfident);
+    for (const method of ['platt', 'isotonic']) {
+        const calibrator = new Calibrator(method).fit(probabilities, outcomes);
+        const { samples, before, after: calibrated } = calibrator.describe();
+        assert.equal(samples, 9000);
+        assert.ok(calibrated.brierScore < before.brierScore, method);
+        assert.ok(calibrated.logLoss < before.logLoss, method);
+        approx(calibrator.calibrate(0.9), overconfident(0.9), 0.01);
+    }
+});
+
+test('calibrators are saved with their fit and load without one as null', () => {
+    const { probabilities, outcomes } = samplesFrom(overconfident);
+    const calibrator = new Calibrator('platt').fit(probabilities, outcomes);
+    calibrator.save(directory);
+    const loaded = Calibrator.load(directory);
+    assert.deepEqual(loaded.describe(), calibrator.describe());
+    assert.equal(loaded.calibrate(0.8), calibrator.calibrate(0.8));
+
+    assert.equal(Calibrator.load(path.join(directory, 'missing')), null);
+    assert.throws(() => new Calibrator('none'), /Unknown calibration method "none", expected platt or isotonic\./);
+});
+
+test('summarizeReliability measures probabilities against outcomes', () => {
+    const summary = summarizeReliability([{ probability: 0.8, outcome: 1 }, { probability: 0.4, outcome: 0 }]);
+    assert.equal(summary.samples, 2);
+    approx(summary.brierScore, (0.04 + 0.16) / 2);
+    approx(summary.logLoss, -(Math.log(0.8) + Math.log(0.6)) / 2);
+    approx(summary.meanProbability, 0.6);
+    approx(summary.realizedRate, 0.5);
+
+    assert.deepEqual(summarizeReliability([]), { samples: 0, brierScore: null, logLoss: null, meanProbability: null, realizedRate: null });
+});
+
+test('the reliability report buckets the settled bets by win probability', () => {
+    const bets = [
+        { winProbability: 0.52, outcome: 'win' },
+        { winProbability: 0.58, outcome: 'lose' },
+        { winProbability: 0.71, outcome: 'win' },
+        { winProbability: 0.79, outcome: 'win' },
+        { winProbability: 1, outcome: 'win' },
+        // Left out: a refund, a running bet and a bet recorded without a probability
+        { winProbability: 0.6, outcome: 'refund' },
+        { winProbability: 0.6, outcome: null },
+        { winProbability: null, outcome: 'lose' }
+    ];
+    const report = buildReliabilityReport(bets);
+    assert.equal(report.samples, 5);
+    assert.deepEqual(report.buckets.map(({ from, to, bets: count }) => [from, to, count]), [[0.5, 0.6, 2], [0.7, 0.8, 2], [0.9, 1, 1]]);
+    approx(report.buckets[0].meanProbability, 0.55);
+    approx(report.buckets[0].realizedWinRate, 0.5);
+    // |0.55 - 0.5| * 2 + |0.75 - 1| * 2 + |1 - 1| * 1 over 5 bets
+    approx(report.expectedCalibrationError, (0.05 * 2 + 0.25 * 2) / 5);
+
+    assert.deepEqual(buildReliabilityReport(bets, { bucketSize: 0.25 }).buckets.map(bucket => bucket.bets), [3, 2]);
+    assert.equal(buildReliabilityReport([]).expectedCalibrationError, null);
+});
@@ -0,0 +1,169 @@
+// candles.test.js
+// CandleBuilder and candle storage of candles.js, with the candles written to a temporary database, the round
+// candles the bot and the backtests bet with, and the indicators indicators.js computes on the true highs and
+// lows of fixtures/candles.json.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ti = require('technicalindicators');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-test-'));
+process.env.HISTORICAL_DB = path.join(directory, 'historicalData.db');
+process.env.BET_WINDOW_SECONDS = '30';
+
+require('../logger').silent = true;
+const { CandleBuilder, saveCandles, loadCandles, loadRoundCandles, attachCandles, closeDatabase } = require('../candles');
+const indicators = require('../indicators');
+
+const fixture = require('./fixtures/candles.json').candles;
+
+after(() => {
+    closeDatabase();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const candle = (timeframe, openTime, open, high, low, close, ticks, volume = 0) => ({
+    source: 'pair', timeframe, openTime, open, high, low, close, ticks, volume
+});
+
+test('ticks in the same bar update its high, low, close, tick count and volume', () => {
+    const builder = new CandleBuilder('pair', ['1m']);
+    assert.deepEqual(builder.addTick(600, 60, 1), []);
+    builder.addTick(603, 75, 2);
+    builder.addTick(598, 90);
+    builder.addTick(601, 119.9, 0.5);
+    assert.deepEqual(builder.getOpenCandles(), [candle('1m', 60, 600, 603, 598, 601, 4, 3.5)]);
+});
+
+test('a tick in a later bar closes the open candle of each timeframe it leaves', () => {
+    const builder = new CandleBuilder('oracle', ['1m', '5m']);
+    builder.addTick(600, 290);
+    builder.addTick(602, 299);
+    const closed = builder.addTick(605, 301);
+    assert.deepEqual(closed, [
+        { ...candle('1m', 240, 600, 602, 600, 602, 2), source: 'oracle' },
+        { ...candle('5m', 0, 600, 602, 600, 602, 2), source: 'oracle' }
+    ]);
+
+    // Only the 1m bar ends here
+    assert.deepEqual(builder.addTick(604, 365).map(({ timeframe, openTime }) => [timeframe, openTime]), [['1m', 300]]);
+});
+
+test('a bar without ticks is left out instead of filled in', () => {
+    const builder = new CandleBuilder('pair', ['1m']);
+    builder.addTick(600, 10);
+    assert.deepEqual(builder.addTick(601, 200).map(({ openTime }) => openTime), [0]);
+    assert.equal(builder.getOpenCandles()[0].openTime, 180);
+});
+
+test('late and non-numeric ticks are ignored', () => {
+    const builder = new CandleBuilder('pair', ['1m']);
+    builder.addTick(600, 130);
+    assert.deepEqual(builder.addTick(500, 100), []);
+    assert.deepEqual(builder.addTick(NaN, 140), []);
+    assert.deepEqual(builder.addTick(700, undefined), []);
+    assert.deepEqual(builder.getOpenCandles(), [candle('1m', 120, 600, 600, 600, 600, 1)]);
+
+    // The open candles are copies
+    builder.getOpenCandles()[0].close = 1;
+    assert.equal(builder.getOpenCandles()[0].close, 600);
+});
+
+test('unknown timeframes are rejected', () => {
+    assert.throws(() => new CandleBuilder('pair', ['1m', '1h', '4h']), /Unknown timeframe 1h, 4h, expected one of 1m, 5m, 15m\./);
+    assert.deepEqual(new CandleBuilder('pair').timeframes, ['1m', '5m', '15m']);
+});
+
+test('stored candles load oldest first, per source and timeframe', async () => {
+    const candles = [0, 60, 120, 180].map((openTime, i) => candle('1m', openTime, 600 + i, 601 + i, 599 + i, 600.5 + i, 3, i));
+    await saveCandles([...candles, { ...candle('1m', 60, 1, 1, 1, 1, 1), source: 'oracle' }, candle('5m', 0, 600, 604, 599, 603.5, 12)]);
+
+    assert.deepEqual(await loadCandles('pair', '1m'), candles);
+    assert.deepEqual((await loadCandles('pair', '1m', { limit: 2 })).map(({ openTime }) => openTime), [120, 180]);
+    assert.deepEqual((await loadCandles('pair', '1m', { until: 100 })).map(({ openTime }) => openTime), [0, 60]);
+    assert.equal((await loadCandles('oracle', '1m')).length, 1);
+    assert.deepEqual(await loadCandles('oracle', '15m'), []);
+
+    // A candle stored again replaces the earlier one
+    await saveCandles([candle('1m', 180, 603, 610, 602, 609, 5, 4)]);
+    const latest = await loadCandles('pair', '1m', { limit: 1 });
+    assert.deepEqual(latest, [candle('1m', 180, 603, 610, 602, 609, 5, 4)]);
+});
+
+test('the round candles are the latest 100 five-minute pair candles closed by the bet, if they run up to it', async () => {
+    // Bars 0 to 119 from a time on a five-minute boundary, and candles of other sources and timeframes
+    const start = 300 * 5666667;
+    const bars = Array.from({ length: 120 }, (_, i) => candle('5m', start + 300 * i, 600 + i, 602 + i, 599 + i, 601 + i, 20, i));
+    await saveCandles([...bars, { ...candle('5m', start + 300 * 119, 1, 1, 1, 1, 1), source: 'oracle' }, candle('1m', start + 300 * 119 + 60, 1, 1, 1, 1, 1)]);
+    const openTimes = candles => candles && [candles[0].openTime, candles[candles.length - 1].openTime, candles.length];
+
+    // 10 seconds into bar 120, bar 119 has just closed
+    assert.deepEqual(await loadRoundCandles(start + 300 * 120 + 10), bars.slice(20));
+    assert.deepEqual(openTimes(await loadRoundCandles(start + 300 * 100 + 10)), [start, start + 300 * 99, 100]);
+    // The bars stored long before do not make up for the missing ones
+    assert.equal(await loadRoundCandles(start + 300 * 99 + 10), null);
+    // Bar 120 may not be saved yet once it closes, a bar more is stale
+    assert.deepEqual(openTimes(await loadRoundCandles(start + 300 * 121 + 10)), [start + 300 * 20, start + 300 * 119, 100]);
+    assert.equal(await loadRoundCandles(start + 300 * 122 + 10), null);
+    // A bar missing in between counts as that one bar
+    await saveCandles([candle('5m', start + 300 * 121, 1, 1, 1, 1, 1)]);
+    assert.deepEqual(openTimes(await loadRoundCandles(start + 300 * 122 + 10)), [start + 300 * 21, start + 300 * 121, 100]);
+    assert.equal(await loadRoundCandles(start + 300 * 123 + 10), null);
+
+    // Rounds get the candles of their bet, 30 seconds before lock
+    const rounds = [
+        { epoch: 1, lockTimestamp: start + 300 * 99 + 40 },
+        { epoch: 2, lockTimestamp: start + 300 * 100 + 40 },
+        { epoch: 3, lockTimestamp: null },
+        { epoch: 4, lockTimestamp: start + 300 * 120 + 20 },
+        { epoch: 5, lockTimestamp: start + 300 * 120 + 40 },
+        { epoch: 6, lockTimestamp: start + 300 * 130 }
+    ];
+    assert.equal(await attachCandles(rounds), rounds);
+    assert.deepEqual(rounds.map(round => openTimes(round.candles)), [
+        null,
+        [start, start + 300 * 99, 100],
+        null,
+        [start + 300 * 19, start + 300 * 118, 100],
+        [start + 300 * 20, start + 300 * 119, 100],
+        null
+    ]);
+    assert.deepEqual(rounds[4].candles, await loadRoundCandles(start + 300 * 120 + 10));
+    // The rounds share the candles
+    assert.equal(rounds[1].candles[99], rounds[4].candles[79]);
+    assert.deepEqual(await attachCandles([]), []);
+});
+
+test('the stochastic oscillator of candles uses their true highs and lows', () => {
+    const { k, d } = indicators.calculateStochasticOscillator(fixture, 14);
+    const expected = ti.Stochastic.calculate({
+        high: fixture.map(bar => bar.high), low: fixture.map(bar => bar.low), close: fixture.map(bar => bar.close), period: 14, signalPeriod: 3
+    });
+    assert.equal(k.length, expected.length);
+    k.forEach((value, i) => assert.ok(Math.abs(value - expected[i].k) < 0.01, `%K at ${i}: ${value}, expected ${expected[i].k}`));
+    const expectedD = expected.filter(value => value.d !== undefined);
+    assert.equal(d.length, expectedD.length);
+    d.forEach((value, i) => assert.ok(Math.abs(value - expectedD[i].d) < 0.01, `%D at ${i}: ${value}, expected ${expectedD[i].d}`));
+
+    // On closes alone the range leaves out the wicks
+    const closesOnly = indicators.calculateStochasticOscillator(indicators.getCloses(fixture), 14);
+    assert.notDeepEqual(closesOnly.k, k);
+});
+
+test('calculateCandleIndicators gives the latest values, null where there are too few candles', () => {
+    const latest = indicators.calculateCandleIndicators(fixture);
+    const closes = indicators.getCloses(fixture);
+    assert.equal(latest.close, closes[closes.length - 1]);
+    assert.equal(latest.rsi, indicators.calculateRSI(closes, 14).at(-1));
+    assert.equal(latest.stochK, indicators.calculateStochasticOscillator(fixture, 14).k.at(-1));
+    assert.equal(latest.atr, indicators.calculateATR(fixture, 14).at(-1));
+
+    const pick = ({ close, rsi, stochK, stochD, atr }) => ({ close, rsi, stochK, stochD, atr });
+    assert.deepEqual(pick(indicators.calculateCandleIndicators(fixture.slice(0, 5))), {
+        close: fixture[4].close, rsi: null, stochK: null, stochD: null, atr: null
+    });
+    assert.deepEqual(pick(indicators.calculateCandleIndicators([])), { close: null, rsi: null, stochK: null, stochD: null, atr: null });
+});
@@ -0,0 +1,81 @@
+// crowdFlow.test.js
+// Flow summaries and the favorite win rate of shared/crowdFlow.js on bets and rounds worked out by hand.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { imbalanceOf, summarizeFlow, favoriteWinRate } = require('../shared/crowdFlow');
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+// A round starting at 0 summarized at 100, halfway at 50 and late after 70
+const bets = [
+    { position: 'bull', amount: 2, timestamp: 10 },
+    { position: 'bear', amount: '0.5', timestamp: 40 },
+    { position: 'bear', amount: 1, timestamp: 70 },
+    { position: 'bull', amount: 0.5, timestamp: 80 },
+    { position: 'bear', amount: 0.5, timestamp: 100 },
+    { position: 'bull', amount: 5, timestamp: 101 }
+];
+
+test('the imbalance runs from all bear to all bull', () => {
+    assert.equal(imbalanceOf(3, 1), 0.5);
+    assert.equal(imbalanceOf(0, 2), -1);
+    assert.equal(imbalanceOf(0, 0), 0);
+});
+
+test('the flow leaves out bets after its cutoff and splits the rest by time and size', () => {
+    const flow = summarizeFlow(bets, { startTimestamp: 0, at: 100, whaleAmount: 1, lateSeconds: 30 });
+    assert.equal(flow.bets, 5);
+    assert.equal(flow.bullBets, 2);
+    assert.equal(flow.bearBets, 3);
+    assert.equal(flow.bullAmount, 2.5);
+    assert.equal(flow.bearAmount, 2);
+    approx(flow.imbalance, 0.5 / 4.5);
+    // 2 bull and 0.5 bear by halfway
+    approx(flow.imbalanceChange, 0.5 / 4.5 - 0.6);
+
+    // Bets of exactly the whale amount count, 2 bull and 1 bear
+    assert.equal(flow.whaleBets, 2);
+    approx(flow.whaleImbalance, 1 / 3);
+    approx(flow.whaleShare, 3 / 4.5);
+
+    // The late window is open at its start and closed at the cutoff
+    assert.equal(flow.lateBets, 2);
+    assert.equal(flow.lateImbalance, 0);
+    approx(flow.lateShare, 1 / 4.5);
+
+    const whalesOnly = summarizeFlow(bets, { startTimestamp: 0, at: 100, whaleAmount: 2, lateSeconds: 60 });
+    assert.equal(whalesOnly.whaleBets, 1);
+    assert.equal(whalesOnly.whaleImbalance, 1);
+    assert.equal(whalesOnly.lateBets, 3);
+});
+
+test('without a start or a cutoff the flow runs from the first bet to the last', () => {
+    const flow = summarizeFlow(bets);
+    assert.equal(flow.bets, 6);
+    assert.equal(flow.bullAmount, 7.5);
+    // Halfway is 55.5, after the first two bets
+    approx(flow.imbalanceChange, 5.5 / 9.5 - 0.6);
+
+    assert.deepEqual(summarizeFlow([], { startTimestamp: 0, at: 100 }), {
+        bets: 0, bullBets: 0, bearBets: 0, bullAmount: 0, bearAmount: 0, imbalance: 0, imbalanceChange: 0,
+        whaleBets: 0, whaleImbalance: 0, whaleShare: 0, lateBets: 0, lateImbalance: 0, lateShare: 0
+    });
+    assert.equal(summarizeFlow(bets, { at: 5 }).bets, 0);
+});
+
+test('the favorite win rate leaves out refunds, even pools and rounds that closed at their lock price', () => {
+    const rounds = [
+        { bullAmount: '3', bearAmount: '1', lockPrice: 600, closePrice: 601, oracleCalled: true },
+        { bullAmount: 1, bearAmount: 3, lockPrice: 600, closePrice: 601, oracleCalled: true },
+        { bullAmount: 2, bearAmount: 2, lockPrice: 600, closePrice: 601, oracleCalled: true },
+        { bullAmount: 3, bearAmount: 1, lockPrice: 600, closePrice: 600, oracleCalled: true },
+        { bullAmount: 3, bearAmount: 1, lockPrice: 600, closePrice: 0, oracleCalled: false },
+        { bullAmount: 1, bearAmount: 3, lockPrice: 600, closePrice: 599, oracleCalled: true }
+    ];
+    assert.deepEqual(favoriteWinRate(rounds), { rounds: 3, winRate: 2 / 3 });
+    // Only the latest rounds are measured
+    assert.deepEqual(favoriteWinRate(rounds, 2), { rounds: 1, winRate: 1 });
+    assert.deepEqual(favoriteWinRate(rounds.slice(2, 5)), { rounds: 0, winRate: null });
+});
@@ -0,0 +1,113 @@
+// ensemble.test.js
+// Votes of the ensemble strategies, the three ways ensemble.js combines them and the profit attribution of the
+// run reports.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { STRATEGIES, MIN_STACKING_ROUNDS, Ensemble, createEnsemble, buildAttributionReport } = require('../ensemble');
+
+const parameters = { bullConfidence: 0.1, bearConfidence: -0.1, modelWeight: 5, technicalWeight: 0.5, crowdMinImbalance: 0.3, streakLength: 3 };
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+// Technical bullish at 0.25, model bearish at -0.125, crowd against the bull favorite at -0.5, streak silent
+const context = { technicalScore: 1, upProbability: 0.45, pools: { bullAmount: '3', bearAmount: '1' }, prices: [5, 4, 6, 5, 6] };
+const allStrategies = ['technical', 'model', 'crowd', 'streak'];
+
+test('each strategy votes its signed confidence against the thresholds', () => {
+    const votes = new Ensemble({ strategies: allStrategies }).vote(context, parameters);
+    assert.deepEqual(Object.keys(votes), allStrategies);
+    assert.equal(votes.technical.prediction, 'bull');
+    approx(votes.technical.confidence, 0.25);
+    assert.equal(votes.model.prediction, 'bear');
+    approx(votes.model.confidence, -0.125);
+    assert.deepEqual(votes.crowd, { prediction: 'bear', confidence: -0.5 });
+    assert.deepEqual(votes.streak, { prediction: null, confidence: 0 });
+});
+
+test('the crowd vote needs a lean and a favorite that has not been winning', () => {
+    const crowd = round => STRATEGIES.crowd(round, parameters);
+    assert.equal(crowd({ ...context, pools: { bullAmount: 3, bearAmount: 1, favoriteWinRate: 0.6 } }), 0);
+    assert.equal(crowd({ ...context, pools: { bullAmount: 1.2, bearAmount: 1 } }), 0);
+    assert.equal(crowd({ ...context, pools: {} }), 0);
+    assert.equal(crowd({ ...context, pools: { bullAmount: 1, bearAmount: 4, favoriteWinRate: 0.5 } }), 0.6);
+});
+
+test('the streak vote goes against a run, at the reversal strength when it ends in its largest move', () => {
+    const streak = round => STRATEGIES.streak(round, parameters);
+    assert.equal(streak({ ...context, prices: [1, 2, 3, 4, 5] }), -0.5);
+    assert.equal(streak({ ...context, prices: [1, 2, 3, 4, 6] }), -0.7);
+    assert.equal(streak({ ...context, prices: [9, 8, 7, 6, 5] }), 0.5);
+    assert.equal(streak({ ...context, prices: [9, 8, 7, 6, 3] }), 0.7);
+    assert.equal(streak({ ...context, prices: [1, 2, 3, 3, 4] }), 0);
+});
+
+test('majority takes the mean confidence of the larger side, and a tie is neutral', () => {
+    const ensemble = new Ensemble({ strategies: allStrategies, method: 'majority' });
+    const votes = ensemble.vote(context, parameters);
+    approx(ensemble.combine(votes, parameters).confidence, (-0.125 - 0.5) / 2);
+
+    const tied = new Ensemble({ strategies: ['technical', 'model', 'streak'], method: 'majority' });
+    assert.deepEqual(tied.combine(tied.vote(context, parameters), parameters), { confidence: 0 });
+});
+
+test('weighted sums the weighted confidences, technical and model at 1 give the blended confidence', () => {
+    const blended = new Ensemble({ strategies: ['technical', 'model'] });
+    const votes = blended.vote(context, parameters);
+    approx(blended.combine(votes, parameters).confidence, ((0.45 - 0.5) * 5 + 1 * 0.5) / 2);
+
+    const weighted = new Ensemble({ strategies: allStrategies, weights: { crowd: 2, model: 0 } });
+    approx(weighted.combine(weighted.vote(context, parameters), parameters).confidence, 0.25 - 1);
+});
+
+test('stacking falls back to weighted until enough rounds have ended, then learns which vote to follow', () => {
+    const ensemble = new Ensemble({ strategies: ['technical', 'crowd'], method: 'stacking', stackingRounds: 150 });
+    // The up moves follow the technical vote and ignore the crowd
+    const rounds = Array.from({ length: 160 }, (_, i) => ({
+        technical: { prediction: null, confidence: i % 2 === 0 ? 0.3 : -0.3 },
+        crowd: { prediction: null, confidence: i % 4 < 2 ? 0.5 : -0.5 }
+    }));
+    rounds.slice(0, MIN_STACKING_ROUNDS - 1).forEach((votes, i) => ensemble.addOutcome(votes, i % 2 === 0));
+    assert.deepEqual(ensemble.combine(rounds[0], parameters), { confidence: 0.8 });
+
+    rounds.slice(MIN_STACKING_ROUNDS - 1).forEach((votes, i) => ensemble.addOutcome(votes, (MIN_STACKING_ROUNDS - 1 + i) % 2 === 0));
+    assert.equal(ensemble.samples.length, 150);
+    const up = ensemble.combine({ technical: { confidence: 0.3 }, crowd: { confidence: -0.5 } }, parameters);
+    const down = ensemble.combine({ technical: { confidence: -0.3 }, crowd: { confidence: 0.5 } }, parameters);
+    assert.ok(up.upProbability > 0.6 && down.upProbability < 0.4, `${up.upProbability}, ${down.upProbability}`);
+    approx(up.confidence, (up.upProbability - 0.5) * 5 / 2);
+
+    // A new outcome drops the fit until the next combine
+    assert.ok(ensemble.stacking);
+    ensemble.addOutcome(rounds[0], true);
+    assert.equal(ensemble.stacking, null);
+});
+
+test('unknown strategies and methods are rejected', () => {
+    assert.throws(() => new Ensemble({ strategies: ['technical', 'astrology'] }), /Unknown ensemble strategy "astrology", expected some of technical, model, crowd, streak\./);
+    assert.throws(() => new Ensemble({ strategies: [] }), /Unknown ensemble strategy ""/);
+    assert.throws(() => new Ensemble({ strategies: ['model'], method: 'vote' }), /Unknown ensemble method "vote", expected one of majority, weighted, stacking\./);
+    assert.equal(createEnsemble({ strategies: [] }), null);
+    assert.deepEqual(createEnsemble({ strategies: ['model'], method: 'majority' }).strategies, ['model']);
+});
+
+test('the attribution report credits each strategy with the bets it voted for and against', () => {
+    const bets = [
+        { prediction: 'bull', outcome: 'win', profitBNB: 0.75, votes: { technical: { prediction: 'bull' }, crowd: { prediction: 'bear' } } },
+        { prediction: 'bull', outcome: 'lose', profitBNB: -1, votes: JSON.stringify({ technical: { prediction: 'bull' }, crowd: { prediction: null } }) },
+        { prediction: 'bear', outcome: 'refund', profitBNB: 0, votes: { technical: { prediction: 'bull' }, crowd: { prediction: 'bear' } } },
+        // Left out: a bet placed without the ensemble and a running bet
+        { prediction: 'bull', outcome: 'win', profitBNB: 0.5, votes: null },
+        { prediction: 'bull', outcome: null, profitBNB: 0, votes: { technical: { prediction: 'bull' } } }
+    ];
+    const report = buildAttributionReport(bets);
+    assert.equal(report.bets, 3);
+    assert.deepEqual(report.strategies.technical, {
+        agreed: 2, agreedProfit: -0.25, opposed: 1, opposedProfit: 0, abstained: 0, decided: 2, correct: 1, accuracy: 0.5
+    });
+    assert.deepEqual(report.strategies.crowd, {
+        agreed: 1, agreedProfit: 0, opposed: 1, opposedProfit: 0.75, abstained: 1, decided: 1, correct: 0, accuracy: 0
+    });
+    assert.deepEqual(buildAttributionReport([]), { bets: 0, strategies: {} });
+});
+
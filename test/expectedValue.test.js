@@ -0,0 +1,85 @@
+// expectedValue.test.js
+// Expected-value filter of shared/expectedValue.js on pools worked out by hand with the 3% treasury fee.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVEN_POOL_MULTIPLE } = require('../shared/settlement');
+const {
+    estimatePayoutMultiple, calculateExpectedValue, maxStakeForExpectedValue, evaluateBet
+} = require('../shared/expectedValue');
+
+// Bull is the crowded side: a bull win pays 1.29x, a bear win 3.88x
+const pools = { bullAmount: 3, bearAmount: 1 };
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}, expected ${expected}`);
+
+test('estimatePayoutMultiple dilutes the payout with the stake', () => {
+    approx(estimatePayoutMultiple(pools, 'bear', 0), 4 * 0.97);
+    approx(estimatePayoutMultiple(pools, 'bear', 1), (5 * 0.97) / 2);
+    approx(estimatePayoutMultiple({}, 'bull', 1), EVEN_POOL_MULTIPLE);
+});
+
+test('calculateExpectedValue is the expected profit per BNB', () => {
+    approx(calculateExpectedValue(0.6, 2), 0.2);
+    approx(calculateExpectedValue(0.5, 1.9), -0.05);
+});
+
+test('maxStakeForExpectedValue finds the stake that brings the EV down to the threshold', () => {
+    const stake = maxStakeForExpectedValue(pools, 'bear', 0.5, 0.1);
+    approx(stake, (4 * 0.97 - 2.2) / (2.2 - 0.97));
+    approx(calculateExpectedValue(0.5, estimatePayoutMultiple(pools, 'bear', stake)), 0.1);
+});
+
+test('maxStakeForExpectedValue is 0 when no stake qualifies and Infinity when none is too large', () => {
+    // 60% on the crowded side is worth 0.6 * 1.29 - 1 = -22%
+    assert.equal(maxStakeForExpectedValue(pools, 'bull', 0.6, 0), 0);
+    assert.equal(maxStakeForExpectedValue(pools, 'bear', 0, 0), 0);
+    // The multiple never falls below 0.97, which a 60% win rate still turns into -42%
+    assert.equal(maxStakeForExpectedValue(pools, 'bull', 0.6, -0.5), Infinity);
+    assert.equal(maxStakeForExpectedValue({}, 'bull', 0.6, 0), Infinity);
+    assert.equal(maxStakeForExpectedValue({}, 'bull', 0.5, 0), 0);
+});
+
+test('evaluateBet passes a bet whose EV meets the threshold unchanged', () => {
+    const decision = evaluateBet({ prediction: 'bear', betSize: 0.1, winProbability: 0.5 }, pools, { minExpectedValue: 0.05 });
+    assert.equal(decision.prediction, 'bear');
+    assert.equal(decision.betSize, 0.1);
+    assert.equal(decision.skipReason, null);
+    approx(decision.payoutMultiple, (4.1 * 0.97) / 1.1);
+    approx(decision.expectedValue, 0.5 * decision.payoutMultiple - 1);
+});
+
+test('evaluateBet shrinks a bet that dilutes its own payout below the threshold', () => {
+    const decision = evaluateBet({ prediction: 'bear', betSize: 5, winProbability: 0.5 }, pools, { minExpectedValue: 0.1 });
+    assert.equal(decision.prediction, 'bear');
+    approx(decision.betSize, maxStakeForExpectedValue(pools, 'bear', 0.5, 0.1));
+    approx(decision.expectedValue, 0.1);
+});
+
+test('evaluateBet skips instead of shrinking when resizing is off', () => {
+    const decision = evaluateBet({ prediction: 'bear', betSize: 5, winProbability: 0.5 }, pools, { minExpectedValue: 0.1, resize: false });
+    assert.equal(decision.prediction, null);
+    assert.equal(decision.betSize, 0);
+    approx(decision.payoutMultiple, (9 * 0.97) / 6);
+    assert.match(decision.skipReason, /^EV -27\.2% at 1\.46x is below 10\.0%$/);
+});
+
+test('evaluateBet skips a likely win on the crowded side', () => {
+    const decision = evaluateBet({ prediction: 'bull', betSize: 0.1, winProbability: 0.7 }, pools);
+    assert.equal(decision.prediction, null);
+    assert.ok(decision.expectedValue < 0);
+    assert.match(decision.skipReason, /is below 0\.0%/);
+});
+
+test('evaluateBet skips a shrunk stake below the minimum bet', () => {
+    const decision = evaluateBet({ prediction: 'bear', betSize: 5, winProbability: 0.5 }, pools, { minExpectedValue: 0.1, minBet: 2 });
+    assert.equal(decision.prediction, null);
+    assert.match(decision.skipReason, /below the minimum bet/);
+});
+
+test('evaluateBet skips decisions without a prediction, stake or win probability', () => {
+    assert.equal(evaluateBet({ prediction: null, betSize: 0.1, winProbability: 0.6 }, pools).skipReason, 'no prediction');
+    assert.equal(evaluateBet({ prediction: 'bear', betSize: 0, winProbability: 0.6 }, pools).skipReason, 'no prediction');
+    assert.equal(evaluateBet({ prediction: 'bear', betSize: 0.1 }, pools).skipReason, 'no win probability');
+});
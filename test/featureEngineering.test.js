@@ -0,0 +1,125 @@
+// featureEngineering.test.js
+// Samples of the featureEngineering.js pipeline: which closes, pools and outcome each training sample pairs,
+// the candles of its trend columns, its normalization and the feature set versions it resolves.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WINDOW_SIZE, FeaturePipeline, listFeatureSets } = require('../featureEngineering');
+const indicators = require('../indicators');
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+// Closes that move up and down irregularly, and pools whose bull share tells the rounds apart
+const prices = Array.from({ length: WINDOW_SIZE + 6 }, (_, i) => 600 + 5 * Math.sin(i * 1.3) + i / 10);
+const pools = prices.map((_, i) => ({ bullAmount: i, bearAmount: 1 }));
+
+test('a training sample ends two closes before the round it predicts, with that round\'s pools and outcome', () => {
+    const pipeline = new FeaturePipeline({ featureSets: ['raw@1', 'pools@1'], normalization: 'none' });
+    assert.equal(pipeline.history, WINDOW_SIZE);
+    const { rows, labels } = pipeline.buildSamples(prices, pools);
+    assert.equal(rows.length, prices.length - WINDOW_SIZE - 1);
+
+    rows.forEach((row, i) => {
+        // The round of prices[t + 1] locks at prices[t] and is bet on while prices[t - 1] is the latest close
+        const t = WINDOW_SIZE + i;
+        assert.deepEqual(row.slice(0, WINDOW_SIZE), prices.slice(t - WINDOW_SIZE, t));
+        assert.equal(row[WINDOW_SIZE + 2], (t + 1) / (t + 2));
+        assert.equal(labels[i], prices[t + 1] > prices[t] ? 1 : 0);
+
+        // The bot betting on that round builds the same row from its price buffer
+        assert.deepEqual(pipeline.prepareLatest(prices.slice(0, t), pools[t + 1]), [row]);
+    });
+    assert.ok(labels.includes(0) && labels.includes(1));
+
+    assert.equal(pipeline.buildSamples(prices.slice(0, WINDOW_SIZE + 2)).rows.length, 1);
+    assert.deepEqual(pipeline.buildSamples(prices.slice(0, WINDOW_SIZE + 1)), { rows: [], labels: [] });
+});
+
+test('the trend columns use the round\'s candles where the pools have them and the closes otherwise', () => {
+    const closes = Array.from({ length: 90 }, (_, i) => 600 + 8 * Math.sin(i / 4) + i / 5);
+    // Pair candles whose ranges reach well beyond the closes, with the close low in the range
+    const candles = closes.map((close, i) => ({ openTime: 300 * i, open: close + 1, high: close + 3 + (i % 3), low: close - 1, close, volume: 1 }));
+    const trend1 = new FeaturePipeline({ featureSets: ['trend@1'], normalization: 'none' });
+    const trend2 = new FeaturePipeline({ featureSets: ['trend@2'], normalization: 'none' });
+    assert.equal(trend2.history, 80);
+
+    const [fromCloses] = trend1.prepareLatest(closes);
+    assert.deepEqual(trend2.prepareLatest(closes), [fromCloses]);
+    assert.deepEqual(trend2.prepareLatest(closes, { candles: null }), [fromCloses]);
+    // Only the latest 80 candles count
+    assert.deepEqual(trend2.prepareLatest(closes, { candles: indicators.candlesFromCloses(closes.slice(-80)) }), [fromCloses]);
+
+    const [fromCandles] = trend2.prepareLatest(closes, { candles });
+    const lookback = candles.slice(-80);
+    const [atr] = indicators.calculateATR(lookback, 14).slice(-1);
+    const [williamsR] = indicators.calculateWilliamsR(lookback, 14).slice(-1);
+    approx(fromCandles[2], atr / closes[89]);
+    approx(fromCandles[3], williamsR);
+    assert.notEqual(fromCandles[3], fromCloses[3]);
+
+    // A training sample takes the candles of the round it predicts
+    const pools = closes.map((_, i) => (i === 89 ? { candles } : {}));
+    const { rows } = trend2.buildSamples(closes, pools);
+    assert.deepEqual(rows[rows.length - 1], fromCandles);
+    assert.deepEqual(rows[rows.length - 2], trend1.buildSamples(closes).rows[rows.length - 2]);
+});
+
+test('the volume columns take the OBV flow and VWAP of the last 20 pair candles, and 0 without them', () => {
+    const closes = Array.from({ length: 90 }, (_, i) => 600 + 8 * Math.sin(i / 4) + i / 5);
+    const candles = closes.map((close, i) => ({ open: close, high: close + 2, low: close - 1 - (i % 2), close, volume: 1 + (i % 5) }));
+    const recent = candles.slice(-21);
+    let flow = 0;
+    let volume = 0;
+    let priceVolume = 0;
+    for (let i = 1; i < recent.length; i++) {
+        const { high, low, close, volume: traded } = recent[i];
+        flow += Math.sign(close - recent[i - 1].close) * traded;
+        volume += traded;
+        priceVolume += (high + low + close) / 3 * traded;
+    }
+
+    const indicators3 = new FeaturePipeline({ featureSets: ['indicators@3'], normalization: 'none' });
+    const indicators2 = new FeaturePipeline({ featureSets: ['indicators@2'], normalization: 'none' });
+    const [row] = indicators3.prepareLatest(closes, { candles });
+    assert.deepEqual(row.slice(0, 10), indicators2.prepareLatest(closes)[0]);
+    approx(row[10], flow / volume);
+    approx(row[11], closes[89] / (priceVolume / volume) - 1);
+
+    const [trendRow] = new FeaturePipeline({ featureSets: ['trend@3'], normalization: 'none' }).prepareLatest(closes, { candles });
+    assert.deepEqual(trendRow.slice(-2), row.slice(-2));
+    assert.deepEqual(trendRow.slice(0, -2), new FeaturePipeline({ featureSets: ['trend@2'], normalization: 'none' }).prepareLatest(closes, { candles })[0]);
+
+    // Round closes and candles stored before volume was tracked have none
+    assert.deepEqual(indicators3.prepareLatest(closes)[0].slice(-2), [0, 0]);
+    assert.deepEqual(indicators3.prepareLatest(closes, { candles: candles.map(candle => ({ ...candle, volume: 0 })) })[0].slice(-2), [0, 0]);
+});
+
+test('fit scales each column on the training samples and constant columns to 0', () => {
+    const zscore = new FeaturePipeline({ featureSets: ['pools@1'], normalization: 'zscore' });
+    assert.throws(() => zscore.normalize([0.5, 1]), /not fitted/);
+    const { features, labels } = zscore.fit([1, 2, 1, 2], { pools: [{}, {}, { bullAmount: 1, bearAmount: 1 }, { bullAmount: 3, bearAmount: 1 }] });
+    assert.deepEqual(labels, [0, 1]);
+    // bullShare 0.5 and 0.75, the totals 2 and 4 scaled alike
+    [[-1, -1], [1, 1]].forEach((row, i) => row.forEach((value, j) => approx(features[i][j], value)));
+    assert.deepEqual(zscore.stats[0], { mean: 0.625, std: 0.125 });
+
+    const minmax = new FeaturePipeline({ featureSets: ['pools@1'], normalization: 'minmax' });
+    minmax.fit([1, 2, 1, 2, 1], { pools: [{}, {}, { bullAmount: 1, bearAmount: 1 }, { bullAmount: 3, bearAmount: 1 }, { bullAmount: 2, bearAmount: 2 }] });
+    assert.deepEqual(minmax.normalize([0.625, Math.log1p(4)]), [0.5, 1]);
+    assert.deepEqual(minmax.normalize([0.75, Math.log1p(2)]), [1, 0]);
+
+    const flat = new FeaturePipeline({ featureSets: ['pools@1'], normalization: 'zscore' });
+    flat.fit([1, 2, 3, 4], { pools: [] });
+    assert.deepEqual(flat.normalize([0.5, 0]), [0, 0]);
+});
+
+test('feature sets resolve to their latest version unless one is given, and unknown ones are rejected', () => {
+    const pipeline = new FeaturePipeline({ featureSets: ['raw', 'indicators@1', { name: 'crowd', version: 1 }], normalization: 'none' });
+    assert.deepEqual(pipeline.describe(), { featureSets: ['raw@2', 'indicators@1', 'crowd@1'], normalization: 'none', columns: 52 + 10 + 8 });
+    assert.equal(listFeatureSets().find(featureSet => featureSet.name === 'raw').latest, 2);
+
+    assert.throws(() => new FeaturePipeline({ featureSets: ['astrology'] }), /Unknown feature set "astrology"/);
+    assert.throws(() => new FeaturePipeline({ featureSets: ['raw@9'] }), /Feature set raw has no version 9, expected one of 1, 2\./);
+    assert.throws(() => new FeaturePipeline({ featureSets: ['raw'], normalization: 'log' }), /Unknown feature normalization "log"/);
+});
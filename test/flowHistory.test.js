@@ -0,0 +1,97 @@
+// flowHistory.test.js
+// Crowd flow of flowHistory.js rebuilt from bet logs stored in a temporary database, with the bets timed by
+// their block between StartRound at block 100 and LockRound at block 200, 3 seconds a block.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-history-test-'));
+process.env.HISTORICAL_DB = path.join(directory, 'historicalData.db');
+process.env.BET_WINDOW_SECONDS = '30';
+process.env.CROWD_WHALE_AMOUNT = '1';
+process.env.CROWD_LATE_SECONDS = '30';
+process.env.CROWD_ACCURACY_ROUNDS = '2';
+// ingest.js, which creates the schema, loads roundWatcher.js and its contract
+process.env.PREDICTION_CONTRACT_ADDRESS = '0x18B2A687610328590Bc8F2e5fEdDe3b582A49cdA';
+
+require('../logger').silent = true;
+const ingest = require('../ingest');
+const { loadRoundFlows, attachCrowdFlow } = require('../flowHistory');
+
+const db = new sqlite3.Database(process.env.HISTORICAL_DB);
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+});
+
+// Epoch 11 has no LockRound log, epoch 12 no bets
+const STARTS = { 10: 1000, 11: 1300, 12: 1600 };
+const BETS = [
+    // Seconds 30, 150 and 270 after the start, the last one as the bot bets 30 seconds before lock
+    [10, 'bull', 2, 110],
+    [10, 'bear', 0.5, 150],
+    [10, 'bear', 0.5, 190],
+    // Seconds 285 and 300, after the bot has bet
+    [10, 'bull', 4, 195],
+    [10, 'bear', 4, 200],
+    [11, 'bull', 1, 150]
+];
+
+before(async () => {
+    // ingest.js creates the schema, which is done once its first query returns
+    await ingest.findEpochsToFetch(1, 1);
+    for (const [epoch, start] of Object.entries(STARTS)) {
+        await run('INSERT INTO prediction_rounds (epoch, startTimestamp, lockTimestamp, oracleCalled) VALUES (?, ?, ?, 1)', [epoch, start, start + 300]);
+        await run('INSERT INTO round_events (epoch, event, blockNumber, txHash, logIndex) VALUES (?, ?, ?, ?, 0)', [epoch, 'StartRound', 100, `start-${epoch}`]);
+        if (Number(epoch) !== 11) {
+            await run('INSERT INTO round_events (epoch, event, blockNumber, txHash, logIndex) VALUES (?, ?, ?, ?, 0)', [epoch, 'LockRound', 200, `lock-${epoch}`]);
+        }
+    }
+    for (const [index, [epoch, position, amount, blockNumber]] of BETS.entries()) {
+        await run('INSERT INTO round_bets (epoch, position, amount, blockNumber, txHash, logIndex) VALUES (?, ?, ?, ?, ?, 0)',
+            [epoch, position, amount, blockNumber, `bet-${index}`]);
+    }
+});
+
+after(async () => {
+    await ingest.closeDatabase();
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('a round\'s flow stops betWindowSeconds before its lock, with its late window just before that', async () => {
+    const flows = await loadRoundFlows(10, 12);
+    assert.deepEqual([...flows.keys()], [10]);
+
+    const flow = flows.get(10);
+    assert.equal(flow.bets, 3);
+    assert.equal(flow.bullAmount, 2);
+    assert.equal(flow.bearAmount, 1);
+    assert.equal(flow.imbalance, 1 / 3);
+    // Halfway to the bet is 135 seconds in, after the first bet only
+    assert.equal(flow.imbalanceChange, 1 / 3 - 1);
+    assert.equal(flow.whaleBets, 1);
+    assert.equal(flow.whaleShare, 2 / 3);
+    // Only the bet placed as the bot bets is later than 30 seconds before it
+    assert.equal(flow.lateBets, 1);
+    assert.equal(flow.lateImbalance, -1);
+    assert.equal(flow.lateShare, 0.5 / 3);
+
+    assert.equal((await loadRoundFlows(11, 12)).size, 0);
+});
+
+test('rounds get their flow and the favorite win rate of the rounds ended before their bet', async () => {
+    const round = (epoch, bullAmount, bearAmount, closePrice) => ({ epoch, bullAmount, bearAmount, lockPrice: 600, closePrice, oracleCalled: true });
+    // The favorite wins 10, loses 11, ties 12 and loses 13
+    const rounds = [round(10, 3, 1, 601), round(11, 1, 3, 601), round(12, 3, 1, 600), round(13, 3, 1, 599), round(14, 1, 1, 601)];
+    await attachCrowdFlow(rounds);
+
+    assert.equal(rounds[0].flow.bets, 3);
+    assert.deepEqual(rounds.slice(1).map(({ flow }) => flow), [null, null, null, null]);
+    // A round is bet on before the one before it has ended, and only the latest CROWD_ACCURACY_ROUNDS count
+    assert.deepEqual(rounds.map(({ favoriteWinRate }) => favoriteWinRate), [null, null, 1, 0.5, 0]);
+    assert.deepEqual(await attachCrowdFlow([]), []);
+});
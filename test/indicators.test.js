@@ -0,0 +1,161 @@
+// indicators.test.js
+// Checks the candle indicators of indicators.js against the technicalindicators package on the candles
+// of fixtures/candles.json. The package has no Supertrend, so it is checked against values worked out by hand.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ti = require('technicalindicators');
+
+require('../logger').silent = true;
+const indicators = require('../indicators');
+
+const { candles } = require('./fixtures/candles.json');
+
+const series = {
+    open: candles.map(candle => candle.open),
+    high: candles.map(candle => candle.high),
+    low: candles.map(candle => candle.low),
+    close: candles.map(candle => candle.close),
+    volume: candles.map(candle => candle.volume)
+};
+
+/**
+ * Compares two series that end at the same candle. They may start at different candles, as the
+ * indicators here and in the package do not always give values for the same warm-up candles.
+ * @param {Array<number>} actual - Values of indicators.js.
+ * @param {Array<number>} expected - Reference values.
+ * @param {string} name - Series name for the failure message.
+ */
+function assertSeriesClose(actual, expected, name) {
+    const length = Math.min(actual.length, expected.length);
+    assert.ok(length >= expected.length - 1 && length > 0, `${name}: ${actual.length} values, expected ${expected.length}`);
+    for (let i = 1; i <= length; i++) {
+        const a = actual[actual.length - i];
+        const e = expected[expected.length - i];
+        assert.ok(Math.abs(a - e) <= 1e-9 * Math.max(1, Math.abs(e)), `${name}: ${a} at ${i} from the end, expected ${e}`);
+    }
+}
+
+test('ATR matches technicalindicators', () => {
+    const expected = ti.ATR.calculate({ high: series.high, low: series.low, close: series.close, period: 14 });
+    assertSeriesClose(indicators.calculateATR(candles, 14), expected, 'ATR');
+});
+
+test('ADX and the directional indicators match technicalindicators', () => {
+    const { adx, plusDI, minusDI } = indicators.calculateADX(candles, 14);
+    const expected = ti.ADX.calculate({ high: series.high, low: series.low, close: series.close, period: 14 });
+    assert.equal(adx.length, expected.length);
+    assertSeriesClose(adx, expected.map(value => value.adx), 'ADX');
+    // The directional indicators start period candles before the ADX, the package only gives them with it
+    assertSeriesClose(plusDI.slice(-expected.length), expected.map(value => value.pdi), '+DI');
+    assertSeriesClose(minusDI.slice(-expected.length), expected.map(value => value.mdi), '-DI');
+});
+
+test('Ichimoku matches technicalindicators', () => {
+    const cloud = indicators.calculateIchimoku(candles, 9, 26, 52);
+    const expected = ti.IchimokuCloud.calculate({
+        high: series.high, low: series.low, conversionPeriod: 9, basePeriod: 26, spanPeriod: 52, displacement: 26
+    });
+    for (const line of ['conversion', 'base', 'spanA', 'spanB']) {
+        assertSeriesClose(cloud.map(value => value[line]), expected.map(value => value[line]), `Ichimoku ${line}`);
+    }
+});
+
+test('Keltner Channels match technicalindicators', () => {
+    const channels = indicators.calculateKeltnerChannels(candles, 20, 10, 2);
+    const expected = ti.KeltnerChannels.calculate({
+        high: series.high, low: series.low, close: series.close, maPeriod: 20, atrPeriod: 10, useSMA: false, multiplier: 2
+    });
+    for (const band of ['middle', 'upper', 'lower']) {
+        assertSeriesClose(channels.map(value => value[band]), expected.map(value => value[band]), `Keltner ${band}`);
+    }
+});
+
+test('Williams %R matches technicalindicators', () => {
+    const expected = ti.WilliamsR.calculate({ high: series.high, low: series.low, close: series.close, period: 14 });
+    assertSeriesClose(indicators.calculateWilliamsR(candles, 14), expected, 'Williams %R');
+});
+
+test('CCI matches technicalindicators', () => {
+    const expected = ti.CCI.calculate({ high: series.high, low: series.low, close: series.close, period: 20 });
+    assertSeriesClose(indicators.calculateCCI(candles, 20), expected, 'CCI');
+});
+
+test('Parabolic SAR matches technicalindicators', () => {
+    const expected = ti.PSAR.calculate({ high: series.high, low: series.low, step: 0.02, max: 0.2 });
+    const sar = indicators.calculateParabolicSAR(candles, 0.02, 0.2);
+    assert.equal(sar.length, candles.length - 1);
+    assertSeriesClose(sar.map(value => value.sar), expected, 'Parabolic SAR');
+    for (const [i, { sar: stop, trend }] of sar.entries()) {
+        const candle = candles[i + 1];
+        assert.ok(trend === 'up' ? stop <= candle.low : stop >= candle.high, `SAR on the wrong side of candle ${i + 1}`);
+    }
+});
+
+test('Heikin-Ashi matches technicalindicators', () => {
+    const heikinAshi = indicators.calculateHeikinAshi(candles);
+    const expected = ti.HeikinAshi.calculate(series);
+    for (const field of ['open', 'high', 'low', 'close']) {
+        assertSeriesClose(heikinAshi.map(candle => candle[field]), expected[field], `Heikin-Ashi ${field}`);
+    }
+});
+
+test('OBV matches technicalindicators', () => {
+    const expected = ti.OBV.calculate({ close: series.close, volume: series.volume });
+    const obv = indicators.calculateOBV(candles);
+    assert.equal(obv[0], 0);
+    assertSeriesClose(obv, expected, 'OBV');
+});
+
+test('VWAP matches technicalindicators', () => {
+    const expected = ti.VWAP.calculate({ high: series.high, low: series.low, close: series.close, volume: series.volume });
+    assertSeriesClose(indicators.calculateVWAP(candles), expected, 'VWAP');
+});
+
+test('rolling VWAP only weighs the last period candles', () => {
+    const period = 20;
+    const vwap = indicators.calculateVWAP(candles, period);
+    assert.equal(vwap.length, candles.length - period + 1);
+    const window = candles.slice(-period);
+    const expected = window.reduce((sum, c) => sum + ((c.high + c.low + c.close) / 3) * c.volume, 0)
+        / window.reduce((sum, c) => sum + c.volume, 0);
+    assertSeriesClose(vwap.slice(-1), [expected], 'rolling VWAP');
+});
+
+test('Supertrend matches values worked out by hand', () => {
+    // ATR(2) from candle 2 on: 2, 2, 3, 3, 3, 4. The trend turns down when candle 4 closes
+    // below the lower band of 10, and back up when candle 7 closes above the upper band of 10.5.
+    const handCandles = [
+        { high: 10, low: 8, close: 9 },
+        { high: 11, low: 9, close: 10 },
+        { high: 12, low: 10, close: 11 },
+        { high: 13, low: 11, close: 12 },
+        { high: 11, low: 8, close: 9 },
+        { high: 10, low: 7, close: 8 },
+        { high: 9, low: 6, close: 7 },
+        { high: 12, low: 9, close: 11.5 }
+    ];
+    assert.deepEqual(indicators.calculateSupertrend(handCandles, 2, 1), [
+        { value: 9, trend: 'up' },
+        { value: 10, trend: 'up' },
+        { value: 12.5, trend: 'down' },
+        { value: 11.5, trend: 'down' },
+        { value: 10.5, trend: 'down' },
+        { value: 6.5, trend: 'up' }
+    ]);
+});
+
+test('Supertrend bands follow the ATR of technicalindicators', () => {
+    const period = 10;
+    const multiplier = 3;
+    const supertrend = indicators.calculateSupertrend(candles, period, multiplier);
+    const atr = ti.ATR.calculate({ high: series.high, low: series.low, close: series.close, period });
+    assert.equal(supertrend.length, atr.length);
+    for (const [j, { value, trend }] of supertrend.entries()) {
+        const candle = candles[candles.length - atr.length + j];
+        assert.ok(trend === 'up' ? value <= candle.close : value >= candle.close, `Supertrend on the wrong side of candle ${j}`);
+        // A band only moves towards the price, so it is never more than multiplier ATRs from the midpoint
+        const midpoint = (candle.high + candle.low) / 2;
+        assert.ok(Math.abs(value - midpoint) <= multiplier * atr[j] + 1e-9, `Supertrend band wider than ${multiplier} ATRs at candle ${j}`);
+    }
+});
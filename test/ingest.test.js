@@ -0,0 +1,198 @@
+// ingest.test.js
+// Runs ingest.js against a fake node serving the rounds and logs of fixtures/ingest.json, with the
+// history written to a temporary database.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const sqlite3 = require('sqlite3');
+
+const fixture = require('./fixtures/ingest.json');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+process.env.HISTORICAL_DB = path.join(directory, 'historicalData.db');
+process.env.LOG_CHUNK_SIZE = '25';
+process.env.PREDICTION_CONTRACT_ADDRESS = fixture.contractAddress;
+
+require('../logger').silent = true;
+const { ingest, ingestRounds, ingestLogs, closeDatabase } = require('../ingest');
+
+const PREDICTION_ABI = require('../ABIS/contractABI.json');
+const contractInterface = new ethers.utils.Interface(PREDICTION_ABI);
+
+/**
+ * Encodes a round of the fixture as the rounds(epoch) struct.
+ * @param {Object} round - Fixture round.
+ * @returns {Object}
+ */
+function encodeRound(round) {
+    const { BigNumber, utils } = ethers;
+    return {
+        epoch: BigNumber.from(round.epoch),
+        startTimestamp: BigNumber.from(round.startTimestamp),
+        lockTimestamp: BigNumber.from(round.lockTimestamp),
+        closeTimestamp: BigNumber.from(round.closeTimestamp),
+        lockPrice: utils.parseUnits(round.lockPrice, 8),
+        closePrice: utils.parseUnits(round.closePrice, 8),
+        totalAmount: utils.parseEther(round.totalAmount),
+        bullAmount: utils.parseEther(round.bullAmount),
+        bearAmount: utils.parseEther(round.bearAmount),
+        rewardBaseCalAmount: utils.parseEther(round.rewardBaseCalAmount),
+        rewardAmount: utils.parseEther(round.rewardAmount),
+        oracleCalled: round.oracleCalled
+    };
+}
+
+/**
+ * Encodes a log of the fixture as returned by eth_getLogs.
+ * @param {Object} log - Fixture log.
+ * @param {number} index - Position of the log in the fixture.
+ * @returns {Object}
+ */
+function encodeLog({ blockNumber, event, args }, index) {
+    const values = { ...args };
+    if (values.price !== undefined) values.price = ethers.utils.parseUnits(values.price, 8);
+    if (values.amount !== undefined) values.amount = ethers.utils.parseEther(values.amount);
+    const fragment = contractInterface.getEvent(event);
+    return {
+        ...contractInterface.encodeEventLog(fragment, fragment.inputs.map(input => values[input.name])),
+        address: fixture.contractAddress,
+        blockNumber,
+        transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(index + 1), 32),
+        logIndex: 0
+    };
+}
+
+const logs = fixture.logs.map(encodeLog);
+const rounds = new Map(fixture.rounds.map(round => [round.epoch, round]));
+
+// Node with a block every blockSeconds. Requests for a block range including failBlock fail.
+const provider = {
+    latestBlock: 350,
+    failBlock: null,
+    logRequests: [],
+    getBlockNumber: async () => provider.latestBlock,
+    getBlock: async number => ({ number, timestamp: fixture.genesisTimestamp + number * fixture.blockSeconds }),
+    getLogs: async ({ fromBlock, toBlock, topics }) => {
+        provider.logRequests.push([fromBlock, toBlock]);
+        if (provider.failBlock !== null && fromBlock <= provider.failBlock && provider.failBlock <= toBlock) {
+            throw new Error('request timed out');
+        }
+        return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock && topics[0].includes(log.topics[0]));
+    }
+};
+
+// Epochs the contract has not started come back zeroed, epoch included
+const contract = {
+    address: fixture.contractAddress,
+    interface: contractInterface,
+    fetchedEpochs: [],
+    currentEpoch: async () => ethers.BigNumber.from(104),
+    bufferSeconds: async () => ethers.BigNumber.from(30),
+    rounds: async (epoch) => {
+        contract.fetchedEpochs.push(epoch);
+        return encodeRound(rounds.get(epoch) || rounds.get(0));
+    }
+};
+
+const db = new sqlite3.Database(process.env.HISTORICAL_DB);
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const getState = async key => (await all('SELECT value FROM ingest_state WHERE key = ?', [key]))[0].value;
+const countRows = async table => (await all(`SELECT COUNT(*) as count FROM ${table}`))[0].count;
+
+after(async () => {
+    await closeDatabase();
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Sets the clock to a fixture timestamp until the end of the test.
+ * @param {Object} t - Test context.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ */
+const setClock = (t, timestamp) => t.mock.method(Date, 'now', () => timestamp * 1000);
+
+test('ingestRounds stores every epoch and fetches again only the rounds that have not ended', async (t) => {
+    // Epoch 102 closed 10 seconds ago, the oracle can still end it
+    setClock(t, 1700001510);
+    assert.equal(await ingestRounds(contract, 99, 102), 4);
+    assert.deepEqual(contract.fetchedEpochs, [99, 100, 101, 102]);
+
+    const stored = await all('SELECT epoch, startTimestamp, lockPrice, bearAmount, oracleCalled FROM prediction_rounds ORDER BY epoch');
+    assert.deepEqual(stored.map(round => ({ ...round })), [
+        { epoch: 99, startTimestamp: 0, lockPrice: 0, bearAmount: 0, oracleCalled: 0 },
+        { epoch: 100, startTimestamp: 1700000300, lockPrice: 600.5, bearAmount: 2, oracleCalled: 1 },
+        { epoch: 101, startTimestamp: 1700000600, lockPrice: 601.25, bearAmount: 0, oracleCalled: 1 },
+        { epoch: 102, startTimestamp: 1700000900, lockPrice: 599, bearAmount: 1, oracleCalled: 0 }
+    ]);
+
+    contract.fetchedEpochs = [];
+    assert.equal(await ingestRounds(contract, 99, 102), 2);
+    assert.deepEqual(contract.fetchedEpochs, [99, 102]);
+
+    rounds.set(102, { ...rounds.get(102), closePrice: '598', oracleCalled: true });
+    await ingestRounds(contract, 99, 102);
+    contract.fetchedEpochs = [];
+    assert.equal(await ingestRounds(contract, 99, 102), 1);
+    assert.deepEqual(contract.fetchedEpochs, [99]);
+});
+
+test('ingest scans the logs from the first started round when the start epoch never started', async () => {
+    provider.logRequests = [];
+    await ingest({ startEpoch: 99, endEpoch: 102, connection: { provider, contract } });
+
+    assert.equal(provider.logRequests[0][0], 100);
+    assert.equal(await getState('logsFromBlock'), 100);
+    assert.equal(await getState('logsToBlock'), 350);
+    assert.equal(await countRows('round_bets'), 3);
+    assert.equal(await countRows('claims'), 1);
+    assert.equal(await countRows('round_events'), 6);
+});
+
+test('ingestLogs resumes an interrupted scan after the last stored chunk', async () => {
+    provider.latestBlock = 500;
+    provider.failBlock = 400;
+    await assert.rejects(ingestLogs(provider, contract, 100, 500), /Failed to fetch logs 376-400/);
+    assert.equal(await getState('logsToBlock'), 375);
+
+    provider.failBlock = null;
+    provider.logRequests = [];
+    await ingestLogs(provider, contract, 100, 500);
+    assert.deepEqual(provider.logRequests[0], [376, 400]);
+    assert.equal(await getState('logsToBlock'), 500);
+    assert.equal(await countRows('round_bets'), 4);
+    assert.equal(await countRows('round_events'), 9);
+});
+
+test('ingestLogs only moves the start of the scanned range once the blocks before it are scanned', async () => {
+    provider.failBlock = 80;
+    await assert.rejects(ingestLogs(provider, contract, 50, 500), /Failed to fetch logs 75-99/);
+    assert.equal(await getState('logsFromBlock'), 100);
+
+    provider.failBlock = null;
+    provider.logRequests = [];
+    await ingestLogs(provider, contract, 50, 500);
+    assert.deepEqual(provider.logRequests, [[50, 74], [75, 99]]);
+    assert.equal(await getState('logsFromBlock'), 50);
+    assert.equal(await countRows('claims'), 2);
+});
+
+test('ingestRounds stops fetching a round the oracle never ended once its buffer has passed', async (t) => {
+    rounds.set(103, { ...rounds.get(102), epoch: 103, startTimestamp: 1700001200, lockTimestamp: 1700001500, closeTimestamp: 1700001800, oracleCalled: false });
+    setClock(t, 1700001830);
+    contract.fetchedEpochs = [];
+    await ingestRounds(contract, 103, 103);
+    assert.equal(await ingestRounds(contract, 103, 103), 1);
+    assert.deepEqual(contract.fetchedEpochs, [103, 103]);
+
+    // Refunded: stored as the oracle left it and never fetched again
+    setClock(t, 1700001831);
+    assert.equal(await ingestRounds(contract, 103, 103), 0);
+    assert.deepEqual(await all('SELECT epoch, oracleCalled FROM prediction_rounds WHERE epoch = 103'), [{ epoch: 103, oracleCalled: 0 }]);
+});
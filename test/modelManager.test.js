@@ -0,0 +1,112 @@
+// modelManager.test.js
+// Trains, saves, reloads and fine-tunes a logistic regression with modelManager.js on a generated history in a
+// temporary database, with the versions saved to a temporary MODEL_DIR.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'model-manager-test-'));
+process.env.HISTORICAL_DB = path.join(directory, 'historicalData.db');
+process.env.MODEL_DIR = path.join(directory, 'models');
+process.env.MODEL_TYPE = 'logistic';
+process.env.MODEL_TRAIN_ROUNDS = '600';
+process.env.FEATURE_SETS = 'raw,indicators';
+// ingest.js, which creates the schema, loads roundWatcher.js and its contract
+process.env.PREDICTION_CONTRACT_ADDRESS = '0x18B2A687610328590Bc8F2e5fEdDe3b582A49cdA';
+
+require('../logger').silent = true;
+const ingest = require('../ingest');
+const modelManager = require('../modelManager');
+
+const db = new sqlite3.Database(process.env.HISTORICAL_DB);
+
+/**
+ * Stores ended rounds with a price that trends and oscillates, so both labels occur.
+ * @param {number} from - First epoch.
+ * @param {number} to - Last epoch.
+ * @returns {Promise<void>}
+ */
+function storeRounds(from, to) {
+    const rows = [];
+    for (let epoch = from; epoch <= to; epoch++) {
+        const closePrice = 600 + epoch * 0.05 + 4 * Math.sin(epoch / 3) + 3 * Math.sin(epoch / 11);
+        rows.push(`(${epoch}, ${closePrice - 0.5}, ${closePrice}, 2, 1.5, 1)`);
+    }
+    return new Promise((resolve, reject) => db.run(
+        `INSERT INTO prediction_rounds (epoch, lockPrice, closePrice, bullAmount, bearAmount, oracleCalled) VALUES ${rows.join(', ')}`,
+        err => (err ? reject(err) : resolve())
+    ));
+}
+
+before(async () => {
+    // ingest.js creates the schema, which is done once its first query returns
+    await ingest.findEpochsToFetch(1, 1);
+    await storeRounds(1, 700);
+});
+
+after(async () => {
+    await ingest.closeDatabase();
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+let trained;
+
+test('there is no model before the first training', async () => {
+    assert.deepEqual(modelManager.listModels(), []);
+    assert.equal(modelManager.getCurrentVersion(), null);
+    assert.equal(await modelManager.loadModel(), null);
+});
+
+test('trainFromHistory trains on the latest MODEL_TRAIN_ROUNDS rounds and makes the version current', async () => {
+    trained = await modelManager.trainFromHistory();
+    const { metadata } = trained;
+    assert.equal(metadata.kind, 'full');
+    assert.equal(metadata.firstEpoch, 101);
+    assert.equal(metadata.lastEpoch, 700);
+    assert.equal(metadata.samples, 600 - trained.model.featurePipeline.history - 1);
+    assert.equal(metadata.model.type, 'logistic');
+    assert.deepEqual(metadata.features.featureSets.map(featureSet => featureSet.split('@')[0]), ['raw', 'indicators']);
+    assert.equal(modelManager.getCurrentVersion(), metadata.version);
+    assert.deepEqual(modelManager.listModels(), [metadata]);
+});
+
+test('a loaded version predicts what the trained model did', async () => {
+    const loaded = await modelManager.loadModel();
+    assert.deepEqual(loaded.metadata, trained.metadata);
+    assert.deepEqual(loaded.model.featurePipeline.describe(), trained.model.featurePipeline.describe());
+
+    const prices = Array.from({ length: 120 }, (_, i) => 640 + 5 * Math.sin(i / 4));
+    const { features } = trained.model.featurePipeline.prepareSamples(prices);
+    for (const row of features.slice(-5)) {
+        assert.equal(await loaded.model.predict([row]), await trained.model.predict([row]));
+    }
+    // 600 rounds hold out enough samples to calibrate on
+    assert.equal(loaded.model.calibrator.calibrate(0.7), trained.model.calibrator.calibrate(0.7));
+});
+
+test('fineTuneCurrent does nothing without new rounds', async () => {
+    assert.equal(await modelManager.fineTuneCurrent(), null);
+    assert.equal(modelManager.listModels().length, 1);
+});
+
+test('fineTuneCurrent saves the model tuned on the new rounds as a new version', async () => {
+    await storeRounds(701, 750);
+    const { metadata } = await modelManager.fineTuneCurrent();
+    assert.equal(metadata.kind, 'fineTune');
+    assert.equal(metadata.parentVersion, trained.metadata.version);
+    assert.notEqual(metadata.version, trained.metadata.version);
+    assert.equal(metadata.firstEpoch, 101);
+    assert.equal(metadata.lastEpoch, 750);
+    assert.equal(metadata.samples, trained.metadata.samples + 50);
+    assert.equal(modelManager.getCurrentVersion(), metadata.version);
+    assert.deepEqual(modelManager.listModels().map(model => model.version), [trained.metadata.version, metadata.version]);
+
+    // The parent version is left as it was
+    const parent = await modelManager.loadModel(trained.metadata.version);
+    assert.deepEqual(parent.metadata, trained.metadata);
+});
@@ -0,0 +1,114 @@
+// modelRegistry.test.js
+// Model registry of modelRegistry.js and its pure JS baselines, gradientBoosting.js and logisticRegression.js,
+// on samples whose label is decided by their first feature alone.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MODEL_TYPES, createPredictor, savePredictor, loadPredictor, listModelTypes } = require('../modelRegistry');
+const { GradientBoostingPredictor } = require('../gradientBoosting');
+const { LogisticRegressionPredictor } = require('../logisticRegression');
+const { Calibrator } = require('../calibration');
+
+// Three features spread evenly without lining up, on different scales, only the first one decides the label
+const features = Array.from({ length: 300 }, (_, i) => [(i * 0.618034) % 1, 100 * ((i * 0.414214) % 1), (i * 0.732051) % 1 - 0.5]);
+const labels = features.map(row => (row[0] > 0.5 ? 1 : 0));
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('the registry lists every model and rejects unknown ones', () => {
+    assert.deepEqual(listModelTypes().map(({ type }) => type), Object.keys(MODEL_TYPES));
+    assert.ok(listModelTypes().every(({ description }) => description.length > 0));
+    assert.throws(() => createPredictor('svm'), /Unknown model type "svm", expected one of forest, boosting, logistic, neural, lstm\./);
+});
+
+test('createPredictor gives each model an unfitted feature pipeline', () => {
+    const model = createPredictor('logistic');
+    assert.ok(model instanceof LogisticRegressionPredictor);
+    assert.equal(model.featurePipeline.stats, null);
+    assert.ok(createPredictor('boosting') instanceof GradientBoostingPredictor);
+    // The LSTM reads the price window whatever FEATURE_SETS is
+    assert.deepEqual(MODEL_TYPES.lstm.featureSets, ['raw']);
+});
+
+test('a model saved with its pipeline and calibrator loads with the same predictions', async () => {
+    const prices = Array.from({ length: 200 }, (_, i) => 600 + 4 * Math.sin(i / 3) + 3 * Math.sin(i / 11));
+    const model = createPredictor('boosting');
+    const samples = model.featurePipeline.fit(prices);
+    await model.train(samples.features, samples.labels);
+    const predictions = [];
+    for (const row of samples.features) {
+        predictions.push(await model.predict([row]));
+    }
+    model.calibrator = new Calibrator('platt').fit(predictions, samples.labels);
+
+    const saved = path.join(directory, 'boosting');
+    await savePredictor(model, saved);
+    const loaded = await loadPredictor(saved);
+    assert.ok(loaded instanceof GradientBoostingPredictor);
+    assert.deepEqual(loaded.featurePipeline.describe(), model.featurePipeline.describe());
+    assert.deepEqual(loaded.calibrator.describe(), model.calibrator.describe());
+    for (const row of samples.features.slice(-10)) {
+        assert.equal(await loaded.predict([row]), await model.predict([row]));
+    }
+});
+
+test('loadPredictor rejects a directory saved before the registry', async () => {
+    const old = path.join(directory, 'old');
+    fs.mkdirSync(old);
+    await assert.rejects(loadPredictor(old), /has no predictor\.json, it was saved by an older version/);
+});
+
+test('gradient boosting starts from the log-odds of the up share and learns the deciding feature', async () => {
+    const untrained = new GradientBoostingPredictor({ nEstimators: 0 });
+    await untrained.train(features, features.map((_, i) => (i % 4 === 0 ? 1 : 0)));
+    assert.ok(Math.abs(await untrained.predict([features[0]]) - 75 / 300) < 1e-12);
+
+    const model = new GradientBoostingPredictor({ nEstimators: 30, subsample: 1 });
+    await model.train(features, labels);
+    assert.ok(await model.predict([[0.9, 20, 0.2]]) > 0.9);
+    assert.ok(await model.predict([[0.1, 80, -0.2]]) < 0.1);
+
+    const importance = model.getFeatureImportance();
+    assert.equal(importance[0].feature, 'feature0');
+    assert.ok(Math.abs(importance.reduce((total, { importance: value }) => total + value, 0) - 1) < 1e-12);
+});
+
+test('gradient boosting fine-tunes by adding a fifth of its trees', async () => {
+    const model = new GradientBoostingPredictor({ nEstimators: 10 });
+    await model.train(features, labels);
+    const trees = model.trees.slice();
+    await model.fineTune(features.slice(0, 60), labels.slice(0, 60));
+    assert.equal(model.trees.length, 12);
+    assert.deepEqual(model.trees.slice(0, 10), trees);
+    assert.equal(model.describe().nEstimators, 12);
+});
+
+test('logistic regression learns the deciding feature on standardized features', async () => {
+    const model = new LogisticRegressionPredictor();
+    await model.train(features, labels, 100);
+    assert.ok(await model.predict([[0.95, 20, 0.2]]) > 0.9);
+    assert.ok(await model.predict([[0.05, 80, -0.2]]) < 0.1);
+
+    const [strongest] = model.getCoefficients();
+    assert.equal(strongest.feature, 'feature0');
+    assert.ok(strongest.weight > 0);
+    assert.ok(Math.abs(model.means[1] - 50) < 1);
+});
+
+test('logistic regression keeps constant features and its standardization when fine-tuned', async () => {
+    const model = new LogisticRegressionPredictor();
+    const withConstant = features.map(row => [...row, 7]);
+    await model.train(withConstant, labels, 5);
+    assert.equal(model.stds[3], 1);
+    assert.ok(Number.isFinite(await model.predict([withConstant[0]])));
+
+    const [means, stds] = [model.means.slice(), model.stds.slice()];
+    await model.fineTune(withConstant.slice(0, 30).map(row => row.map(value => value * 3)), labels.slice(0, 30), 2);
+    assert.deepEqual(model.means, means);
+    assert.deepEqual(model.stds, stds);
+});
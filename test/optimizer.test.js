@@ -0,0 +1,126 @@
+// optimizer.test.js
+// Candidate generation, scoring and ranking of optimizer.js, and its worker pool with this file as the worker:
+// it answers with the candidate and the size of the segment, and crashes when the candidate asks it to.
+
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+
+if (!isMainThread) {
+    parentPort.on('message', ({ id, parameters, segment }) => {
+        if (parameters.crash === 'exit') process.exit(3);
+        if (parameters.crash === 'throw') throw new Error('worker bug');
+        parentPort.postMessage({ id, metrics: { ...parameters, rounds: workerData.segments[segment].length } });
+    });
+    return;
+}
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../logger').silent = true;
+const { generateGrid, scoreMetrics, splitRounds, createWorkerPool, search, validateFinalists } = require('../optimizer');
+
+// Pool that fails the test if a candidate reaches it
+const pool = {
+    run: async () => assert.fail('no candidate should be backtested')
+};
+
+test('search rejects a search space without a valid candidate', async () => {
+    const space = { bearConfidence: [0.6, 0.7], bullConfidence: [0.5, 0.6] };
+    for (const method of ['grid', 'random', 'adaptive']) {
+        await assert.rejects(search(pool, space, { method, samples: 4, batchSize: 2, objective: 'sharpe' }), /No valid candidates/);
+    }
+});
+
+test('the grid is every combination of the listed values and of the ranges stepped from min to max', () => {
+    const grid = generateGrid({ bullConfidence: { min: 0.1, max: 0.3, step: 0.1 }, rsiPeriod: [7, 14] });
+    assert.deepEqual(grid, [
+        { bullConfidence: 0.1, rsiPeriod: 7 },
+        { bullConfidence: 0.1, rsiPeriod: 14 },
+        { bullConfidence: 0.2, rsiPeriod: 7 },
+        { bullConfidence: 0.2, rsiPeriod: 14 },
+        { bullConfidence: 0.3, rsiPeriod: 7 },
+        { bullConfidence: 0.3, rsiPeriod: 14 }
+    ]);
+    assert.deepEqual(generateGrid({ macdFastPeriod: { min: 8, max: 12, step: 2 } }).map(candidate => candidate.macdFastPeriod), [8, 10, 12]);
+    assert.deepEqual(generateGrid({}), [{}]);
+});
+
+test('the validation segment starts a training window before the split and bets only after it', () => {
+    const rounds = Array.from({ length: 10 }, (_, i) => ({ epoch: 100 + i }));
+    const { search: searchRounds, validation } = splitRounds(rounds, 0.3, 4);
+    assert.deepEqual(searchRounds.map(round => round.epoch), [100, 101, 102, 103, 104, 105, 106]);
+    assert.deepEqual(validation.map(round => round.epoch), [103, 104, 105, 106, 107, 108, 109]);
+
+    assert.throws(() => splitRounds(rounds, 0.3, 7), /10 rounds are not enough for 7 training rounds and a 0.3 validation share\./);
+    assert.throws(() => splitRounds(rounds, 0, 4), /not enough/);
+});
+
+test('each objective scores the metrics, and too few bets or too deep a drawdown score -Infinity', () => {
+    const metrics = { bets: 40, profit: 0.5, sharpe: 0.2, maxDrawdown: 0.25 };
+    const options = { maxDrawdown: 0.3, minBets: 30 };
+    assert.equal(scoreMetrics(metrics, { ...options, objective: 'profit' }), 0.5);
+    assert.equal(scoreMetrics(metrics, { ...options, objective: 'sharpe' }), 0.2);
+    assert.equal(scoreMetrics(metrics, { ...options, objective: 'drawdown' }), 0.5);
+
+    assert.equal(scoreMetrics(metrics, { ...options, objective: 'drawdown', maxDrawdown: 0.2 }), -Infinity);
+    assert.equal(scoreMetrics({ ...metrics, sharpe: null }, { ...options, objective: 'sharpe' }), -Infinity);
+    assert.equal(scoreMetrics({ ...metrics, bets: 29 }, { ...options, objective: 'profit' }), -Infinity);
+});
+
+test('the leaderboard ranks the best search candidates by their score on the validation segment', async () => {
+    const validationProfit = { a: 0.1, b: 0.5, c: -0.2, d: 1 };
+    const segments = [];
+    const validationPool = {
+        run: async (parameters, segment) => {
+            segments.push(segment);
+            return { bets: 40, profit: validationProfit[parameters.name] };
+        }
+    };
+    // Best first, as search() returns them. d placed too few bets on the search segment.
+    const results = [
+        { parameters: { name: 'a' }, metrics: { bets: 40, profit: 3 }, score: 3 },
+        { parameters: { name: 'b' }, metrics: { bets: 40, profit: 2 }, score: 2 },
+        { parameters: { name: 'c' }, metrics: { bets: 40, profit: 1 }, score: 1 },
+        { parameters: { name: 'd' }, metrics: { bets: 5, profit: 4 }, score: -Infinity }
+    ];
+    const options = { objective: 'profit', minBets: 30, maxDrawdown: 0.2, top: 3 };
+
+    const leaderboard = await validateFinalists(validationPool, results, options);
+    assert.deepEqual(leaderboard.map(entry => [entry.rank, entry.parameters.name, entry.searchScore, entry.validationScore]),
+        [[1, 'b', 2, 0.5], [2, 'a', 3, 0.1], [3, 'c', 1, -0.2]]);
+    assert.deepEqual(leaderboard[0].search, { bets: 40, profit: 2 });
+    assert.deepEqual(leaderboard[0].validation, { bets: 40, profit: 0.5 });
+    assert.deepEqual(segments, ['validation', 'validation', 'validation']);
+
+    // Only the top search candidates are validated
+    const top = await validateFinalists(validationPool, results, { ...options, top: 2 });
+    assert.deepEqual(top.map(entry => entry.parameters.name), ['b', 'a']);
+});
+
+test('a crashed worker rejects its task, the queued tasks and every later one without hanging', { timeout: 20000 }, async () => {
+    const segments = { search: [{ epoch: 1 }, { epoch: 2 }], validation: [{ epoch: 2 }] };
+    const crashes = {
+        exit: /Optimizer worker exited with code 3/,
+        throw: /Optimizer worker failed: worker bug/
+    };
+    for (const [crash, message] of Object.entries(crashes)) {
+        const workers = createWorkerPool(1, segments, __filename);
+        try {
+            assert.deepEqual(await workers.run({ bullConfidence: 0.5 }, 'search'), { bullConfidence: 0.5, rounds: 2 });
+
+            // The second and third tasks are queued behind the one that crashes the only worker
+            const tasks = await Promise.allSettled([
+                workers.run({ crash }, 'search'),
+                workers.run({ bullConfidence: 0.6 }, 'search'),
+                workers.run({ bullConfidence: 0.7 }, 'validation')
+            ]);
+            for (const task of tasks) {
+                assert.equal(task.status, 'rejected');
+                assert.match(task.reason.message, message);
+            }
+            await assert.rejects(workers.run({ bullConfidence: 0.8 }, 'search'), message);
+        } finally {
+            await workers.close();
+        }
+    }
+});
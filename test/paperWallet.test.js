@@ -0,0 +1,64 @@
+// paperWallet.test.js
+// Ledger of paperWallet.js, kept in a temporary profitability database with a 1 BNB bankroll and round gas costs.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-wallet-'));
+process.env.PROFITABILITY_DB = path.join(dir, 'profitability.db');
+process.env.PAPER_BANKROLL = '1';
+process.env.PAPER_GAS_PER_BET = '0.01';
+process.env.PAPER_GAS_PER_CLAIM = '0.02';
+
+require('../logger').silent = true;
+const paperWallet = require('../paperWallet');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+// The tests share one ledger and run in order, each starting from the balance the last one left
+test('the wallet is funded with the bankroll on first use', async () => {
+    assert.equal(await paperWallet.getBalance(), 1);
+    assert.equal(await paperWallet.getBalance(), 1);
+});
+
+test('a bet debits the stake and the bet gas', async () => {
+    assert.equal(await paperWallet.placeBet(100, 0.3), true);
+    approx(await paperWallet.getBalance(), 0.69);
+});
+
+test('a bet the balance cannot cover with its gas is refused', async () => {
+    assert.equal(await paperWallet.placeBet(101, 0.685), false);
+    approx(await paperWallet.getBalance(), 0.69);
+});
+
+test('a claim credits the payout less the claim gas', async () => {
+    approx(await paperWallet.claim(100, 0.5), 1.17);
+    approx(await paperWallet.getBalance(), 1.17);
+});
+
+test('a claim without a payout leaves the balance alone', async () => {
+    approx(await paperWallet.claim(101, 0), 1.17);
+    approx(await paperWallet.claim(101, NaN), 1.17);
+});
+
+test('overlapping bets are applied one at a time', async () => {
+    // Each bet alone fits the balance, both together do not
+    const placed = await Promise.all([paperWallet.placeBet(102, 0.6), paperWallet.placeBet(103, 0.6)]);
+    assert.deepEqual(placed, [true, false]);
+    approx(await paperWallet.getBalance(), 0.56);
+});
+
+test('the equity curve has the balance after every entry, oldest first', async () => {
+    const curve = await paperWallet.getEquityCurve();
+    const expected = [1, 0.7, 0.69, 1.19, 1.17, 0.57, 0.56];
+    assert.equal(curve.length, expected.length);
+    curve.forEach((point, i) => approx(point.balance, expected[i]));
+    assert.ok(curve.every((point, i) => i === 0 || point.timestamp >= curve[i - 1].timestamp));
+
+    assert.deepEqual(await paperWallet.getEquityCurve(0, curve[0].timestamp - 1), []);
+});
@@ -0,0 +1,92 @@
+// prediction.test.js
+// The extra indicators of the confidence score in prediction.js, computed on the candles passed with the
+// round's pools, or on candles rebuilt from the price buffer without them, where the volume indicators are
+// missing.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../logger').silent = true;
+const indicators = require('../indicators');
+const { calculateExtendedIndicators, getPrediction } = require('../prediction');
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+const prices = Array.from({ length: 100 }, (_, i) => 600 + 6 * Math.sin(i / 5) + i / 10);
+
+/**
+ * Pair candles with the buffer's closes and ranges around them.
+ * @param {number} above - How far the highs reach above the closes.
+ * @param {number} below - How far the lows reach below the closes.
+ * @returns {Array<Object>}
+ */
+const candlesAround = (above, below) => prices.map((close, i) => ({ open: close, high: close + above, low: close - below, close, volume: 1 + (i % 3) }));
+
+// Model that always gives even odds, so the indicators alone move the confidence
+const model = {
+    featurePipeline: { prepareLatest: () => [[0]] },
+    predict: async () => 0.5
+};
+
+test('the extra indicators are computed on the stored candles, and on the closes without them', () => {
+    const parameters = { confidenceIndicators: ['williamsR', 'adx'], williamsPeriod: 14, adxPeriod: 14 };
+    const candles = candlesAround(4, 1);
+    const extended = calculateExtendedIndicators(prices, parameters, candles);
+    assert.equal(extended.williamsR, indicators.calculateWilliamsR(candles, 14).pop());
+    assert.equal(extended.adx.adx, indicators.calculateADX(candles, 14).adx.pop());
+
+    const rebuilt = indicators.candlesFromCloses(prices);
+    assert.deepEqual(calculateExtendedIndicators(prices, parameters), calculateExtendedIndicators(prices, parameters, rebuilt));
+    assert.notEqual(calculateExtendedIndicators(prices, parameters).williamsR, extended.williamsR);
+
+    assert.deepEqual(calculateExtendedIndicators(prices, { confidenceIndicators: [] }, candles), {});
+    assert.throws(() => calculateExtendedIndicators(prices, { confidenceIndicators: ['astrology'] }), /Unknown confidence indicator "astrology"/);
+});
+
+test('OBV and VWAP are computed on the volume of the stored candles, and missing on the closes', () => {
+    const parameters = { confidenceIndicators: ['obv', 'vwap'], obvPeriod: 10, vwapPeriod: 20 };
+    const candles = candlesAround(2, 1);
+    const { obv, vwap } = calculateExtendedIndicators(prices, parameters, candles);
+
+    const recent = candles.slice(-11);
+    const change = recent.slice(1).reduce((total, candle, i) => total + Math.sign(candle.close - recent[i].close) * candle.volume, 0);
+    assert.equal(obv.value, indicators.calculateOBV(candles).pop());
+    approx(obv.change, change);
+
+    const window = candles.slice(-20);
+    const volume = window.reduce((total, candle) => total + candle.volume, 0);
+    const typical = window.reduce((total, { high, low, close, volume: traded }) => total + (high + low + close) / 3 * traded, 0) / volume;
+    approx(vwap.value, typical);
+    approx(vwap.distance, prices[99] / typical - 1);
+
+    assert.deepEqual(calculateExtendedIndicators(prices, parameters), { obv: null, vwap: null });
+    assert.deepEqual(calculateExtendedIndicators(prices, parameters, candles.map(candle => ({ ...candle, volume: 0 }))), { obv: null, vwap: null });
+    assert.equal(calculateExtendedIndicators(prices, parameters, candles.slice(-10)).obv, null);
+});
+
+test('getPrediction scores the extra indicators on the candles of the round\'s pools', async () => {
+    const confidence = async candles => (await getPrediction(prices, {
+        bankroll: 1,
+        pools: { bullAmount: 1, bearAmount: 1, candles },
+        model,
+        parameters: { confidenceIndicators: ['williamsR'] }
+    })).confidence;
+
+    // Closes at the bottom of the range are oversold by Williams %R and at the top overbought
+    const oversold = await confidence(candlesAround(10, 0));
+    const overbought = await confidence(candlesAround(0, 10));
+    assert.ok(oversold > overbought, `${oversold} > ${overbought}`);
+    assert.equal(await confidence(undefined), await confidence(indicators.candlesFromCloses(prices)));
+
+    // The default strategy scores OBV and VWAP when they are selected, and not on the closes
+    const volumeConfidence = async candles => (await getPrediction(prices, {
+        bankroll: 1,
+        pools: { bullAmount: 1, bearAmount: 1, candles },
+        model,
+        parameters: { confidenceIndicators: ['obv', 'vwap'] }
+    })).confidence;
+    const rising = prices.map((_, i) => ({ open: 600 + i, high: 601 + i, low: 599 + i, close: 600 + i, volume: 1 }));
+    const falling = [...rising].reverse();
+    assert.ok(await volumeConfidence(rising) > await volumeConfidence(undefined));
+    assert.ok(await volumeConfidence(falling) < await volumeConfidence(undefined));
+});
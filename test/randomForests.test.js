@@ -0,0 +1,96 @@
+// randomForests.test.js
+// RandomForestPredictor of randomForests.js on samples whose label is decided by their first feature alone.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RandomForestPredictor } = require('../randomForests');
+
+// Three features spread evenly over [0, 1) without lining up, only the first one decides the label
+const features = Array.from({ length: 300 }, (_, i) => [(i * 0.618034) % 1, (i * 0.414214) % 1, (i * 0.732051) % 1]);
+const labels = features.map(row => (row[0] > 0.5 ? 1 : 0));
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'random-forest-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Trains a forest on the samples.
+ * @param {Object} [options] - { nEstimators, maxDepth, minSamplesLeaf, maxFeatures }.
+ * @returns {Promise<RandomForestPredictor>}
+ */
+async function trainForest({ nEstimators = 25, maxDepth = 4, ...options } = {}) {
+    const forest = new RandomForestPredictor(nEstimators, maxDepth, options);
+    await forest.train(features, labels);
+    return forest;
+}
+
+test('the forest learns the deciding feature', async () => {
+    const forest = await trainForest();
+    assert.equal(forest.trees.length, 25);
+    assert.ok(await forest.predict([[0.9, 0.2, 0.7]]) > 0.8);
+    assert.ok(await forest.predict([[0.1, 0.8, 0.3]]) < 0.2);
+    assert.ok(forest.oobError < 0.05, `out-of-bag error ${forest.oobError}`);
+});
+
+test('feature importance ranks the deciding feature first and sums to 1', async () => {
+    const forest = await trainForest();
+    const importance = forest.getFeatureImportance();
+    assert.deepEqual(importance.map(({ feature }) => feature).sort(), ['feature0', 'feature1', 'feature2']);
+    assert.equal(importance[0].feature, 'feature0');
+    assert.ok(importance[0].importance > 0.8);
+    assert.ok(Math.abs(importance.reduce((total, { importance: value }) => total + value, 0) - 1) < 1e-12);
+
+    forest.featurePipeline = { names: ['momentum', 'rsi', 'volume'] };
+    assert.equal(forest.getFeatureImportance()[0].feature, 'momentum');
+    assert.deepEqual(forest.describe().topFeatures, forest.getFeatureImportance());
+});
+
+test('trees without depth predict the up share of their bootstrap sample', async () => {
+    const forest = await trainForest({ maxDepth: 0 });
+    assert.ok(forest.trees.every(tree => tree.root.left === undefined));
+    const prediction = await forest.predict([[0.9, 0, 0]]);
+    assert.equal(prediction, await forest.predict([[0.1, 0, 0]]));
+    assert.ok(Math.abs(prediction - 0.5) < 0.1);
+});
+
+test('a node is not split unless both sides keep minSamplesLeaf samples', async () => {
+    // 300 samples cannot be split into two sides of 151
+    const forest = await trainForest({ nEstimators: 5, minSamplesLeaf: 151 });
+    assert.ok(forest.trees.every(tree => tree.root.left === undefined));
+    const split = await trainForest({ nEstimators: 5, minSamplesLeaf: 100 });
+    assert.ok(split.trees.every(tree => tree.root.left !== undefined));
+});
+
+test('resolveMaxFeatures accepts sqrt, log2, a share or a count', () => {
+    const resolve = maxFeatures => new RandomForestPredictor(1, 1, { maxFeatures }).resolveMaxFeatures(16);
+    assert.equal(resolve('sqrt'), 4);
+    assert.equal(resolve('log2'), 4);
+    assert.equal(resolve(0.5), 8);
+    assert.equal(resolve('0.25'), 4);
+    assert.equal(resolve(3), 3);
+    assert.equal(resolve(40), 16);
+    assert.equal(resolve(0.01), 1);
+});
+
+test('fineTune replaces the oldest fifth of the trees and keeps the out-of-bag error', async () => {
+    const forest = await trainForest({ nEstimators: 10 });
+    const [oldTrees, oobError] = [forest.trees.slice(), forest.oobError];
+    await forest.fineTune(features.slice(0, 50), labels.slice(0, 50));
+    assert.equal(forest.trees.length, 10);
+    assert.deepEqual(forest.trees.slice(0, 8), oldTrees.slice(2));
+    assert.ok(!oldTrees.includes(forest.trees[8]) && !oldTrees.includes(forest.trees[9]));
+    assert.equal(forest.oobError, oobError);
+});
+
+test('a saved forest loads with the same trees and predictions', async () => {
+    const forest = await trainForest({ nEstimators: 5, minSamplesLeaf: 3, maxFeatures: 2 });
+    await forest.save(directory);
+    const loaded = await RandomForestPredictor.load(directory);
+    assert.deepEqual(loaded.describe(), forest.describe());
+    for (const row of features.slice(0, 20)) {
+        assert.equal(await loaded.predict([row]), await forest.predict([row]));
+    }
+});
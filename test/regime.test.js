@@ -0,0 +1,93 @@
+// regime.test.js
+// Market regimes of shared/regime.js on closes worked out by hand and on zigzags whose swings grow or shrink.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyRegime, applyRegime } = require('../shared/regime');
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+/**
+ * Closes swinging around 100 without going anywhere.
+ * @param {Array<number>} swings - Distance from 100 of each close, taken above and below in turn.
+ * @returns {Array<number>}
+ */
+const zigzag = swings => swings.map((swing, i) => (i % 2 === 0 ? 100 - swing : 100 + swing));
+
+test('there is no regime with fewer than regimeWindow + 1 closes', () => {
+    const none = { regime: null, trendStrength: null, volatility: null, volatilityPercentile: null };
+    assert.deepEqual(classifyRegime(zigzag(new Array(20).fill(1))), none);
+    assert.deepEqual(classifyRegime([100, 101, 102], { regimeWindow: 3 }), none);
+    assert.deepEqual(classifyRegime(null), none);
+    assert.equal(classifyRegime([100, 101, 102, 103], { regimeWindow: 3 }).regime, 'trendingUp');
+});
+
+test('trend strength is the net move over the path, and the volatility that of the returns', () => {
+    // Path 1 + 1 + 2 + 1 = 5 for a net move of 3
+    const up = classifyRegime([10, 11, 10, 12, 13], { regimeWindow: 4 });
+    approx(up.trendStrength, 0.6);
+    assert.equal(up.regime, 'trendingUp');
+    const down = classifyRegime([13, 12, 10, 11, 10], { regimeWindow: 4 });
+    approx(down.trendStrength, 0.6);
+    assert.equal(down.regime, 'trendingDown');
+    assert.equal(classifyRegime([10, 11, 10, 12, 13], { regimeWindow: 4, regimeTrendStrength: 0.7 }).regime, 'ranging');
+
+    // Returns of 0.1 and -0.1
+    const swing = classifyRegime([100, 110, 99], { regimeWindow: 2 });
+    approx(swing.volatility, 0.1);
+    approx(swing.trendStrength, 1 / 21);
+    assert.equal(swing.volatilityPercentile, 1);
+    // A single window has nothing to rank against
+    assert.equal(swing.regime, 'ranging');
+});
+
+test('the volatility is ranked against the same window at every earlier close', () => {
+    const calm = new Array(40).fill(0.5);
+    const wild = new Array(21).fill(3);
+
+    const rising = classifyRegime(zigzag([...calm, ...wild]));
+    approx(rising.trendStrength, 0);
+    assert.equal(rising.volatilityPercentile, 1);
+    assert.equal(rising.regime, 'highVol');
+
+    // The latest window ties with the 19 before it that also cover only calm swings, 20 of the 41 windows
+    const falling = classifyRegime(zigzag([...wild, ...calm]));
+    approx(falling.volatilityPercentile, 20 / 41);
+    assert.equal(falling.regime, 'ranging');
+    const settled = classifyRegime(zigzag([...wild, ...calm.slice(0, 21)]));
+    approx(settled.volatilityPercentile, 1 / 22);
+    assert.equal(settled.regime, 'lowVol');
+
+    assert.equal(classifyRegime(zigzag([...calm, ...wild]), { regimeHighVolatility: 1.01 }).regime, 'ranging');
+    // A trend outranks the volatility
+    assert.equal(classifyRegime([...zigzag(calm), ...wild.map((_, i) => 100 + 3 * i)]).regime, 'trendingUp');
+});
+
+test('applyRegime overrides the parameters of the regime or stops betting', () => {
+    const strategy = {
+        regimes: {
+            trendingUp: { trade: true, parameters: { bullConfidence: 0.5 } },
+            trendingDown: { trade: false, parameters: {} }
+        }
+    };
+    const parameters = { bullConfidence: 0.2, bearConfidence: -0.2, regimeWindow: 4 };
+
+    const up = applyRegime(strategy, [10, 11, 12, 13, 14], parameters);
+    assert.equal(up.regime.regime, 'trendingUp');
+    assert.deepEqual(up.parameters, { bullConfidence: 0.5, bearConfidence: -0.2, regimeWindow: 4 });
+    assert.equal(up.trade, true);
+    assert.equal(parameters.bullConfidence, 0.2);
+
+    const down = applyRegime(strategy, [14, 13, 12, 11, 10], parameters);
+    assert.equal(down.trade, false);
+    assert.equal(down.parameters.bullConfidence, 0.2);
+
+    // Regimes the strategy does not declare, and too few closes, keep its parameters
+    for (const prices of [[10, 11, 10, 11, 10], [10, 11]]) {
+        const kept = applyRegime(strategy, prices, parameters);
+        assert.equal(kept.parameters, parameters);
+        assert.equal(kept.trade, true);
+    }
+    assert.equal(applyRegime({}, [10, 11, 12, 13, 14], parameters).trade, true);
+});
@@ -0,0 +1,98 @@
+// riskLimits.test.js
+// Circuit breakers of shared/riskLimits.js, which riskManager.js applies to the bot's settled bets.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateRisk, capRoundExposure } = require('../shared/riskLimits');
+
+const MINUTE = 60 * 1000;
+const NOON = Date.UTC(2026, 0, 10, 12);
+const MIDNIGHT = Date.UTC(2026, 0, 11);
+
+// Settled bets five minutes apart, the last one placed at `end`
+const betsEndingAt = (end, profits) => profits.map((profit, i) => ({ profit, placedAt: end - (profits.length - 1 - i) * 5 * MINUTE }));
+
+const NOT_PAUSED = { paused: false, breaker: null, reason: null, trippedAt: null, resumeAt: null };
+
+test('no limits never pause', () => {
+    assert.deepEqual(evaluateRisk(betsEndingAt(NOON, [-1, -1, -1, -1]), {}, { bankroll: 1, now: NOON }), NOT_PAUSED);
+});
+
+test('the daily loss limit pauses until the next UTC day', () => {
+    const bets = betsEndingAt(NOON, [-0.02, 0.01, -0.03, -0.01]);
+    const status = evaluateRisk(bets, { maxDailyLoss: 0.05, cooldownMinutes: 60 }, { now: NOON + MINUTE });
+    assert.equal(status.paused, true);
+    assert.equal(status.breaker, 'dailyLoss');
+    assert.equal(status.reason, 'Lost 0.0500 BNB today, limit is 0.05 BNB');
+    assert.equal(status.trippedAt, NOON);
+    assert.equal(status.resumeAt, MIDNIGHT);
+
+    assert.deepEqual(evaluateRisk(bets, { maxDailyLoss: 0.05, cooldownMinutes: 60 }, { now: MIDNIGHT }), NOT_PAUSED);
+});
+
+test('the daily loss limit never resumes before the cooldown', () => {
+    const lateBets = betsEndingAt(MIDNIGHT - 10 * MINUTE, [-0.05]);
+    const status = evaluateRisk(lateBets, { maxDailyLoss: 0.05, cooldownMinutes: 60 }, { now: MIDNIGHT - 5 * MINUTE });
+    assert.equal(status.resumeAt, MIDNIGHT + 50 * MINUTE);
+});
+
+test('losses of earlier days do not count towards the daily loss', () => {
+    const yesterday = betsEndingAt(NOON - 24 * 60 * MINUTE, [-1]);
+    assert.equal(evaluateRisk(yesterday, { maxDailyLoss: 0.05 }, { now: NOON }).paused, false);
+});
+
+test('the drawdown limit measures from the peak of the equity rebuilt from the bankroll', () => {
+    // Equity 1 -> 1.5 -> 1.2 -> 1.1, 26.7% below the peak
+    const bets = betsEndingAt(NOON, [0.5, -0.3, -0.1]);
+    const status = evaluateRisk(bets, { maxDrawdown: 0.25, cooldownMinutes: 30 }, { bankroll: 1.1, now: NOON + MINUTE });
+    assert.equal(status.breaker, 'drawdown');
+    assert.equal(status.reason, 'Drawdown of 26.7% from a peak of 1.5000 BNB, limit is 25.0%');
+    assert.equal(status.resumeAt, NOON + 30 * MINUTE);
+
+    assert.equal(evaluateRisk(bets, { maxDrawdown: 0.3 }, { bankroll: 1.1, now: NOON }).paused, false);
+    // Without a bankroll the drawdown cannot be measured
+    assert.equal(evaluateRisk(bets, { maxDrawdown: 0.25 }, { now: NOON }).paused, false);
+});
+
+test('the losing streak limit counts losses since the last win, refunds aside', () => {
+    const limits = { maxConsecutiveLosses: 3, cooldownMinutes: 60 };
+    const status = evaluateRisk(betsEndingAt(NOON, [0.1, -0.1, 0, -0.1, -0.1]), limits, { now: NOON });
+    assert.equal(status.breaker, 'consecutiveLosses');
+    assert.equal(status.reason, '3 losses in a row, limit is 3');
+    assert.equal(evaluateRisk(betsEndingAt(NOON, [-0.1, -0.1, 0.1, -0.1, -0.1]), limits, { now: NOON }).paused, false);
+});
+
+test('a breaker past its cooldown resumes and only later bets count', () => {
+    const limits = { maxConsecutiveLosses: 2, cooldownMinutes: 60 };
+    const early = betsEndingAt(NOON, [-0.1, -0.1]);
+    assert.deepEqual(evaluateRisk(early, limits, { now: NOON + 61 * MINUTE }), NOT_PAUSED);
+
+    // Another loss after the cooldown is one loss, not three
+    const later = [...early, { profit: -0.1, placedAt: NOON + 65 * MINUTE }];
+    assert.equal(evaluateRisk(later, limits, { now: NOON + 66 * MINUTE }).paused, false);
+    const twoLater = [...later, { profit: -0.1, placedAt: NOON + 70 * MINUTE }];
+    assert.equal(evaluateRisk(twoLater, limits, { now: NOON + 71 * MINUTE }).trippedAt, NOON + 70 * MINUTE);
+});
+
+test('without a cooldown the streak and drawdown breakers only resume manually', () => {
+    const limits = { maxConsecutiveLosses: 2, cooldownMinutes: 0 };
+    const bets = betsEndingAt(NOON, [-0.1, -0.1]);
+    const status = evaluateRisk(bets, limits, { now: NOON + 24 * 60 * MINUTE });
+    assert.equal(status.paused, true);
+    assert.equal(status.resumeAt, null);
+
+    assert.deepEqual(evaluateRisk(bets, limits, { now: NOON + 2 * MINUTE, resumedAt: NOON + MINUTE }), NOT_PAUSED);
+});
+
+test('unsettled bets are left out', () => {
+    const bets = [...betsEndingAt(NOON, [-0.1]), { profit: null, placedAt: NOON + MINUTE }, { placedAt: NOON + 2 * MINUTE }];
+    assert.equal(evaluateRisk(bets, { maxConsecutiveLosses: 2 }, { now: NOON }).paused, false);
+});
+
+test('capRoundExposure keeps the round total within the limit', () => {
+    assert.equal(capRoundExposure(0.5, { maxRoundExposure: 0.3 }), 0.3);
+    assert.ok(Math.abs(capRoundExposure(0.5, { maxRoundExposure: 0.3 }, 0.2) - 0.1) < 1e-12);
+    assert.equal(capRoundExposure(0.5, { maxRoundExposure: 0.3 }, 0.4), 0);
+    assert.equal(capRoundExposure(0.5, {}), 0.5);
+});
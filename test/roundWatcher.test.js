@@ -0,0 +1,159 @@
+// roundWatcher.test.js
+// watchRounds of roundWatcher.js against a fake contract polled over JSON-RPC and fake WebSocket subscriptions,
+// with the polling interval and the watchdog timeout shortened to milliseconds.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+
+process.env.PREDICTION_CONTRACT_ADDRESS = '0x18B2A687610328590Bc8F2e5fEdDe3b582A49cdA';
+process.env.POLL_INTERVAL_MS = '10';
+process.env.ROUND_EVENT_TIMEOUT_MS = '60';
+
+require('../logger').silent = true;
+const { watchRounds } = require('../roundWatcher');
+
+const { BigNumber, utils } = ethers;
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition
+ * @param {number} [timeoutMs]
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeoutMs) throw new Error('timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * A contract polled over JSON-RPC. Every round before the current epoch has locked at 600 and every round
+ * before the one that has locked has ended at 601.
+ * @param {number} epoch - Current epoch, set contract.epoch to move on.
+ * @returns {Object}
+ */
+function createRpcContract(epoch) {
+    const contract = {
+        epoch,
+        currentEpoch: async () => BigNumber.from(contract.epoch),
+        rounds: async (roundEpoch) => ({
+            lockOracleId: BigNumber.from(roundEpoch < contract.epoch ? 1 : 0),
+            lockPrice: utils.parseUnits('600', 8),
+            closePrice: utils.parseUnits('601', 8),
+            oracleCalled: roundEpoch < contract.epoch - 1
+        })
+    };
+    return contract;
+}
+
+/**
+ * Subscriptions that open only when told to, recording each one.
+ * @returns {Function} connectSocket() replacement, with the subscriptions it opened in its sockets.
+ */
+function createSockets() {
+    const connectSocket = () => {
+        const provider = new EventEmitter();
+        provider._websocket = new EventEmitter();
+        provider.destroyed = false;
+        provider.destroy = async () => {
+            provider.destroyed = true;
+        };
+        const socket = { provider, contract: new EventEmitter() };
+        connectSocket.sockets.push(socket);
+        return socket;
+    };
+    connectSocket.sockets = [];
+    return connectSocket;
+}
+
+/**
+ * Handlers recording the events in the order they arrive.
+ * @returns {Object} Handlers, with the events in events.
+ */
+function recordEvents() {
+    const events = [];
+    return {
+        events,
+        onStartRound: epoch => events.push(`start ${epoch}`),
+        onLockRound: (epoch, price) => events.push(`lock ${epoch} ${price}`),
+        onEndRound: (epoch, price) => events.push(`end ${epoch} ${price}`),
+        onBet: (epoch, position, amount) => events.push(`${position} ${epoch} ${amount}`)
+    };
+}
+
+test('each round event is delivered once per epoch whatever its source', async () => {
+    const contract = createRpcContract(100);
+    const connectSocket = createSockets();
+    const handlers = recordEvents();
+    const stop = watchRounds(handlers, 100, { contract, connectSocket });
+    try {
+        // Polling until the subscription opens starts the running round
+        await waitFor(() => handlers.events.length === 1);
+        const [{ provider, contract: socket }] = connectSocket.sockets;
+        provider._websocket.emit('open');
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        const price = utils.parseUnits('602.5', 8);
+        socket.emit('LockRound', BigNumber.from(100), BigNumber.from(1), price);
+        socket.emit('LockRound', BigNumber.from(100), BigNumber.from(1), price);
+        socket.emit('EndRound', BigNumber.from(99), BigNumber.from(1), price);
+        socket.emit('StartRound', BigNumber.from(101));
+        socket.emit('StartRound', BigNumber.from(101));
+        // Late events of epochs already past are dropped too
+        socket.emit('StartRound', BigNumber.from(100));
+        socket.emit('EndRound', BigNumber.from(98), BigNumber.from(1), price);
+        socket.emit('BetBull', '0x0', BigNumber.from(101), utils.parseEther('0.5'));
+
+        // Polling caught up with nothing new, so the subscription's events are the only ones after the start
+        contract.epoch = 101;
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.deepEqual(handlers.events, ['start 100', 'lock 100 602.5', 'end 99 602.5', 'start 101', 'bull 101 0.5']);
+    } finally {
+        stop();
+    }
+});
+
+test('polling catches up on skipped epochs with the lock, then the ends, then the start', async () => {
+    const contract = createRpcContract(100);
+    const handlers = recordEvents();
+    // A subscription that never opens leaves the watcher polling
+    const stop = watchRounds(handlers, 100, { contract, connectSocket: createSockets() });
+    try {
+        await waitFor(() => handlers.events.length === 1);
+        contract.epoch = 103;
+        await waitFor(() => handlers.events.length === 6);
+        assert.deepEqual(handlers.events, ['start 100', 'lock 102 600', 'end 99 601', 'end 100 601', 'end 101 601', 'start 103']);
+    } finally {
+        stop();
+    }
+});
+
+test('the watchdog resubscribes when no round event arrives within roundEventTimeoutMs', async () => {
+    const contract = createRpcContract(100);
+    const connectSocket = createSockets();
+    const handlers = recordEvents();
+    const stop = watchRounds(handlers, 100, { contract, connectSocket });
+    try {
+        const [{ provider }] = connectSocket.sockets;
+        provider._websocket.emit('open');
+
+        // Dropped after 60ms of silence, reconnected 5 polling intervals later
+        await waitFor(() => connectSocket.sockets.length === 2);
+        assert.equal(provider.destroyed, true);
+
+        // Events from the dropped subscription are ignored, the new one is trusted once it opens
+        provider._websocket.emit('close', 1006);
+        connectSocket.sockets[1].provider._websocket.emit('open');
+        contract.epoch = 101;
+        connectSocket.sockets[1].contract.emit('StartRound', BigNumber.from(101));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(connectSocket.sockets.length, 2);
+        assert.deepEqual(handlers.events.filter(event => event.startsWith('start')), ['start 100', 'start 101']);
+    } finally {
+        stop();
+    }
+});
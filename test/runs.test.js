@@ -0,0 +1,109 @@
+// runs.test.js
+// Runs of runs.js and profitTracker.js in a temporary profitability database that already holds bets
+// recorded before runs existed.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-test-'));
+process.env.PROFITABILITY_DB = path.join(directory, 'profitability.db');
+process.env.PRIVATE_KEY = 'not-a-real-key';
+process.env.QUICKNODE_RPC_URL = 'https://node.example/secret-token';
+
+require('../logger').silent = true;
+
+let profitTracker;
+let runs;
+
+const bet = (runId, epoch, outcome, profitBNB, extra = {}) => ({
+    runId, epoch, outcome, profitBNB, prediction: 'bull', betSize: 0.1, roundId: String(epoch), placedAt: epoch * 1000, ...extra
+});
+
+before(async () => {
+    // A database as the bot wrote it before runs: one paper bet and two bets from live trading or backtests
+    const legacy = new sqlite3.Database(process.env.PROFITABILITY_DB);
+    await new Promise((resolve, reject) => legacy.exec(`
+        CREATE TABLE bets (id INTEGER PRIMARY KEY AUTOINCREMENT, epoch INTEGER, prediction TEXT, betSize REAL, outcome TEXT,
+            profitBNB REAL, roundId TEXT, startingPrice REAL, paperTrade BOOLEAN DEFAULT 0, placedAt INTEGER);
+        INSERT INTO bets (epoch, prediction, betSize, outcome, profitBNB, paperTrade, placedAt) VALUES
+            (1, 'bull', 0.1, 'win', 0.09, 1, 1000), (2, 'bear', 0.1, 'lose', -0.1, 0, 2000), (3, 'bull', 0.1, 'lose', -0.1, 0, 3000);
+    `, err => (err ? reject(err) : resolve())));
+    await new Promise(resolve => legacy.close(resolve));
+
+    profitTracker = require('../profitTracker');
+    runs = require('../runs');
+});
+
+after(async () => {
+    await profitTracker.closeDatabase();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('bets recorded before runs are moved to legacy runs', async () => {
+    const legacyRuns = await profitTracker.getRuns();
+    assert.deepEqual(legacyRuns.map(run => [run.id, run.type, run.totalBets]).sort(), [['legacy', 'legacy', 2], ['legacy-paper', 'paper', 1]]);
+    assert.equal(legacyRuns.find(run => run.id === 'legacy').startedAt, 2000);
+});
+
+test('startRun records the type, strategy version and config without its secrets', async () => {
+    const runId = await runs.startRun('backtest', '2.1.0', { startingBankroll: 3, startEpoch: 100 });
+    assert.match(runId, /^backtest-\d{8}T\d{6}-[0-9a-f]{4}$/);
+
+    const [run] = await profitTracker.getRuns('backtest');
+    assert.equal(run.id, runId);
+    assert.equal(run.strategyVersion, '2.1.0');
+    assert.equal(run.endedAt, null);
+    assert.equal(run.config.startingBankroll, 3);
+    assert.equal(run.config.startEpoch, 100);
+    assert.equal(run.config.paperBankroll, 1);
+    for (const secret of ['privateKey', 'quicknodeRpcUrl', 'quicknodeWsUrl', 'ingestRpcUrl']) {
+        assert.equal(secret in run.config, false, secret);
+    }
+    assert.doesNotMatch(JSON.stringify(run.config), /not-a-real-key|secret-token/);
+
+    await runs.endRun(runId);
+    assert.ok((await profitTracker.getRuns('backtest'))[0].endedAt >= run.startedAt);
+});
+
+test('bets are summarized by run and by run type', async () => {
+    const backtestId = (await profitTracker.getRuns('backtest'))[0].id;
+    const paperId = await runs.startRun('paper', '2.1.0');
+    await profitTracker.recordBets([
+        bet(backtestId, 100, 'win', 0.2), bet(backtestId, 101, 'lose', -0.1), bet(backtestId, 102, 'win', 0.3),
+        bet(paperId, 200, 'lose', -0.1, { paperTrade: true }), bet(paperId, 201, null, null, { paperTrade: true })
+    ]);
+
+    const backtest = await profitTracker.getSummary({ runId: backtestId });
+    assert.deepEqual({ ...backtest, totalProfitBNB: Number(backtest.totalProfitBNB.toFixed(10)) },
+        { totalBets: 3, totalWins: 2, totalLosses: 1, totalProfitBNB: 0.4 });
+
+    // The paper stats include the legacy paper bet but none of the backtest's
+    const paper = await profitTracker.getSummary({ runType: 'paper' });
+    assert.deepEqual({ ...paper, totalProfitBNB: Number(paper.totalProfitBNB.toFixed(10)) },
+        { totalBets: 3, totalWins: 1, totalLosses: 1, totalProfitBNB: -0.01 });
+    assert.deepEqual(await profitTracker.getSummary({ runId: paperId, runType: 'backtest' }),
+        { totalBets: 0, totalWins: 0, totalLosses: 0, totalProfitBNB: 0 });
+    assert.equal((await profitTracker.getSummary()).totalBets, 8);
+
+    // Risk limits only see the settled bets of their own run type
+    assert.deepEqual(await profitTracker.getSettledBets('paper'), [{ profit: 0.09, placedAt: 1000 }, { profit: -0.1, placedAt: 200000 }]);
+
+    const [paperRun] = await profitTracker.getRuns('paper');
+    assert.equal(paperRun.id, paperId);
+    assert.equal(paperRun.firstEpoch, 200);
+    assert.equal(paperRun.lastEpoch, 201);
+});
+
+test('a run report is built from the run\'s own settled bets and starting bankroll', async () => {
+    const [run] = await profitTracker.getRuns('backtest');
+    const report = await runs.buildRunReport(run);
+    assert.equal(report.name, run.id);
+    assert.equal(report.summary.bets, 3);
+    assert.equal(report.summary.startingBankroll, 3);
+    assert.ok(Math.abs(report.summary.finalBankroll - 3.4) < 1e-12);
+    assert.equal(report.parameters.strategyVersion, '2.1.0');
+});
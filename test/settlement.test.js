@@ -0,0 +1,89 @@
+// settlement.test.js
+// Payout math of shared/settlement.js against rounds worked out by hand with the contract's 3% treasury fee.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_TREASURY_FEE, EVEN_POOL_MULTIPLE, getWinner, isRefundable, calculatePayoutMultiple, settleBet
+} = require('../shared/settlement');
+
+// 3 BNB on bull and 1 BNB on bear. The contract pays the 3.88 BNB left after the fee to the bull pool
+const bullRound = {
+    lockPrice: '600.5',
+    closePrice: '601.25',
+    bullAmount: '3',
+    bearAmount: '1',
+    rewardBaseCalAmount: '3',
+    rewardAmount: '3.88',
+    oracleCalled: true
+};
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+test('getWinner compares the close price with the lock price', () => {
+    assert.equal(getWinner(bullRound), 'bull');
+    assert.equal(getWinner({ ...bullRound, closePrice: '599' }), 'bear');
+    assert.equal(getWinner({ ...bullRound, closePrice: '600.5' }), 'house');
+    assert.equal(getWinner({ ...bullRound, oracleCalled: false }), null);
+    assert.equal(getWinner(null), null);
+});
+
+test('isRefundable waits for the buffer after close on rounds the oracle never ended', () => {
+    const round = { oracleCalled: false, closeTimestamp: 1000 };
+    assert.equal(isRefundable(round, 30, 1031), true);
+    assert.equal(isRefundable(round, 30, 1030), false);
+    assert.equal(isRefundable({ ...round, oracleCalled: true }, 30, 5000), false);
+    assert.equal(isRefundable({ oracleCalled: false, closeTimestamp: 0 }, 30, 5000), false);
+});
+
+test('calculatePayoutMultiple uses the reward amounts once the round is ended', () => {
+    approx(calculatePayoutMultiple(bullRound, 'bull'), 3.88 / 3);
+    // The reward amounts are only the bull side's, so the losing side is priced from the pools
+    approx(calculatePayoutMultiple(bullRound, 'bear'), 4 * 0.97);
+});
+
+test('calculatePayoutMultiple derives the multiple from the pools less the fee', () => {
+    const pools = { bullAmount: 3, bearAmount: 1 };
+    approx(calculatePayoutMultiple(pools, 'bull'), (4 * 0.97) / 3);
+    approx(calculatePayoutMultiple(pools, 'bear'), 4 * 0.97);
+    // A stake that is not on chain joins its side
+    approx(calculatePayoutMultiple(pools, 'bull', { stake: 1 }), (5 * 0.97) / 4);
+    approx(calculatePayoutMultiple(pools, 'bull', { treasuryFee: 0.1 }), (4 * 0.9) / 3);
+    assert.equal(calculatePayoutMultiple({ bullAmount: 2, bearAmount: 0 }, 'bear'), null);
+});
+
+test('settleBet pays a win at the round multiple', () => {
+    const settled = settleBet({ position: 'bull', amount: 0.3 }, bullRound);
+    assert.equal(settled.outcome, 'win');
+    approx(settled.payout, 0.3 * (3.88 / 3));
+    approx(settled.profit, 0.3 * (3.88 / 3) - 0.3);
+});
+
+test('settleBet adds a simulated stake to its pool before paying it', () => {
+    const settled = settleBet({ position: 'bear', amount: 1 }, { ...bullRound, closePrice: '590' }, { simulated: true });
+    assert.equal(settled.outcome, 'win');
+    // 5 BNB in the pools, 2 of them on bear
+    approx(settled.payout, (5 * 0.97) / 2);
+});
+
+test('settleBet loses the stake on the wrong side and on a house win', () => {
+    assert.deepEqual(settleBet({ position: 'bear', amount: 0.5 }, bullRound), { outcome: 'lose', payout: 0, profit: -0.5 });
+    const houseRound = { ...bullRound, closePrice: bullRound.lockPrice };
+    assert.deepEqual(settleBet({ position: 'bull', amount: 0.5 }, houseRound), { outcome: 'lose', payout: 0, profit: -0.5 });
+    assert.deepEqual(settleBet({ position: 'bear', amount: 0.5 }, houseRound), { outcome: 'lose', payout: 0, profit: -0.5 });
+});
+
+test('settleBet refunds refundable rounds and leaves running ones pending', () => {
+    assert.deepEqual(settleBet({ position: 'bull', amount: 0.5 }, { ...bullRound, oracleCalled: false }, { refundable: true }),
+        { outcome: 'refund', payout: 0.5, profit: 0 });
+    assert.deepEqual(settleBet({ position: 'bull', amount: 0.5 }, { ...bullRound, oracleCalled: false }),
+        { outcome: null, payout: 0, profit: 0 });
+});
+
+test('settleBet falls back to even pools on rounds without pool data', () => {
+    const settled = settleBet({ position: 'bull', amount: 1 }, { lockPrice: 1, closePrice: 2, oracleCalled: true });
+    assert.equal(settled.outcome, 'win');
+    approx(settled.payout, EVEN_POOL_MULTIPLE);
+    approx(EVEN_POOL_MULTIPLE, 2 * (1 - DEFAULT_TREASURY_FEE));
+});
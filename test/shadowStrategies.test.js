@@ -0,0 +1,149 @@
+// shadowStrategies.test.js
+// Shadows files loaded by shadowStrategies.js, and shadows betting a virtual bankroll into a temporary
+// profitability database with a model that always gives the same up probability.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-strategies-test-'));
+process.env.PROFITABILITY_DB = path.join(directory, 'profitability.db');
+
+require('../logger').silent = true;
+const profitTracker = require('../profitTracker');
+const { ShadowStrategy, loadShadowStrategies } = require('../shadowStrategies');
+
+after(async () => {
+    await profitTracker.closeDatabase();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual}, expected ${expected}`);
+
+const prices = Array.from({ length: 120 }, (_, i) => 600 + 4 * Math.sin(i / 3) + 3 * Math.sin(i / 11));
+const pools = { bullAmount: 1, bearAmount: 1 };
+// Bets a tenth of the bankroll on any confidence past 0.1
+const betting = { bullConfidence: 0.1, bearConfidence: -0.1, betSizing: 'fixedFraction', bankrollFraction: 0.1, maxBet: 1 };
+
+/**
+ * A model that predicts the same up probability for every round.
+ * @param {number} upProbability
+ * @returns {Object} Model as getBetDecision() uses it.
+ */
+const constantModel = upProbability => ({ featurePipeline: { prepareLatest: () => [[1]] }, predict: async () => upProbability });
+
+/**
+ * A shadow whose indicators have been fed the prices.
+ * @param {Object} definition - Entry of a shadows file.
+ * @returns {ShadowStrategy}
+ */
+function createShadow(definition) {
+    const shadow = new ShadowStrategy({ ensemble: { strategies: [] }, ...definition });
+    prices.forEach(price => shadow.update(price));
+    return shadow;
+}
+
+/**
+ * Writes a shadows file into the temporary directory.
+ * @param {string} name - File name.
+ * @param {*} content - Shadows, written as JSON unless a string.
+ * @returns {string} Path of the file.
+ */
+function writeShadows(name, content) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('a shadow records the bet it would place and settles it into its virtual bankroll', async () => {
+    const shadow = createShadow({ name: 'eager', parameters: betting });
+    await shadow.start('paper-active', 2);
+    const [run] = await profitTracker.getRuns('shadow');
+    assert.equal(run.id, shadow.runId);
+    assert.equal(run.config.shadow, 'eager');
+    assert.equal(run.config.activeRunId, 'paper-active');
+    assert.equal(run.config.ensemble, null);
+
+    const decision = await shadow.evaluate(500, prices, pools, constantModel(0.9));
+    assert.equal(decision.prediction, 'bull');
+    approx(decision.betSize, 0.2);
+    approx(shadow.bankroll, 1.8);
+    const recorded = await profitTracker.getBetDetails('500', shadow.runId);
+    assert.equal(recorded.prediction, 'bull');
+    assert.equal(recorded.outcome, null);
+
+    // The shadow's stake is added to the bull pool, as it would have been on chain
+    const payout = 0.2 * (2.2 * 0.97) / 1.2;
+    await shadow.settle({ epoch: 500, lockPrice: 600, closePrice: 601, ...pools, oracleCalled: true }, 30);
+    approx(shadow.bankroll, 1.8 + payout);
+    assert.equal(shadow.pendingBets.size, 0);
+    const settled = await profitTracker.getBetDetails('500', shadow.runId);
+    assert.equal(settled.outcome, 'win');
+    approx(settled.profitBNB, payout - 0.2);
+
+    await shadow.stop();
+    assert.ok((await profitTracker.getRuns('shadow'))[0].endedAt >= run.startedAt);
+});
+
+test('a shadow without a prediction records nothing and a round still running leaves its bet pending', async () => {
+    const cautious = createShadow({ name: 'cautious', parameters: { ...betting, bullConfidence: 5, bearConfidence: -5 } });
+    await cautious.start('paper-active', 2);
+    const skipped = await cautious.evaluate(600, prices, pools, constantModel(0.9));
+    assert.equal(skipped.prediction, null);
+    assert.equal(cautious.bankroll, 2);
+    assert.equal(await profitTracker.getBetDetails('600', cautious.runId), undefined);
+
+    const eager = createShadow({ name: 'eager', parameters: betting });
+    await eager.start('paper-active', 2);
+    await eager.evaluate(600, prices, pools, constantModel(0.1));
+    assert.equal(eager.pendingBets.get(600).position, 'bear');
+    await eager.settle({ epoch: 600, lockPrice: 600, closePrice: 0, ...pools, oracleCalled: false, closeTimestamp: 0 }, 30);
+    assert.equal(eager.pendingBets.size, 1);
+    approx(eager.bankroll, 1.8);
+});
+
+test('a shadow ensemble learns from the ended rounds it voted on', async () => {
+    const shadow = createShadow({ name: 'stacked', parameters: betting, ensemble: { strategies: ['technical', 'model'], method: 'stacking' } });
+    await shadow.start('paper-active', 2);
+    assert.deepEqual((await profitTracker.getRuns('shadow')).find(run => run.id === shadow.runId).config.ensemble,
+        { strategies: ['technical', 'model'], method: 'stacking', weights: {} });
+
+    for (const epoch of [700, 701, 702]) {
+        const decision = await shadow.evaluate(epoch, prices, pools, constantModel(0.9));
+        assert.deepEqual(Object.keys(decision.votes), ['technical', 'model']);
+    }
+    // A tie teaches nothing, and ending 701 forgets the votes on 700 as well
+    await shadow.settle({ epoch: 700, lockPrice: 600, closePrice: 600, ...pools, oracleCalled: true }, 30);
+    await shadow.settle({ epoch: 701, lockPrice: 600, closePrice: 599, ...pools, oracleCalled: true }, 30);
+    assert.deepEqual(shadow.ensemble.samples.map(sample => sample.upWon), [0]);
+    assert.deepEqual([...shadow.roundVotes.keys()], [702]);
+});
+
+test('shadows files are loaded with strategy files relative to them', () => {
+    const shadows = loadShadowStrategies(path.join(__dirname, '..', 'shadows.example.json'));
+    assert.deepEqual(shadows.map(shadow => shadow.name), ['trend-following', 'cautious', 'stacked-ensemble']);
+    assert.equal(shadows[0].strategy.name, 'trend-following');
+    assert.equal(shadows[1].parameters.bullConfidence, 0.6);
+    assert.equal(shadows[1].parameters.betSizing, 'fractionalKelly');
+    assert.equal(shadows[1].ensemble, null);
+    assert.equal(shadows[2].ensemble.method, 'stacking');
+    assert.deepEqual(loadShadowStrategies(''), []);
+});
+
+test('invalid shadows files are rejected with the file and the shadow', () => {
+    const invalid = [
+        [path.join(directory, 'missing.json'), /Cannot read shadow strategies file .*missing\.json: ENOENT/],
+        [writeShadows('broken.json', '[{'), /Cannot read shadow strategies file .*broken\.json: /],
+        [writeShadows('object.json', { name: 'one' }), /object\.json: expected an array of shadow strategies\.$/],
+        [writeShadows('unnamed.json', [{ name: 'one' }, { name: ' ' }]), /unnamed\.json: shadow strategy 2 has no name\.$/],
+        [writeShadows('twice.json', [{ name: 'one' }, { name: 'one' }]), /twice\.json: shadow strategy "one" is listed twice\.$/],
+        [writeShadows('method.json', [{ name: 'one', ensemble: { strategies: ['model'], method: 'vote' } }]),
+            /method\.json: shadow strategy "one": Unknown ensemble method "vote"/],
+        [writeShadows('strategy.json', [{ name: 'one', strategyFile: 'missing.yaml' }]), /strategy\.json: shadow strategy "one": /]
+    ];
+    for (const [file, message] of invalid) {
+        assert.throws(() => loadShadowStrategies(file), message);
+    }
+});
@@ -0,0 +1,98 @@
+// strategyParity.test.js
+// Feeds the prices, pools and parameters of fixtures/strategy.json to the bot's getPrediction() in
+// prediction.js and to the UI's getPrediction() in predictionLogic.js, which both decide through
+// shared/strategy.js, and checks they place the same bet.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+require('../logger').silent = true;
+const shared = require('../shared');
+const { getPrediction } = require('../prediction');
+
+const fixture = require('./fixtures/strategy.json');
+
+const UI_UTILS = path.resolve(__dirname, '../prediction-bot-ui/src/utils');
+
+/**
+ * Loads an ES module of the UI as a function of its imports. The UI is built by react-scripts, so its
+ * modules use import and export and leave out file extensions, which Node does not load as is.
+ * @param {string} file - Module path.
+ * @param {Object} imports - Module exports by import specifier.
+ * @returns {Object} Exports of the module.
+ */
+function loadUiModule(file, imports) {
+    const exported = [];
+    const body = fs.readFileSync(file, 'utf8')
+        .replace(/^import \{([^}]+)\} from '([^']+)';$/gm, (_, names, specifier) => `const {${names}} = imports[${JSON.stringify(specifier)}];`)
+        .replace(/^export ((?:async )?function|const|class) (\w+)/gm, (_, kind, name) => {
+            exported.push(name);
+            return `${kind} ${name}`;
+        });
+    const silentConsole = { log() {}, warn() {}, error() {} };
+    return new Function('imports', 'console', `${body}\nreturn { ${exported.join(', ')} };`)(imports, silentConsole);
+}
+
+const ui = loadUiModule(path.join(UI_UTILS, 'predictionLogic.js'), {
+    './settingsStore': { settingsStore: { getSettings: () => fixture.parameters } },
+    'prediction-shared': shared
+});
+
+// The UI has no model, the bot's gives the even odds the UI decides with
+const neutralModel = {
+    featurePipeline: { prepareLatest: () => [[0]] },
+    predict: async () => shared.NEUTRAL_PROBABILITY
+};
+
+/**
+ * Predicts on both paths with the same inputs.
+ * @param {Array<number>} prices - Close prices, oldest first.
+ * @param {Object} parameters - Strategy and bet sizing parameters.
+ * @returns {Promise<Object>} { bot, ui } predictions.
+ */
+async function predictBoth(prices, parameters) {
+    const { bankroll, pools } = fixture;
+    const [bot, uiResult] = await Promise.all([
+        getPrediction(prices, {
+            bankroll,
+            pools,
+            model: neutralModel,
+            // Extra indicators come from the bot's .env, the UI has none
+            parameters: { ...parameters, confidenceIndicators: [] },
+            strategy: shared.DEFAULT_COMPILED_STRATEGY
+        }),
+        ui.getPrediction(prices, { bankroll, pools, settings: parameters })
+    ]);
+    return { bot, ui: uiResult };
+}
+
+for (const [name, prices] of Object.entries(fixture.prices)) {
+    test(`bot and UI place the same bet on ${name} prices`, async () => {
+        for (const betSizing of shared.BET_SIZING_STRATEGIES) {
+            const { bot, ui: uiResult } = await predictBoth(prices, { ...fixture.parameters, betSizing });
+            assert.ok(Number.isFinite(bot.confidence), `${betSizing}: the bot made no prediction`);
+            assert.equal(uiResult.prediction, bot.prediction, `${betSizing}: prediction`);
+            assert.equal(uiResult.confidence, bot.confidence, `${betSizing}: confidence`);
+            assert.equal(uiResult.winProbability, bot.winProbability, `${betSizing}: win probability`);
+            assert.equal(uiResult.betSize, bot.betSize, `${betSizing}: stake`);
+            assert.equal(uiResult.regime, bot.regime, `${betSizing}: regime`);
+        }
+    });
+}
+
+test('the fixture prices cover both directions and a skipped round', async () => {
+    const expected = { bullish: 'bull', bearish: 'bear', neutral: null };
+    for (const [name, prediction] of Object.entries(expected)) {
+        const { bot } = await predictBoth(fixture.prices[name], fixture.parameters);
+        assert.equal(bot.prediction, prediction, name);
+    }
+});
+
+test('bot and UI make no prediction with too few prices', async () => {
+    const prices = fixture.prices.neutral.slice(0, shared.MIN_STRATEGY_PRICES - 1);
+    const { bot, ui: uiResult } = await predictBoth(prices, fixture.parameters);
+    assert.equal(bot.prediction, null);
+    assert.equal(uiResult.prediction, null);
+});
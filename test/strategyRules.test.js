@@ -0,0 +1,169 @@
+// strategyRules.test.js
+// Validation, conditions and scoring of the declarative strategies compiled by shared/strategyRules.js.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VALUE_PATHS, EXTENDED_INDICATOR_NAMES, compileStrategy } = require('../shared/strategyRules');
+
+// A strategy with one rule and one case, the condition under test
+const withCondition = (when, extra = {}) => ({ name: 'test', rules: [{ name: 'check', cases: [{ when, score: 1 }] }], ...extra });
+
+/**
+ * Whether a condition holds for the indicator values.
+ * @param {string} when - Condition.
+ * @param {Object} values - Indicator values.
+ * @param {Object} [parameters] - Parameters the condition reads.
+ * @returns {boolean}
+ */
+function holds(when, values, parameters = {}) {
+    const strategy = compileStrategy(withCondition(when), { parameterNames: Object.keys(parameters) });
+    return strategy.score(values, parameters).checkScore === 1;
+}
+
+test('conditions compare values, parameters and arithmetic', () => {
+    assert.equal(holds('RSI < $rsiOversold', { RSI: 25 }, { rsiOversold: 30 }), true);
+    assert.equal(holds('RSI < $rsiOversold', { RSI: 35 }, { rsiOversold: 30 }), false);
+    assert.equal(holds('price <= bollingerBands.lower * 1.01', { price: 101, bollingerBands: { lower: 100 } }), true);
+    assert.equal(holds('MACD - Signal > 0.5', { MACD: 2, Signal: 1 }), true);
+    // * binds tighter than +, and unary minus negates
+    assert.equal(holds('1 + 2 * 3 == 7', {}), true);
+    assert.equal(holds('-RSI == 0 - 40', { RSI: 40 }), true);
+    assert.equal(holds('(1 + 2) * 3 == 9', {}), true);
+    assert.equal(holds('abs(MACD) > max(1, min(2, 3))', { MACD: -2.5 }), true);
+    assert.equal(holds("extended.supertrend.trend == 'up'", { extended: { supertrend: { trend: 'up' } } }), true);
+    assert.equal(holds('extended.supertrend.trend != "up"', { extended: { supertrend: { trend: 'up' } } }), false);
+});
+
+test('and binds tighter than or, and not and parentheses group conditions', () => {
+    // true or (false and false)
+    assert.equal(holds('RSI > 0 or RSI > 100 and RSI < 0', { RSI: 50 }), true);
+    assert.equal(holds('(RSI > 0 or RSI > 100) and RSI < 0', { RSI: 50 }), false);
+    assert.equal(holds('not RSI > 70', { RSI: 50 }), true);
+    assert.equal(holds('not (RSI > 30 and RSI < 70)', { RSI: 50 }), false);
+});
+
+test('a comparison with a missing value is false, even under not', () => {
+    assert.equal(holds('RSI < 30', {}), false);
+    assert.equal(holds('RSI < 30', { RSI: null }), false);
+    assert.equal(holds('RSI < 30', { RSI: NaN }), false);
+    assert.equal(holds('extended.adx.adx > 25', { extended: {} }), false);
+    assert.equal(holds('RSI + 1 > 0', {}), false);
+    assert.equal(holds('RSI < $limit', { RSI: 10 }, { limit: null }), false);
+    assert.equal(holds('not RSI < 30', {}), true);
+});
+
+test('a rule scores its first matching case times its weight, and the rules combine', () => {
+    const definition = {
+        name: 'weighted',
+        rules: [
+            { name: 'rsi', weight: 2, cases: [{ when: 'RSI < 30', score: 1 }, { when: 'RSI < 50', score: 0.5 }, { when: 'RSI > 70', score: -1 }] },
+            { name: 'macd', weight: -1, cases: [{ when: 'MACD > Signal', score: 1 }] }
+        ]
+    };
+    const strategy = compileStrategy(definition);
+    assert.deepEqual(strategy.score({ RSI: 20, MACD: 1, Signal: 0 }), { rsiScore: 2, macdScore: -1, totalScore: 1 });
+    assert.deepEqual(strategy.score({ RSI: 40, MACD: 0, Signal: 1 }), { rsiScore: 1, macdScore: 0, totalScore: 1 });
+    assert.deepEqual(strategy.score({ RSI: 60 }), { rsiScore: 0, macdScore: 0, totalScore: 0 });
+
+    // mean divides by the total absolute weight
+    const mean = compileStrategy({ ...definition, combine: 'mean' });
+    assert.equal(mean.score({ RSI: 80, MACD: 1, Signal: 0 }).totalScore, -3 / 3);
+});
+
+test('sections are flattened into strategy parameters', () => {
+    const strategy = compileStrategy(withCondition('RSI < $rsiOversold', {
+        parameters: { rsiOversold: 25 },
+        thresholds: { bull: 0.3, bear: -0.3 },
+        sizing: { strategy: 'kelly', maxBet: 0.5, kellyFraction: 0.25 },
+        blend: { model: 2, technical: 1 },
+        indicators: ['adx']
+    }));
+    assert.deepEqual(strategy.parameters, {
+        rsiOversold: 25,
+        bullConfidence: 0.3,
+        bearConfidence: -0.3,
+        betSizing: 'kelly',
+        maxBet: 0.5,
+        kellyFraction: 0.25,
+        modelWeight: 2,
+        technicalWeight: 1,
+        confidenceIndicators: ['adx']
+    });
+    assert.equal(strategy.description, '');
+    assert.deepEqual(strategy.regimes, {});
+});
+
+test('the extended indicators the rules read are collected', () => {
+    const strategy = compileStrategy(withCondition('extended.adx.adx > 25 and abs(extended.cci) > 100 or extended.adx.plusDI > 20'));
+    assert.deepEqual(strategy.extendedIndicators.sort(), ['adx', 'cci']);
+    assert.ok(EXTENDED_INDICATOR_NAMES.every(indicator => VALUE_PATHS.some(path => path.startsWith(`extended.${indicator}`))));
+});
+
+test('regimes override parameters or stop betting', () => {
+    const strategy = compileStrategy(withCondition('RSI < $rsiOversold', {
+        parameters: { rsiOversold: 30 },
+        thresholds: { bull: 0.2, bear: -0.2 },
+        regimes: {
+            trendingUp: { parameters: { rsiOversold: 20 }, thresholds: { bull: 0.5 }, sizing: { maxBet: 0.1 } },
+            highVol: { trade: false }
+        }
+    }));
+    assert.deepEqual(strategy.regimes, {
+        trendingUp: { trade: true, parameters: { rsiOversold: 20, bullConfidence: 0.5, maxBet: 0.1 } },
+        highVol: { trade: false, parameters: {} }
+    });
+});
+
+test('invalid definitions are rejected with the strategy name and the invalid part', () => {
+    const invalid = [
+        [null, '"(unnamed)": the definition must be an object'],
+        [{ rules: [] }, 'name must be a non-empty string'],
+        [withCondition('RSI < 30', { rule: [] }), 'definition: unknown key "rule", expected one of name, description'],
+        [withCondition('RSI < 30', { parameters: { rsiOversold: '30' } }), 'parameters.rsiOversold must be a number'],
+        [withCondition('RSI < 30', { thresholds: { bull: 0.1, bear: 0.2 } }), 'thresholds.bull must not be below thresholds.bear'],
+        [withCondition('RSI < 30', { thresholds: { up: 0.1 } }), 'thresholds: unknown key "up", expected one of bull, bear'],
+        [withCondition('RSI < 30', { sizing: { strategy: 'martingale' } }), 'sizing.strategy must be one of'],
+        [withCondition('RSI < 30', { blend: { model: 'high' } }), 'blend.model must be a number'],
+        [withCondition('RSI < 30', { combine: 'max' }), 'combine must be one of sum, mean'],
+        [{ name: 'test', rules: [] }, 'rules must be a non-empty array'],
+        [{ name: 'test', rules: [{ name: 'bad name', cases: [{ when: 'RSI < 30', score: 1 }] }] }, 'rules[0].name must be an identifier'],
+        [{ name: 'test', rules: [{ name: 'a', cases: [{ when: 'RSI < 30', score: 1 }] }, { name: 'a', cases: [{ when: 'RSI > 70', score: -1 }] }] },
+            'rules[1].name "a" is used by another rule'],
+        [{ name: 'test', rules: [{ name: 'a', weight: '2', cases: [{ when: 'RSI < 30', score: 1 }] }] }, 'rules[0].weight must be a number'],
+        [{ name: 'test', rules: [{ name: 'a', cases: [] }] }, 'rules[0].cases must be a non-empty array'],
+        [{ name: 'test', rules: [{ name: 'a', cases: [{ when: 'RSI < 30', score: 'high' }] }] }, 'rules[0].cases[0].score must be a number'],
+        [{ name: 'test', rules: [{ name: 'a', cases: [{ when: 'RSI < 30', score: 1, then: 2 }] }] }, 'rules[0].cases[0]: unknown key "then"'],
+        [withCondition('RSI + 30'), 'expected a comparison'],
+        [withCondition('RSI 30'), 'expected a comparison'],
+        [withCondition('RSI < 30 and'), 'unexpected end of condition'],
+        [withCondition('RSI < 30)'), 'unexpected ")"'],
+        [withCondition('RSI < 30 ; drop'), 'unexpected "; drop"'],
+        [withCondition('VOLUME > 30'), 'unknown value "VOLUME"'],
+        [withCondition('RSI < $missing'), 'unknown parameter "$missing"'],
+        [withCondition('min(RSI) > 30'), 'min() takes 2 arguments'],
+        [withCondition('extended.adx.adx > 25', { indicators: ['cci'] }), 'rules read extended.adx, which indicators does not list'],
+        [withCondition('RSI < 30', { indicators: ['rsi'] }), 'unknown indicator "rsi"'],
+        [withCondition('RSI < 30', { regimes: { sideways: {} } }), 'unknown regime "sideways"'],
+        [withCondition('RSI < 30', { regimes: { highVol: { trade: 'no' } } }), 'regimes.highVol.trade must be true or false'],
+        [withCondition('RSI < 30', { regimes: { highVol: { parameters: { rsiOversold: 20 } } } }),
+            'regimes.highVol.parameters.rsiOversold is not a parameter of the strategy'],
+        [withCondition('RSI < 30', { thresholds: { bull: 0.2, bear: -0.2 }, regimes: { trendingUp: { thresholds: { bear: 0.5 } } } }),
+            'regimes.trendingUp.thresholds.bull must not be below thresholds.bear']
+    ];
+    for (const [definition, message] of invalid) {
+        assert.throws(() => compileStrategy(definition), (error) => {
+            assert.ok(error.message.startsWith('Invalid strategy "'), error.message);
+            assert.ok(error.message.includes(message), `${error.message} does not include ${message}`);
+            return true;
+        });
+    }
+    assert.throws(() => compileStrategy(withCondition('RSI < 30 and')), /^Error: Invalid strategy "test": rules\[0\]\.cases\[0\]\.when "RSI < 30 and": unexpected end of condition$/);
+});
+
+test('parameters the caller provides can be read and overridden per regime', () => {
+    const strategy = compileStrategy(withCondition('RSI < $rsiOversold', { regimes: { ranging: { parameters: { rsiOversold: 35 } } } }),
+        { parameterNames: ['rsiOversold'] });
+    assert.deepEqual(strategy.regimes.ranging.parameters, { rsiOversold: 35 });
+    assert.equal(strategy.score({ RSI: 32 }, { rsiOversold: 35 }).totalScore, 1);
+});
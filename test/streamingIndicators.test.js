@@ -0,0 +1,161 @@
+// streamingIndicators.test.js
+// Streams the closes of fixtures/candles.json through shared/streamingIndicators.js and checks every
+// step against the batch indicators of indicators.js over the prices up to it. The batch RSI, MACD and
+// Bollinger Bands are checked against the technicalindicators package.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ti = require('technicalindicators');
+
+require('../logger').silent = true;
+const indicators = require('../indicators');
+const {
+    StreamingSMA, StreamingEMA, StreamingRSI, StreamingMACD, StreamingBollingerBands, StreamingStochastic
+} = require('../shared/streamingIndicators');
+
+const prices = require('./fixtures/candles.json').candles.map(candle => candle.close);
+
+const TOLERANCE = 1e-9;
+const last = values => values[values.length - 1];
+
+/**
+ * Asserts two numbers are equal within TOLERANCE, relative to the larger of 1 and the expected value.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {string} message
+ */
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= TOLERANCE * Math.max(1, Math.abs(expected)), `${message}: ${actual}, expected ${expected}`);
+}
+
+/**
+ * Feeds the prices to a streaming indicator one at a time and compares each update with the batch value
+ * over the prices so far. The stream must stay null for as long as the batch has no value.
+ * @param {Object} stream - Streaming indicator.
+ * @param {Function} batch - (prices so far) => latest batch value, or null without enough prices.
+ * @param {Function} compare - (streamed, batch, step) => asserts they match.
+ * @returns {number} Steps with a value.
+ */
+function assertStreamMatchesBatch(stream, batch, compare) {
+    let steps = 0;
+    prices.forEach((price, i) => {
+        const streamed = stream.update(price);
+        const expected = batch(prices.slice(0, i + 1));
+        if (expected === null) {
+            assert.equal(streamed, null, `value before the batch has one, at price ${i}`);
+            return;
+        }
+        compare(streamed, expected, i);
+        steps++;
+    });
+    return steps;
+}
+
+test('StreamingSMA matches calculateSMA at every price', () => {
+    const steps = assertStreamMatchesBatch(new StreamingSMA(20), (window) => last(indicators.calculateSMA(window, 20)) ?? null,
+        (streamed, expected, i) => assertClose(streamed, expected, `SMA at ${i}`));
+    assert.equal(steps, prices.length - 19);
+});
+
+test('StreamingEMA matches calculateEMA at every price', () => {
+    const steps = assertStreamMatchesBatch(new StreamingEMA(20), (window) => last(indicators.calculateEMA(window, 20)) ?? null,
+        (streamed, expected, i) => assertClose(streamed, expected, `EMA at ${i}`));
+    assert.equal(steps, prices.length - 19);
+});
+
+test('StreamingRSI matches calculateRSI at every price', () => {
+    const steps = assertStreamMatchesBatch(new StreamingRSI(14), (window) => last(indicators.calculateRSI(window, 14)) ?? null,
+        (streamed, expected, i) => assertClose(streamed, expected, `RSI at ${i}`));
+    assert.equal(steps, prices.length - 14);
+});
+
+test('StreamingMACD matches calculateMACD at every price', () => {
+    // The batch returns a zero placeholder without enough prices for the signal line
+    const batch = (window) => {
+        if (window.length < 26 + 9 - 1) return null;
+        const { MACD, signal, histogram } = indicators.calculateMACD(window, 12, 26, 9);
+        return { MACD: last(MACD), signal: last(signal), histogram: last(histogram) };
+    };
+    const steps = assertStreamMatchesBatch(new StreamingMACD(12, 26, 9), batch, (streamed, expected, i) => {
+        for (const line of ['MACD', 'signal', 'histogram']) {
+            assertClose(streamed[line], expected[line], `MACD ${line} at ${i}`);
+        }
+    });
+    assert.equal(steps, prices.length - 33);
+});
+
+test('StreamingBollingerBands matches calculateBollingerBands at every price', () => {
+    const batch = (window) => {
+        const bands = window.length < 20 ? null : indicators.calculateBollingerBands(window, 20, 2);
+        return bands ? last(bands) : null;
+    };
+    const steps = assertStreamMatchesBatch(new StreamingBollingerBands(20, 2), batch, (streamed, expected, i) => {
+        for (const band of ['upper', 'middle', 'lower']) {
+            assertClose(streamed[band], expected[band], `Bollinger ${band} at ${i}`);
+        }
+    });
+    assert.equal(steps, prices.length - 19);
+});
+
+test('StreamingStochastic matches calculateStochasticOscillator at every price', () => {
+    const batch = (window) => {
+        const stochastic = window.length < 14 ? null : indicators.calculateStochasticOscillator(window, 14);
+        return stochastic ? { k: last(stochastic.k), d: stochastic.d.length > 0 ? last(stochastic.d) : null } : null;
+    };
+    assertStreamMatchesBatch(new StreamingStochastic(14), batch, (streamed, expected, i) => {
+        assertClose(streamed.k, expected.k, `%K at ${i}`);
+        if (expected.d === null) {
+            assert.equal(streamed.d, null, `%D before three %K values, at ${i}`);
+        } else {
+            assertClose(streamed.d, expected.d, `%D at ${i}`);
+        }
+    });
+});
+
+test('batch RSI matches technicalindicators, which rounds to two decimals', () => {
+    const rsi = indicators.calculateRSI(prices, 14);
+    const expected = ti.RSI.calculate({ values: prices, period: 14 });
+    assert.equal(rsi.length, expected.length);
+    rsi.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) <= 0.005, `RSI at ${i}: ${value}, expected ${expected[i]}`));
+});
+
+test('batch MACD matches technicalindicators', () => {
+    const { MACD, signal, histogram } = indicators.calculateMACD(prices, 12, 26, 9);
+    const expected = ti.MACD.calculate({
+        values: prices, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false
+    });
+    assert.equal(MACD.length, expected.length);
+    MACD.forEach((value, i) => assertClose(value, expected[i].MACD, `MACD at ${i}`));
+    const withSignal = expected.filter(value => value.signal !== undefined);
+    assert.equal(signal.length, withSignal.length);
+    signal.forEach((value, i) => assertClose(value, withSignal[i].signal, `signal at ${i}`));
+    histogram.forEach((value, i) => assertClose(value, withSignal[i].histogram, `histogram at ${i}`));
+});
+
+test('batch Bollinger Bands match technicalindicators', () => {
+    const bands = indicators.calculateBollingerBands(prices, 20, 2);
+    const expected = ti.BollingerBands.calculate({ values: prices, period: 20, stdDev: 2 });
+    assert.equal(bands.length, expected.length);
+    bands.forEach((value, i) => {
+        for (const band of ['upper', 'middle', 'lower']) {
+            assertClose(value[band], expected[i][band], `Bollinger ${band} at ${i}`);
+        }
+    });
+});
+
+test('streaming sums do not drift over a long series', () => {
+    // The fixture closes repeated with a slow trend, long enough for the windows to wrap many times
+    const long = Array.from({ length: 20000 }, (_, i) => prices[i % prices.length] + i * 0.01);
+    const sma = new StreamingSMA(20);
+    const bands = new StreamingBollingerBands(20, 2);
+    long.forEach((price) => {
+        sma.update(price);
+        bands.update(price);
+    });
+    const window = long.slice(-20);
+    assertClose(sma.value, last(indicators.calculateSMA(window, 20)), 'SMA after 20000 prices');
+    const expected = last(indicators.calculateBollingerBands(window, 20, 2));
+    for (const band of ['upper', 'middle', 'lower']) {
+        assertClose(bands.value[band], expected[band], `Bollinger ${band} after 20000 prices`);
+    }
+});